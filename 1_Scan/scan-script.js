@@ -3,6 +3,10 @@
 // - Owns: Camera initialization, fallback to file upload, QR parsing.
 // - Must NOT do: Transaction flow logic (redirects only), Direct wallet interaction.
 // - Safe to modify: UI messages, camera constraints, flashlight logic.
+// - Loaded as an ES module (type="module") so it shares address classification with Send.
+
+import { classifyAddress } from '../src/modules/address-classifier.js';
+import { parsePaymentURI, hasPaymentDetails } from '../src/modules/payment-uri.js';
 
 (function () {
     'use strict';
@@ -141,52 +145,31 @@
         requestAnimationFrame(scanQRCode);
     }
 
-    // Helper: Normalize QR Data
-    function normalizeQRData(data) {
-        if (!data) return '';
-        let clean = data.trim();
-
-        // Remove common URI schemes
-        const schemes = ['ethereum:', 'bitcoin:', 'solana:'];
-        for (const scheme of schemes) {
-            if (clean.toLowerCase().startsWith(scheme)) {
-                clean = clean.substring(scheme.length);
-            }
-        }
-
-        // Remove parameters (e.g. ?amount=...)
-        if (clean.includes('?')) {
-            clean = clean.split('?')[0];
-        }
-
-        // Remove suffixes (e.g. @1 for chain ID in EIP-681)
-        if (clean.includes('@')) {
-            clean = clean.split('@')[0];
-        }
-
-        return clean;
-    }
-
-    // Helper: Detect Chain
-    function detectChain(address) {
-        // Ethereum: 0x + 40 hex chars
-        const ethPattern = /^0x[a-fA-F0-9]{40}$/;
-        if (ethPattern.test(address)) return 'ETH';
-
-        // Solana: Base58, 32-44 chars
-        const solPattern = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-        if (solPattern.test(address)) return 'SOL';
+    // Send routes per address family (mirrors send.js chain/asset derivation)
+    const SEND_ROUTES = {
+        ethereum: { label: 'Ethereum', asset: 'eth', chain: 'Ethereum' },
+        bitcoin: { label: 'Bitcoin', asset: 'btc', chain: 'Bitcoin' },
+        solana: { label: 'Solana', asset: 'sol', chain: 'Solana' }
+    };
 
-        // Bitcoin: Legacy (1/3) or Segwit (bc1), length check 25-62
-        const btcPattern = /^(bc1|[13])[a-zA-HJ-NP-Z0-9]{25,62}$/;
-        if (btcPattern.test(address)) return 'BTC';
-
-        return null;
+    // Helper: Resume scanning after an informational message
+    function resumeScanning(delay = 3000) {
+        setTimeout(() => {
+            scanning = true;
+            scanQRCode();
+        }, delay);
     }
 
     // Helper: Redirect to Send
-    function redirectToSend(address) {
+    function redirectToSend(address, paymentRequest, target) {
         sessionStorage.setItem('scannedAddress', address);
+        // Chain / asset / BTC address type pre-selection (consumed once by send.js)
+        sessionStorage.setItem('scannedTarget', JSON.stringify(target));
+        if (paymentRequest && hasPaymentDetails(paymentRequest)) {
+            sessionStorage.setItem('scannedPayment', JSON.stringify(paymentRequest));
+        } else {
+            sessionStorage.removeItem('scannedPayment');
+        }
         closeScan();
         // Invoke Send via Dashboard Wiring
         const sendBtn = document.querySelector('[data-action="send"]');
@@ -200,45 +183,48 @@
             return;
         }
 
-        const cleanAddress = normalizeQRData(qrData);
-        const chain = detectChain(cleanAddress);
+        // BIP-21 / EIP-681 / Solana Pay: keeps amount, chain, token and notes.
+        // Bare addresses come back as a recipient-only request.
+        const paymentRequest = parsePaymentURI(qrData);
 
-        // ETH (Supported)
-        if (chain === 'ETH') {
-            scanning = false;
-            showMessage('Ethereum address detected! Redirecting...', 'success');
-            setTimeout(() => {
-                redirectToSend(cleanAddress);
-            }, 1000);
+        // Payment URI we cannot honour (unknown token, req- param, bad amount...)
+        if (paymentRequest.errors.length > 0 || !paymentRequest.recipient) {
+            showMessage('This payment request is not supported.', 'info');
+            resumeScanning();
             return;
         }
 
-        // SOL (Detected, Not Supported)
-        if (chain === 'SOL') {
-            showMessage('Solana address detected. Sending is not supported yet.', 'info');
-            setTimeout(() => {
-                scanning = true;
-                scanQRCode();
-            }, 3000);
+        const cleanAddress = paymentRequest.recipient;
+        // Shared classifier: Scan and Send agree on family, network and type
+        const classification = classifyAddress(cleanAddress);
+        const route = SEND_ROUTES[classification.family];
+
+        // Valid QR but not Web3 Wallet
+        if (!route) {
+            showMessage("This QR code does not contain a wallet address.", 'info');
+            resumeScanning();
             return;
         }
 
-        // BTC (Detected, Not Supported)
-        if (chain === 'BTC') {
-            showMessage('Bitcoin address detected. Sending is not supported yet.', 'info');
-            setTimeout(() => {
-                scanning = true;
-                scanQRCode();
-            }, 3000);
+        // Recognised family, but not sendable (typo, testnet, unsupported program)
+        if (!classification.valid) {
+            const isTestnet = classification.network === 'testnet' || classification.network === 'regtest';
+            showMessage(isTestnet
+                ? `${route.label} testnet addresses are not supported.`
+                : `This ${route.label} address failed validation. Please check the QR code.`, 'error');
+            resumeScanning();
             return;
         }
 
-        // Valid QR but not Web3 Wallet
-        showMessage("This QR code does not contain a wallet address.", 'info');
+        scanning = false;
+        showMessage(`${route.label} address detected! Redirecting...`, 'success');
         setTimeout(() => {
-            scanning = true;
-            scanQRCode();
-        }, 3000);
+            redirectToSend(cleanAddress, paymentRequest, {
+                asset: route.asset,
+                chain: route.chain,
+                btcAddressType: classification.family === 'bitcoin' ? classification.addressType : null
+            });
+        }, 1000);
     }
 
     // Show Message
@@ -188,6 +188,7 @@ export const InteractionUtils = {
                 // 4. Inject Logic (Once)
                 if (!window.__scanLoaded) {
                     const script = document.createElement('script');
+                    script.type = 'module';
                     script.src = 'scan-script.js';
                     document.body.appendChild(script);
                     window.__scanLoaded = true;
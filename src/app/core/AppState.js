@@ -6,8 +6,54 @@
  * - Exposes actions to mutate state
  * - Emits changes to subscribers
  * - NO DOM references
+ *
+ * Contacts (address book) persist in IndexedDB through address-book.js;
+ * `state.contacts` mirrors the stored list after every load / change.
+ * Sent transactions do the same through tx-history.js (`state.transactions`),
+ * with a tracker polling pending ones until they settle. Pending EVM sends can
+ * be sped up or cancelled; replacement fees start from the gas tiers Send
+ * last announced for that chain. Unconfirmed Bitcoin sends get fee-bump PSBTs
+ * (RBF or CPFP) priced at the mempool 'fast' tier, with the added cost in fiat.
+ * Notifications (notifications.js) come from settled sends and from incoming
+ * transfers to the connected address (activity-watcher.js); read state persists.
  */
 
+import { createAddressBook, createIndexedDbStore, findContactByAddress } from '../../modules/address-book.js';
+import {
+    createTxHistory,
+    createTxTracker,
+    createPublicTransports,
+    canReplace,
+    canBumpFee,
+    chainFamilyFor,
+    replacementSubmission,
+    TX_HISTORY_DB
+} from '../../modules/tx-history.js';
+import { replacementFees } from '../../modules/evm-transaction.js';
+import { fetchGasTiers } from '../../modules/gas-oracle.js';
+import { findChainById } from '../../modules/evm-chains.js';
+import {
+    fetchBitcoinTransaction,
+    fetchUtxos,
+    buildFeeBumpTransaction,
+    buildCpfpTransaction,
+    BTC_DECIMALS
+} from '../../modules/bitcoin-transaction.js';
+import { createPriceService } from '../../modules/price-service.js';
+import { AmountEngine } from '../../modules/amount-engine.js';
+import { formatUnits } from '../../modules/units.js';
+import {
+    createNotificationCenter,
+    notificationForTransaction,
+    notificationForActivity,
+    NOTIFICATIONS_DB
+} from '../../modules/notifications.js';
+import { createActivityWatcher } from '../../modules/activity-watcher.js';
+
+// Replacements aim for the next blocks; announced tiers older than this are refetched
+const REPLACEMENT_GAS_TIER = 'fast';
+const GAS_TIERS_MAX_AGE_MS = 60000;
+
 const DEFAULT_CHAINS = [
     {
         id: 'eth',
@@ -33,8 +79,10 @@ const DEFAULT_USER = {
     name: 'Max',
     email: 'max@web3.com',
     ens: null,
+    ensAvatar: null, // ENS avatar record (shown instead of `avatar` when set)
     address: null,
-    avatar: 'assets/avatar.png'
+    avatar: 'assets/avatar.png',
+    currency: 'usd' // Fiat for Send amounts ('usd' | 'inr')
 };
 
 class AppStateManager {
@@ -62,11 +110,32 @@ class AppStateManager {
             // Session Authority
             sessionDisconnected: false, // Guard against auto-restore loops
 
-            // Notifications
-            notifications: []
+            // Notifications (newest first; typed payloads, see notifications.js)
+            notifications: [],
+
+            // Address Book (sorted by label)
+            contacts: [],
+
+            // Transaction History (newest first)
+            transactions: []
         };
 
         this._listeners = [];
+        this._addressBook = createAddressBook(createIndexedDbStore());
+        this._transports = createPublicTransports();
+        this._gasTiers = new Map(); // EVM chainId → { tiers, at } (send:gas-tiers)
+        this._priceService = createPriceService(); // Fee-bump cost in the Profile currency
+        this._txHistory = createTxHistory(createIndexedDbStore(globalThis.indexedDB, TX_HISTORY_DB));
+        this._txTracker = createTxTracker(this._txHistory, this._transports, {
+            onChange: (records) => {
+                this.loadTransactions();
+                records.forEach(record => this._pushNotification(notificationForTransaction(record)));
+            }
+        });
+        this._notificationCenter = createNotificationCenter(createIndexedDbStore(globalThis.indexedDB, NOTIFICATIONS_DB));
+        this._activityWatcher = createActivityWatcher(this._transports, {
+            onActivity: (activity) => activity.forEach(a => this._pushNotification(notificationForActivity(a)))
+        });
     }
 
     // --- Lifecycle ---
@@ -76,6 +145,12 @@ class AppStateManager {
         // For now, we start fresh to ensure secure state
         console.log('[AppState] Initialized');
         this._notify();
+        this.loadContacts();
+        this.loadNotifications();
+        // Resume tracking sends left pending by the last session
+        this.loadTransactions().then((result) => {
+            if (!result.error) this._txTracker.start();
+        });
     }
 
     // --- Actions ---
@@ -117,6 +192,31 @@ class AppStateManager {
         };
         console.log('[AppState] Wallet Connected:', chainId);
         this._notify();
+        this._watchActivity();
+    }
+
+    /**
+     * Wallet switched accounts (provider accountsChanged)
+     */
+    handleAccountChange({ address }) {
+        if (!this._state.wallet.isConnected) return;
+        this._state.wallet = { ...this._state.wallet, address };
+        this._state.user.ens = null;
+        this._state.user.ensAvatar = null;
+        console.log('[AppState] Account Changed');
+        this._notify();
+        this._watchActivity();
+    }
+
+    /**
+     * Wallet switched networks (provider chainChanged)
+     */
+    handleChainChange({ chainId, networkName }) {
+        if (!this._state.wallet.isConnected) return;
+        this._state.wallet = { ...this._state.wallet, activeChainId: chainId, networkName };
+        console.log('[AppState] Chain Changed:', chainId);
+        this._notify();
+        this._watchActivity();
     }
 
     setBalance(balanceAmount) {
@@ -138,6 +238,9 @@ class AppStateManager {
         // Clear wallet-specific user data (ENS)
         // Preserve user profile data (name, email)
         this._state.user.ens = null;
+        this._state.user.ensAvatar = null;
+
+        this._activityWatcher.stop();
 
         // Mark session as explicitly disconnected
         // This prevents auto-restore logic from re-connecting in this session
@@ -148,30 +251,213 @@ class AppStateManager {
     }
 
     // --- Notification Actions ---
+    // All return notifications.js plain data ({ error, detail } on failure)
 
-    clearNotifications() {
-        this._state.notifications = [];
+    async loadNotifications() {
+        const result = await this._notificationCenter.list();
+        if (result.error) {
+            console.warn('[AppState] Notifications unavailable:', result.detail);
+            return result;
+        }
+        this._state.notifications = result.notifications;
         this._notify();
+        return result;
+    }
+
+    async markNotificationRead(id) {
+        const result = await this._notificationCenter.markRead(id);
+        if (!result.error) await this.loadNotifications();
+        return result;
     }
 
-    markAllRead() {
-        this._state.notifications = this._state.notifications.map(n => ({ ...n, read: true }));
+    async markAllRead() {
+        const result = await this._notificationCenter.markAllRead();
+        if (!result.error) await this.loadNotifications();
+        return result;
+    }
+
+    async clearNotifications() {
+        const result = await this._notificationCenter.clear();
+        if (!result.error) await this.loadNotifications();
+        return result;
+    }
+
+    async _pushNotification(notification) {
+        if (!notification) return;
+        const result = await this._notificationCenter.add(notification);
+        if (result.added) await this.loadNotifications();
+    }
+
+    // Incoming transfers for the connected account (EVM: the wallet's current chain)
+    _watchActivity() {
+        const { address, type, activeChainId } = this._state.wallet;
+        if (!address) return this._activityWatcher.stop();
+        if (type === 'ethereum') {
+            this._activityWatcher.watch({ family: 'ethereum', address, chainId: parseInt(activeChainId, 16) });
+        } else if (type === 'solana') {
+            this._activityWatcher.watch({ family: 'solana', address });
+        }
+    }
+
+    // --- Address Book Actions ---
+    // All return address-book.js plain data ({ error, detail } on failure)
+
+    async loadContacts() {
+        const result = await this._addressBook.list();
+        if (result.error) {
+            console.warn('[AppState] Address book unavailable:', result.detail);
+            return result;
+        }
+        this._state.contacts = result.contacts;
         this._notify();
+        return result;
     }
 
-    // DEV ONLY - Remove before production
-    addTestNotification() {
-        const type = Math.random() > 0.5 ? 'eth' : 'sol';
-        const newNotif = {
-            id: Date.now(),
-            title: type === 'eth' ? 'ETH Received' : 'SOL Swapped',
-            message: type === 'eth' ? 'You received 0.5 ETH' : 'Swapped 10 SOL for USDC',
-            time: 'Just now',
-            type: type,
-            read: false
-        };
-        this._state.notifications = [newNotif, ...this._state.notifications];
+    /**
+     * Creates a contact, or updates the one with `input.id`
+     * @param {object} input - { id?, label, addresses: [{ family?, address }], handle?, notes? }
+     */
+    async saveContact(input) {
+        const result = await this._addressBook.save(input);
+        if (!result.error) await this.loadContacts();
+        return result;
+    }
+
+    async removeContact(id) {
+        const result = await this._addressBook.remove(id);
+        if (!result.error) await this.loadContacts();
+        return result;
+    }
+
+    /**
+     * @param {string} text - File contents
+     * @param {'json'|'csv'} format
+     */
+    async importContacts(text, format) {
+        const result = await this._addressBook.importFile(text, format);
+        if (!result.error) await this.loadContacts();
+        return result;
+    }
+
+    exportContacts(format) {
+        return this._addressBook.exportFile(format);
+    }
+
+    findContact(address) {
+        return findContactByAddress(this._state.contacts, address);
+    }
+
+    // --- Transaction History Actions ---
+    // All return tx-history.js plain data ({ error, detail } on failure)
+
+    async loadTransactions() {
+        const result = await this._txHistory.list();
+        if (result.error) {
+            console.warn('[AppState] Transaction history unavailable:', result.detail);
+            return result;
+        }
+        this._state.transactions = result.transactions;
         this._notify();
+        return result;
+    }
+
+    /**
+     * Records a submitted send and starts tracking it
+     * @param {object} submission - send:submitted detail ({ hash, tx, dryRun })
+     */
+    async recordTransaction(submission) {
+        const result = await this._txHistory.add(submission);
+        if (result.error) {
+            console.warn('[AppState] Transaction not recorded:', result.error);
+            return result;
+        }
+        await this.loadTransactions();
+        this._txTracker.start();
+        return result;
+    }
+
+    /**
+     * Latest gas tiers from Send (DATA_STATE.gasTiers via send:gas-tiers)
+     * @param {{ chain: string, tiers: object|null, at: number }} detail
+     */
+    rememberGasTiers({ chain, tiers, at }) {
+        const family = chainFamilyFor(chain);
+        if (!family || family.family !== 'ethereum' || !tiers) return;
+        this._gasTiers.set(family.chainId, { tiers, at });
+    }
+
+    /**
+     * Fees for speeding up / cancelling a pending EVM send: Send's tiers when
+     * fresh, else the gas oracle on the chain's public RPC; never below the
+     * replacement minimum.
+     * @returns {Promise<{ transaction: object, fees: object }|{ error: string, detail: any }>}
+     */
+    async prepareReplacement(id) {
+        const transaction = this._state.transactions.find(t => t.id === id);
+        if (!transaction || !canReplace(transaction)) return { error: 'NOT_REPLACEABLE', detail: id };
+
+        let cached = this._gasTiers.get(transaction.chainId);
+        if (!cached || Date.now() - cached.at > GAS_TIERS_MAX_AGE_MS) {
+            const chain = findChainById(transaction.chainId);
+            const fetched = await fetchGasTiers('ethereum', this._transports.evm(transaction.chainId), { blockTime: chain ? chain.blockTime : 12 });
+            if (!fetched.error) this._gasTiers.set(transaction.chainId, cached = { tiers: fetched.tiers, at: Date.now() });
+        }
+
+        const fees = replacementFees(transaction.evmTx, cached ? cached.tiers[REPLACEMENT_GAS_TIER] : null);
+        return fees.error ? fees : { transaction, fees };
+    }
+
+    /**
+     * Records a submitted speed-up / cancel, linked to the send it replaces
+     * @param {object} original - Replaced record
+     * @param {{ hash: string, tx: object, kind: string }} replacement
+     */
+    async recordReplacement(original, replacement) {
+        return this.recordTransaction(replacementSubmission(original, replacement));
+    }
+
+    /**
+     * Unsigned fee-bump PSBT for an unconfirmed Bitcoin send, for the user's
+     * Bitcoin wallet to sign and broadcast.
+     * @param {string} id - Record id
+     * @param {'rbf'|'cpfp'} method - Replace the send, or spend its change
+     * @returns {Promise<{ bump: object }|{ error: string, detail: any }>}
+     *   bump: { method, transactionId, psbtBase64, effectiveFeeRate, addedFee, addedFiat, currency }
+     */
+    async prepareFeeBump(id, method) {
+        const transaction = this._state.transactions.find(t => t.id === id);
+        if (!transaction || !canBumpFee(transaction)) return { error: 'NOT_BUMPABLE', detail: id };
+        const fetchImpl = this._transports.bitcoin.fetch;
+
+        const original = await fetchBitcoinTransaction(transaction.hash, fetchImpl);
+        if (original.error) return original;
+        const tiers = await fetchGasTiers('bitcoin', fetchImpl);
+        if (tiers.error) return tiers;
+        const feeRate = Math.max(tiers.tiers[REPLACEMENT_GAS_TIER].maxFee, Math.floor(original.transaction.feeRate) + 1);
+
+        let built;
+        if (method === 'rbf') {
+            const spendable = await fetchUtxos(original.transaction.from, fetchImpl);
+            built = buildFeeBumpTransaction(original.transaction, { feeRate, utxos: spendable.error ? [] : spendable.utxos });
+        } else {
+            built = buildCpfpTransaction(original.transaction, { feeRate });
+        }
+        if (built.error) return built;
+
+        const { currency } = this._state.user;
+        const addedFee = formatUnits(built.tx.addedFee, BTC_DECIMALS);
+        const quote = await this._priceService.getPrice('btc', currency);
+        return {
+            bump: {
+                method,
+                transactionId: id,
+                psbtBase64: built.tx.psbtBase64,
+                effectiveFeeRate: built.tx.effectiveFeeRate,
+                addedFee,
+                addedFiat: quote.error ? null : AmountEngine.deriveFromAsset(addedFee, quote.price),
+                currency
+            }
+        };
     }
 
     // --- Accessors (Read Only) ---
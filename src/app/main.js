@@ -66,9 +66,14 @@ async function bootstrap() {
                     .then(bal => AppState.setBalance(bal))
                     .catch(e => console.warn('Balance fetch failed', e));
 
-                if (authorized.type === 'ethereum' && authorized.chainId === '0x1') {
+                if (authorized.type === 'ethereum') {
                     WalletService.resolveENS(authorized.address)
-                        .then(ens => { if (ens) AppState.updateUser({ ens }); })
+                        .then(async ens => {
+                            if (!ens) return;
+                            AppState.updateUser({ ens });
+                            const ensAvatar = await WalletService.resolveENSAvatar(ens);
+                            if (ensAvatar) AppState.updateUser({ ensAvatar });
+                        })
                         .catch(e => console.warn('ENS fetch failed', e));
                 }
             }
@@ -81,11 +86,6 @@ async function bootstrap() {
     // This will now check AppState.wallet.isConnected and SKIP overlay if restored
     LandingFlow.init();
 
-    // DEV: Expose Test Helper
-    window.addTestNotification = () => {
-        import('./core/AppState.js').then(m => m.AppState.addTestNotification());
-    };
-
     // DEV: Interaction Safety Assert
     // Scans for invisible blocking elements on boot
     setTimeout(() => {
@@ -106,23 +106,26 @@ async function bootstrap() {
     HomeScreen.init();
 
     // 6. Wire Wallet Card Clicks
-    // Attach click listeners to wallet option cards
-    const walletCards = document.querySelectorAll('.wallet-option-card');
-    walletCards.forEach(card => {
-        card.addEventListener('click', () => {
+    // One card per EIP-6963 wallet; re-rendered when a wallet announces late.
+    // Delegated so re-rendered cards need no rewiring.
+    LandingFlow.renderWalletOptions(WalletService.listWallets());
+    WalletService.onWalletsChanged(wallets => LandingFlow.renderWalletOptions(wallets));
+
+    const walletGrid = document.getElementById('walletOptionsGrid');
+    if (walletGrid) {
+        walletGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.wallet-option-card');
+            if (!card) return;
             const type = card.getAttribute('data-type');
 
             // NOTE: Wallet connection actions are NOT gated. 
             // We must allow the user to connect to GAIN authority.
 
-            if (type && type !== 'walletconnect') {
-                // WalletConnect not implemented in this phase
-                LandingFlow.handleWalletConnection(type);
-            } else if (type === 'walletconnect') {
-                alert('WalletConnect integration coming soon!');
+            if (type) {
+                LandingFlow.handleWalletConnection(type, card.getAttribute('data-wallet'));
             }
         });
-    });
+    }
 
     // 7. Wire External Services -> Core
     // Listen for wallet events (account change, chain change)
@@ -2,13 +2,45 @@
  * src/services/WalletService.js
  * EXTERNAL IO ONLY
  * Responsibilities:
- * - Detects Wallet Providers (EVM, Solana)
+ * - Detects Wallet Providers (EIP-6963 announced EVM wallets, Solana)
  * - Handling Connection Requests
  * - Fetching Balances (RPC)
  * - Listening to Provider Events
  * - RETURNS PLAIN DATA ONLY (No State Mutation, No UI)
+ *
+ * The EVM wallet picked in the overlay is the one every later request,
+ * balance read and event subscription goes through (see wallet-discovery.js).
+ * A WalletConnect session plugs in the same way: its adapters become the
+ * selected EVM provider / Solana wallet.
  */
 
+import {
+    createWalletDiscovery,
+    selectEvmProvider,
+    selectedEvmProvider,
+    selectSolanaWallet
+} from '../../modules/wallet-discovery.js';
+import { createWalletConnectSession, WC_STORAGE_KEY } from '../../modules/walletconnect.js';
+import { createJsonRpcProvider } from '../../modules/rpc.js';
+import { findChainById } from '../../modules/evm-chains.js';
+import { switchEvmChain } from '../../modules/network-switch.js';
+import { sendReplacementTransaction } from '../../modules/evm-transaction.js';
+import { lookupAddress, resolveAvatar } from '../../modules/ens.js';
+import {
+    WALLETCONNECT_PROJECT_ID,
+    WALLETCONNECT_RELAY_URL,
+    WALLETCONNECT_METADATA,
+    WALLETCONNECT_SIGN_CLIENT_URL
+} from '../../config/walletconnect.js';
+
+// rdns of the last connected EVM wallet (uuids change per page load)
+const WALLET_STORAGE_KEY = 'wallet_preference';
+
+// ENS lives on Ethereum mainnet
+const MAINNET_CHAIN_ID = 1;
+
+const toWalletInfo = ({ id, name, icon, rdns }) => ({ id, name, icon, rdns });
+
 class WalletServiceManager {
     constructor() {
         this.providers = {
@@ -16,13 +48,23 @@ class WalletServiceManager {
             solana: null
         };
         this._listeners = [];
+        this._boundProvider = null;
+        this._providerHandlers = null;
+        this._walletChosen = false;
+        this._walletConnect = null;
+        this._readProviders = new Map();
+
+        this.discovery = createWalletDiscovery(window);
+        this.discovery.subscribe(() => this._restoreWalletPreference());
+        this.discovery.start();
+        this._restoreWalletPreference();
         this._setupListeners();
     }
 
     // --- Detection ---
 
     isEthereumAvailable() {
-        return typeof window.ethereum !== 'undefined';
+        return this._ethereum() !== null;
     }
 
     isSolanaAvailable() {
@@ -31,14 +73,15 @@ class WalletServiceManager {
 
     /**
      * Detects all available wallet providers
-     * Returns detailed information about MetaMask, Rabby, and Phantom
+     * Returns every announced EVM wallet (name, icon) and Phantom
      * NO SIDE EFFECTS - Detection only, no connection attempts
      */
     detectAvailableWallets() {
+        const wallets = this.listWallets();
         const result = {
             ethereum: {
-                available: false,
-                providers: []
+                available: wallets.length > 0,
+                providers: wallets
             },
             solana: {
                 available: false,
@@ -46,37 +89,6 @@ class WalletServiceManager {
             }
         };
 
-        // --- Ethereum Provider Detection ---
-        if (typeof window.ethereum !== 'undefined') {
-            result.ethereum.available = true;
-
-            // Check for multiple providers (MetaMask + Rabby coexistence)
-            if (Array.isArray(window.ethereum.providers) && window.ethereum.providers.length > 0) {
-                // Multiple injected providers detected
-                window.ethereum.providers.forEach(provider => {
-                    if (provider.isMetaMask === true) {
-                        result.ethereum.providers.push('metamask');
-                    }
-                    if (provider.isRabby === true) {
-                        result.ethereum.providers.push('rabby');
-                    }
-                });
-            } else {
-                // Single provider
-                if (window.ethereum.isMetaMask === true) {
-                    result.ethereum.providers.push('metamask');
-                }
-                if (window.ethereum.isRabby === true) {
-                    result.ethereum.providers.push('rabby');
-                }
-            }
-
-            // Fallback: If no specific provider identified but ethereum exists
-            if (result.ethereum.providers.length === 0) {
-                result.ethereum.providers.push('unknown');
-            }
-        }
-
         // --- Solana Provider Detection ---
         if (this.isSolanaAvailable()) {
             result.solana.available = true;
@@ -89,26 +101,84 @@ class WalletServiceManager {
         return result;
     }
 
+    /**
+     * Injected EVM wallets, announced via EIP-6963 (or window.ethereum as a fallback)
+     * @returns {Array<{ id: string, name: string, icon: string|null, rdns: string|null }>}
+     */
+    listWallets() {
+        return this.discovery.list().map(toWalletInfo);
+    }
+
+    /**
+     * Notifies with the full list whenever a wallet announces itself late
+     * @returns {Function} unsubscribe
+     */
+    onWalletsChanged(callback) {
+        return this.discovery.subscribe(wallets => callback(wallets.map(toWalletInfo)));
+    }
+
+    /**
+     * Makes the wallet the provider for all later requests and events
+     * @param {string} walletId - id from listWallets()
+     * @returns {boolean} false when the wallet is no longer present
+     */
+    selectWallet(walletId) {
+        const wallet = this.discovery.find(walletId);
+        if (!wallet) return false;
+
+        this._walletChosen = true;
+        this._useProvider(wallet.provider);
+        if (wallet.rdns) {
+            try {
+                localStorage.setItem(WALLET_STORAGE_KEY, wallet.rdns);
+            } catch (e) {
+                // Storage unavailable (private mode) - selection still applies for this session
+            }
+        }
+        return true;
+    }
 
     // --- Connection ---
 
-    async connect(type) {
+    /**
+     * @param {string} type - 'ethereum' | 'solana' | 'walletconnect'
+     * @param {object} [options]
+     * @param {string|null} [options.walletId] - Discovered EVM wallet (listWallets)
+     * @param {(uri: string) => void} [options.onUri] - WalletConnect pairing URI, for the QR
+     */
+    async connect(type, { walletId = null, onUri = null } = {}) {
         if (type === 'ethereum') {
+            if (walletId && !this.selectWallet(walletId)) {
+                console.warn('[WalletService] Wallet no longer available:', walletId);
+                return { error: 'PROVIDER_NOT_FOUND' };
+            }
             return this._connectEthereum();
         } else if (type === 'solana') {
             return this._connectSolana();
+        } else if (type === 'walletconnect') {
+            return this._connectWalletConnect(onUri);
         }
         console.warn('[WalletService] Unsupported type:', type);
         return null;
     }
 
+    /**
+     * Ends a WalletConnect session (injected wallets stay authorized; the
+     * disconnect is app-level for them). Falls back to the injected providers.
+     */
+    async disconnect() {
+        if (!this._walletConnect || !this._walletConnect.current()) return;
+        await this._walletConnect.disconnect();
+        this._dropWalletConnect();
+    }
+
     async _connectEthereum() {
         if (!this.isEthereumAvailable()) {
             console.warn('[WalletService] Ethereum provider not found');
             return { error: 'PROVIDER_NOT_FOUND' };
         }
 
-        const provider = window.ethereum;
+        const provider = this._ethereum();
         try {
             const accounts = await provider.request({ method: 'eth_requestAccounts' });
             const chainId = await provider.request({ method: 'eth_chainId' });
@@ -138,6 +208,7 @@ class WalletServiceManager {
         const provider = window.solana;
         try {
             const resp = await provider.connect();
+            selectSolanaWallet(provider);
             const pubKey = resp.publicKey.toString();
 
             return {
@@ -153,15 +224,137 @@ class WalletServiceManager {
         }
     }
 
+    async _connectWalletConnect(onUri) {
+        const session = await this._getWalletConnect();
+        if (!session) return { error: 'WALLETCONNECT_UNAVAILABLE' };
+
+        const paired = await session.pair({ onUri });
+        if (paired.error === 'USER_REJECTED') return null;
+        if (paired.error) {
+            console.error('[WalletService] WalletConnect pairing failed:', paired);
+            return { error: paired.error };
+        }
+        return this._adoptWalletConnect(paired);
+    }
+
+    /**
+     * Session summary → connection payload. EVM accounts win when the wallet
+     * approved both namespaces (the app's identity is the EVM address).
+     */
+    _adoptWalletConnect({ evm, solana, peer }) {
+        const session = this._walletConnect;
+        this._walletChosen = true;
+        if (evm) this._useProvider(session.evmProvider);
+        if (solana) selectSolanaWallet(session.solanaWallet);
+
+        if (evm) {
+            const chainId = `0x${evm.chainIds[0].toString(16)}`;
+            const netData = this._getNetworkData(chainId);
+            return {
+                address: evm.address,
+                chainId,
+                isTestnet: netData.isTestnet,
+                networkName: netData.name,
+                type: 'ethereum',
+                walletName: peer.name
+            };
+        }
+        return {
+            address: solana.address,
+            chainId: 'solana-mainnet',
+            isTestnet: false,
+            networkName: 'Solana Mainnet',
+            type: 'solana',
+            walletName: peer.name
+        };
+    }
+
+    _dropWalletConnect() {
+        this._walletChosen = false;
+        selectSolanaWallet(null);
+        selectEvmProvider(null);
+        this.providers.ethereum = null;
+        this._restoreWalletPreference();
+        this._bindProviderEvents(this._ethereum());
+    }
+
+    /**
+     * Loads the sign client on first use. Null when no project id is set
+     * or the SDK cannot be loaded.
+     */
+    async _getWalletConnect() {
+        if (this._walletConnect) return this._walletConnect;
+        if (!WALLETCONNECT_PROJECT_ID) {
+            console.warn('[WalletService] WalletConnect project id not configured');
+            return null;
+        }
+
+        try {
+            const { SignClient } = await import(WALLETCONNECT_SIGN_CLIENT_URL);
+            const client = await SignClient.init({
+                projectId: WALLETCONNECT_PROJECT_ID,
+                relayUrl: WALLETCONNECT_RELAY_URL,
+                metadata: { ...WALLETCONNECT_METADATA, url: window.location.origin }
+            });
+
+            this._walletConnect = createWalletConnectSession(client, {
+                storage: localStorage,
+                rpcFor: (chainId) => this._readProvider(chainId)
+            });
+            this._walletConnect.onDisconnect(() => {
+                console.log('[WalletService] WalletConnect session ended by the wallet');
+                this._dropWalletConnect();
+                this._emit({ type: 'disconnect' });
+            });
+        } catch (error) {
+            console.error('[WalletService] WalletConnect load failed:', error);
+            return null;
+        }
+        return this._walletConnect;
+    }
+
+    _readProvider(chainId) {
+        const chain = findChainById(chainId);
+        if (!chain) return null;
+        if (!this._readProviders.has(chain.rpcUrl)) {
+            this._readProviders.set(chain.rpcUrl, createJsonRpcProvider(chain.rpcUrl));
+        }
+        return this._readProviders.get(chain.rpcUrl);
+    }
+
+    /**
+     * Reconnects a stored WalletConnect session (no QR, no prompt).
+     */
+    async _restoreWalletConnect() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(WC_STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+        if (!stored) return null;
+
+        const session = await this._getWalletConnect();
+        if (!session) return null;
+        const restored = await session.restore();
+        if (restored.error) return null;
+
+        console.log('[WalletService] WalletConnect session restored');
+        return this._adoptWalletConnect(restored);
+    }
+
     /**
      * Checks if the user is ALREADY connected without prompting.
      * Uses 'eth_accounts' (read-only) instead of 'eth_requestAccounts'.
      */
     async getAuthorizedAccount() {
+        const walletConnect = await this._restoreWalletConnect();
+        if (walletConnect) return walletConnect;
+
         if (!this.isEthereumAvailable()) return null;
 
         try {
-            const provider = window.ethereum;
+            const provider = this._ethereum();
             // Silent check - does NOT trigger popup
             const accounts = await provider.request({ method: 'eth_accounts' });
 
@@ -190,6 +383,39 @@ class WalletServiceManager {
         return null;
     }
 
+    // --- Network ---
+
+    /**
+     * Moves the connected EVM wallet to `chainId` (switch, or add + switch
+     * for chains the wallet does not know yet). The wallet's chainChanged
+     * event updates AppState as usual.
+     * @param {number} chainId - EIP-155 chain id from the chain registry
+     * @returns {Promise<{ chainId: number, switched: boolean }|{ error: string, detail: string|null }>}
+     */
+    async switchNetwork(chainId) {
+        const result = await switchEvmChain(this._ethereum(), chainId);
+        if (result.error) console.warn('[WalletService] Network switch failed:', result);
+        return result;
+    }
+
+    // --- Replacements ---
+
+    /**
+     * Speeds up or cancels a stuck EVM transaction (same nonce) from the
+     * connected wallet, moving it to the transaction's chain first.
+     * @param {object} original - Submitted tx (tx-history.js record `evmTx`)
+     * @param {{ kind: 'speed-up'|'cancel', fees: { maxFeePerGas: bigint, maxPriorityFeePerGas: bigint } }} options
+     * @returns {Promise<{ hash: string, tx: object }|{ error: string, detail: string|null }>}
+     */
+    async replaceTransaction(original, options) {
+        const switched = await this.switchNetwork(Number(BigInt(original.chainId)));
+        if (switched.error) return switched;
+
+        const result = await sendReplacementTransaction(original, this._ethereum(), options);
+        if (result.error) console.warn('[WalletService] Replacement failed:', result);
+        return result;
+    }
+
     // --- Data Fetching ---
 
     async getBalance(address, type) {
@@ -204,7 +430,7 @@ class WalletServiceManager {
     async _getEthBalance(address) {
         if (!this.isEthereumAvailable()) return '---';
         try {
-            const balHex = await window.ethereum.request({
+            const balHex = await this._ethereum().request({
                 method: 'eth_getBalance',
                 params: [address, "latest"]
             });
@@ -244,32 +470,27 @@ class WalletServiceManager {
     }
 
     /**
-     * Resolves ENS name for an Ethereum address
-     * Only works on Mainnet (chainId 0x1)
+     * Resolves the primary ENS name for an Ethereum address
+     * Reverse record on mainnet, verified forward (see ens.js) - works
+     * whatever chain the wallet is on
      * Returns null if no ENS found or on error (silent fallback)
      */
     async resolveENS(address) {
-        if (!this.isEthereumAvailable()) {
+        const result = await lookupAddress(this._readProvider(MAINNET_CHAIN_ID), address);
+        if (result.error) {
+            if (result.error === 'RPC_ERROR') console.warn('[WalletService] ENS lookup failed:', result.detail);
             return null;
         }
+        return result.name;
+    }
 
-        try {
-            // ENS reverse lookup using eth_call
-            // This is a simplified version - uses public resolver
-            const provider = window.ethereum;
-
-            // First, check if address has a reverse record
-            // For simplicity, we'll use a direct lookup method if available
-            // Note: Full ENS resolution requires contract calls or ethers.js
-            // For now, we return null and rely on future library integration
-
-            console.log('[WalletService] ENS resolution not yet implemented (requires ethers.js)');
-            return null;
-
-        } catch (e) {
-            console.error('[WalletService] ENS Resolution Error:', e);
-            return null;
-        }
+    /**
+     * Avatar URL from the name's ENS avatar record
+     * Returns null when unset or not displayable (NFT avatars)
+     */
+    async resolveENSAvatar(name) {
+        const result = await resolveAvatar(this._readProvider(MAINNET_CHAIN_ID), name);
+        return result.error ? null : result.avatar;
     }
 
     // --- Event Listeners ---
@@ -283,8 +504,26 @@ class WalletServiceManager {
     }
 
     _setupListeners() {
-        if (this.isEthereumAvailable()) {
-            window.ethereum.on('chainChanged', (chainId) => {
+        this._bindProviderEvents(this._ethereum());
+    }
+
+    /**
+     * Moves chainChanged / accountsChanged subscriptions to the active provider
+     */
+    _bindProviderEvents(provider) {
+        if (provider === this._boundProvider) return;
+
+        if (this._boundProvider && this._providerHandlers && typeof this._boundProvider.removeListener === 'function') {
+            this._boundProvider.removeListener('chainChanged', this._providerHandlers.chainChanged);
+            this._boundProvider.removeListener('accountsChanged', this._providerHandlers.accountsChanged);
+        }
+        this._boundProvider = null;
+        this._providerHandlers = null;
+
+        if (!provider || typeof provider.on !== 'function') return;
+
+        const handlers = {
+            chainChanged: (chainId) => {
                 const netData = this._getNetworkData(chainId);
                 this._emit({
                     type: 'chainChanged',
@@ -294,9 +533,8 @@ class WalletServiceManager {
                         networkName: netData.name
                     }
                 });
-            });
-
-            window.ethereum.on('accountsChanged', (accounts) => {
+            },
+            accountsChanged: (accounts) => {
                 if (accounts.length === 0) {
                     this._emit({ type: 'disconnect' });
                 } else {
@@ -305,21 +543,51 @@ class WalletServiceManager {
                         payload: { address: accounts[0] }
                     });
                 }
-            });
-        }
+            }
+        };
+
+        provider.on('chainChanged', handlers.chainChanged);
+        provider.on('accountsChanged', handlers.accountsChanged);
+        this._boundProvider = provider;
+        this._providerHandlers = handlers;
     }
 
     // --- Helpers ---
 
+    _ethereum() {
+        return selectedEvmProvider();
+    }
+
+    _useProvider(provider) {
+        selectEvmProvider(provider);
+        this.providers.ethereum = provider;
+        this._bindProviderEvents(provider);
+    }
+
+    /**
+     * Re-selects the last connected wallet once it announces itself
+     * (silent restore on reload). An explicit choice this session wins.
+     */
+    _restoreWalletPreference() {
+        if (this._walletChosen) return;
+        let rdns = null;
+        try {
+            rdns = localStorage.getItem(WALLET_STORAGE_KEY);
+        } catch (e) {
+            return;
+        }
+        const wallet = rdns ? this.discovery.find(rdns) : null;
+        if (wallet && wallet.provider !== this._boundProvider) {
+            this._useProvider(wallet.provider);
+        }
+    }
+
     _getNetworkData(chainId) {
         const id = parseInt(chainId, 16);
-        switch (id) {
-            case 1: return { name: 'Mainnet', isTestnet: false };
-            case 5: return { name: 'Goerli', isTestnet: true };
-            case 11155111: return { name: 'Sepolia', isTestnet: true };
-            case 137: return { name: 'Polygon', isTestnet: false };
-            default: return { name: `Chain ID: ${id}`, isTestnet: true };
-        }
+        const chain = findChainById(id);
+        if (chain) return { name: chain.name, isTestnet: chain.testnet };
+        // Not in the registry: unknown, not assumed to be a testnet
+        return { name: `Chain ID: ${id}`, isTestnet: false };
     }
 }
 
@@ -6,18 +6,25 @@
  * - Handles "Skip for now" transition
  * - Ensures total visual cleanup on skip
  * - Orchestrates wallet connection flow
+ * - Renders one wallet card per discovered EVM wallet
+ * - Shows the WalletConnect pairing QR while a session proposal is pending
  */
 
 import { AppState } from '../../core/AppState.js';
+import { QR_GENERATOR_URL } from '../../../config/walletconnect.js';
 import { WalletService } from '../../services/WalletService.js';
 import { OverlayLifecycle } from '../effects/OverlayLifecycle.js';
 import { OverlayAnimations } from '../effects/OverlayAnimations.js';
 
 export const LandingFlow = {
+    // Bumped on cancel so a late approval of an abandoned pairing is dropped
+    _pairingAttempt: 0,
+
     init() {
         console.log('[LandingFlow] Initializing...');
         this._checkInitialRoute();
         this._wireConnectButton();
+        this._wirePairingPanel();
     },
 
     /**
@@ -56,18 +63,66 @@ export const LandingFlow = {
         }
     },
 
+    /**
+     * Renders a card per discovered EVM wallet (name + icon) into the options grid.
+     * The static Ethereum card stays as the fallback when nothing is injected,
+     * so the install prompt still works.
+     * @param {Array<{ id: string, name: string, icon: string|null }>} wallets
+     */
+    renderWalletOptions(wallets) {
+        const grid = document.getElementById('walletOptionsGrid');
+        if (!grid) return;
+
+        grid.querySelectorAll('.wallet-option-card[data-wallet]').forEach(card => card.remove());
+
+        const genericCard = grid.querySelector('.wallet-option-card[data-type="ethereum"]');
+        if (genericCard) genericCard.hidden = wallets.length > 0;
+
+        const anchor = grid.querySelector('.wallet-option-card[data-type="solana"]');
+        wallets.forEach(wallet => {
+            const card = document.createElement('button');
+            card.className = 'wallet-option-card';
+            card.setAttribute('data-type', 'ethereum');
+            card.setAttribute('data-wallet', wallet.id);
+
+            // Icons are data: URIs (validated by wallet-discovery.js); names go in as text
+            const img = document.createElement('img');
+            img.src = wallet.icon || 'assets/eth.png';
+            img.alt = '';
+            const label = document.createElement('span');
+            label.textContent = wallet.name;
+
+            card.append(img, label);
+            grid.insertBefore(card, anchor);
+        });
+    },
+
     /**
      * Handles wallet connection for a specific type
      * Orchestrates: WalletService -> AppState -> UI
      * ALWAYS attempts connection - no guards based on connection state
+     * @param {string} type - 'ethereum' | 'solana'
+     * @param {string|null} [walletId] - Discovered EVM wallet to connect through
      */
-    async handleWalletConnection(type) {
-        console.log('[LandingFlow] Connection request for:', type);
+    async handleWalletConnection(type, walletId = null) {
+        console.log('[LandingFlow] Connection request for:', type, walletId || '');
         console.log('[LandingFlow] Current connection state:', AppState.state.wallet.isConnected);
 
+        const attempt = ++this._pairingAttempt;
+
         try {
-            // 1. Attempt connection via WalletService
-            const result = await WalletService.connect(type);
+            // 1. Attempt connection via WalletService (selects the wallet's provider first)
+            const result = await WalletService.connect(type, {
+                walletId,
+                onUri: (uri) => this._showPairing(uri)
+            });
+            this._hidePairing();
+
+            // 1b. Pairing cancelled in the app while the wallet was still deciding
+            if (type === 'walletconnect' && attempt !== this._pairingAttempt) {
+                if (result && !result.error) await WalletService.disconnect();
+                return;
+            }
 
             // 2. Handle errors
             if (!result) {
@@ -75,6 +130,16 @@ export const LandingFlow = {
                 return;
             }
 
+            if (result.error === 'WALLETCONNECT_UNAVAILABLE') {
+                alert('WalletConnect is not available right now. Please use a browser wallet.');
+                return;
+            }
+
+            if (result.error === 'PAIRING_FAILED') {
+                alert('WalletConnect pairing failed or expired. Please try again.');
+                return;
+            }
+
             if (result.error === 'PROVIDER_NOT_FOUND') {
                 const installLink = type === 'ethereum'
                     ? 'https://metamask.io/download/'
@@ -100,13 +165,16 @@ export const LandingFlow = {
                 console.warn('[LandingFlow] Failed to fetch balance:', err);
             }
 
-            // 6. Resolve ENS (Ethereum Mainnet only) - Non-blocking
-            if (result.type === 'ethereum' && result.chainId === '0x1') {
+            // 6. Resolve ENS (read from mainnet whatever the wallet's chain) - Non-blocking
+            if (result.type === 'ethereum') {
                 try {
                     const ens = await WalletService.resolveENS(result.address);
                     if (ens) {
                         AppState.updateUser({ ens });
                         console.log('[LandingFlow] ENS resolved:', ens);
+
+                        const ensAvatar = await WalletService.resolveENSAvatar(ens);
+                        if (ensAvatar) AppState.updateUser({ ensAvatar });
                     }
                 } catch (err) {
                     console.warn('[LandingFlow] Failed to resolve ENS:', err);
@@ -114,6 +182,7 @@ export const LandingFlow = {
             }
 
         } catch (error) {
+            this._hidePairing();
             console.error('[LandingFlow] Connection error:', error);
 
             // Handle user rejection (MetaMask code 4001)
@@ -125,6 +194,82 @@ export const LandingFlow = {
         }
     },
 
+    // --- WalletConnect Pairing ---
+
+    _wirePairingPanel() {
+        const cancelBtn = document.getElementById('walletConnectCancel');
+        const copyBtn = document.getElementById('walletConnectCopy');
+
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this._pairingAttempt++;
+                this._hidePairing();
+            });
+        }
+
+        if (copyBtn) {
+            copyBtn.addEventListener('click', () => {
+                const uri = copyBtn.getAttribute('data-uri');
+                if (!uri || !navigator.clipboard) return;
+                navigator.clipboard.writeText(uri)
+                    .then(() => { copyBtn.textContent = 'Copied'; })
+                    .catch(e => console.warn('[LandingFlow] Copy failed', e));
+            });
+        }
+    },
+
+    /**
+     * Shows the pairing URI as a QR (plus copy link for mobile wallets on the same device)
+     * @param {string} uri - wc: pairing URI
+     */
+    async _showPairing(uri) {
+        const panel = document.getElementById('walletConnectPairing');
+        const qr = document.getElementById('walletConnectQr');
+        const copyBtn = document.getElementById('walletConnectCopy');
+        if (!panel) return;
+
+        if (copyBtn) {
+            copyBtn.setAttribute('data-uri', uri);
+            copyBtn.textContent = 'Copy link';
+        }
+        panel.hidden = false;
+
+        if (qr) {
+            qr.hidden = true;
+            const generator = await this._loadQrGenerator();
+            if (!generator) return; // Copy link still works
+            const code = generator(0, 'M');
+            code.addData(uri);
+            code.make();
+            qr.src = code.createDataURL(4, 8);
+            qr.hidden = false;
+        }
+    },
+
+    _hidePairing() {
+        const panel = document.getElementById('walletConnectPairing');
+        if (panel) panel.hidden = true;
+    },
+
+    /**
+     * qrcode-generator, loaded on first pairing
+     * @returns {Promise<Function|null>} the global `qrcode` factory
+     */
+    _loadQrGenerator() {
+        if (typeof window.qrcode === 'function') return Promise.resolve(window.qrcode);
+
+        return new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = QR_GENERATOR_URL;
+            script.onload = () => resolve(typeof window.qrcode === 'function' ? window.qrcode : null);
+            script.onerror = () => {
+                console.warn('[LandingFlow] QR generator failed to load');
+                resolve(null);
+            };
+            document.head.appendChild(script);
+        });
+    },
+
     /**
      * Handles the explicit "Skip" intent from the user
      */
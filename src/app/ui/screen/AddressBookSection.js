@@ -0,0 +1,238 @@
+/**
+ * src/ui/screen/AddressBookSection.js
+ * ADDRESS BOOK UI
+ * Responsibilities:
+ * - Renders saved contacts in the Profile overlay (remove per contact)
+ * - Import (JSON / CSV file) and Export (download) through AppState
+ * - "Save recipient?" prompt after a successful send (send:submitted)
+ * - Announces contacts to Send via 'contacts:changed' (on change and on
+ *   send:enter, since send.js loads after the first announcement)
+ */
+
+import { AppState } from '../../core/AppState.js';
+
+const IMPORT_ERROR_MESSAGES = {
+    PARSE_ERROR: 'File could not be read',
+    UNSUPPORTED_FORMAT: 'Use a .json or .csv file',
+    STORAGE_ERROR: 'Address book storage unavailable'
+};
+
+const SAVE_ERROR_MESSAGES = {
+    INVALID_LABEL: 'Enter a name (up to 40 characters)',
+    STORAGE_ERROR: 'Address book storage unavailable'
+};
+
+const shorten = (address) => (address.length > 16 ? `${address.slice(0, 8)}…${address.slice(-6)}` : address);
+
+export const AddressBookSection = {
+    // Selectors
+    _getList: () => document.getElementById('addressBookList'),
+    _getCount: () => document.getElementById('addressBookCount'),
+    _getStatus: () => document.getElementById('addressBookStatus'),
+    _getFileInput: () => document.getElementById('addressBookFile'),
+    _getPrompt: () => document.getElementById('saveRecipientPrompt'),
+    _getPromptAddress: () => document.getElementById('saveRecipientAddress'),
+    _getPromptLabel: () => document.getElementById('saveRecipientLabel'),
+    _getPromptTitle: () => document.getElementById('saveRecipientTitle'),
+
+    _renderedContacts: null,
+    _pendingRecipient: null,
+
+    init() {
+        console.log('[AddressBookSection] Initializing...');
+        this._setupListeners();
+
+        // Initial Render
+        this.render(AppState.state.contacts);
+
+        // Subscribe
+        AppState.subscribe((state) => {
+            if (state.contacts !== this._renderedContacts) {
+                this.render(state.contacts);
+                this._announce();
+            }
+        });
+    },
+
+    _setupListeners() {
+        // 1. Remove (delegated; the list is re-rendered)
+        const list = this._getList();
+        if (list) {
+            list.addEventListener('click', async (e) => {
+                const button = e.target.closest('.address-book__remove');
+                if (!button) return;
+                const result = await AppState.removeContact(button.getAttribute('data-contact'));
+                if (result.error) this._showStatus('Could not remove contact', true);
+            });
+        }
+
+        // 2. Import / Export
+        const fileInput = this._getFileInput();
+        const importBtn = document.getElementById('addressBookImport');
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const [file] = fileInput.files;
+                fileInput.value = ''; // Same file can be picked again
+                if (file) this._import(file);
+            });
+        }
+
+        const exportJson = document.getElementById('addressBookExportJson');
+        const exportCsv = document.getElementById('addressBookExportCsv');
+        if (exportJson) exportJson.addEventListener('click', () => this._export('json'));
+        if (exportCsv) exportCsv.addEventListener('click', () => this._export('csv'));
+
+        // 3. Save Recipient Prompt
+        document.addEventListener('send:submitted', (e) => this._offerSave(e.detail && e.detail.dryRun));
+
+        const confirmBtn = document.getElementById('saveRecipientConfirm');
+        const dismissBtn = document.getElementById('saveRecipientDismiss');
+        if (confirmBtn) confirmBtn.addEventListener('click', () => this._savePending());
+        if (dismissBtn) dismissBtn.addEventListener('click', () => this._hidePrompt());
+
+        const labelInput = this._getPromptLabel();
+        if (labelInput) {
+            labelInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this._savePending();
+            });
+        }
+
+        // 4. Send loads lazily: hand it the current list on every entry
+        document.addEventListener('send:enter', () => this._announce());
+    },
+
+    render(contacts) {
+        this._renderedContacts = contacts;
+        const list = this._getList();
+        const count = this._getCount();
+        if (count) count.textContent = contacts.length ? String(contacts.length) : '';
+        if (!list) return;
+
+        list.replaceChildren();
+
+        // 1. Empty State
+        if (contacts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'address-book__empty';
+            empty.textContent = 'No saved recipients yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        // 2. Contact Rows (labels and notes are user / file input: text only)
+        contacts.forEach(contact => {
+            const row = document.createElement('div');
+            row.className = 'address-book__contact';
+
+            const body = document.createElement('div');
+            body.className = 'address-book__contact-body';
+
+            const label = document.createElement('div');
+            label.className = 'address-book__label';
+            label.textContent = contact.label;
+
+            const detail = document.createElement('div');
+            detail.className = 'address-book__detail';
+            const addresses = contact.addresses.map(a => `${a.family}: ${shorten(a.address)}`).join(' · ');
+            detail.textContent = contact.handle ? `${contact.handle} · ${addresses}` : addresses;
+            if (contact.notes) detail.title = contact.notes;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'address-book__remove';
+            remove.setAttribute('data-contact', contact.id);
+            remove.setAttribute('aria-label', `Remove ${contact.label}`);
+            remove.textContent = '✕';
+
+            body.append(label, detail);
+            row.append(body, remove);
+            list.appendChild(row);
+        });
+    },
+
+    _announce() {
+        document.dispatchEvent(new CustomEvent('contacts:changed', {
+            detail: { contacts: AppState.state.contacts }
+        }));
+    },
+
+    _showStatus(message, isError = false) {
+        const status = this._getStatus();
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('is-error', isError);
+        status.hidden = false;
+    },
+
+    async _import(file) {
+        const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+        const result = await AppState.importContacts(await file.text(), format);
+        if (result.error) {
+            this._showStatus(IMPORT_ERROR_MESSAGES[result.error] || 'Import failed', true);
+            return;
+        }
+
+        const parts = [`${result.added} added`, `${result.updated} updated`];
+        if (result.errors.length) parts.push(`${result.errors.length} skipped`);
+        this._showStatus(`Imported: ${parts.join(', ')}`, result.errors.length > 0);
+    },
+
+    async _export(format) {
+        const text = await AppState.exportContacts(format);
+        if (typeof text !== 'string') {
+            this._showStatus('Export failed', true);
+            return;
+        }
+
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `address-book.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // --- Save Recipient Prompt ---
+
+    _offerSave(dryRun) {
+        const prompt = this._getPrompt();
+        if (!prompt || !dryRun || !dryRun.recipient) return;
+        if (AppState.findContact(dryRun.recipient)) return; // Already saved
+
+        this._pendingRecipient = { address: dryRun.recipient, handle: dryRun.recipientHandle || null };
+
+        const title = this._getPromptTitle();
+        const address = this._getPromptAddress();
+        const label = this._getPromptLabel();
+        if (title) title.textContent = 'Save recipient?';
+        if (address) address.textContent = dryRun.recipientHandle ? `${dryRun.recipientHandle} · ${dryRun.recipient}` : dryRun.recipient;
+        if (label) label.value = '';
+        prompt.hidden = false;
+    },
+
+    async _savePending() {
+        const pending = this._pendingRecipient;
+        const label = this._getPromptLabel();
+        if (!pending || !label) return;
+
+        const result = await AppState.saveContact({
+            label: label.value,
+            addresses: [{ address: pending.address }],
+            handle: pending.handle
+        });
+        if (result.error) {
+            const title = this._getPromptTitle();
+            if (title) title.textContent = SAVE_ERROR_MESSAGES[result.error] || 'Could not save recipient';
+            return;
+        }
+        this._hidePrompt();
+    },
+
+    _hidePrompt() {
+        this._pendingRecipient = null;
+        const prompt = this._getPrompt();
+        if (prompt) prompt.hidden = true;
+    }
+};
@@ -3,7 +3,7 @@
  * SCREEN SECTION
  * Responsibilities:
  * - Manages Balance Strip (Privacy Shutter, Value)
- * - Manages Action Grid & Dock Buttons
+ * - Manages Action Grid & Dock Buttons (Recent Transaction opens History)
  * - Handles "Feature Gating" (Prompts wallet connect if locked)
  */
 
@@ -126,6 +126,12 @@ export const DockSection = {
                     return;
                 }
 
+                // Recent Transaction -> History Overlay
+                if (btn.classList.contains('utility-left')) {
+                    OverlayLifecycle.open('historyOverlay');
+                    return;
+                }
+
                 InteractionUtils.handleWIP(actionName);
                 console.log('[Dock] Action triggered:', actionName);
             });
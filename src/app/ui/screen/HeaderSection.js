@@ -4,7 +4,7 @@
  * Responsibilities:
  * - Manages the Header area (Profile Ring, Greeting, Notification Btn)
  * - Binds UI events to OverlayLifecycle (Open Profile/Notif)
- * - Updates Greeting/Avatar based on AppState
+ * - Updates Greeting/Avatar based on AppState (ENS avatar when resolved)
  */
 
 import { AppState } from '../../core/AppState.js';
@@ -19,6 +19,8 @@ export const HeaderSection = {
     _getNotifBtn: () => document.querySelector('.notification-btn'),
     _getNotifMenuBtn: () => document.querySelector('.menu-dots'),
 
+    _brokenAvatar: null,
+
     init() {
         try {
             console.log('[HeaderSection] Initializing...');
@@ -68,12 +70,18 @@ export const HeaderSection = {
             greetingEl.textContent = `Hey, ${state.user.name}`;
         }
 
-        // Update Avatar (Optional if dynamic)
+        // Update Avatar (ENS avatar record wins over the default)
         const avatarEl = this._getAvatar();
         if (avatarEl && state.user && state.user.avatar) {
+            const { ensAvatar } = state.user;
+            const avatar = ensAvatar && ensAvatar !== this._brokenAvatar ? ensAvatar : state.user.avatar;
             // Only update if changed to avoid flicker
-            if (!avatarEl.src.includes(state.user.avatar)) {
-                avatarEl.src = state.user.avatar;
+            if (avatarEl.getAttribute('src') !== avatar) {
+                // Unreachable gateway / broken record: remember it and fall back
+                avatarEl.onerror = avatar === ensAvatar
+                    ? () => { this._brokenAvatar = ensAvatar; avatarEl.onerror = null; avatarEl.src = state.user.avatar; }
+                    : null;
+                avatarEl.src = avatar;
             }
         }
     }
@@ -0,0 +1,302 @@
+/**
+ * src/ui/screen/HistorySection.js
+ * TRANSACTION HISTORY UI
+ * Responsibilities:
+ * - Records every submitted send (send:submitted) through AppState
+ * - Renders the History overlay (opened from the dock's Recent Transaction button)
+ * - Status pills follow the tracker (pending → confirmed / failed / replaced)
+ * - focus(id): highlights one card (notification deep links)
+ * - Speed Up / Cancel on pending EVM sends (fees from Send's gas tiers, send:gas-tiers)
+ * - Bump Fee (RBF) / CPFP on unconfirmed Bitcoin sends: new fee rate + added cost,
+ *   and the PSBT to copy into a Bitcoin wallet
+ */
+
+import { AppState } from '../../core/AppState.js';
+import { WalletService } from '../../services/WalletService.js';
+import { InteractionUtils } from '../../utils/InteractionUtils.js';
+import { canBumpFee, canReplace, explorerTxUrl, feeSymbolFor, TX_STATUS } from '../../../modules/tx-history.js';
+import { FIAT_CURRENCIES } from '../../../modules/price-service.js';
+
+const FAMILY_ICONS = {
+    ethereum: 'assets/eth.png',
+    solana: 'assets/sol.png',
+    bitcoin: 'assets/btc.png'
+};
+
+const STATUS_LABELS = {
+    [TX_STATUS.PENDING]: 'Pending',
+    [TX_STATUS.CONFIRMED]: 'Confirmed',
+    [TX_STATUS.FAILED]: 'Failed',
+    [TX_STATUS.REPLACED]: 'Replaced'
+};
+
+const FAILURE_REASONS = {
+    REVERTED: 'Reverted on chain',
+    PROGRAM_ERROR: 'Rejected by the program',
+    EXPIRED: 'Expired before landing',
+    NONCE_USED: 'Another transaction used its nonce',
+    SPED_UP: 'Sped up',
+    CANCELLED: 'Cancelled'
+};
+
+const TITLE_VERBS = { send: 'Sent', 'speed-up': 'Sped up', cancel: 'Cancel' };
+
+const REPLACEMENT_ERRORS = {
+    USER_REJECTED: 'Request rejected in wallet',
+    ACCOUNT_MISMATCH: 'Switch your wallet to the sending account',
+    CHAIN_MISMATCH: 'Wallet is on another network',
+    PROVIDER_NOT_FOUND: 'Connect an EVM wallet first',
+    NOT_REPLACEABLE: 'Transaction already settled or replaced'
+};
+
+const BUMP_LABELS = { rbf: 'Replace-by-fee', cpfp: 'Child pays for parent' };
+
+const BUMP_ERRORS = {
+    NOT_REPLACEABLE: 'This send did not signal replace-by-fee',
+    NO_CHANGE_OUTPUT: 'No change output to spend',
+    INSUFFICIENT_FUNDS: 'Not enough funds to raise the fee',
+    ALREADY_CONFIRMED: 'Already confirmed',
+    NOT_FOUND: 'Transaction not found in the mempool',
+    NOT_BUMPABLE: 'Transaction already settled'
+};
+
+const shorten = (address) => (address && address.length > 16 ? `${address.slice(0, 8)}…${address.slice(-6)}` : address);
+
+function formatTime(ms) {
+    const date = new Date(ms);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { day: 'numeric', month: 'short' });
+}
+
+export const HistorySection = {
+    // Selectors
+    _getList: () => document.getElementById('historyList'),
+
+    _renderedTransactions: null,
+    _focusedId: null,
+    _replacing: new Set(), // Ids with a speed-up / cancel / fee bump in progress
+    _bumps: new Map(), // Id → prepared Bitcoin fee bump (AppState.prepareFeeBump)
+
+    init() {
+        console.log('[HistorySection] Initializing...');
+        this._setupListeners();
+
+        // Initial Render
+        this.render(AppState.state.transactions);
+
+        // Subscribe
+        AppState.subscribe((state) => {
+            if (state.transactions !== this._renderedTransactions) {
+                this.render(state.transactions);
+            }
+        });
+    },
+
+    _setupListeners() {
+        // Submitted sends (dry runs never reach here)
+        document.addEventListener('send:submitted', (e) => {
+            if (e.detail) AppState.recordTransaction(e.detail);
+        });
+
+        // Send's gas tiers (replacement fees)
+        document.addEventListener('send:gas-tiers', (e) => {
+            if (e.detail) AppState.rememberGasTiers(e.detail);
+        });
+
+        // Speed Up / Cancel (delegated; the list is re-rendered)
+        const list = this._getList();
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-replace], [data-bump], [data-copy-psbt]');
+                const card = button && button.closest('[data-transaction]');
+                if (!card) return;
+                const id = card.getAttribute('data-transaction');
+                if (button.hasAttribute('data-replace')) this._replace(id, button.getAttribute('data-replace'));
+                else if (button.hasAttribute('data-bump')) this._bump(id, button.getAttribute('data-bump'));
+                else this._copyPsbt(id);
+            });
+        }
+    },
+
+    async _replace(id, kind) {
+        if (this._replacing.has(id)) return;
+        this._replacing.add(id);
+        this.render(this._renderedTransactions || []);
+
+        const prepared = await AppState.prepareReplacement(id);
+        const result = prepared.error
+            ? prepared
+            : await WalletService.replaceTransaction(prepared.transaction.evmTx, { kind, fees: prepared.fees });
+        if (!result.error) await AppState.recordReplacement(prepared.transaction, { hash: result.hash, tx: result.tx, kind });
+
+        this._replacing.delete(id);
+        this.render(this._renderedTransactions || []);
+
+        if (result.error) InteractionUtils.showToast(REPLACEMENT_ERRORS[result.error] || 'Replacement failed');
+        else InteractionUtils.showToast(kind === 'cancel' ? 'Cancellation submitted' : 'Speed-up submitted');
+    },
+
+    async _bump(id, method) {
+        if (this._replacing.has(id)) return;
+        this._replacing.add(id);
+        this.render(this._renderedTransactions || []);
+
+        const result = await AppState.prepareFeeBump(id, method);
+        if (!result.error) this._bumps.set(id, result.bump);
+
+        this._replacing.delete(id);
+        this.render(this._renderedTransactions || []);
+        if (result.error) InteractionUtils.showToast(BUMP_ERRORS[result.error] || 'Fee bump unavailable');
+    },
+
+    async _copyPsbt(id) {
+        const bump = this._bumps.get(id);
+        if (!bump) return;
+        try {
+            await navigator.clipboard.writeText(bump.psbtBase64);
+            InteractionUtils.showToast('PSBT copied: sign and broadcast it in your Bitcoin wallet');
+        } catch (e) {
+            InteractionUtils.showToast('Clipboard unavailable');
+        }
+    },
+
+    render(transactions) {
+        this._renderedTransactions = transactions;
+        const list = this._getList();
+        if (!list) return;
+
+        list.replaceChildren();
+
+        // 1. Empty State
+        if (!transactions || transactions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'No transactions yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        // 2. Transaction Cards (recipient / handle text only)
+        transactions.forEach(tx => list.appendChild(this._renderCard(tx)));
+    },
+
+    /**
+     * Scrolls to and highlights a transaction (the overlay is opened by the caller)
+     * @param {string} id - tx-history.js record id
+     */
+    focus(id) {
+        this._focusedId = id;
+        this.render(this._renderedTransactions || []);
+        const list = this._getList();
+        const card = list && [...list.children].find(el => el.getAttribute('data-transaction') === id);
+        if (card) card.scrollIntoView({ block: 'center' });
+    },
+
+    _renderCard(tx) {
+        const card = document.createElement('div');
+        card.className = `notif-card history-card is-${tx.status}`;
+        card.setAttribute('data-transaction', tx.id);
+        if (tx.id === this._focusedId) card.classList.add('is-focused');
+
+        const icon = document.createElement('div');
+        icon.className = 'notif-icon';
+        const img = document.createElement('img');
+        img.src = FAMILY_ICONS[tx.family] || FAMILY_ICONS.ethereum;
+        img.alt = tx.chain;
+        icon.appendChild(img);
+
+        const content = document.createElement('div');
+        content.className = 'notif-content history-card__content';
+
+        const title = document.createElement('h4');
+        title.textContent = `${TITLE_VERBS[tx.kind] || TITLE_VERBS.send} ${tx.amount || ''} ${(tx.asset || '').toUpperCase()}`.replace(/\s+/g, ' ').trim();
+
+        const to = document.createElement('p');
+        to.textContent = `To ${tx.handle || shorten(tx.recipient)} · ${tx.chain}`;
+
+        const fee = document.createElement('p');
+        fee.className = 'history-card__fee';
+        if (tx.fee) fee.textContent = `Fee ${tx.feeEstimated ? '≈ ' : ''}${tx.fee} ${feeSymbolFor(tx)}`;
+
+        const meta = document.createElement('span');
+        meta.className = 'notif-time';
+        meta.textContent = formatTime(tx.submittedAt);
+
+        content.append(title, to, fee, meta);
+
+        if (tx.reason && FAILURE_REASONS[tx.reason]) {
+            const reason = document.createElement('p');
+            reason.className = 'history-card__reason';
+            reason.textContent = FAILURE_REASONS[tx.reason];
+            content.appendChild(reason);
+        }
+
+        const side = document.createElement('div');
+        side.className = 'history-card__side';
+
+        const status = document.createElement('span');
+        status.className = 'history-status';
+        const progress = tx.status === TX_STATUS.PENDING && tx.required > 1 && tx.confirmations > 0
+            ? ` ${tx.confirmations}/${tx.required}`
+            : '';
+        status.textContent = `${STATUS_LABELS[tx.status] || tx.status}${progress}`;
+        side.appendChild(status);
+
+        const url = explorerTxUrl(tx);
+        if (url) {
+            const link = document.createElement('a');
+            link.className = 'history-card__link';
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = 'Explorer';
+            side.appendChild(link);
+        }
+
+        if (canReplace(tx)) content.appendChild(this._renderActions(tx, 'data-replace', [['speed-up', 'Speed Up'], ['cancel', 'Cancel']]));
+        if (canBumpFee(tx)) {
+            content.appendChild(this._renderActions(tx, 'data-bump', [['rbf', 'Bump Fee'], ['cpfp', 'CPFP']]));
+            if (this._bumps.has(tx.id)) content.appendChild(this._renderBump(this._bumps.get(tx.id)));
+        }
+
+        card.append(icon, content, side);
+        return card;
+    },
+
+    _renderActions(tx, attribute, buttons) {
+        const actions = document.createElement('div');
+        actions.className = 'history-card__actions';
+        buttons.forEach(([kind, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'history-action';
+            button.setAttribute(attribute, kind);
+            button.textContent = label;
+            button.disabled = this._replacing.has(tx.id);
+            actions.appendChild(button);
+        });
+        return actions;
+    },
+
+    // New effective fee rate + added cost (fiat via AmountEngine, BTC without a quote)
+    _renderBump(bump) {
+        const panel = document.createElement('div');
+        panel.className = 'history-card__bump';
+
+        const fiat = FIAT_CURRENCIES[bump.currency];
+        const cost = bump.addedFiat !== null && fiat ? `${fiat.symbol}${bump.addedFiat}` : `${bump.addedFee} BTC`;
+        const summary = document.createElement('p');
+        summary.textContent = `${BUMP_LABELS[bump.method]} · ${bump.effectiveFeeRate} sat/vB · +${cost}`;
+
+        const copy = document.createElement('button');
+        copy.type = 'button';
+        copy.className = 'history-action';
+        copy.setAttribute('data-copy-psbt', '');
+        copy.textContent = 'Copy PSBT';
+
+        panel.append(summary, copy);
+        return panel;
+    }
+};
@@ -2,7 +2,7 @@
  * src/ui/screen/HomeScreen.js
  * SCREEN ORCHESTRATOR
  * Responsibilities:
- * - Initializes Child Sections (Header, Dock, Profile)
+ * - Initializes Child Sections (Header, Dock, Profile, Address Book, History)
  * - Manages Identity Carousel (Swipe, Render)
  * - Handles Global Blur Click
  * - (Wallet/Landing logic moved to LandingFlow.js)
@@ -16,6 +16,8 @@ import { DockSection } from './DockSection.js';
 
 import { ProfileSection } from './ProfileSection.js';
 import { NotificationSection } from './NotificationSection.js';
+import { AddressBookSection } from './AddressBookSection.js';
+import { HistorySection } from './HistorySection.js';
 
 export const HomeScreen = {
     // Selectors
@@ -30,6 +32,8 @@ export const HomeScreen = {
         DockSection.init();
         ProfileSection.init();
         NotificationSection.init();
+        AddressBookSection.init();
+        HistorySection.init();
 
         // 2. Init Local Logic
         this._setupCarousel();
@@ -2,32 +2,95 @@
  * src/ui/screen/NotificationSection.js
  * NOTIFICATION RENDERER
  * Responsibilities:
- * - Renders dynamic notification list from AppState
+ * - Renders typed notifications from AppState (text via notifications.js)
  * - Handles Empty State
+ * - Card click: marks read and follows the deep link (History card / explorer)
+ * - Menu actions (mark all read, clear, browser alerts)
+ * - Optional browser Notification API delivery while the tab is hidden
  */
 
 import { AppState } from '../../core/AppState.js';
+import { OverlayLifecycle } from '../effects/OverlayLifecycle.js';
+import { HistorySection } from './HistorySection.js';
+import { describeNotification, deepLinkFor } from '../../../modules/notifications.js';
+
+const DELIVERY_STORAGE_KEY = 'notification_delivery'; // 'browser' | 'off'
+
+const FAMILY_ICONS = {
+    ethereum: { src: 'assets/eth.png', style: '' },
+    solana: { src: 'assets/sol.png', style: 'background: rgba(20, 241, 149, 0.2); border-color: var(--sol-color);' },
+    bitcoin: { src: 'assets/btc.png', style: 'background: rgba(247, 147, 26, 0.2); border-color: var(--btc-color);' }
+};
+
+function formatTime(ms) {
+    const minutes = Math.floor((Date.now() - ms) / 60000);
+    if (minutes < 1) return 'Just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+    return new Date(ms).toLocaleDateString([], { day: 'numeric', month: 'short' });
+}
 
 export const NotificationSection = {
     _getList: () => document.getElementById('notificationList'),
+    _getMenu: () => document.getElementById('notificationMenu'),
+    _getDeliveryItem: () => document.querySelector('#notificationMenu [data-action="browser-alerts"]'),
+    _getBell: () => document.querySelector('.notification-btn'),
+
+    _rendered: null,
+    _delivered: new Set(), // Ids already handed to the browser
+    _since: 0, // Stored notifications from earlier sessions are never delivered
 
     init() {
         console.log('[NotificationSection] Initializing...');
+        this._since = Date.now();
+        this._setupListeners();
+        this._syncDeliveryItem();
+
         // Initial Render
         this.render(AppState.state.notifications);
 
         // Subscribe
         AppState.subscribe((state) => {
-            if (state.notifications) {
+            if (state.notifications && state.notifications !== this._rendered) {
+                this._deliver(state.notifications);
                 this.render(state.notifications);
             }
         });
     },
 
+    _setupListeners() {
+        // 1. Card Click -> Read + Deep Link (delegated; the list is re-rendered)
+        const list = this._getList();
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const card = e.target.closest('.notif-card[data-notification]');
+                if (card) this._open(card.getAttribute('data-notification'));
+            });
+        }
+
+        // 2. Menu Actions (OverlayControls closes the menu afterwards)
+        const menu = this._getMenu();
+        if (menu) {
+            menu.addEventListener('click', (e) => {
+                const item = e.target.closest('.menu-item');
+                if (!item) return;
+                const action = item.dataset.action;
+                if (action === 'mark-read') AppState.markAllRead();
+                else if (action === 'clear-all') AppState.clearNotifications();
+                else if (action === 'browser-alerts') this._toggleDelivery();
+            });
+        }
+    },
+
     render(notifications) {
+        this._rendered = notifications;
         const list = this._getList();
         if (!list) return;
 
+        // Unread dot on the bell
+        const bell = this._getBell();
+        if (bell) bell.classList.toggle('has-unread', Boolean(notifications && notifications.some(n => !n.read)));
+
         list.innerHTML = '';
 
         // 1. Empty State
@@ -41,35 +104,105 @@ export const NotificationSection = {
             return;
         }
 
-        // 2. Render Cards
+        // 2. Render Cards (payload text comes from chain data: text only)
         notifications.forEach(n => {
+            const { title, message } = describeNotification(n);
+            const icon = FAMILY_ICONS[n.payload.family] || FAMILY_ICONS.ethereum;
+
             const card = document.createElement('div');
             card.className = 'notif-card';
+            card.setAttribute('data-notification', n.id);
             if (n.read) card.style.opacity = '0.6';
-
-            // Determine Icon logic (simplified)
-            let iconSrc = 'assets/eth.png';
-            let iconStyle = '';
-
-            if (n.type === 'sol') {
-                iconSrc = 'assets/sol.png';
-                iconStyle = 'background: rgba(20, 241, 149, 0.2); border-color: var(--sol-color);';
-            } else if (n.type === 'btc') {
-                iconSrc = 'assets/btc.png';
-                iconStyle = 'background: rgba(247, 147, 26, 0.2); border-color: var(--btc-color);';
-            }
+            if (deepLinkFor(n)) card.style.cursor = 'pointer';
 
             card.innerHTML = `
-                <div class="notif-icon" style="${iconStyle}">
-                    <img src="${iconSrc}" style="width:20px; height:20px; object-fit:contain;">
+                <div class="notif-icon" style="${icon.style}">
+                    <img src="${icon.src}" style="width:20px; height:20px; object-fit:contain;">
                 </div>
                 <div class="notif-content">
-                    <h4>${n.title}</h4>
-                    <p>${n.message}</p>
-                    <span class="notif-time">${n.time}</span>
+                    <h4></h4>
+                    <p></p>
+                    <span class="notif-time"></span>
                 </div>
             `;
+            card.querySelector('h4').textContent = title;
+            card.querySelector('p').textContent = message;
+            card.querySelector('.notif-time').textContent = formatTime(n.createdAt);
             list.appendChild(card);
         });
+    },
+
+    _open(id) {
+        const notification = (this._rendered || []).find(n => n.id === id);
+        if (!notification) return;
+        if (!notification.read) AppState.markNotificationRead(id);
+
+        const link = deepLinkFor(notification);
+        if (!link) return;
+        if (link.transactionId) {
+            OverlayLifecycle.open('historyOverlay');
+            HistorySection.focus(link.transactionId);
+        } else {
+            window.open(link.url, '_blank', 'noopener');
+        }
+    },
+
+    // --- Browser Delivery ---
+
+    _deliveryEnabled() {
+        try {
+            return localStorage.getItem(DELIVERY_STORAGE_KEY) === 'browser';
+        } catch (e) {
+            return false;
+        }
+    },
+
+    async _toggleDelivery() {
+        if (!('Notification' in window)) return;
+
+        let enable = !this._deliveryEnabled();
+        if (enable && Notification.permission !== 'granted') {
+            enable = (await Notification.requestPermission()) === 'granted';
+        }
+        try {
+            localStorage.setItem(DELIVERY_STORAGE_KEY, enable ? 'browser' : 'off');
+        } catch (e) {
+            // Storage blocked (private mode): alerts stay off
+        }
+        this._syncDeliveryItem();
+    },
+
+    _syncDeliveryItem() {
+        const item = this._getDeliveryItem();
+        if (!item) return;
+        if (!('Notification' in window)) {
+            item.hidden = true;
+            return;
+        }
+        item.textContent = this._deliveryEnabled() ? 'Disable browser alerts' : 'Enable browser alerts';
+    },
+
+    /**
+     * Shows new unread notifications as system notifications when the tab is
+     * in the background.
+     */
+    _deliver(notifications) {
+        const fresh = notifications.filter(n => !n.read && n.createdAt >= this._since && !this._delivered.has(n.id));
+        fresh.forEach(n => this._delivered.add(n.id));
+
+        if (!fresh.length || !document.hidden || !this._deliveryEnabled()) return;
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        fresh.forEach(n => {
+            const { title, message } = describeNotification(n);
+            const icon = FAMILY_ICONS[n.payload.family] || FAMILY_ICONS.ethereum;
+            const system = new Notification(title, { body: message, tag: n.id, icon: icon.src });
+            system.onclick = () => {
+                window.focus();
+                OverlayLifecycle.open('notificationOverlay');
+                this._open(n.id);
+                system.close();
+            };
+        });
     }
 };
@@ -6,12 +6,18 @@
  * - Persists User Data to AppState
  * - Handles Change Detection (Show/Hide Save Button)
  * - Handles Wallet Disconnect
+ * - Display Currency: applied immediately (like Dark Mode), persisted to
+ *   LocalStorage and announced to Send via 'profile:currency-changed'
  */
 
 import { AppState } from '../../core/AppState.js';
+import { WalletService } from '../../services/WalletService.js';
 import { OverlayLifecycle } from '../effects/OverlayLifecycle.js';
 import { OverlayAnimations } from '../effects/OverlayAnimations.js';
 
+const CURRENCY_STORAGE_KEY = 'currency_preference';
+const SUPPORTED_CURRENCIES = ['usd', 'inr'];
+
 export const ProfileSection = {
     // Selectors
     _getNameInput: () => document.getElementById('inputName'),
@@ -20,9 +26,11 @@ export const ProfileSection = {
     _getAddrInput: () => document.getElementById('inputAddress'),
     _getDisconnectBtn: () => document.getElementById('disconnectBtn'),
     _getSaveBtn: () => document.getElementById('saveProfileBtn'),
+    _getCurrencySelect: () => document.getElementById('inputCurrency'),
 
     init() {
         console.log('[ProfileSection] Initializing...');
+        this._restoreCurrency();
         this._setupListeners();
 
         // Initial Render
@@ -69,7 +77,15 @@ export const ProfileSection = {
             });
         }
 
-        // 3. Disconnect Action (App-Level)
+        // 3. Display Currency (no Save step)
+        const currencySelect = this._getCurrencySelect();
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => {
+                this._handleCurrencyChange(currencySelect.value);
+            });
+        }
+
+        // 4. Disconnect Action (App-Level)
         if (disconnectBtn) {
             disconnectBtn.addEventListener('click', () => {
                 console.log('[ProfileSection] App-level disconnect requested');
@@ -78,7 +94,10 @@ export const ProfileSection = {
                 OverlayLifecycle.close('profileOverlay');
 
                 // 2. Clear app state (wallet data, ENS)
+                // A WalletConnect session is ended on the relay too
                 AppState.disconnectWallet();
+                WalletService.disconnect()
+                    .catch(e => console.warn('[ProfileSection] WalletConnect disconnect failed', e));
 
                 // 3. Remove glass depth effect
                 OverlayAnimations.removeGlassDepth();
@@ -122,12 +141,33 @@ export const ProfileSection = {
         }
     },
 
+    _restoreCurrency() {
+        const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+        if (SUPPORTED_CURRENCIES.includes(saved)) {
+            AppState.updateUser({ currency: saved });
+        }
+    },
+
+    _handleCurrencyChange(currency) {
+        if (!SUPPORTED_CURRENCIES.includes(currency)) return;
+
+        // 1. Update State + Persist
+        AppState.updateUser({ currency });
+        localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+
+        // 2. Notify Send (re-prices amounts in the new currency)
+        document.dispatchEvent(new CustomEvent('profile:currency-changed', {
+            detail: { currency }
+        }));
+    },
+
     render(state) {
         const user = state.user;
         const wallet = state.wallet; // For readonly fields
 
         this._updateFieldIfSafe('inputName', user.name);
         this._updateFieldIfSafe('inputEmail', user.email);
+        this._updateFieldIfSafe('inputCurrency', user.currency);
 
         // Read-only fields - safe to overwrite always
         const ensInput = this._getEnsInput();
@@ -0,0 +1,11 @@
+/**
+ * Payment Handle Directory Configuration
+ * Where `name@web3upi` handles are looked up (see modules/handles.js).
+ */
+
+// HTTP directory: GET <url>/<name> → { "ethereum": "0x…", "solana": "…", "bitcoin": "bc1…" }.
+// Empty uses the bundled entries below.
+export const HANDLE_DIRECTORY_URL = '';
+
+// Bundled directory (demo / local development). name → address per family.
+export const HANDLE_DIRECTORY_ENTRIES = {};
@@ -0,0 +1,20 @@
+/**
+ * WalletConnect Configuration
+ * Project id, dapp metadata and the SDK builds loaded at runtime.
+ */
+
+// Project id from cloud.reown.com. Empty disables the WalletConnect card.
+export const WALLETCONNECT_PROJECT_ID = '';
+
+export const WALLETCONNECT_RELAY_URL = 'wss://relay.walletconnect.com';
+
+// Shown in the wallet's session proposal. `url` is filled with the page origin.
+export const WALLETCONNECT_METADATA = {
+    name: 'Web3 PWI',
+    description: 'Scan and send across Ethereum, Bitcoin and Solana',
+    icons: []
+};
+
+// Loaded on first use (no bundler), like jsQR in Scan
+export const WALLETCONNECT_SIGN_CLIENT_URL = 'https://esm.sh/@walletconnect/sign-client@2.17.2';
+export const QR_GENERATOR_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js';
@@ -23,6 +23,7 @@
  */
 
 import { resolveIconURL } from './iconResolver.js';
+import { findNativeToken, findToken, resolveChainKey } from '../../modules/token-registry.js';
 
 const CDN_BASE_URL = 'https://raw.githubusercontent.com/trustwallet/assets/master/blockchains';
 const FALLBACK_ICON = './icons/fallback/generic.svg';
@@ -31,21 +32,25 @@ export function resolveIconSources({ chain, asset }) {
     if (!chain) return [FALLBACK_ICON];
 
     // Normalize inputs for URL construction
-    const chainSlug = chain.toLowerCase().trim();
+    const chainKey = resolveChainKey(chain);
+    const chainSlug = chainKey || chain.toLowerCase().trim();
     const assetSlug = asset ? asset.toLowerCase().trim() : null;
+    const isChainLogo = !assetSlug || assetSlug === 'native';
 
     const sources = [];
 
     // 1. CDN SOURCE (Priority 1)
-    // Structure: .../blockchains/{chain}/info/logo.png OR .../assets/{asset}/logo.png
-    if (!assetSlug || assetSlug === 'native') {
+    // Structure: .../blockchains/{chain}/info/logo.png OR .../assets/{token_address}/logo.png
+    // Listed tokens carry their address-based logo in token-registry.js.
+    const token = isChainLogo ? findNativeToken(chain) : findToken(chain, assetSlug);
+    if (token) {
+        sources.push(token.logo);
+    } else if (isChainLogo) {
         // Chain Logo
         sources.push(`${CDN_BASE_URL}/${chainSlug}/info/logo.png`);
     } else {
-        // Asset Logo
-        // Note: TrustWallet uses address-based paths. If assetSlug is a ticker (e.g. 'usdc'),
-        // this might 404 on the real CDN, but it satisfies the deterministic contract.
-        // A mapping layer would be required for strict ticker->address resolution if not provided.
+        // Unlisted asset: no address is known, so the ticker path will likely 404
+        // on the real CDN; the local proxy and generic fallback cover it.
         sources.push(`${CDN_BASE_URL}/${chainSlug}/assets/${assetSlug}/logo.png`);
     }
 
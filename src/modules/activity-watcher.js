@@ -0,0 +1,283 @@
+/**
+ * Activity Watcher
+ *
+ * RESPONSIBILITY:
+ * - Polls the connected address for incoming transfers:
+ *   - EVM: native coin (balance increase) and registry ERC-20s (Transfer logs to the address).
+ *   - Solana: native SOL and registry SPL tokens (new signatures, pre/post balances).
+ * - Reports each transfer once, as plain data, to `onActivity`.
+ *
+ * CONTRACT:
+ * - watch({ family, address, chainId? }) replaces the watched account; the first
+ *   poll only records a baseline (history before connecting is never reported).
+ * - Activity: { id, kind: 'native'|'token', family, chainId, chain, asset, amount,
+ *   hash, from } — `hash` / `from` are null for EVM native (a balance delta:
+ *   value from contracts has no transaction of its own to point at).
+ * - Transports: tx-history.js shape ({ evm(chainId), solana }).
+ * - Unknown tokens (not in token-registry.js) are ignored: airdropped spam stays out.
+ * - Solana signatures are paged back to the last seen one (none are skipped on busy
+ *   addresses).
+ * - poll() returns plain data. Never throws.
+ *
+ * ERROR CODES:
+ * - NOT_WATCHING, UNSUPPORTED_CHAIN, RPC_ERROR
+ */
+
+import { chainNameForId } from './evm-chains.js';
+import { listTokens, findTokenByAddress, findNativeToken } from './token-registry.js';
+import { formatUnits } from './units.js';
+
+// keccak256('Transfer(address,address,uint256)')
+export const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Public RPCs cap eth_getLogs ranges; a longer gap skips ahead
+export const MAX_LOG_RANGE = 1000;
+
+const SIGNATURE_PAGE = 20;
+const WATCH_POLL_MS = 15000;
+
+const fail = (error, detail = null) => ({ error, detail });
+
+// Node values are untrusted: malformed quantities / amounts parse to null
+function toBigInt(value) {
+    if (value === null || value === undefined || value === '' || value === '0x') return null;
+    try {
+        return BigInt(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+const toQuantity = (n) => `0x${n.toString(16)}`;
+const addressTopic = (address) => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+
+async function call(provider, method, params = []) {
+    try {
+        return { result: await provider.request({ method, params }) };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+// --- EVM ---
+
+async function pollEvm(account, cursor, provider) {
+    const [balance, head] = await Promise.all([
+        call(provider, 'eth_getBalance', [account.address, 'latest']),
+        call(provider, 'eth_blockNumber')
+    ]);
+    if (balance.error) return balance;
+    if (head.error) return head;
+
+    const wei = toBigInt(balance.result);
+    const height = toBigInt(head.result);
+    if (wei === null) return fail('RPC_ERROR', 'eth_getBalance');
+    if (height === null) return fail('RPC_ERROR', 'eth_blockNumber');
+    const block = Number(height);
+    if (!cursor) return { cursor: { balance: wei, block }, activity: [] };
+
+    const chain = chainNameForId(account.chainId);
+    const activity = [];
+
+    // 1. Native: net balance increase since the last poll
+    if (wei > cursor.balance) {
+        const native = findNativeToken(account.chainId);
+        activity.push({
+            id: `incoming:${account.chainId}:${account.address.toLowerCase()}:native:${block}`,
+            kind: 'native',
+            family: 'ethereum',
+            chainId: account.chainId,
+            chain,
+            asset: native ? native.asset : 'eth',
+            amount: formatUnits(wei - cursor.balance, native ? native.decimals : 18),
+            hash: null,
+            from: null
+        });
+    }
+
+    // 2. Registry ERC-20 Transfer logs to the address
+    const tokens = listTokens(account.chainId).filter(t => t.type === 'erc20');
+    if (tokens.length && block > cursor.block) {
+        const fromBlock = Math.max(cursor.block + 1, block - MAX_LOG_RANGE + 1);
+        const logs = await call(provider, 'eth_getLogs', [{
+            fromBlock: toQuantity(fromBlock),
+            toBlock: toQuantity(block),
+            address: tokens.map(t => t.address),
+            topics: [ERC20_TRANSFER_TOPIC, null, addressTopic(account.address)]
+        }]);
+        if (logs.error) return logs; // Cursor stays: the range is retried
+
+        for (const log of logs.result || []) {
+            const token = findTokenByAddress(account.chainId, log.address);
+            const value = toBigInt(log.data);
+            if (!token || !value || !Array.isArray(log.topics) || typeof log.topics[1] !== 'string') continue;
+            activity.push({
+                id: `incoming:${account.chainId}:${log.transactionHash}:${Number(toBigInt(log.logIndex))}`,
+                kind: 'token',
+                family: 'ethereum',
+                chainId: account.chainId,
+                chain,
+                asset: token.asset,
+                amount: formatUnits(value, token.decimals),
+                hash: log.transactionHash,
+                from: '0x' + log.topics[1].slice(26)
+            });
+        }
+    }
+
+    return { cursor: { balance: wei, block }, activity };
+}
+
+// --- Solana ---
+
+const keyOf = (key) => (typeof key === 'string' ? key : key && key.pubkey);
+
+function solanaTransfers(account, signature, tx) {
+    const meta = tx && tx.meta;
+    if (!meta || meta.err) return [];
+
+    const keys = ((tx.transaction && tx.transaction.message && tx.transaction.message.accountKeys) || []).map(keyOf);
+    const base = { family: 'solana', chainId: null, chain: 'Solana', hash: signature, from: keys[0] || null };
+    const found = [];
+
+    // 1. Native SOL (the fee payer is the sender; its balance only grows on refunds)
+    const index = keys.indexOf(account.address);
+    if (index > 0) {
+        const after = toBigInt((meta.postBalances || [])[index]);
+        const before = toBigInt((meta.preBalances || [])[index]);
+        const delta = after !== null && before !== null ? after - before : 0n;
+        if (delta > 0n) {
+            found.push({ ...base, id: `incoming:solana:${signature}:native`, kind: 'native', asset: 'sol', amount: formatUnits(delta, 9) });
+        }
+    }
+
+    // 2. Registry SPL tokens owned by the address
+    const pre = meta.preTokenBalances || [];
+    for (const post of meta.postTokenBalances || []) {
+        if (post.owner !== account.address) continue;
+        const token = findTokenByAddress('solana', post.mint);
+        if (!token) continue;
+        const earlier = pre.find(p => p.accountIndex === post.accountIndex);
+        const after = toBigInt(post.uiTokenAmount && post.uiTokenAmount.amount);
+        const before = earlier ? toBigInt(earlier.uiTokenAmount && earlier.uiTokenAmount.amount) : 0n;
+        const delta = after !== null && before !== null ? after - before : 0n;
+        if (delta > 0n) {
+            found.push({ ...base, id: `incoming:solana:${signature}:${post.mint}`, kind: 'token', asset: token.asset, amount: formatUnits(delta, token.decimals) });
+        }
+    }
+    return found;
+}
+
+// Newest first, back to `until` (the last signature seen). The baseline only
+// needs the newest one.
+async function listNewSignatures(account, cursor, connection) {
+    const signatures = [];
+    let before = null;
+    for (;;) {
+        const options = { limit: SIGNATURE_PAGE };
+        if (cursor && cursor.signature) options.until = cursor.signature;
+        if (before) options.before = before;
+
+        const listed = await call(connection, 'getSignaturesForAddress', [account.address, options]);
+        if (listed.error) return listed;
+
+        const page = Array.isArray(listed.result) ? listed.result : [];
+        signatures.push(...page);
+        if (!cursor || page.length < SIGNATURE_PAGE) return { signatures };
+        before = page[page.length - 1].signature;
+    }
+}
+
+async function pollSolana(account, cursor, connection) {
+    const listed = await listNewSignatures(account, cursor, connection);
+    if (listed.error) return listed;
+
+    const { signatures } = listed;
+    const newest = signatures.length ? signatures[0].signature : (cursor && cursor.signature) || null;
+    if (!cursor) return { cursor: { signature: newest }, activity: [] };
+
+    const activity = [];
+    for (const entry of [...signatures].reverse()) {
+        if (entry.err) continue;
+        const tx = await call(connection, 'getTransaction', [entry.signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 }]);
+        if (tx.error) return tx; // Cursor stays: the page is retried
+        activity.push(...solanaTransfers(account, entry.signature, tx.result));
+    }
+    return { cursor: { signature: newest }, activity };
+}
+
+// --- Watcher ---
+
+/**
+ * @param {object} transports - { evm(chainId), solana }
+ * @param {{ onActivity?: (activity: object[]) => void, setTimer?: Function, clearTimer?: Function }} [options]
+ */
+export function createActivityWatcher(transports, {
+    onActivity = () => {},
+    setTimer = setTimeout,
+    clearTimer = clearTimeout
+} = {}) {
+    let account = null;
+    let cursor = null;
+    let timer = null;
+    let generation = 0; // Drops results of a poll that outlived its account
+
+    /** @returns {Promise<{ activity: object[] }|{ error: string, detail: any }>} */
+    async function poll() {
+        try {
+            return await pollAccount();
+        } catch (err) {
+            // Unexpected node payloads: the cursor stays and the next tick retries
+            return fail('RPC_ERROR', err && err.message ? err.message : 'poll');
+        }
+    }
+
+    async function pollAccount() {
+        if (!account) return fail('NOT_WATCHING');
+        const watched = generation;
+
+        let result;
+        if (account.family === 'ethereum') {
+            const provider = transports.evm && transports.evm(account.chainId);
+            if (!provider) return fail('UNSUPPORTED_CHAIN', account.chainId);
+            result = await pollEvm(account, cursor, provider);
+        } else if (account.family === 'solana') {
+            if (!transports.solana) return fail('UNSUPPORTED_CHAIN', 'solana');
+            result = await pollSolana(account, cursor, transports.solana);
+        } else {
+            return fail('UNSUPPORTED_CHAIN', account.family);
+        }
+
+        if (result.error || watched !== generation) return result.error ? result : { activity: [] };
+        cursor = result.cursor;
+        if (result.activity.length) onActivity(result.activity);
+        return { activity: result.activity };
+    }
+
+    async function tick() {
+        const watched = generation;
+        await poll();
+        if (watched === generation && account) timer = setTimer(tick, WATCH_POLL_MS);
+    }
+
+    return {
+        poll,
+
+        /**
+         * @param {{ family: string, address: string, chainId?: number }} next
+         */
+        watch(next) {
+            this.stop();
+            account = { family: next.family, address: next.address, chainId: next.chainId || null };
+            timer = setTimer(tick, 0);
+        },
+
+        stop() {
+            generation++;
+            account = null;
+            cursor = null;
+            if (timer !== null) clearTimer(timer);
+            timer = null;
+        }
+    };
+}
@@ -0,0 +1,396 @@
+/**
+ * Address Book
+ *
+ * RESPONSIBILITY:
+ * - Saved recipients: a label, one or more addresses per chain family, an
+ *   optional payment handle (handles.js) and notes.
+ * - Persistence through a small store interface (IndexedDB in the app).
+ * - Recipient-field suggestions, scoped to a chain family.
+ * - Import / export as JSON and CSV.
+ *
+ * CONTRACT:
+ * - Store: { getAll() → Promise<contact[]>, put(contact) → Promise, delete(id) → Promise }.
+ *   createIndexedDbStore() in the app, an in-memory stand-in in verify-address-book.mjs.
+ * - Every address is validated (mainnet, family must match) before it is stored.
+ * - Contact: { id, label, addresses: [{ family, address }], handle, notes, createdAt, updatedAt }
+ * - Book methods return plain data ({ contact } / { contacts } / { error, detail }). Never throw.
+ *
+ * ERROR CODES:
+ * - INVALID_LABEL, NO_ADDRESSES, INVALID_ADDRESS, INVALID_HANDLE, NOTES_TOO_LONG,
+ *   NOT_FOUND, PARSE_ERROR, UNSUPPORTED_FORMAT, STORAGE_ERROR
+ */
+
+import { classifyAddress } from './address-classifier.js';
+import { parseHandle } from './handles.js';
+
+export const ADDRESS_BOOK_DB = Object.freeze({ name: 'web3upi-address-book', version: 1, store: 'contacts' });
+
+export const CONTACT_LIMITS = Object.freeze({ label: 40, notes: 280 });
+
+export const CSV_COLUMNS = Object.freeze(['label', 'family', 'address', 'handle', 'notes']);
+
+// Spreadsheet apps run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const fail = (error, detail = null) => ({ error, detail });
+
+// EVM addresses compare case-insensitively (checksum is presentation)
+const addressKey = (family, address) => `${family}:${family === 'ethereum' ? address.toLowerCase() : address}`;
+
+function newId() {
+    return globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function'
+        ? globalThis.crypto.randomUUID()
+        : `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Validates and tidies user input into the stored contact shape.
+ * @param {object} input - { label, addresses: [{ family?, address }], handle?, notes? }
+ * @returns {{ contact: object }|{ error: string, detail: any }}
+ */
+export function normalizeContact(input) {
+    const label = typeof (input && input.label) === 'string' ? input.label.trim() : '';
+    if (!label || label.length > CONTACT_LIMITS.label) return fail('INVALID_LABEL', label);
+
+    const addresses = [];
+    const seen = new Set();
+    for (const entry of (input.addresses || [])) {
+        const address = typeof (entry && entry.address) === 'string' ? entry.address.trim() : '';
+        const classified = classifyAddress(address);
+        if (!classified.valid || (entry.family && entry.family !== classified.family)) {
+            return fail('INVALID_ADDRESS', address);
+        }
+        const key = addressKey(classified.family, address);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        addresses.push({ family: classified.family, address });
+    }
+    if (addresses.length === 0) return fail('NO_ADDRESSES');
+
+    let handle = null;
+    if (input.handle) {
+        const parsed = parseHandle(input.handle);
+        if (!parsed) return fail('INVALID_HANDLE', input.handle);
+        handle = parsed.handle;
+    }
+
+    const notes = typeof input.notes === 'string' ? input.notes.trim() : '';
+    if (notes.length > CONTACT_LIMITS.notes) return fail('NOTES_TOO_LONG');
+
+    return { contact: { label, addresses, handle, notes } };
+}
+
+/**
+ * Recipient-field suggestions: one row per matching address.
+ * Matches label / handle (substring) and address (prefix); `family` scopes to a chain.
+ *
+ * @param {object[]} contacts
+ * @param {string} query
+ * @param {{ family?: string|null, limit?: number }} [options]
+ * @returns {{ contact: object, family: string, address: string }[]}
+ */
+export function searchContacts(contacts, query, { family = null, limit = 5 } = {}) {
+    const q = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (!q) return [];
+
+    const rows = [];
+    for (const contact of contacts) {
+        const named = contact.label.toLowerCase().includes(q) || Boolean(contact.handle && contact.handle.includes(q));
+        for (const { family: f, address } of contact.addresses) {
+            if (family && f !== family) continue;
+            if (named || address.toLowerCase().startsWith(q)) rows.push({ contact, family: f, address });
+        }
+    }
+    return rows.slice(0, limit);
+}
+
+/**
+ * @param {object[]} contacts
+ * @param {string} address
+ * @returns {object|null} Contact holding the address
+ */
+export function findContactByAddress(contacts, address) {
+    const family = classifyAddress(address || '').family;
+    if (!family) return null;
+    const key = addressKey(family, address.trim());
+    return contacts.find(c => c.addresses.some(a => addressKey(a.family, a.address) === key)) || null;
+}
+
+// --- Import / export ---
+
+const exportable = ({ label, addresses, handle, notes }) => ({ label, addresses, handle, notes });
+
+/**
+ * @param {object[]} contacts
+ * @returns {string} { version: 1, contacts: [...] } (ids and timestamps stay local)
+ */
+export function exportContactsJson(contacts) {
+    return JSON.stringify({ version: 1, contacts: contacts.map(exportable) }, null, 2);
+}
+
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per address; a contact's label, handle and notes repeat on each row.
+ * @param {object[]} contacts
+ * @returns {string}
+ */
+export function exportContactsCsv(contacts) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const c of contacts) {
+        for (const a of c.addresses) {
+            rows.push([c.label, a.family, a.address, c.handle, c.notes].map(csvCell).join(','));
+        }
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+}
+
+const uncell = (text) => {
+    const value = (text || '').trim();
+    return value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+};
+
+/**
+ * Parses an export (or a hand-written file) into contact inputs.
+ * CSV rows sharing a label are one contact. Bad rows are reported, not fatal.
+ *
+ * @param {string} text
+ * @param {'json'|'csv'} format
+ * @returns {{ contacts: object[], errors: { row: number, error: string, detail: any }[] }|{ error: string, detail: any }}
+ */
+export function parseContactsFile(text, format) {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return fail('PARSE_ERROR', e.message);
+        }
+        const list = Array.isArray(data) ? data : data && data.contacts;
+        if (!Array.isArray(list)) return fail('PARSE_ERROR', 'expected a contacts array');
+        return collect(list.map((input, i) => ({ row: i + 1, input })));
+    }
+
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsvRows(typeof text === 'string' ? text : '');
+        const columns = (header || []).map(h => h.trim().toLowerCase());
+        if (!columns.includes('label') || !columns.includes('address')) return fail('PARSE_ERROR', 'missing label/address columns');
+
+        const byLabel = new Map();
+        rows.forEach((cells, i) => {
+            const get = (name) => uncell(cells[columns.indexOf(name)]);
+            const label = get('label');
+            const key = label.toLowerCase();
+            if (!byLabel.has(key)) byLabel.set(key, { row: i + 2, input: { label, addresses: [], handle: get('handle') || null, notes: get('notes') } });
+            byLabel.get(key).input.addresses.push({ family: get('family') || undefined, address: get('address') });
+        });
+        return collect([...byLabel.values()]);
+    }
+
+    return fail('UNSUPPORTED_FORMAT', format);
+}
+
+function collect(entries) {
+    const contacts = [];
+    const errors = [];
+    for (const { row, input } of entries) {
+        const normalized = normalizeContact(input);
+        if (normalized.error) errors.push({ row, error: normalized.error, detail: normalized.detail });
+        else contacts.push(normalized.contact);
+    }
+    return { contacts, errors };
+}
+
+// --- Book ---
+
+const byLabel = (a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: 'base' });
+
+/**
+ * @param {object} store - getAll / put / delete
+ * @param {{ now?: () => number }} [options]
+ */
+export function createAddressBook(store, { now = Date.now } = {}) {
+    let cache = null;
+
+    async function load() {
+        if (!cache) cache = (await store.getAll()) || [];
+        return cache;
+    }
+
+    async function guarded(work) {
+        try {
+            return await work();
+        } catch (err) {
+            cache = null; // Re-read on the next call
+            return fail('STORAGE_ERROR', (err && err.message) || String(err));
+        }
+    }
+
+    async function write(contact) {
+        await store.put(contact);
+        cache = [...cache.filter(c => c.id !== contact.id), contact];
+        return contact;
+    }
+
+    return {
+        /** @returns {Promise<{ contacts: object[] }|{ error: string, detail: any }>} */
+        list() {
+            return guarded(async () => ({ contacts: [...await load()].sort(byLabel) }));
+        },
+
+        /**
+         * Creates a contact, or replaces the one with `input.id`.
+         * @returns {Promise<{ contact: object }|{ error: string, detail: any }>}
+         */
+        save(input) {
+            const normalized = normalizeContact(input);
+            if (normalized.error) return Promise.resolve(normalized);
+
+            return guarded(async () => {
+                const contacts = await load();
+                const existing = input.id ? contacts.find(c => c.id === input.id) : null;
+                if (input.id && !existing) return fail('NOT_FOUND', input.id);
+
+                const timestamp = now();
+                return {
+                    contact: await write({
+                        id: existing ? existing.id : newId(),
+                        ...normalized.contact,
+                        createdAt: existing ? existing.createdAt : timestamp,
+                        updatedAt: timestamp
+                    })
+                };
+            });
+        },
+
+        /** @returns {Promise<{ removed: string }|{ error: string, detail: any }>} */
+        remove(id) {
+            return guarded(async () => {
+                const contacts = await load();
+                if (!contacts.some(c => c.id === id)) return fail('NOT_FOUND', id);
+                await store.delete(id);
+                cache = contacts.filter(c => c.id !== id);
+                return { removed: id };
+            });
+        },
+
+        /**
+         * Imports a JSON / CSV file. Contacts whose label already exists
+         * (case-insensitive) gain the new addresses; the rest are added.
+         * @returns {Promise<{ added: number, updated: number, errors: object[] }|{ error: string, detail: any }>}
+         */
+        importFile(text, format) {
+            const parsed = parseContactsFile(text, format);
+            if (parsed.error) return Promise.resolve(parsed);
+
+            return guarded(async () => {
+                let added = 0;
+                let updated = 0;
+                for (const incoming of parsed.contacts) {
+                    const existing = (await load()).find(c => c.label.toLowerCase() === incoming.label.toLowerCase());
+                    const timestamp = now();
+                    if (existing) {
+                        const merged = normalizeContact({
+                            ...existing,
+                            addresses: [...existing.addresses, ...incoming.addresses],
+                            handle: existing.handle || incoming.handle,
+                            notes: existing.notes || incoming.notes
+                        });
+                        await write({ ...existing, ...merged.contact, updatedAt: timestamp });
+                        updated++;
+                    } else {
+                        await write({ id: newId(), ...incoming, createdAt: timestamp, updatedAt: timestamp });
+                        added++;
+                    }
+                }
+                return { added, updated, errors: parsed.errors };
+            });
+        },
+
+        /** @returns {Promise<string|{ error: string, detail: any }>} */
+        exportFile(format) {
+            if (format !== 'json' && format !== 'csv') return Promise.resolve(fail('UNSUPPORTED_FORMAT', format));
+            return guarded(async () => {
+                const contacts = [...await load()].sort(byLabel);
+                return format === 'json' ? exportContactsJson(contacts) : exportContactsCsv(contacts);
+            });
+        }
+    };
+}
+
+// --- IndexedDB ---
+
+const promised = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Store backed by IndexedDB (one object store keyed by `id`).
+ * tx-history.js reuses it with TX_HISTORY_DB.
+ * @param {IDBFactory} [factory]
+ */
+export function createIndexedDbStore(factory = globalThis.indexedDB, { name, version, store } = ADDRESS_BOOK_DB) {
+    let db = null;
+
+    function open() {
+        if (!factory) return Promise.reject(new Error('IndexedDB unavailable'));
+        if (!db) {
+            const request = factory.open(name, version);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(store)) {
+                    request.result.createObjectStore(store, { keyPath: 'id' });
+                }
+            };
+            db = promised(request).catch((err) => {
+                db = null;
+                throw err;
+            });
+        }
+        return db;
+    }
+
+    async function run(mode, action) {
+        const tx = (await open()).transaction(store, mode);
+        return promised(action(tx.objectStore(store)));
+    }
+
+    return {
+        getAll: () => run('readonly', s => s.getAll()),
+        put: (contact) => run('readwrite', s => s.put(contact)),
+        delete: (id) => run('readwrite', s => s.delete(id))
+    };
+}
@@ -0,0 +1,225 @@
+/**
+ * Address Classifier
+ *
+ * RESPONSIBILITY:
+ * - SINGLE source of truth for "what kind of address is this string?".
+ * - Shared by the Send flow (send.js) and the Scan flow (1_Scan/scan-script.js).
+ * - ZERO side effects (no DOM, no network, no state mutation).
+ *
+ * CONTRACT:
+ * classifyAddress(input) -> {
+ *   family:      'ethereum' | 'bitcoin' | 'solana' | null,
+ *   network:     'mainnet' | 'testnet' | 'regtest' | null   (null = not encoded in the address),
+ *   addressType: 'account' | 'legacy' | 'segwit' | 'taproot' | null,
+ *   outputType:  'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh' | 'p2tr' | null   (Bitcoin only),
+ *   confidence:  'high' | 'medium' | 'low' | 'none',
+ *   ambiguities: string[]   (AMBIGUITIES values),
+ *   valid:       boolean,
+ *   reason:      string|null (VALIDATION_REASONS value when invalid)
+ * }
+ *
+ * CONFIDENCE:
+ * - high:   a checksum was verified (EIP-55 mixed case, Base58Check, bech32/bech32m).
+ * - medium: structurally valid, but the format carries no checksum
+ *           (all-lowercase EVM, Solana public keys).
+ * - low:    shaped like the family, but failed validation (e.g. a typo).
+ * - none:   not recognisable as any supported family (empty, partial, garbage).
+ *
+ * addressType uses the same vocabulary as APP_STATE.btcAddressType so the
+ * BTC mode pills and the detector can never disagree.
+ */
+
+import {
+    VALIDATION_REASONS,
+    validateEthereumAddress,
+    validateBitcoinAddress,
+    validateSolanaAddress
+} from './address-validation.js';
+import { base58CheckDecode } from './crypto/base58.js';
+import { decodeSegwitAddress } from './crypto/bech32.js';
+
+export const AMBIGUITIES = Object.freeze({
+    // Shaped like both a legacy BTC address and a Solana key; resolved by decoding
+    BTC_LEGACY_OR_SOLANA: 'btc_legacy_or_solana',
+    // EVM address without an EIP-55 checksum (all-lowercase / all-uppercase)
+    EVM_NO_CHECKSUM: 'evm_no_checksum',
+    // EVM addresses are valid on every EVM chain; the chain must come from elsewhere
+    EVM_CHAIN_UNSPECIFIED: 'evm_chain_unspecified'
+});
+
+const BASE58_SHAPE = /^[1-9A-HJ-NP-Za-km-z]+$/;
+const BTC_LEGACY_SHAPE = /^[13mn2][1-9A-HJ-NP-Za-km-z]{25,34}$/;
+const SOLANA_SHAPE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const BTC_HRP_NETWORKS = Object.freeze({ bc: 'mainnet', tb: 'testnet', bcrt: 'regtest' });
+const BTC_BASE58_VERSIONS = Object.freeze({
+    0x00: { network: 'mainnet', outputType: 'p2pkh' },
+    0x05: { network: 'mainnet', outputType: 'p2sh' },
+    0x6f: { network: 'testnet', outputType: 'p2pkh' },
+    0xc4: { network: 'testnet', outputType: 'p2sh' }
+});
+
+// Reasons that mean "the string is not (yet) a recognisable address"
+const UNRECOGNISED_REASONS = [
+    VALIDATION_REASONS.EMPTY,
+    VALIDATION_REASONS.BAD_FORMAT,
+    VALIDATION_REASONS.BAD_CHARSET,
+    VALIDATION_REASONS.WRONG_LENGTH
+];
+
+function result(fields) {
+    return {
+        family: null,
+        network: null,
+        addressType: null,
+        outputType: null,
+        confidence: 'none',
+        ambiguities: [],
+        valid: false,
+        reason: null,
+        ...fields
+    };
+}
+
+function btcAddressTypeFor(outputType) {
+    if (outputType === 'p2tr') return 'taproot';
+    if (outputType === 'p2wpkh' || outputType === 'p2wsh') return 'segwit';
+    if (outputType === 'p2pkh' || outputType === 'p2sh') return 'legacy';
+    return null;
+}
+
+/**
+ * Reads network + output type from a Bitcoin address, regardless of whether
+ * the network is acceptable to send to.
+ */
+function describeBitcoin(addr) {
+    const lower = addr.toLowerCase();
+    const hrp = Object.keys(BTC_HRP_NETWORKS).find(h => lower.startsWith(h + '1'));
+
+    if (hrp) {
+        const decoded = decodeSegwitAddress(addr);
+        if (decoded.reason) return { network: BTC_HRP_NETWORKS[hrp], outputType: null };
+
+        let outputType = null;
+        if (decoded.version === 0) outputType = decoded.program.length === 20 ? 'p2wpkh' : 'p2wsh';
+        else if (decoded.version === 1 && decoded.program.length === 32) outputType = 'p2tr';
+        return { network: BTC_HRP_NETWORKS[decoded.hrp] || null, outputType };
+    }
+
+    const { payload } = base58CheckDecode(addr);
+    const version = payload && payload.length === 21 ? BTC_BASE58_VERSIONS[payload[0]] : null;
+    return version ? { ...version } : { network: null, outputType: null };
+}
+
+function classifyBitcoin(addr, check, ambiguities) {
+    const { network, outputType } = describeBitcoin(addr);
+    const isTestnet = check.reason === VALIDATION_REASONS.TESTNET_HRP ||
+        check.reason === VALIDATION_REASONS.TESTNET_VERSION;
+
+    let confidence = 'low';
+    if (check.valid) confidence = 'high';
+    else if (isTestnet) confidence = 'medium'; // Well-formed, just not a mainnet address
+    else if (UNRECOGNISED_REASONS.includes(check.reason)) confidence = 'none';
+
+    return result({
+        family: confidence === 'none' ? null : 'bitcoin',
+        network: confidence === 'none' ? null : network,
+        addressType: btcAddressTypeFor(outputType),
+        outputType,
+        confidence,
+        ambiguities,
+        valid: check.valid,
+        reason: check.reason
+    });
+}
+
+/**
+ * Classifies a raw string into an address family.
+ * Never throws.
+ *
+ * @param {string} input
+ * @returns {object} See CONTRACT above.
+ */
+export function classifyAddress(input) {
+    const addr = typeof input === 'string' ? input.trim() : '';
+    if (!addr) return result({ reason: VALIDATION_REASONS.EMPTY });
+
+    // 1. EVM (0x-prefixed hex)
+    if (addr.startsWith('0x') || addr.startsWith('0X')) {
+        const eth = validateEthereumAddress(addr);
+        if (!eth.valid && UNRECOGNISED_REASONS.includes(eth.reason)) {
+            return result({ reason: eth.reason });
+        }
+
+        const body = addr.slice(2);
+        const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+        const ambiguities = [AMBIGUITIES.EVM_CHAIN_UNSPECIFIED];
+        if (!hasChecksum) ambiguities.push(AMBIGUITIES.EVM_NO_CHECKSUM);
+
+        return result({
+            family: 'ethereum',
+            addressType: 'account',
+            confidence: eth.valid ? (hasChecksum ? 'high' : 'medium') : 'low',
+            ambiguities,
+            valid: eth.valid,
+            reason: eth.reason
+        });
+    }
+
+    // 2. Bitcoin bech32 / bech32m (HRP-prefixed)
+    const lower = addr.toLowerCase();
+    if (Object.keys(BTC_HRP_NETWORKS).some(hrp => lower.startsWith(hrp + '1'))) {
+        return classifyBitcoin(addr, validateBitcoinAddress(addr), []);
+    }
+
+    if (!BASE58_SHAPE.test(addr)) {
+        return result({ reason: VALIDATION_REASONS.BAD_CHARSET });
+    }
+
+    // 3. Base58: legacy Bitcoin and Solana share an alphabet and overlap in
+    //    length (32-35 chars). Decoding is the only reliable tie-breaker:
+    //    Base58Check (25 bytes) vs raw 32-byte public key.
+    const btcShaped = BTC_LEGACY_SHAPE.test(addr);
+    const solShaped = SOLANA_SHAPE.test(addr);
+    const ambiguities = btcShaped && solShaped ? [AMBIGUITIES.BTC_LEGACY_OR_SOLANA] : [];
+
+    const btc = btcShaped ? validateBitcoinAddress(addr) : null;
+    const sol = solShaped ? validateSolanaAddress(addr) : null;
+
+    if (btc && (btc.valid || btc.reason === VALIDATION_REASONS.TESTNET_VERSION)) {
+        return classifyBitcoin(addr, btc, ambiguities);
+    }
+
+    if (sol && sol.valid) {
+        return result({
+            family: 'solana',
+            addressType: 'account',
+            confidence: 'medium', // Public keys carry no checksum
+            ambiguities,
+            valid: true
+        });
+    }
+
+    // Neither decoded: a checksum failure on a BTC-shaped string is the
+    // most telling explanation (a single typo in a legacy address).
+    if (btc && btc.reason === VALIDATION_REASONS.BAD_CHECKSUM) {
+        return classifyBitcoin(addr, btc, ambiguities);
+    }
+
+    return result({
+        ambiguities,
+        reason: (sol && sol.reason) || (btc && btc.reason) || VALIDATION_REASONS.BAD_FORMAT
+    });
+}
+
+/**
+ * Maps a classifier family onto the Send asset code ('eth' | 'btc' | 'sol').
+ * @param {string|null} family
+ * @returns {string|null}
+ */
+export function familyToAsset(family) {
+    if (family === 'ethereum') return 'eth';
+    if (family === 'bitcoin') return 'btc';
+    if (family === 'solana') return 'sol';
+    return null;
+}
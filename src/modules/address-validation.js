@@ -0,0 +1,135 @@
+/**
+ * Address Validation
+ *
+ * RESPONSIBILITY:
+ * - Checksum-aware validation of recipient addresses (EVM, Bitcoin, Solana).
+ * - Returns a machine-readable reason on failure so the UI can explain itself.
+ * - ZERO side effects (no DOM, no network, no state mutation).
+ *
+ * CONTRACT:
+ * - Every validator returns { valid: boolean, reason: string|null }.
+ * - reason is null when valid, otherwise one of VALIDATION_REASONS.
+ * - Never throws.
+ */
+
+import { keccak256Hex } from './crypto/keccak.js';
+import { base58Decode, base58CheckDecode } from './crypto/base58.js';
+import { decodeSegwitAddress } from './crypto/bech32.js';
+
+export const VALIDATION_REASONS = Object.freeze({
+    EMPTY: 'empty',
+    BAD_FORMAT: 'bad_format',
+    BAD_CHARSET: 'bad_charset',
+    WRONG_LENGTH: 'wrong_length',
+    BAD_CHECKSUM: 'bad_checksum',
+    MIXED_CASE: 'mixed_case',
+    TESTNET_HRP: 'testnet_hrp',
+    TESTNET_VERSION: 'testnet_version',
+    UNKNOWN_VERSION: 'unknown_version',
+    BAD_WITNESS_VERSION: 'bad_witness_version',
+    UNSUPPORTED_WITNESS_VERSION: 'unsupported_witness_version',
+    WRONG_ENCODING: 'wrong_encoding',
+    BAD_PADDING: 'bad_padding'
+});
+
+const R = VALIDATION_REASONS;
+
+// Bitcoin network parameters
+const BTC_MAINNET_HRP = 'bc';
+const BTC_TESTNET_HRPS = ['tb', 'bcrt'];
+const BTC_P2PKH_VERSION = 0x00;
+const BTC_P2SH_VERSION = 0x05;
+const BTC_TESTNET_VERSIONS = [0x6f, 0xc4];
+
+const ok = () => ({ valid: true, reason: null });
+const fail = (reason) => ({ valid: false, reason });
+
+/**
+ * Computes the EIP-55 mixed-case checksum form of a 0x address.
+ * @param {string} address - 0x + 40 hex chars (any case)
+ * @returns {string|null}
+ */
+export function toChecksumAddress(address) {
+    if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) return null;
+
+    const lower = address.slice(2).toLowerCase();
+    const hash = keccak256Hex(lower);
+
+    let out = '0x';
+    for (let i = 0; i < 40; i++) {
+        out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+    }
+    return out;
+}
+
+/**
+ * EVM address: 0x + 40 hex. Mixed case MUST match EIP-55.
+ * All-lowercase / all-uppercase addresses carry no checksum and are accepted.
+ */
+export function validateEthereumAddress(address) {
+    if (!address) return fail(R.EMPTY);
+    if (!address.startsWith('0x')) return fail(R.BAD_FORMAT);
+
+    const body = address.slice(2);
+    if (!/^[0-9a-fA-F]*$/.test(body)) return fail(R.BAD_CHARSET);
+    if (body.length !== 40) return fail(R.WRONG_LENGTH);
+
+    const isUniformCase = body === body.toLowerCase() || body === body.toUpperCase();
+    if (isUniformCase) return ok();
+
+    return toChecksumAddress(address) === address ? ok() : fail(R.BAD_CHECKSUM);
+}
+
+/**
+ * Bitcoin mainnet address:
+ * - Legacy (1...) / P2SH (3...): Base58Check, 21-byte payload, version 0x00 / 0x05
+ * - SegWit (bc1q...): bech32, witness v0, 20 or 32 byte program
+ * - Taproot (bc1p...): bech32m, witness v1, 32 byte program
+ */
+export function validateBitcoinAddress(address) {
+    if (!address) return fail(R.EMPTY);
+
+    // Bech32 family is identified by its HRP separator
+    const lower = address.toLowerCase();
+    const looksBech32 = lower.startsWith(BTC_MAINNET_HRP + '1') ||
+        BTC_TESTNET_HRPS.some(hrp => lower.startsWith(hrp + '1'));
+
+    if (looksBech32) {
+        const decoded = decodeSegwitAddress(address);
+        if (decoded.reason) return fail(decoded.reason);
+
+        if (BTC_TESTNET_HRPS.includes(decoded.hrp)) return fail(R.TESTNET_HRP);
+        if (decoded.hrp !== BTC_MAINNET_HRP) return fail(R.BAD_FORMAT);
+
+        // Policy: only spendable, standard witness programs are accepted
+        if (decoded.version === 1 && decoded.program.length !== 32) return fail(R.WRONG_LENGTH);
+        if (decoded.version > 1) return fail(R.UNSUPPORTED_WITNESS_VERSION);
+
+        return ok();
+    }
+
+    // Base58Check family
+    const { payload, reason } = base58CheckDecode(address);
+    if (!payload) return fail(reason);
+    if (payload.length !== 21) return fail(R.WRONG_LENGTH);
+
+    const version = payload[0];
+    if (BTC_TESTNET_VERSIONS.includes(version)) return fail(R.TESTNET_VERSION);
+    if (version !== BTC_P2PKH_VERSION && version !== BTC_P2SH_VERSION) return fail(R.UNKNOWN_VERSION);
+
+    return ok();
+}
+
+/**
+ * Solana address: Base58 that decodes to exactly 32 bytes (ed25519 public key / PDA).
+ */
+export function validateSolanaAddress(address) {
+    if (!address) return fail(R.EMPTY);
+    if (address.length < 32 || address.length > 44) return fail(R.WRONG_LENGTH);
+
+    const bytes = base58Decode(address);
+    if (!bytes) return fail(R.BAD_CHARSET);
+    if (bytes.length !== 32) return fail(R.WRONG_LENGTH);
+
+    return ok();
+}
@@ -1,148 +1,218 @@
 /**
  * Amount Engine
- * 
+ *
  * RESPONSIBILITY:
- * - Pure, deterministic conversion between Fiat (USD) and Native Assets (ETH, BTC, SOL).
+ * - Pure, deterministic conversion between Fiat (USD, INR — any 2-decimal currency)
+ *   and assets (ETH, BTC, SOL, USDC, USDT). The price passed in fixes the currency.
+ * - Asset precision comes from token-registry.js.
  * - Single source of truth for math logic.
  * - ZERO side effects (no DOM, no network, no state mutation).
  * - Mathematical correctness > Cleverness.
- * 
+ *
  * CONTRACT:
  * - All inputs must be passed explicitly.
- * - Returns null or strictly typed numbers.
+ * - Math is BigInt fixed-point (units.js); no value passes through a float.
+ * - Returns decimal strings (or BigInt base units), or null when invalid.
+ * - Rounding is explicit: ROUNDING.DOWN for amounts that will be sent,
+ *   ROUNDING.HALF_EVEN (default) for display.
  * - Never throws uncaught errors.
  */
 
+import { parseDecimal, divideRounded, formatUnits, ROUNDING } from './units.js';
+import { precisionFor as registryPrecision } from './token-registry.js';
+
+export { ROUNDING };
+
+// [PHASE 7F] Maximum Asset Input Digits
+// Industry wallets (MetaMask, Coinbase, Phantom) bound amount input length.
+// 17 digits = 16 (JS safe integer) + 1 (UX buffer). The engine is exact at
+// any length; the bound is kept so the asset field never outgrows its layout
+// and so verify-amount-engine.mjs has a fixed input domain.
+// Implementation: beforeinput prevention in send.js (NOT post-truncation)
+export const MAX_ASSET_DIGITS = 17;
+
 // CONFIGURATION (Internal)
+// Asset precision is per token (token-registry.js); `default` covers unlisted assets.
 const PRECISION = {
     fiat: 2,
-    eth: 6,
-    btc: 8,
-    sol: 6,
     default: 0
 };
 
+const ZERO = Object.freeze({ units: 0n, decimals: 0 });
+
+const pow10 = (n) => 10n ** BigInt(n);
+
 /**
- * Safe helper to parse input to number.
- * Returns null if invalid, NaN, or negative.
+ * Safe helper to parse input to an exact decimal.
+ * Numbers (e.g. prices) are expanded without exponent notation first.
+ * Returns null if invalid; negatives clamp to 0.
+ *
+ * @returns {{ units: bigint, decimals: number }|null}
  */
 function safeParse(val) {
     if (val === null || val === undefined || val === '') return null;
-    const num = Number(val);
-    if (Number.isNaN(num)) return null;
-    if (num < 0) return 0; // Clamp negative to 0
-    return num;
+
+    let str;
+    if (typeof val === 'number') {
+        if (!Number.isFinite(val)) return null;
+        str = val.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 });
+    } else {
+        str = String(val).trim();
+    }
+
+    if (str.startsWith('-')) return parseDecimal(str.slice(1)) ? ZERO : null; // Clamp negative to 0
+    return parseDecimal(str);
 }
 
 /**
- * rounds a number to specific decimals using safe math.
- * Handles floating point epsilon issues via scaling.
+ * Fiat base units (cents, paise) → "12.30".
  */
-function safeRound(value, decimals) {
-    if (value === null) return null;
-    const multiplier = Math.pow(10, decimals);
-    // Round half-up
-    return Math.round(value * multiplier) / multiplier;
+function formatFiatUnits(units) {
+    const digits = units.toString().padStart(PRECISION.fiat + 1, '0');
+    return `${digits.slice(0, -PRECISION.fiat)}.${digits.slice(-PRECISION.fiat)}`;
+}
+
+/**
+ * Decimal places for an asset code or chain name (registry precision).
+ * - 'usdc' / 'usdt': 6
+ * - 'eth' / 'Arbitrum One': 6
+ * - 'btc' / 'Bitcoin Network': 8
+ * - Unlisted: 0
+ */
+function precisionFor(ref) {
+    const places = registryPrecision(ref);
+    return places === null ? PRECISION.default : places;
 }
 
 /**
  * Derives asset amount from a fiat input.
- * 
+ *   asset = fiat / price, rounded to `decimals` (default: chain precision)
+ *
  * @param {number|string} fiatAmount - The source fiat amount (e.g. "100.50")
- * @param {number} assetPriceUSD - The price of 1 unit of asset in USD
- * @param {string} chain - 'Ethereum' | 'Bitcoin' | 'Solana' (or lowercase asset code)
- * @returns {number|null} The derived asset amount, or null if invalid.
+ * @param {number|string} assetPriceFiat - The price of 1 unit of asset in the input's fiat currency
+ * @param {string} chain - Asset code ('usdc', 'eth') or chain name ('Ethereum', 'Bitcoin')
+ * @param {{ rounding?: string, decimals?: number }} [options]
+ * @returns {string|null} The derived asset amount (e.g. "0.033201"), or null if invalid.
  */
-function deriveFromFiat(fiatAmount, assetPriceUSD, chain) {
+function deriveFromFiat(fiatAmount, assetPriceFiat, chain, { rounding = ROUNDING.HALF_EVEN, decimals } = {}) {
     const amount = safeParse(fiatAmount);
-    const price = safeParse(assetPriceUSD);
-
-    if (amount === null || price === null || price <= 0) return null;
-    if (amount === 0) return 0;
-
-    const derived = amount / price;
-    return roundAsset(derived, chain);
+    const price = safeParse(assetPriceFiat);
+
+    if (amount === null || price === null || price.units === 0n) return null;
+    if (amount.units === 0n) return '0';
+
+    const places = decimals === undefined ? precisionFor(chain) : decimals;
+    // (a / 10^ad) / (p / 10^pd) * 10^places
+    const units = divideRounded(
+        amount.units * pow10(price.decimals + places),
+        price.units * pow10(amount.decimals),
+        rounding
+    );
+    return formatUnits(units, places);
 }
 
 /**
  * Derives fiat amount from an asset input.
- * 
+ *
  * @param {number|string} assetAmount - The source asset amount
- * @param {number} assetPriceUSD - The price of 1 unit of asset in USD
- * @returns {number|null} The derived fiat amount, or null.
+ * @param {number|string} assetPriceFiat - The price of 1 unit of asset in the target fiat currency
+ * @param {{ rounding?: string }} [options]
+ * @returns {string|null} The derived fiat amount with 2 decimals (e.g. "12.30"), or null.
  */
-function deriveFromAsset(assetAmount, assetPriceUSD) {
+function deriveFromAsset(assetAmount, assetPriceFiat, { rounding = ROUNDING.HALF_EVEN } = {}) {
     const amount = safeParse(assetAmount);
-    const price = safeParse(assetPriceUSD);
+    const price = safeParse(assetPriceFiat);
 
-    if (amount === null || price === null || price <= 0) return null;
-    if (amount === 0) return 0;
+    if (amount === null || price === null || price.units === 0n) return null;
+    if (amount.units === 0n) return formatFiatUnits(0n);
 
-    const derived = amount * price;
-    return roundFiat(derived);
+    const units = divideRounded(
+        amount.units * price.units * pow10(PRECISION.fiat),
+        pow10(amount.decimals + price.decimals),
+        rounding
+    );
+    return formatFiatUnits(units);
 }
 
 /**
- * Normalizes a fiat input to a safe standard number.
- * 
- * @param {string|number} rawInput 
- * @returns {number|null} Normalized number or null
+ * Normalizes a fiat input to a safe standard string.
+ *
+ * @param {string|number} rawInput
+ * @returns {string|null} e.g. "10.50", or null
  */
 function normalizeFiat(rawInput) {
-    const val = safeParse(rawInput);
-    if (val === null) return null;
-    return roundFiat(val);
+    return roundFiat(rawInput);
 }
 
 /**
- * Normalizes an asset input to chain-safe precision.
- * 
- * @param {string|number} rawInput 
- * @param {string} chain 
- * @returns {number|null} Normalized number or null
+ * Normalizes an asset input to token precision.
+ *
+ * @param {string|number} rawInput
+ * @param {string} chain - Asset code or chain name
+ * @returns {string|null} Normalized decimal string or null
  */
 function normalizeAsset(rawInput, chain) {
-    const val = safeParse(rawInput);
-    if (val === null) return null;
-    return roundAsset(val, chain);
+    return roundAsset(rawInput, chain);
 }
 
 /**
- * Rounds a number to standard Fiat currency (2 decimals).
+ * Rounds to standard Fiat currency (2 decimals).
  * USE: Display or Final Calculation.
- * 
- * @param {number|string} amount 
- * @returns {number|null}
+ *
+ * @param {number|string} amount
+ * @param {string} [rounding]
+ * @returns {string|null}
  */
-function roundFiat(amount) {
+function roundFiat(amount, rounding = ROUNDING.HALF_EVEN) {
     const val = safeParse(amount);
     if (val === null) return null;
-    return safeRound(val, PRECISION.fiat);
+    return formatFiatUnits(rescale(val, PRECISION.fiat, rounding));
 }
 
 /**
- * Rounds a number to Chain-Specific precision.
- * - ETH: 6
- * - SOL: 6
- * - BTC: 8
- * 
- * @param {number|string} amount 
- * @param {string} chain 
- * @returns {number|null}
+ * Rounds to token precision (registry), e.g. 6 places for USDC.
+ *
+ * @param {number|string} amount
+ * @param {string} chain - Asset code or chain name
+ * @param {string} [rounding]
+ * @returns {string|null}
  */
-function roundAsset(amount, chain) {
+function roundAsset(amount, chain, rounding = ROUNDING.HALF_EVEN) {
     const val = safeParse(amount);
     if (val === null) return null;
+    const places = precisionFor(chain);
+    return formatUnits(rescale(val, places, rounding), places);
+}
 
-    let decimals = PRECISION.default;
-    if (chain) {
-        const c = chain.toLowerCase();
-        if (c.includes('eth')) decimals = PRECISION.eth;
-        else if (c.includes('btc') || c.includes('bitcoin')) decimals = PRECISION.btc;
-        else if (c.includes('sol')) decimals = PRECISION.sol;
-    }
+function rescale({ units, decimals }, places, rounding) {
+    if (decimals <= places) return units * pow10(places - decimals);
+    return divideRounded(units, pow10(decimals - places), rounding);
+}
 
-    return safeRound(val, decimals);
+/**
+ * Decimal amount → integer base units (wei, satoshi, lamports, token units).
+ * Rounds DOWN by default: a send never carries more than the user entered.
+ *
+ * @param {number|string} amount
+ * @param {number} decimals - 18 (ETH), 8 (BTC), 9 (SOL), token decimals
+ * @param {string} [rounding]
+ * @returns {bigint|null}
+ */
+function toBaseUnits(amount, decimals, rounding = ROUNDING.DOWN) {
+    const val = safeParse(amount);
+    if (val === null) return null;
+    return rescale(val, decimals, rounding);
+}
+
+/**
+ * Integer base units → exact decimal string.
+ *
+ * @param {bigint|string} units
+ * @param {number} decimals
+ * @returns {string}
+ */
+function fromBaseUnits(units, decimals) {
+    return formatUnits(units, decimals);
 }
 
 // Frozen Public API
@@ -152,5 +222,7 @@ export const AmountEngine = Object.freeze({
     normalizeFiat,
     normalizeAsset,
     roundFiat,
-    roundAsset
+    roundAsset,
+    toBaseUnits,
+    fromBaseUnits
 });
@@ -0,0 +1,179 @@
+/**
+ * Balance Reader
+ *
+ * RESPONSIBILITY:
+ * - Exact balances in base units for the selected asset and for the chain's
+ *   native coin (the network fee is always paid in it):
+ *     EVM    → eth_getBalance, ERC-20 balanceOf (eth_call)
+ *     Solana → getBalance, associated token account (getAccountInfo, jsonParsed)
+ * - Spendable amount for Max and amount validation: native assets hold back
+ *   the fee, tokens keep their full balance but need native balance for the fee.
+ *
+ * CONTRACT:
+ * - Transports are passed in (a public node in the app, a stand-in in
+ *   verify-balance.mjs). No globals are read here.
+ * - Tokens are token-registry.js entries. Amounts are BigInt base units.
+ * - Returns { balance, nativeBalance } / { units } or { error, detail }.
+ * - Never throws.
+ *
+ * ERROR CODES:
+ * - UNSUPPORTED_ASSET, INVALID_ADDRESS, RPC_ERROR, INSUFFICIENT_FUNDS, INSUFFICIENT_GAS
+ */
+
+import { gasLimitWithBuffer } from './evm-transaction.js';
+import { decodePublicKey, getAssociatedTokenAddress } from './solana-transaction.js';
+import { TOKEN_CHAINS } from './token-registry.js';
+
+export const ERC20_BALANCE_OF_SELECTOR = '0x70a08231';
+
+const SOLANA_COMMITMENT = 'confirmed';
+
+const fail = (error, detail = null) => ({ error, detail });
+
+const familyOf = (token) => (token && TOKEN_CHAINS[token.chain] ? TOKEN_CHAINS[token.chain].family : null);
+
+function toBigInt(value) {
+    if (value === null || value === undefined || value === '0x') return null;
+    try {
+        return BigInt(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+async function rpc(transport, method, params) {
+    try {
+        return { result: await transport.request({ method, params }) };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+/**
+ * ABI-encodes `balanceOf(address)`.
+ * @param {string} owner - 0x address
+ * @returns {string} 0x calldata
+ */
+export function encodeBalanceOf(owner) {
+    return ERC20_BALANCE_OF_SELECTOR + owner.slice(2).toLowerCase().padStart(64, '0');
+}
+
+// --- Reads ---
+
+/**
+ * @param {object} provider - EIP-1193-style `request` object for the token's chain
+ * @param {string} owner - 0x address
+ * @param {object} token - Registry entry (native or erc20)
+ * @returns {Promise<{ balance: bigint, nativeBalance: bigint }|{ error: string, detail: string|null }>}
+ */
+export async function fetchEvmBalances(provider, owner, token) {
+    if (familyOf(token) !== 'evm') return fail('UNSUPPORTED_ASSET', token && token.symbol);
+    if (!/^0x[0-9a-fA-F]{40}$/.test(owner || '')) return fail('INVALID_ADDRESS', owner);
+
+    const native = await rpc(provider, 'eth_getBalance', [owner, 'latest']);
+    if (native.error) return native;
+    const nativeBalance = toBigInt(native.result);
+    if (nativeBalance === null) return fail('RPC_ERROR', 'eth_getBalance');
+    if (token.type === 'native') return { balance: nativeBalance, nativeBalance };
+
+    const call = await rpc(provider, 'eth_call', [{ to: token.address, data: encodeBalanceOf(owner) }, 'latest']);
+    if (call.error) return call;
+    const balance = toBigInt(call.result);
+    if (balance === null) return fail('RPC_ERROR', `balanceOf returned ${call.result}`);
+    return { balance, nativeBalance };
+}
+
+/**
+ * @param {object} connection - Solana JSON-RPC `request` object
+ * @param {string} owner - Base58 wallet address
+ * @param {object} token - Registry entry (native or spl)
+ * @returns {Promise<{ balance: bigint, nativeBalance: bigint }|{ error: string, detail: string|null }>}
+ */
+export async function fetchSolanaBalances(connection, owner, token) {
+    if (familyOf(token) !== 'solana') return fail('UNSUPPORTED_ASSET', token && token.symbol);
+    if (!decodePublicKey(owner)) return fail('INVALID_ADDRESS', owner);
+
+    const native = await rpc(connection, 'getBalance', [owner, { commitment: SOLANA_COMMITMENT }]);
+    if (native.error) return native;
+    const nativeBalance = toBigInt(native.result && native.result.value);
+    if (nativeBalance === null) return fail('RPC_ERROR', 'getBalance');
+    if (token.type === 'native') return { balance: nativeBalance, nativeBalance };
+
+    const ata = getAssociatedTokenAddress(owner, token.address, token.programId);
+    const account = await rpc(connection, 'getAccountInfo', [ata, { encoding: 'jsonParsed', commitment: SOLANA_COMMITMENT }]);
+    if (account.error) return account;
+
+    // No token account yet → nothing to send
+    const value = account.result && account.result.value;
+    if (!value) return { balance: 0n, nativeBalance };
+
+    const parsed = value.data && value.data.parsed;
+    const balance = toBigInt(parsed && parsed.info && parsed.info.tokenAmount && parsed.info.tokenAmount.amount);
+    if (balance === null) return fail('RPC_ERROR', `unparsed token account ${ata}`);
+    return { balance, nativeBalance };
+}
+
+// --- Spendable ---
+
+/**
+ * Native units held back for an EVM transfer, matching what the wallet
+ * checks at submission: buffered gas limit × maxFeePerGas, plus the L1 data
+ * fee on rollups that bill it separately (OP Stack, Scroll). Arbitrum bills
+ * its L1 part as extra L2 gas, so it is folded into the gas limit instead.
+ *
+ * @param {object} params
+ * @param {bigint} params.gas - Execution gas for the transfer
+ * @param {bigint} params.maxFeePerGas - Selected tier, wei
+ * @param {bigint} [params.gasPrice] - Expected price (baseFee + priorityFee), wei; required with l1FeeAsGas
+ * @param {bigint} [params.l1DataFee] - wei
+ * @param {boolean} [params.l1FeeAsGas] - Arbitrum
+ * @returns {bigint}
+ */
+export function evmFeeReserve({ gas, maxFeePerGas, gasPrice = 0n, l1DataFee = 0n, l1FeeAsGas = false }) {
+    if (l1FeeAsGas && gasPrice > 0n) {
+        const l1Gas = (l1DataFee + gasPrice - 1n) / gasPrice;
+        return gasLimitWithBuffer(gas + l1Gas) * maxFeePerGas;
+    }
+    return gasLimitWithBuffer(gas) * maxFeePerGas + l1DataFee;
+}
+
+/**
+ * Largest amount of `token` that can be sent.
+ *
+ * @param {object} params
+ * @param {object} params.token - Registry entry
+ * @param {bigint} params.balance - Token (or native) balance
+ * @param {bigint} params.nativeBalance
+ * @param {bigint} params.feeReserve - Native units for the fee
+ * @returns {{ units: bigint }|{ error: string, detail: string|null }}
+ */
+export function spendableUnits({ token, balance, nativeBalance, feeReserve }) {
+    if (token.type === 'native') {
+        if (balance <= feeReserve) return fail('INSUFFICIENT_FUNDS', `${balance} ≤ fee ${feeReserve}`);
+        return { units: balance - feeReserve };
+    }
+    if (nativeBalance < feeReserve) return fail('INSUFFICIENT_GAS', `${nativeBalance} < fee ${feeReserve}`);
+    return { units: balance };
+}
+
+/**
+ * Readiness checks for a concrete amount.
+ * - hasSufficientFunds: amount ≤ asset balance
+ * - hasSufficientGas: what is left in the native coin (after the amount, for
+ *   native sends) covers the fee
+ *
+ * @param {object} params
+ * @param {object} params.token - Registry entry
+ * @param {bigint} params.amountUnits
+ * @param {bigint} params.balance
+ * @param {bigint} params.nativeBalance
+ * @param {bigint} params.feeReserve
+ * @returns {{ hasSufficientFunds: boolean, hasSufficientGas: boolean }}
+ */
+export function checkBalances({ token, amountUnits, balance, nativeBalance, feeReserve }) {
+    const nativeLeft = token.type === 'native' ? balance - amountUnits : nativeBalance;
+    return {
+        hasSufficientFunds: amountUnits <= balance,
+        hasSufficientGas: nativeLeft >= feeReserve
+    };
+}
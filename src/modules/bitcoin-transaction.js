@@ -0,0 +1,586 @@
+/**
+ * Bitcoin Transaction Builder (PSBT)
+ *
+ * RESPONSIBILITY:
+ * - Sizes transactions by weight for P2PKH / P2WPKH / P2TR inputs and every
+ *   standard output type (BIP-141 vsize), so fees follow the real address mix.
+ * - Selects UTXOs, adds a change output unless it would be dust.
+ * - Serializes an unsigned BIP-174 PSBT for an external signer (hardware
+ *   wallet, Sparrow, any PSBT-capable wallet). Nothing is signed here.
+ * - Every input signals opt-in replace-by-fee (BIP-125), so a stuck send can
+ *   be fee-bumped (RBF) or pulled through by a child spending its change (CPFP).
+ *
+ * CONTRACT:
+ * - Amounts are BigInt satoshis; fee rates are sat/vB numbers.
+ * - Fee bumps start from a broadcast transaction as read from Esplora
+ *   (fetchBitcoinTransaction). RBF pays at least the original fee plus the
+ *   minimum relay fee for its own size; CPFP prices parent + child as one package.
+ * - Returns plain data: { tx } on success, { error, detail } on failure.
+ * - Never throws.
+ *
+ * ERROR CODES:
+ * - INVALID_RECIPIENT, INVALID_SENDER, UNSUPPORTED_INPUT_TYPE, INVALID_AMOUNT,
+ *   INVALID_FEE_RATE, DUST_OUTPUT, INSUFFICIENT_FUNDS, MISSING_PREV_TX, RPC_ERROR,
+ *   ALREADY_CONFIRMED, NOT_REPLACEABLE, NO_CHANGE_OUTPUT, NOT_FOUND
+ */
+
+import { base58CheckDecode } from './crypto/base58.js';
+import { decodeSegwitAddress } from './crypto/bech32.js';
+import { concatBytes, hexToBytes, bytesToHex, bytesToBase64 } from './crypto/bytes.js';
+import { parseUnits } from './units.js';
+
+export const BTC_DECIMALS = 8;
+export const ESPLORA_API_URL = 'https://mempool.space/api';
+
+// Sequence 0xfffffffd: final locktime, opts in to replace-by-fee (BIP-125)
+export const RBF_SEQUENCE = 0xfffffffd;
+const TX_VERSION = 2;
+const MIN_RELAY_FEE_RATE = 1; // sat/vB (BIP-125 rule 4 increment)
+
+/**
+ * Input sizes. `base` is non-witness bytes (outpoint 36 + scriptSig + sequence 4),
+ * `witness` is witness bytes (weight 1 each). Signatures use their maximum
+ * size (72-byte DER, 64-byte Schnorr) so the estimate never underpays.
+ */
+const INPUT_SIZES = Object.freeze({
+    p2pkh: { base: 148, witness: 0 },   // scriptSig: <sig 72> <pubkey 33>
+    p2wpkh: { base: 41, witness: 108 }, // witness: 2 items, <sig 72> <pubkey 33>
+    p2tr: { base: 41, witness: 66 }     // witness: 1 item, <schnorr sig 64> (key path)
+});
+
+// Output size: value 8 + script length 1 + scriptPubKey
+const OUTPUT_SIZES = Object.freeze({
+    p2pkh: 34,
+    p2sh: 32,
+    p2wpkh: 31,
+    p2wsh: 43,
+    p2tr: 43
+});
+
+// Bitcoin Core dust thresholds at the default 3 sat/vB dust relay fee
+export const DUST_LIMITS = Object.freeze({
+    p2pkh: 546n,
+    p2sh: 540n,
+    p2wpkh: 294n,
+    p2wsh: 330n,
+    p2tr: 330n
+});
+
+// APP_STATE.btcAddressType → the single-key output type of that wallet kind
+export const BTC_ADDRESS_TYPE_OUTPUTS = Object.freeze({
+    legacy: 'p2pkh',
+    segwit: 'p2wpkh',
+    taproot: 'p2tr'
+});
+
+const fail = (error, detail = null) => ({ error, detail });
+
+// --- Script + size helpers ---
+
+function varint(n) {
+    if (n < 0xfd) return Uint8Array.of(n);
+    if (n <= 0xffff) return Uint8Array.of(0xfd, n & 0xff, n >> 8);
+    return concatBytes(Uint8Array.of(0xfe), u32le(n));
+}
+
+function u32le(n) {
+    return Uint8Array.of(n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff);
+}
+
+function u64le(value) {
+    const out = new Uint8Array(8);
+    let v = BigInt(value);
+    for (let i = 0; i < 8; i++) {
+        out[i] = Number(v & 0xffn);
+        v >>= 8n;
+    }
+    return out;
+}
+
+const withLength = (bytes) => concatBytes(varint(bytes.length), bytes);
+
+/**
+ * scriptPubKey + output type for a mainnet or testnet address.
+ * @param {string} address
+ * @returns {{ script: Uint8Array, outputType: string }|null}
+ */
+export function scriptForAddress(address) {
+    if (typeof address !== 'string') return null;
+
+    const segwit = decodeSegwitAddress(address);
+    if (!segwit.reason) {
+        const { version, program } = segwit;
+        const opVersion = version === 0 ? 0x00 : 0x50 + version; // OP_0 / OP_1..OP_16
+        const script = concatBytes(Uint8Array.of(opVersion, program.length), program);
+        let outputType = null;
+        if (version === 0) outputType = program.length === 20 ? 'p2wpkh' : 'p2wsh';
+        else if (version === 1 && program.length === 32) outputType = 'p2tr';
+        return outputType ? { script, outputType } : null;
+    }
+
+    const { payload } = base58CheckDecode(address);
+    if (!payload || payload.length !== 21) return null;
+    const hash = payload.slice(1);
+
+    if (payload[0] === 0x00 || payload[0] === 0x6f) {
+        // OP_DUP OP_HASH160 <20> OP_EQUALVERIFY OP_CHECKSIG
+        return { script: concatBytes(Uint8Array.of(0x76, 0xa9, 0x14), hash, Uint8Array.of(0x88, 0xac)), outputType: 'p2pkh' };
+    }
+    if (payload[0] === 0x05 || payload[0] === 0xc4) {
+        // OP_HASH160 <20> OP_EQUAL
+        return { script: concatBytes(Uint8Array.of(0xa9, 0x14), hash, Uint8Array.of(0x87)), outputType: 'p2sh' };
+    }
+    return null;
+}
+
+/**
+ * Virtual size (BIP-141): ceil(weight / 4), weight = base * 4 + witness.
+ *
+ * @param {{ inputs: string[], outputs: string[] }} shape - Input / output types
+ * @returns {number} vbytes
+ */
+export function estimateVsize({ inputs, outputs }) {
+    const hasWitness = inputs.some(type => INPUT_SIZES[type].witness > 0);
+
+    let base = 4 + varint(inputs.length).length + varint(outputs.length).length + 4; // version, counts, locktime
+    let witness = hasWitness ? 2 : 0; // marker + flag
+
+    for (const type of inputs) {
+        base += INPUT_SIZES[type].base;
+        // A legacy input in a segwit tx still carries an empty witness stack (1 byte)
+        if (hasWitness) witness += INPUT_SIZES[type].witness || 1;
+    }
+    for (const type of outputs) base += OUTPUT_SIZES[type];
+
+    return Math.ceil((base * 4 + witness) / 4);
+}
+
+/**
+ * vsize of a typical Send: one input from the sender's wallet type,
+ * the recipient output, and change back to the sender.
+ *
+ * @param {string|null} btcAddressType - 'legacy' | 'segwit' | 'taproot' (defaults to segwit)
+ * @param {string|null} recipientOutputType - Recipient's output type (defaults to the sender's)
+ * @returns {number}
+ */
+export function estimateTransferVsize(btcAddressType, recipientOutputType) {
+    const spendType = BTC_ADDRESS_TYPE_OUTPUTS[btcAddressType] || BTC_ADDRESS_TYPE_OUTPUTS.segwit;
+    const recipientType = OUTPUT_SIZES[recipientOutputType] ? recipientOutputType : spendType;
+    return estimateVsize({ inputs: [spendType], outputs: [recipientType, spendType] });
+}
+
+const feeFor = (vsize, feeRate) => BigInt(Math.ceil(vsize * feeRate));
+
+// --- Coin selection ---
+
+/**
+ * Largest-first accumulation over effective values (value minus the input's
+ * own fee). Adds change when it clears the dust limit; otherwise the remainder
+ * goes to the fee.
+ *
+ * @param {Array<{ txid: string, vout: number, value: bigint }>} utxos
+ * @param {object} params
+ * @param {bigint} params.amount - Recipient amount (sats)
+ * @param {number} params.feeRate - sat/vB
+ * @param {string} params.inputType - Type of every input (sender wallet)
+ * @param {string} params.recipientType
+ * @param {string} params.changeType
+ * @returns {{ selected: object[], fee: bigint, change: bigint, vsize: number }|{ error: string, detail: string|null }}
+ */
+export function selectCoins(utxos, { amount, feeRate, inputType, recipientType, changeType }) {
+    const inputFee = feeFor(INPUT_SIZES[inputType].base + INPUT_SIZES[inputType].witness / 4, feeRate);
+    const candidates = utxos
+        .filter(u => u.value > inputFee) // Skip UTXOs that cost more to spend than they hold
+        .sort((a, b) => (b.value > a.value ? 1 : b.value < a.value ? -1 : 0));
+
+    const selected = [];
+    let total = 0n;
+
+    for (const utxo of candidates) {
+        selected.push(utxo);
+        total += utxo.value;
+
+        const inputs = selected.map(() => inputType);
+        const vsizeWithChange = estimateVsize({ inputs, outputs: [recipientType, changeType] });
+        const feeWithChange = feeFor(vsizeWithChange, feeRate);
+        const change = total - amount - feeWithChange;
+        if (change >= DUST_LIMITS[changeType]) {
+            return { selected, fee: feeWithChange, change, vsize: vsizeWithChange };
+        }
+
+        const vsizeNoChange = estimateVsize({ inputs, outputs: [recipientType] });
+        if (total >= amount + feeFor(vsizeNoChange, feeRate)) {
+            return { selected, fee: total - amount, change: 0n, vsize: vsizeNoChange };
+        }
+    }
+
+    return fail('INSUFFICIENT_FUNDS', `have ${total} sats`);
+}
+
+// --- PSBT (BIP-174) ---
+
+const PSBT_MAGIC = Uint8Array.of(0x70, 0x73, 0x62, 0x74, 0xff); // "psbt" 0xff
+const PSBT_GLOBAL_UNSIGNED_TX = 0x00;
+const PSBT_IN_NON_WITNESS_UTXO = 0x00;
+const PSBT_IN_WITNESS_UTXO = 0x01;
+const PSBT_SEPARATOR = Uint8Array.of(0x00);
+
+const psbtEntry = (keyType, value) => concatBytes(withLength(Uint8Array.of(keyType)), withLength(value));
+
+/**
+ * Unsigned transaction (legacy serialization, empty scriptSigs).
+ */
+export function serializeUnsignedTx(inputs, outputs, locktime = 0) {
+    return concatBytes(
+        u32le(TX_VERSION),
+        varint(inputs.length),
+        ...inputs.map(i => concatBytes(
+            hexToBytes(i.txid).reverse(), // txids display big-endian, serialize little-endian
+            u32le(i.vout),
+            varint(0),
+            u32le(RBF_SEQUENCE)
+        )),
+        varint(outputs.length),
+        ...outputs.map(o => concatBytes(u64le(o.value), withLength(o.script))),
+        u32le(locktime)
+    );
+}
+
+/**
+ * @param {object[]} inputs - { txid, vout, value, script, prevTxHex? }
+ * @param {object[]} outputs - { value, script }
+ * @param {string} inputType
+ * @returns {Uint8Array}
+ */
+export function serializePsbt(inputs, outputs, inputType) {
+    const inputMaps = inputs.map(i => concatBytes(
+        inputType === 'p2pkh'
+            ? psbtEntry(PSBT_IN_NON_WITNESS_UTXO, hexToBytes(i.prevTxHex))
+            : psbtEntry(PSBT_IN_WITNESS_UTXO, concatBytes(u64le(i.value), withLength(i.script))),
+        PSBT_SEPARATOR
+    ));
+
+    return concatBytes(
+        PSBT_MAGIC,
+        psbtEntry(PSBT_GLOBAL_UNSIGNED_TX, serializeUnsignedTx(inputs, outputs)),
+        PSBT_SEPARATOR,
+        ...inputMaps,
+        ...outputs.map(() => PSBT_SEPARATOR)
+    );
+}
+
+// --- Build ---
+
+/**
+ * Builds an unsigned PSBT from a TX_DRY_RUN object.
+ *
+ * @param {object} dryRun - { recipient, amountAsset }
+ * @param {object} params
+ * @param {string} params.from - Sender address (all UTXOs belong to it)
+ * @param {Array<{ txid: string, vout: number, value: bigint, prevTxHex?: string }>} params.utxos
+ * @param {number} params.feeRate - sat/vB
+ * @param {string} [params.changeAddress] - Defaults to `from`
+ * @returns {{ tx: object }|{ error: string, detail: string|null }}
+ */
+export function buildBitcoinTransaction(dryRun, { from, utxos, feeRate, changeAddress = from }) {
+    // 1. Addresses
+    const recipient = scriptForAddress(dryRun.recipient);
+    if (!recipient) return fail('INVALID_RECIPIENT');
+
+    const sender = scriptForAddress(from);
+    const change = scriptForAddress(changeAddress);
+    if (!sender || !change) return fail('INVALID_SENDER');
+    if (!INPUT_SIZES[sender.outputType]) return fail('UNSUPPORTED_INPUT_TYPE', sender.outputType);
+
+    // 2. Amount + fee rate
+    const amount = parseUnits(dryRun.amountAsset, BTC_DECIMALS);
+    if (amount === null || amount <= 0n) return fail('INVALID_AMOUNT', dryRun.amountAsset);
+    if (amount < DUST_LIMITS[recipient.outputType]) return fail('DUST_OUTPUT', `${amount} sats`);
+    if (!(feeRate > 0)) return fail('INVALID_FEE_RATE', String(feeRate));
+
+    // 3. Coin selection
+    const selection = selectCoins(utxos || [], {
+        amount,
+        feeRate,
+        inputType: sender.outputType,
+        recipientType: recipient.outputType,
+        changeType: change.outputType
+    });
+    if (selection.error) return selection;
+
+    if (sender.outputType === 'p2pkh' && selection.selected.some(u => !u.prevTxHex)) {
+        return fail('MISSING_PREV_TX'); // Legacy inputs need the full previous tx (BIP-174)
+    }
+
+    // 4. Inputs / outputs
+    const inputs = selection.selected.map(u => ({ ...u, script: sender.script }));
+    const outputs = [{ address: dryRun.recipient, value: amount, script: recipient.script }];
+    if (selection.change > 0n) {
+        outputs.push({ address: changeAddress, value: selection.change, script: change.script, isChange: true });
+    }
+
+    const psbt = serializePsbt(inputs, outputs, sender.outputType);
+
+    return {
+        tx: {
+            from,
+            to: dryRun.recipient,
+            amount,
+            inputs: inputs.map(({ txid, vout, value }) => ({ txid, vout, value })),
+            outputs: outputs.map(({ address, value, isChange }) => ({ address, value, isChange: !!isChange })),
+            fee: selection.fee,
+            feeRate,
+            vsize: selection.vsize,
+            rbf: true,
+            psbt,
+            psbtBase64: bytesToBase64(psbt),
+            psbtHex: bytesToHex(psbt)
+        }
+    };
+}
+
+// --- UTXO source (Esplora REST) ---
+
+/**
+ * Confirmed + unconfirmed UTXOs for an address. Legacy (P2PKH) UTXOs are
+ * returned with `prevTxHex`, which BIP-174 requires for non-witness inputs.
+ *
+ * @param {string} address
+ * @param {Function} [fetchImpl] - fetch-compatible function
+ * @returns {Promise<{ utxos: object[] }|{ error: string, detail: string|null }>}
+ */
+export async function fetchUtxos(address, fetchImpl = globalThis.fetch) {
+    const script = scriptForAddress(address);
+    if (!script) return fail('INVALID_SENDER');
+
+    try {
+        const response = await fetchImpl(`${ESPLORA_API_URL}/address/${address}/utxo`);
+        if (!response.ok) return fail('RPC_ERROR', `utxo: HTTP ${response.status}`);
+        const list = await response.json();
+
+        const utxos = [];
+        for (const u of list) {
+            const utxo = { txid: u.txid, vout: u.vout, value: BigInt(u.value) };
+            if (script.outputType === 'p2pkh') {
+                const txResponse = await fetchImpl(`${ESPLORA_API_URL}/tx/${u.txid}/hex`);
+                if (!txResponse.ok) return fail('MISSING_PREV_TX', u.txid);
+                utxo.prevTxHex = (await txResponse.text()).trim();
+            }
+            utxos.push(utxo);
+        }
+        return { utxos };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? err.message : 'utxo');
+    }
+}
+
+// --- Fee bumps (RBF / CPFP) ---
+
+/**
+ * A broadcast transaction from Esplora, shaped for fee bumping. Legacy
+ * (P2PKH) senders also get the raw hex of every transaction a bump would spend.
+ *
+ * @param {string} txid
+ * @param {Function} [fetchImpl]
+ * @returns {Promise<{ transaction: object }|{ error: string, detail: string|null }>}
+ *   transaction: { txid, from, inputs, outputs, fee, vsize, feeRate, rbf, confirmed, hex }
+ */
+export async function fetchBitcoinTransaction(txid, fetchImpl = globalThis.fetch) {
+    try {
+        const response = await fetchImpl(`${ESPLORA_API_URL}/tx/${txid}`);
+        if (response.status === 404) return fail('NOT_FOUND', txid);
+        if (!response.ok) return fail('RPC_ERROR', `tx: HTTP ${response.status}`);
+        const tx = await response.json();
+
+        const inputs = tx.vin.map(i => ({
+            txid: i.txid,
+            vout: i.vout,
+            value: BigInt(i.prevout.value),
+            address: i.prevout.scriptpubkey_address || null,
+            sequence: i.sequence
+        }));
+        const outputs = tx.vout.map((o, vout) => ({ vout, address: o.scriptpubkey_address || null, value: BigInt(o.value) }));
+        const vsize = Math.ceil(tx.weight / 4);
+        const from = inputs[0] ? inputs[0].address : null;
+
+        // BIP-174: non-witness inputs carry their whole previous transaction
+        let hex = null;
+        const sender = scriptForAddress(from);
+        if (sender && sender.outputType === 'p2pkh') {
+            const rawHex = async (id) => {
+                const raw = await fetchImpl(`${ESPLORA_API_URL}/tx/${id}/hex`);
+                return raw.ok ? (await raw.text()).trim() : null;
+            };
+            hex = await rawHex(txid);
+            for (const input of inputs) input.prevTxHex = await rawHex(input.txid);
+        }
+
+        return {
+            transaction: {
+                txid: tx.txid,
+                from,
+                inputs,
+                outputs,
+                fee: BigInt(tx.fee),
+                vsize,
+                feeRate: tx.fee / vsize,
+                rbf: inputs.some(i => i.sequence < 0xfffffffe),
+                confirmed: Boolean(tx.status && tx.status.confirmed),
+                hex
+            }
+        };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? err.message : 'tx');
+    }
+}
+
+/**
+ * Whether a broadcast transaction is the signed form of a built one (signers
+ * may not add or drop inputs; the same inputs cannot be spent twice).
+ *
+ * @param {object} built - buildBitcoinTransaction() tx
+ * @param {object} broadcast - fetchBitcoinTransaction() transaction
+ * @returns {boolean}
+ */
+export function spendsSameInputs(built, broadcast) {
+    const outpoints = (tx) => tx.inputs.map(i => `${i.txid}:${i.vout}`).sort();
+    const expected = outpoints(built);
+    const actual = outpoints(broadcast);
+    return expected.length === actual.length && expected.every((outpoint, i) => outpoint === actual[i]);
+}
+
+const feeRateOf = (fee, vsize) => Math.round((Number(fee) / vsize) * 10) / 10;
+
+function bumpResult(inputs, outputs, inputType, extra) {
+    const psbt = serializePsbt(inputs, outputs, inputType);
+    return {
+        tx: {
+            inputs: inputs.map(({ txid, vout, value }) => ({ txid, vout, value })),
+            outputs: outputs.map(({ address, value, isChange }) => ({ address, value, isChange: !!isChange })),
+            rbf: true,
+            ...extra,
+            psbt,
+            psbtBase64: bytesToBase64(psbt),
+            psbtHex: bytesToHex(psbt)
+        }
+    };
+}
+
+/**
+ * Replace-by-fee: same payments, higher fee. The change output pays the
+ * difference; when it cannot, it is dropped or extra UTXOs are added.
+ *
+ * @param {object} original - fetchBitcoinTransaction() transaction
+ * @param {object} params
+ * @param {number} params.feeRate - Target sat/vB (must beat the original's)
+ * @param {string} [params.changeAddress] - Defaults to the original sender
+ * @param {object[]} [params.utxos] - Extra UTXOs (fetchUtxos), used only if change is short
+ * @returns {{ tx: object }|{ error: string, detail: string|null }}
+ *   tx adds: replaces, fee, feeRate, vsize, addedFee, effectiveFeeRate
+ */
+export function buildFeeBumpTransaction(original, { feeRate, changeAddress = original.from, utxos = [] }) {
+    if (original.confirmed) return fail('ALREADY_CONFIRMED', original.txid);
+    if (!original.rbf) return fail('NOT_REPLACEABLE', original.txid);
+    if (!(feeRate > original.feeRate)) return fail('INVALID_FEE_RATE', `${feeRate} <= ${original.feeRate}`);
+
+    const sender = scriptForAddress(original.from);
+    const change = scriptForAddress(changeAddress);
+    if (!sender || !change) return fail('INVALID_SENDER');
+    if (!INPUT_SIZES[sender.outputType]) return fail('UNSUPPORTED_INPUT_TYPE', sender.outputType);
+
+    // Payments stay as they are; the old change output is rebuilt
+    const payments = original.outputs
+        .filter(o => o.address !== changeAddress)
+        .map(o => ({ ...o, ...scriptForAddress(o.address) }));
+    if (payments.some(o => !o.script)) return fail('INVALID_RECIPIENT');
+    const paid = payments.reduce((sum, o) => sum + o.value, 0n);
+
+    // BIP-125: pay for the new size at the target rate and beat the old fee by the relay minimum
+    const required = (vsize) => {
+        const atRate = feeFor(vsize, feeRate);
+        const overOld = original.fee + feeFor(vsize, MIN_RELAY_FEE_RATE);
+        return atRate > overOld ? atRate : overOld;
+    };
+
+    // Never spend the original's own outputs (they vanish with it)
+    const extra = utxos
+        .filter(u => u.txid !== original.txid && !original.inputs.some(i => i.txid === u.txid && i.vout === u.vout))
+        .sort((a, b) => (b.value > a.value ? 1 : b.value < a.value ? -1 : 0));
+    const inputs = original.inputs.map(i => ({ ...i, script: sender.script }));
+
+    for (let added = 0; added <= extra.length; added++) {
+        if (added > 0) inputs.push({ ...extra[added - 1], script: sender.script });
+        const total = inputs.reduce((sum, i) => sum + i.value, 0n);
+        const inputTypes = inputs.map(() => sender.outputType);
+        const payTypes = payments.map(o => o.outputType);
+
+        let vsize = estimateVsize({ inputs: inputTypes, outputs: [...payTypes, change.outputType] });
+        let fee = required(vsize);
+        const outputs = payments.map(({ address, value, script }) => ({ address, value, script }));
+        const changeValue = total - paid - fee;
+
+        if (changeValue >= DUST_LIMITS[change.outputType]) {
+            outputs.push({ address: changeAddress, value: changeValue, script: change.script, isChange: true });
+        } else {
+            vsize = estimateVsize({ inputs: inputTypes, outputs: payTypes });
+            if (total - paid < required(vsize)) continue;
+            fee = total - paid; // Dust change folded into the fee
+        }
+
+        if (sender.outputType === 'p2pkh' && inputs.some(i => !i.prevTxHex)) return fail('MISSING_PREV_TX');
+        return bumpResult(inputs, outputs, sender.outputType, {
+            replaces: original.txid,
+            fee,
+            feeRate,
+            vsize,
+            addedFee: fee - original.fee,
+            effectiveFeeRate: feeRateOf(fee, vsize)
+        });
+    }
+
+    return fail('INSUFFICIENT_FUNDS', 'change and extra UTXOs cannot cover the bump');
+}
+
+/**
+ * Child-pays-for-parent: spends the parent's change back to the sender with
+ * a fee that lifts parent + child to `feeRate` together.
+ *
+ * @param {object} parent - fetchBitcoinTransaction() transaction
+ * @param {{ feeRate: number, changeAddress?: string }} params
+ * @returns {{ tx: object }|{ error: string, detail: string|null }}
+ *   tx adds: parent, fee, feeRate, vsize, addedFee, effectiveFeeRate (package)
+ */
+export function buildCpfpTransaction(parent, { feeRate, changeAddress = parent.from }) {
+    if (parent.confirmed) return fail('ALREADY_CONFIRMED', parent.txid);
+    if (!(feeRate > parent.feeRate)) return fail('INVALID_FEE_RATE', `${feeRate} <= ${parent.feeRate}`);
+
+    const sender = scriptForAddress(changeAddress);
+    if (!sender) return fail('INVALID_SENDER');
+    if (!INPUT_SIZES[sender.outputType]) return fail('UNSUPPORTED_INPUT_TYPE', sender.outputType);
+
+    const spent = parent.outputs.find(o => o.address === changeAddress);
+    if (!spent) return fail('NO_CHANGE_OUTPUT', parent.txid);
+    if (sender.outputType === 'p2pkh' && !parent.hex) return fail('MISSING_PREV_TX');
+
+    const vsize = estimateVsize({ inputs: [sender.outputType], outputs: [sender.outputType] });
+    const packageFee = feeFor(parent.vsize + vsize, feeRate) - parent.fee;
+    const minimum = feeFor(vsize, MIN_RELAY_FEE_RATE);
+    const fee = packageFee > minimum ? packageFee : minimum;
+
+    const value = spent.value - fee;
+    if (value < DUST_LIMITS[sender.outputType]) return fail('INSUFFICIENT_FUNDS', `change ${spent.value} sats`);
+
+    return bumpResult(
+        [{ txid: parent.txid, vout: spent.vout, value: spent.value, script: sender.script, prevTxHex: parent.hex }],
+        [{ address: changeAddress, value, script: sender.script, isChange: true }],
+        sender.outputType,
+        {
+            parent: parent.txid,
+            fee,
+            feeRate,
+            vsize,
+            addedFee: fee,
+            effectiveFeeRate: feeRateOf(parent.fee + fee, parent.vsize + vsize)
+        }
+    );
+}
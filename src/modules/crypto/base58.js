@@ -0,0 +1,111 @@
+/**
+ * Base58 / Base58Check (Bitcoin alphabet)
+ *
+ * RESPONSIBILITY:
+ * - Encode/decode Base58 strings used by Solana keys and legacy Bitcoin addresses.
+ * - Verify the 4-byte double-SHA256 checksum of Base58Check payloads.
+ *
+ * RULES:
+ * - Decoding failures return null (never throw).
+ */
+
+import { sha256d } from './sha256.js';
+import { bytesEqual, concatBytes } from './bytes.js';
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ALPHABET_MAP = (() => {
+    const map = {};
+    for (let i = 0; i < ALPHABET.length; i++) map[ALPHABET[i]] = i;
+    return map;
+})();
+
+/**
+ * @param {string} str
+ * @returns {Uint8Array|null} Decoded bytes, or null on invalid characters
+ */
+export function base58Decode(str) {
+    if (typeof str !== 'string') return null;
+    if (str.length === 0) return new Uint8Array(0);
+
+    // Each leading '1' is a leading zero byte
+    let zeros = 0;
+    while (zeros < str.length && str[zeros] === '1') zeros++;
+
+    const bytes = []; // little-endian accumulator
+    for (let i = zeros; i < str.length; i++) {
+        const value = ALPHABET_MAP[str[i]];
+        if (value === undefined) return null;
+
+        let carry = value;
+        for (let j = 0; j < bytes.length; j++) {
+            carry += bytes[j] * 58;
+            bytes[j] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    const out = new Uint8Array(zeros + bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        out[out.length - 1 - i] = bytes[i];
+    }
+    return out;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base58Encode(bytes) {
+    let zeros = 0;
+    while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+    const digits = []; // little-endian base58 digits
+    for (let i = zeros; i < bytes.length; i++) {
+        let carry = bytes[i];
+        for (let j = 0; j < digits.length; j++) {
+            carry += digits[j] << 8;
+            digits[j] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+
+    let out = '1'.repeat(zeros);
+    for (let i = digits.length - 1; i >= 0; i--) out += ALPHABET[digits[i]];
+    return out;
+}
+
+/**
+ * Decodes and verifies a Base58Check string.
+ * @param {string} str
+ * @returns {{ payload: Uint8Array|null, reason: string|null }}
+ *   reason: 'bad_charset' | 'wrong_length' | 'bad_checksum' | null
+ */
+export function base58CheckDecode(str) {
+    const raw = base58Decode(str);
+    if (!raw) return { payload: null, reason: 'bad_charset' };
+    if (raw.length < 5) return { payload: null, reason: 'wrong_length' };
+
+    const payload = raw.slice(0, raw.length - 4);
+    const checksum = raw.slice(raw.length - 4);
+    const expected = sha256d(payload).slice(0, 4);
+
+    if (!bytesEqual(checksum, expected)) return { payload: null, reason: 'bad_checksum' };
+    return { payload, reason: null };
+}
+
+/**
+ * Encodes a payload with a trailing Base58Check checksum.
+ * @param {Uint8Array} payload
+ * @returns {string}
+ */
+export function base58CheckEncode(payload) {
+    return base58Encode(concatBytes(payload, sha256d(payload).slice(0, 4)));
+}
@@ -0,0 +1,167 @@
+/**
+ * Bech32 / Bech32m (BIP-173, BIP-350)
+ *
+ * RESPONSIBILITY:
+ * - Decode/encode segwit addresses and enforce witness-version rules.
+ *
+ * RULES:
+ * - Returns structured failure reasons instead of throwing.
+ * - Witness v0 MUST use bech32, v1+ MUST use bech32m.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+export const BECH32_ENCODING = Object.freeze({ BECH32: 'bech32', BECH32M: 'bech32m' });
+
+function polymod(values) {
+    let chk = 1;
+    for (const v of values) {
+        const top = chk >>> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ v;
+        for (let i = 0; i < 5; i++) {
+            if ((top >>> i) & 1) chk ^= GENERATOR[i];
+        }
+    }
+    return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+    const out = [];
+    for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) >> 5);
+    out.push(0);
+    for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) & 31);
+    return out;
+}
+
+/**
+ * Regroups bit arrays (e.g. 5-bit words <-> 8-bit bytes).
+ * @returns {number[]|null} null when padding is invalid
+ */
+export function convertBits(data, fromBits, toBits, pad) {
+    let acc = 0;
+    let bits = 0;
+    const out = [];
+    const maxv = (1 << toBits) - 1;
+
+    for (const value of data) {
+        if (value < 0 || value >> fromBits !== 0) return null;
+        acc = (acc << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            out.push((acc >> bits) & maxv);
+        }
+    }
+
+    if (pad) {
+        if (bits > 0) out.push((acc << (toBits - bits)) & maxv);
+    } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxv)) {
+        return null;
+    }
+    return out;
+}
+
+/**
+ * Raw bech32/bech32m decode.
+ * @param {string} str
+ * @returns {{ hrp: string, words: number[], encoding: string }|{ reason: string }}
+ */
+export function bech32Decode(str) {
+    if (typeof str !== 'string') return { reason: 'bad_format' };
+    if (str.length > 90) return { reason: 'wrong_length' };
+
+    const hasLower = str !== str.toUpperCase();
+    const hasUpper = str !== str.toLowerCase();
+    if (hasLower && hasUpper) return { reason: 'mixed_case' };
+
+    const lower = str.toLowerCase();
+    const sep = lower.lastIndexOf('1');
+    if (sep < 1 || sep + 7 > lower.length) return { reason: 'bad_format' };
+
+    const hrp = lower.slice(0, sep);
+    for (let i = 0; i < hrp.length; i++) {
+        const c = hrp.charCodeAt(i);
+        if (c < 33 || c > 126) return { reason: 'bad_charset' };
+    }
+
+    const words = [];
+    for (let i = sep + 1; i < lower.length; i++) {
+        const v = CHARSET.indexOf(lower[i]);
+        if (v === -1) return { reason: 'bad_charset' };
+        words.push(v);
+    }
+
+    const check = polymod(hrpExpand(hrp).concat(words));
+    let encoding = null;
+    if (check === BECH32_CONST) encoding = BECH32_ENCODING.BECH32;
+    else if (check === BECH32M_CONST) encoding = BECH32_ENCODING.BECH32M;
+    else return { reason: 'bad_checksum' };
+
+    return { hrp, words: words.slice(0, words.length - 6), encoding };
+}
+
+/**
+ * Raw bech32/bech32m encode.
+ * @param {string} hrp
+ * @param {number[]} words - 5-bit values
+ * @param {string} encoding - BECH32_ENCODING value
+ * @returns {string}
+ */
+export function bech32Encode(hrp, words, encoding) {
+    const constant = encoding === BECH32_ENCODING.BECH32M ? BECH32M_CONST : BECH32_CONST;
+    const values = hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0]);
+    const mod = polymod(values) ^ constant;
+
+    let out = hrp + '1';
+    for (const w of words) out += CHARSET[w];
+    for (let i = 0; i < 6; i++) out += CHARSET[(mod >>> (5 * (5 - i))) & 31];
+    return out;
+}
+
+/**
+ * Decodes a segwit address and enforces BIP-173/BIP-350 rules.
+ * HRP is returned as-is; network policy belongs to the caller.
+ *
+ * @param {string} address
+ * @returns {{ hrp: string, version: number, program: Uint8Array }|{ reason: string, hrp?: string }}
+ *   reason: 'bad_format' | 'bad_charset' | 'mixed_case' | 'wrong_length' | 'bad_checksum'
+ *         | 'bad_witness_version' | 'wrong_encoding' | 'bad_padding'
+ */
+export function decodeSegwitAddress(address) {
+    const decoded = bech32Decode(address);
+    if (decoded.reason) return decoded;
+
+    const { hrp, words, encoding } = decoded;
+    if (words.length < 1) return { reason: 'bad_format', hrp };
+
+    const version = words[0];
+    if (version > 16) return { reason: 'bad_witness_version', hrp };
+
+    const expectedEncoding = version === 0 ? BECH32_ENCODING.BECH32 : BECH32_ENCODING.BECH32M;
+    if (encoding !== expectedEncoding) return { reason: 'wrong_encoding', hrp };
+
+    const program = convertBits(words.slice(1), 5, 8, false);
+    if (!program) return { reason: 'bad_padding', hrp };
+    if (program.length < 2 || program.length > 40) return { reason: 'wrong_length', hrp };
+    if (version === 0 && program.length !== 20 && program.length !== 32) {
+        return { reason: 'wrong_length', hrp };
+    }
+
+    return { hrp, version, program: Uint8Array.from(program) };
+}
+
+/**
+ * Encodes a witness program as a segwit address.
+ * @param {string} hrp
+ * @param {number} version
+ * @param {Uint8Array} program
+ * @returns {string}
+ */
+export function encodeSegwitAddress(hrp, version, program) {
+    const words = [version].concat(convertBits(Array.from(program), 8, 5, true));
+    const encoding = version === 0 ? BECH32_ENCODING.BECH32 : BECH32_ENCODING.BECH32M;
+    return bech32Encode(hrp, words, encoding);
+}
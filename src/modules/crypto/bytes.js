@@ -0,0 +1,108 @@
+/**
+ * Byte Helpers
+ *
+ * RESPONSIBILITY:
+ * - Conversions between hex / UTF-8 / base64 strings and Uint8Array.
+ * - Shared by the hashing/encoding primitives in this folder.
+ *
+ * RULES:
+ * - Pure functions, no DOM, no network.
+ * - Invalid input returns null instead of throwing.
+ */
+
+/**
+ * Converts a hex string (with or without 0x) to bytes.
+ * @param {string} hex
+ * @returns {Uint8Array|null}
+ */
+export function hexToBytes(hex) {
+    if (typeof hex !== 'string') return null;
+    let clean = hex.startsWith('0x') || hex.startsWith('0X') ? hex.slice(2) : hex;
+    if (clean.length % 2 !== 0) clean = '0' + clean;
+    if (!/^[0-9a-fA-F]*$/.test(clean)) return null;
+
+    const out = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return out;
+}
+
+/**
+ * Converts bytes to a lowercase hex string (no 0x prefix).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToHex(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i++) {
+        out += bytes[i].toString(16).padStart(2, '0');
+    }
+    return out;
+}
+
+/**
+ * Encodes a JS string as UTF-8 bytes.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function utf8ToBytes(str) {
+    return new TextEncoder().encode(str);
+}
+
+/**
+ * Encodes bytes as standard (padded) base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+/**
+ * Decodes standard base64.
+ * @param {string} base64
+ * @returns {Uint8Array|null} null when malformed
+ */
+export function base64ToBytes(base64) {
+    let binary;
+    try {
+        binary = atob(base64);
+    } catch (e) {
+        return null;
+    }
+    const out = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+    return out;
+}
+
+/**
+ * Concatenates any number of byte arrays.
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+    const total = parts.reduce((sum, p) => sum + p.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+/**
+ * Constant-shape equality check for two byte arrays.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+export function bytesEqual(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
@@ -0,0 +1,63 @@
+/**
+ * Ed25519 Curve Membership
+ *
+ * RESPONSIBILITY:
+ * - Decides whether 32 bytes decompress to a point on the ed25519 curve.
+ * - Used for Solana program-derived addresses, which MUST be off-curve
+ *   (no private key can exist for them).
+ *
+ * NOTE:
+ * - Membership only; no signing or key handling lives in this app.
+ */
+
+const P = 2n ** 255n - 19n;
+
+function mod(a) {
+    const r = a % P;
+    return r >= 0n ? r : r + P;
+}
+
+function modPow(base, exp) {
+    let result = 1n;
+    let b = mod(base);
+    let e = exp;
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % P;
+        b = (b * b) % P;
+        e >>= 1n;
+    }
+    return result;
+}
+
+function modInv(a) {
+    return modPow(a, P - 2n); // Fermat: P is prime
+}
+
+// d = -121665 / 121666
+const D = mod(-121665n * modInv(121666n));
+
+/**
+ * @param {Uint8Array} bytes - 32-byte compressed point (little-endian y, sign bit in MSB)
+ * @returns {boolean}
+ */
+export function isOnCurve(bytes) {
+    if (!bytes || bytes.length !== 32) return false;
+
+    // Little-endian y with the x-sign bit cleared
+    let y = 0n;
+    for (let i = 31; i >= 0; i--) {
+        y = (y << 8n) | BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+    }
+    if (y >= P) return false;
+
+    // x^2 = (y^2 - 1) / (d*y^2 + 1)
+    const y2 = (y * y) % P;
+    const u = mod(y2 - 1n);
+    const v = mod(D * y2 + 1n);
+    const x2 = (u * modInv(v)) % P;
+
+    if (x2 === 0n) return true;
+
+    // Euler's criterion: x2 is a square mod P
+    return modPow(x2, (P - 1n) / 2n) === 1n;
+}
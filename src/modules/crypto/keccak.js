@@ -0,0 +1,120 @@
+/**
+ * Keccak-256 (Ethereum flavour, NOT NIST SHA3-256)
+ *
+ * RESPONSIBILITY:
+ * - Synchronous keccak256 used for EIP-55 checksums, ABI selectors and ENS namehash.
+ *
+ * NOTE:
+ * - Lanes are held as BigInt. Throughput is low but the app only hashes
+ *   short inputs (addresses, names, selectors), so clarity wins here.
+ */
+
+import { utf8ToBytes, bytesToHex } from './bytes.js';
+
+const MASK_64 = (1n << 64n) - 1n;
+const RATE_BYTES = 136; // 1088-bit rate for 256-bit output
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed by x + 5y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+
+function rotl(x, n) {
+    if (n === 0) return x;
+    const s = BigInt(n);
+    return ((x << s) | (x >> (64n - s))) & MASK_64;
+}
+
+function keccakF(state) {
+    const C = new Array(5);
+    const B = new Array(25);
+
+    for (let round = 0; round < 24; round++) {
+        // θ
+        for (let x = 0; x < 5; x++) {
+            C[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const D = C[(x + 4) % 5] ^ rotl(C[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) state[x + y] ^= D;
+        }
+
+        // ρ + π
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                B[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+            }
+        }
+
+        // χ
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = B[x + y] ^ ((~B[((x + 1) % 5) + y] & MASK_64) & B[((x + 2) % 5) + y]);
+            }
+        }
+
+        // ι
+        state[0] ^= ROUND_CONSTANTS[round];
+    }
+}
+
+/**
+ * Keccak-256 digest.
+ * @param {Uint8Array|string} input - Bytes, or a string hashed as UTF-8
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function keccak256(input) {
+    const data = typeof input === 'string' ? utf8ToBytes(input) : input;
+
+    // Keccak padding (0x01 ... 0x80), not SHA3 (0x06)
+    const padLength = RATE_BYTES - (data.length % RATE_BYTES);
+    const padded = new Uint8Array(data.length + padLength);
+    padded.set(data);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+
+    for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+        for (let i = 0; i < RATE_BYTES / 8; i++) {
+            let lane = 0n;
+            for (let b = 7; b >= 0; b--) {
+                lane = (lane << 8n) | BigInt(padded[offset + i * 8 + b]);
+            }
+            state[i] ^= lane;
+        }
+        keccakF(state);
+    }
+
+    const out = new Uint8Array(32);
+    for (let i = 0; i < 4; i++) {
+        let lane = state[i];
+        for (let b = 0; b < 8; b++) {
+            out[i * 8 + b] = Number(lane & 0xffn);
+            lane >>= 8n;
+        }
+    }
+    return out;
+}
+
+/**
+ * Keccak-256 digest as lowercase hex (no 0x).
+ * @param {Uint8Array|string} input
+ * @returns {string}
+ */
+export function keccak256Hex(input) {
+    return bytesToHex(keccak256(input));
+}
@@ -0,0 +1,51 @@
+/**
+ * RLP (Recursive Length Prefix) Encoding
+ *
+ * RESPONSIBILITY:
+ * - Encodes byte strings and nested lists per the Ethereum Yellow Paper (Appendix B).
+ * - Used to serialize unsigned EIP-1559 transactions for L1 data-fee oracles.
+ *
+ * NOTE:
+ * - Encode only; nothing in this app needs to decode RLP.
+ */
+
+import { concatBytes, hexToBytes } from './bytes.js';
+
+function lengthBytes(n) {
+    const out = [];
+    while (n > 0) {
+        out.unshift(n & 0xff);
+        n = Math.floor(n / 256);
+    }
+    return Uint8Array.from(out);
+}
+
+function encodeLength(length, offset) {
+    if (length < 56) return Uint8Array.of(offset + length);
+    const len = lengthBytes(length);
+    return concatBytes(Uint8Array.of(offset + 55 + len.length), len);
+}
+
+/**
+ * Minimal big-endian bytes for a non-negative integer (0 → empty string).
+ * @param {bigint|number} value
+ * @returns {Uint8Array}
+ */
+export function integerToBytes(value) {
+    const v = BigInt(value);
+    if (v === 0n) return new Uint8Array(0);
+    return hexToBytes(v.toString(16));
+}
+
+/**
+ * @param {Uint8Array|Array} item - Byte string or (nested) list of items
+ * @returns {Uint8Array}
+ */
+export function rlpEncode(item) {
+    if (Array.isArray(item)) {
+        const payload = concatBytes(...item.map(rlpEncode));
+        return concatBytes(encodeLength(payload.length, 0xc0), payload);
+    }
+    if (item.length === 1 && item[0] < 0x80) return item;
+    return concatBytes(encodeLength(item.length, 0x80), item);
+}
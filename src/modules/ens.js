@@ -0,0 +1,218 @@
+/**
+ * ENS Resolution (Ethereum Name Service)
+ *
+ * RESPONSIBILITY:
+ * - Forward resolution: name → address (registry.resolver → resolver.addr).
+ * - Reverse resolution: address → primary name (<addr>.addr.reverse → resolver.name),
+ *   accepted only when the name resolves forward to the same address.
+ * - Text records (ENSIP-5) and the avatar record turned into a displayable URL.
+ *
+ * CONTRACT:
+ * - Raw eth_call against mainnet contracts; no ethers.js. The provider is passed
+ *   in (a public mainnet node in the app, a stand-in in verify-ens.mjs).
+ * - Names are normalised to lowercase ASCII labels (a-z, 0-9, '-', '_').
+ *   Anything else needs full ENSIP-15 normalisation and is INVALID_NAME.
+ * - Wildcard (ENSIP-10) and offchain (CCIP-read) resolvers are not followed.
+ * - Returns { address } / { name } / { value } / { avatar } or { error, detail }.
+ *   Never throws.
+ *
+ * ERROR CODES:
+ * - INVALID_NAME, INVALID_ADDRESS, NO_RESOLVER, NOT_FOUND, UNVERIFIED,
+ *   UNSUPPORTED_AVATAR, RPC_ERROR
+ */
+
+import { keccak256 } from './crypto/keccak.js';
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from './crypto/bytes.js';
+import { toChecksumAddress } from './address-validation.js';
+
+// Same address on mainnet and testnets (ENS registry with fallback)
+export const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+
+// 4-byte selectors (keccak256 of the signature)
+const SELECTORS = Object.freeze({
+    resolver: '0178b8bf', // resolver(bytes32)
+    addr: '3b3b57de',     // addr(bytes32)
+    name: '691f3431',     // name(bytes32)
+    text: '59d1d43c'      // text(bytes32,string)
+});
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+const LABEL_PATTERN = /^[a-z0-9_-]+$/;
+const ZERO_WORD = '0'.repeat(64);
+
+const fail = (error, detail = null) => ({ error, detail });
+
+/**
+ * True when the input looks like an ENS name Send should resolve.
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function isEnsName(input) {
+    return typeof input === 'string' && /^[^\s.]+(\.[^\s.]+)*\.eth$/i.test(input.trim());
+}
+
+/**
+ * @param {string} name
+ * @returns {{ name: string }|{ error: string, detail: string|null }}
+ */
+export function normalizeEnsName(name) {
+    if (typeof name !== 'string') return fail('INVALID_NAME');
+    const normalized = name.trim().toLowerCase();
+    const labels = normalized.split('.');
+    if (!normalized || labels.some(l => !l)) return fail('INVALID_NAME', 'empty label');
+    if (!labels.every(l => LABEL_PATTERN.test(l))) return fail('INVALID_NAME', 'unsupported characters');
+    return { name: normalized };
+}
+
+/**
+ * EIP-137 namehash of an already-normalised name.
+ * @param {string} name
+ * @returns {string} 0x + 64 hex
+ */
+export function namehash(name) {
+    let node = new Uint8Array(32);
+    if (name) {
+        const labels = name.split('.');
+        for (let i = labels.length - 1; i >= 0; i--) {
+            node = keccak256(concatBytes(node, keccak256(labels[i])));
+        }
+    }
+    return '0x' + bytesToHex(node);
+}
+
+/**
+ * Node of the reverse record for an address.
+ * @param {string} address - 0x address
+ * @returns {string} 0x + 64 hex
+ */
+export function reverseNode(address) {
+    return namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+}
+
+// --- ABI ---
+
+const word = (hex) => hex.padStart(64, '0');
+
+function encodeString(value) {
+    const hex = bytesToHex(utf8ToBytes(value));
+    const padded = hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+    return word((hex.length / 2).toString(16)) + padded;
+}
+
+function decodeAddress(result) {
+    const hex = typeof result === 'string' ? result.replace(/^0x/, '') : '';
+    if (hex.length < 64 || hex.slice(0, 64) === ZERO_WORD) return null;
+    return toChecksumAddress('0x' + hex.slice(24, 64));
+}
+
+function decodeString(result) {
+    const hex = typeof result === 'string' ? result.replace(/^0x/, '') : '';
+    if (hex.length < 128) return '';
+    const offset = parseInt(hex.slice(0, 64), 16) * 2;
+    const length = parseInt(hex.slice(offset, offset + 64), 16);
+    const bytes = hexToBytes(hex.slice(offset + 64, offset + 64 + length * 2));
+    return bytes && bytes.length === length ? new TextDecoder().decode(bytes) : '';
+}
+
+async function call(provider, to, data) {
+    try {
+        return { result: await provider.request({ method: 'eth_call', params: [{ to, data: '0x' + data }, 'latest'] }) };
+    } catch (err) {
+        return fail('RPC_ERROR', (err && err.message) || 'eth_call failed');
+    }
+}
+
+async function findResolver(provider, node) {
+    const res = await call(provider, ENS_REGISTRY, SELECTORS.resolver + node.slice(2));
+    if (res.error) return res;
+    const resolver = decodeAddress(res.result);
+    return resolver ? { resolver } : fail('NO_RESOLVER');
+}
+
+// --- Resolution ---
+
+/**
+ * Forward resolution.
+ * @param {object} provider - EIP-1193 provider on Ethereum mainnet
+ * @param {string} name - e.g. 'vitalik.eth'
+ * @returns {Promise<{ address: string, name: string }|{ error: string, detail: string|null }>}
+ */
+export async function resolveName(provider, name) {
+    const normalized = normalizeEnsName(name);
+    if (normalized.error) return normalized;
+
+    const node = namehash(normalized.name);
+    const found = await findResolver(provider, node);
+    if (found.error) return found;
+
+    const res = await call(provider, found.resolver, SELECTORS.addr + node.slice(2));
+    if (res.error) return res;
+    const address = decodeAddress(res.result);
+    return address ? { address, name: normalized.name } : fail('NOT_FOUND', normalized.name);
+}
+
+/**
+ * Reverse resolution with forward verification (the primary name must
+ * resolve back to `address`, otherwise anyone could claim it).
+ * @param {object} provider - EIP-1193 provider on Ethereum mainnet
+ * @param {string} address - 0x address
+ * @returns {Promise<{ name: string }|{ error: string, detail: string|null }>}
+ */
+export async function lookupAddress(provider, address) {
+    const checksummed = toChecksumAddress(address);
+    if (!checksummed) return fail('INVALID_ADDRESS', address);
+
+    const node = reverseNode(checksummed);
+    const found = await findResolver(provider, node);
+    if (found.error) return found;
+
+    const res = await call(provider, found.resolver, SELECTORS.name + node.slice(2));
+    if (res.error) return res;
+    const name = decodeString(res.result);
+    if (!name) return fail('NOT_FOUND', checksummed);
+
+    const forward = await resolveName(provider, name);
+    if (forward.error) return forward.error === 'RPC_ERROR' ? forward : fail('UNVERIFIED', name);
+    if (forward.address !== checksummed) return fail('UNVERIFIED', name);
+    return { name: forward.name };
+}
+
+/**
+ * ENSIP-5 text record.
+ * @param {object} provider - EIP-1193 provider on Ethereum mainnet
+ * @param {string} name
+ * @param {string} key - e.g. 'avatar', 'url', 'com.twitter'
+ * @returns {Promise<{ value: string }|{ error: string, detail: string|null }>}
+ */
+export async function getTextRecord(provider, name, key) {
+    const normalized = normalizeEnsName(name);
+    if (normalized.error) return normalized;
+
+    const node = namehash(normalized.name);
+    const found = await findResolver(provider, node);
+    if (found.error) return found;
+
+    const data = SELECTORS.text + node.slice(2) + word('40') + encodeString(key);
+    const res = await call(provider, found.resolver, data);
+    if (res.error) return res;
+    const value = decodeString(res.result);
+    return value ? { value } : fail('NOT_FOUND', key);
+}
+
+/**
+ * Avatar record as a URL an <img> can load.
+ * https and data:image are used as-is, ipfs:// goes through a public gateway.
+ * NFT avatars (eip155:…/erc721:…) need a token metadata fetch and are not supported.
+ * @param {object} provider - EIP-1193 provider on Ethereum mainnet
+ * @param {string} name
+ * @returns {Promise<{ avatar: string }|{ error: string, detail: string|null }>}
+ */
+export async function resolveAvatar(provider, name) {
+    const record = await getTextRecord(provider, name, 'avatar');
+    if (record.error) return record;
+
+    const value = record.value.trim();
+    if (/^https:\/\//i.test(value) || /^data:image\//i.test(value)) return { avatar: value };
+    if (/^ipfs:\/\//i.test(value)) return { avatar: IPFS_GATEWAY + value.replace(/^ipfs:\/\/(ipfs\/)?/i, '') };
+    return fail('UNSUPPORTED_AVATAR', value);
+}
@@ -0,0 +1,86 @@
+/**
+ * EVM Chain Registry
+ *
+ * RESPONSIBILITY:
+ * - One entry per EVM chain Send supports: EIP-155 chain id, Send names,
+ *   public RPC, block explorer, native currency and testnet flag.
+ * - Maps Send chain names (overlay + detection variants) to chain ids.
+ * - Builds `wallet_addEthereumChain` (EIP-3085) parameters.
+ * - Pure data + lookups (no DOM, no network).
+ *
+ * Shared by payment-uri.js (EIP-681 parsing), evm-transaction.js (tx building),
+ * token-registry.js (chain references), network-switch.js (switch / add),
+ * WalletService.js (network labels), send.js (gas-oracle endpoints) and
+ * tx-history.js (receipt polling).
+ * Token contracts live in token-registry.js.
+ */
+
+const ETHER = Object.freeze({ name: 'Ether', symbol: 'ETH', decimals: 18 });
+
+// blockTime: average seconds per block (gas-oracle ETAs)
+// rpcUrl: public read-only endpoint (fee data; the wallet still signs and submits)
+// explorerUrl: block explorer root (no trailing slash)
+// rollup: L1 data-fee model (l2-fees.js); absent on L1s
+// confirmations: blocks (including the tx's own) before history marks a send Confirmed (tx-history.js)
+export const EVM_CHAINS = Object.freeze([
+    { chainId: 1, name: 'Ethereum Mainnet', aliases: ['Ethereum', 'Mainnet'], blockTime: 12, confirmations: 2, rpcUrl: 'https://ethereum-rpc.publicnode.com', explorerUrl: 'https://etherscan.io', nativeCurrency: ETHER, testnet: false },
+    { chainId: 10, name: 'Optimism', aliases: ['OP Mainnet'], blockTime: 2, confirmations: 1, rpcUrl: 'https://mainnet.optimism.io', explorerUrl: 'https://optimistic.etherscan.io', nativeCurrency: ETHER, testnet: false, rollup: 'op-stack' },
+    { chainId: 137, name: 'Polygon', aliases: ['Polygon PoS'], blockTime: 2, confirmations: 5, rpcUrl: 'https://polygon-rpc.com', explorerUrl: 'https://polygonscan.com', nativeCurrency: Object.freeze({ name: 'POL', symbol: 'POL', decimals: 18 }), testnet: false },
+    { chainId: 8453, name: 'Base', aliases: [], blockTime: 2, confirmations: 1, rpcUrl: 'https://mainnet.base.org', explorerUrl: 'https://basescan.org', nativeCurrency: ETHER, testnet: false, rollup: 'op-stack' },
+    { chainId: 42161, name: 'Arbitrum One', aliases: ['Arbitrum'], blockTime: 0.25, confirmations: 1, rpcUrl: 'https://arb1.arbitrum.io/rpc', explorerUrl: 'https://arbiscan.io', nativeCurrency: ETHER, testnet: false, rollup: 'arbitrum' },
+    { chainId: 59144, name: 'Linea', aliases: [], blockTime: 2, confirmations: 1, rpcUrl: 'https://rpc.linea.build', explorerUrl: 'https://lineascan.build', nativeCurrency: ETHER, testnet: false, rollup: 'linea' },
+    { chainId: 534352, name: 'Scroll', aliases: [], blockTime: 3, confirmations: 1, rpcUrl: 'https://rpc.scroll.io', explorerUrl: 'https://scrollscan.com', nativeCurrency: ETHER, testnet: false, rollup: 'scroll' },
+    { chainId: 11155111, name: 'Sepolia', aliases: [], blockTime: 12, confirmations: 1, rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com', explorerUrl: 'https://sepolia.etherscan.io', nativeCurrency: Object.freeze({ name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 }), testnet: true }
+]);
+
+/**
+ * @param {string} name - Send chain name (case-insensitive, aliases accepted)
+ * @returns {number|null}
+ */
+export function chainIdForName(name) {
+    if (!name) return null;
+    const n = name.toString().trim().toLowerCase();
+    const chain = EVM_CHAINS.find(c =>
+        c.name.toLowerCase() === n || c.aliases.some(a => a.toLowerCase() === n));
+    return chain ? chain.chainId : null;
+}
+
+/**
+ * @param {number} chainId
+ * @returns {object|null} EVM_CHAINS entry
+ */
+export function findChainById(chainId) {
+    return EVM_CHAINS.find(c => c.chainId === chainId) || null;
+}
+
+/**
+ * @param {number} chainId
+ * @returns {string|null} Canonical Send chain name
+ */
+export function chainNameForId(chainId) {
+    const chain = findChainById(chainId);
+    return chain ? chain.name : null;
+}
+
+/**
+ * @param {number} chainId
+ * @returns {string} 0x-prefixed hex chain id (wallet RPC format)
+ */
+export function toHexChainId(chainId) {
+    return `0x${chainId.toString(16)}`;
+}
+
+/**
+ * EIP-3085 parameters for `wallet_addEthereumChain`.
+ * @param {object} chain - EVM_CHAINS entry
+ * @returns {object}
+ */
+export function addEthereumChainParams(chain) {
+    return {
+        chainId: toHexChainId(chain.chainId),
+        chainName: chain.name,
+        nativeCurrency: { ...chain.nativeCurrency },
+        rpcUrls: [chain.rpcUrl],
+        blockExplorerUrls: [chain.explorerUrl]
+    };
+}
@@ -0,0 +1,357 @@
+/**
+ * EVM Transaction Builder
+ *
+ * RESPONSIBILITY:
+ * - Turns the slider's TX_DRY_RUN object into a complete EIP-1559 transaction
+ *   (native ETH transfer or ERC-20 `transfer`).
+ * - Submits it through an EIP-1193 provider via `eth_sendTransaction`.
+ * - Replacements for a stuck transaction (same nonce): speed-up rebroadcasts
+ *   it with bumped fees, cancel sends a zero-value self-transfer.
+ *
+ * CONTRACT:
+ * - The provider is always passed in (the selected EIP-6963 wallet in the app, a mock in
+ *   verify-evm-transaction.mjs). No globals are read here.
+ * - Replacement fees are at least REPLACEMENT_BUMP_PERCENT of the original's
+ *   maxFeePerGas and maxPriorityFeePerGas (node replacement minimum), raised to
+ *   the given gas tier when that is higher.
+ * - Cancel gas is estimated for the self-transfer (L2s such as Arbitrum charge
+ *   their L1 component as gas on top of 21000); without an estimate the
+ *   original's limit is reused when higher.
+ * - Returns plain data: { tx } / { hash, tx } on success, { error, detail } on failure.
+ * - Never throws.
+ *
+ * ERROR CODES:
+ * - PROVIDER_NOT_FOUND, NO_ACCOUNT, UNSUPPORTED_CHAIN, UNSUPPORTED_ASSET,
+ *   CHAIN_MISMATCH, INVALID_AMOUNT, INVALID_RECIPIENT, GAS_ESTIMATION_FAILED,
+ *   FEE_DATA_UNAVAILABLE, USER_REJECTED, RPC_ERROR, ACCOUNT_MISMATCH,
+ *   INVALID_REPLACEMENT
+ */
+
+import { chainIdForName } from './evm-chains.js';
+import { findToken } from './token-registry.js';
+import { validateEthereumAddress } from './address-validation.js';
+import { parseUnits } from './units.js';
+
+export const ERC20_TRANSFER_SELECTOR = '0xa9059cbb';
+
+export const REPLACEMENT_KINDS = Object.freeze({ SPEED_UP: 'speed-up', CANCEL: 'cancel' });
+export const REPLACEMENT_BUMP_PERCENT = 110n; // geth txpool price bump (+10%)
+
+const NATIVE_TRANSFER_GAS = 21000n;
+const GAS_LIMIT_BUFFER_PERCENT = 120n; // +20% headroom for contract execution
+const BASE_FEE_MULTIPLIER = 2n; // Survives ~6 consecutive full blocks
+const FALLBACK_PRIORITY_FEE = 1500000000n; // 1.5 gwei
+const USER_REJECTED_CODE = 4001; // EIP-1193
+
+const fail = (error, detail = null) => ({ error, detail });
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * @param {bigint} value
+ * @returns {string} JSON-RPC QUANTITY ("0x0", "0x5208")
+ */
+export function toQuantity(value) {
+    return '0x' + value.toString(16);
+}
+
+function toBigInt(quantity) {
+    if (quantity === null || quantity === undefined) return null;
+    try {
+        return BigInt(quantity);
+    } catch (e) {
+        return null;
+    }
+}
+
+function pad32(hex) {
+    return hex.padStart(64, '0');
+}
+
+/**
+ * ABI-encodes `transfer(address,uint256)`.
+ * @param {string} to - 0x address
+ * @param {bigint} amount - Base units
+ * @returns {string} 0x calldata
+ */
+export function encodeErc20Transfer(to, amount) {
+    return ERC20_TRANSFER_SELECTOR +
+        pad32(to.slice(2).toLowerCase()) +
+        pad32(amount.toString(16));
+}
+
+/**
+ * Gas limit submitted for an estimate: plain transfers are exact, anything
+ * heavier gets GAS_LIMIT_BUFFER_PERCENT headroom.
+ * @param {bigint} estimatedGas
+ * @returns {bigint}
+ */
+export function gasLimitWithBuffer(estimatedGas) {
+    return estimatedGas > NATIVE_TRANSFER_GAS
+        ? (estimatedGas * GAS_LIMIT_BUFFER_PERCENT) / 100n
+        : estimatedGas;
+}
+
+async function rpc(provider, method, params = []) {
+    try {
+        return { result: await provider.request({ method, params }) };
+    } catch (err) {
+        if (err && err.code === USER_REJECTED_CODE) return fail('USER_REJECTED', err.message);
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+/**
+ * Current EIP-1559 fee suggestion from the node:
+ * maxFee = baseFee * 2 + priorityFee.
+ */
+async function fetchFeeData(provider) {
+    const block = await rpc(provider, 'eth_getBlockByNumber', ['latest', false]);
+    const baseFee = block.result ? toBigInt(block.result.baseFeePerGas) : null;
+    if (baseFee === null) return fail('FEE_DATA_UNAVAILABLE', 'baseFeePerGas missing (pre-London chain?)');
+
+    const tip = await rpc(provider, 'eth_maxPriorityFeePerGas');
+    const priorityFee = toBigInt(tip.result) ?? FALLBACK_PRIORITY_FEE;
+
+    return {
+        maxPriorityFeePerGas: priorityFee,
+        maxFeePerGas: baseFee * BASE_FEE_MULTIPLIER + priorityFee
+    };
+}
+
+/**
+ * Resolves the sending account (already-authorized accounts first).
+ * @returns {Promise<{ from: string }|{ error: string }>}
+ */
+export async function resolveSender(provider) {
+    if (!provider || typeof provider.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+
+    let res = await rpc(provider, 'eth_accounts');
+    if (res.error) return res;
+    if (!res.result || res.result.length === 0) {
+        res = await rpc(provider, 'eth_requestAccounts');
+        if (res.error) return res;
+    }
+
+    const from = res.result && res.result[0];
+    return from ? { from } : fail('NO_ACCOUNT');
+}
+
+/**
+ * Builds a complete EIP-1559 transaction from a TX_DRY_RUN object.
+ *
+ * @param {object} dryRun - { chain, asset, recipient, amountAsset }
+ * @param {object} provider - EIP-1193 provider
+ * @param {object} [options]
+ * @param {string} [options.from] - Sender (resolved from the provider when omitted)
+ * @param {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }} [options.fees] - Fee override
+ * @returns {Promise<{ tx: object }|{ error: string, detail: string|null }>}
+ */
+export async function buildEvmTransaction(dryRun, provider, options = {}) {
+    if (!provider || typeof provider.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+
+    // 1. Chain
+    const chainId = chainIdForName(dryRun.chain);
+    if (!chainId) return fail('UNSUPPORTED_CHAIN', dryRun.chain);
+
+    const providerChain = await rpc(provider, 'eth_chainId');
+    if (providerChain.error) return providerChain;
+    const walletChainId = toBigInt(providerChain.result);
+    if (walletChainId === null) return fail('RPC_ERROR', 'eth_chainId');
+    if (walletChainId !== BigInt(chainId)) {
+        return fail('CHAIN_MISMATCH', `wallet=${walletChainId} send=${chainId}`);
+    }
+
+    // 2. Recipient + sender
+    if (!validateEthereumAddress(dryRun.recipient).valid) return fail('INVALID_RECIPIENT');
+
+    let from = options.from;
+    if (!from) {
+        const sender = await resolveSender(provider);
+        if (sender.error) return sender;
+        from = sender.from;
+    }
+
+    // 3. Payload (native vs ERC-20)
+    const asset = (dryRun.asset || '').toLowerCase();
+    let to;
+    let value;
+    let data;
+
+    const token = findToken(chainId, asset);
+    if (!token) return fail('UNSUPPORTED_ASSET', `${asset} on chain ${chainId}`);
+
+    if (token.type === 'native') {
+        const wei = parseUnits(dryRun.amountAsset, token.decimals);
+        if (wei === null || wei <= 0n) return fail('INVALID_AMOUNT', dryRun.amountAsset);
+        to = dryRun.recipient;
+        value = wei;
+        data = '0x';
+    } else {
+        const units = parseUnits(dryRun.amountAsset, token.decimals);
+        if (units === null || units <= 0n) return fail('INVALID_AMOUNT', dryRun.amountAsset);
+        to = token.address;
+        value = 0n;
+        data = encodeErc20Transfer(dryRun.recipient, units);
+    }
+
+    // 4. Nonce (pending, so queued txs are not replaced)
+    const nonce = await rpc(provider, 'eth_getTransactionCount', [from, 'pending']);
+    if (nonce.error) return nonce;
+    const pendingNonce = toBigInt(nonce.result);
+    if (pendingNonce === null) return fail('RPC_ERROR', 'eth_getTransactionCount');
+
+    // 5. Gas limit
+    const estimate = await rpc(provider, 'eth_estimateGas', [{ from, to, value: toQuantity(value), data }]);
+    const estimatedGas = toBigInt(estimate.result);
+    if (estimatedGas === null) return fail('GAS_ESTIMATION_FAILED', estimate.detail);
+    const gas = gasLimitWithBuffer(estimatedGas);
+
+    // 6. Fees
+    const fees = options.fees || await fetchFeeData(provider);
+    if (fees.error) return fees;
+
+    return {
+        tx: {
+            type: '0x2',
+            chainId: toQuantity(BigInt(chainId)),
+            from,
+            to,
+            value: toQuantity(value),
+            data,
+            nonce: toQuantity(pendingNonce),
+            gas: toQuantity(gas),
+            maxFeePerGas: toQuantity(fees.maxFeePerGas),
+            maxPriorityFeePerGas: toQuantity(fees.maxPriorityFeePerGas)
+        }
+    };
+}
+
+/**
+ * Submits a built transaction via `eth_sendTransaction` (wallet signs).
+ * @returns {Promise<{ hash: string }|{ error: string, detail: string|null }>}
+ */
+export async function submitEvmTransaction(tx, provider) {
+    if (!provider || typeof provider.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+    const res = await rpc(provider, 'eth_sendTransaction', [tx]);
+    if (res.error) return res;
+    // Wallets (WalletConnect peers included) are untrusted: anything but a tx hash is an error
+    if (typeof res.result !== 'string' || !TX_HASH_PATTERN.test(res.result)) return fail('RPC_ERROR', 'eth_sendTransaction');
+    return { hash: res.result };
+}
+
+/**
+ * Build + submit in one step.
+ * @returns {Promise<{ hash: string, tx: object }|{ error: string, detail: string|null }>}
+ */
+export async function sendEvmTransaction(dryRun, provider, options = {}) {
+    const built = await buildEvmTransaction(dryRun, provider, options);
+    if (built.error) return built;
+
+    const submitted = await submitEvmTransaction(built.tx, provider);
+    if (submitted.error) return submitted;
+
+    return { hash: submitted.hash, tx: built.tx };
+}
+
+// --- Replacements (same nonce) ---
+
+const bumped = (value) => (value * REPLACEMENT_BUMP_PERCENT + 99n) / 100n; // Rounded up
+
+/**
+ * Fees for replacing `original`: the replacement minimum, or the tier when higher.
+ * @param {object} original - Submitted tx (hex quantities)
+ * @param {{ maxFee: bigint, priorityFee: bigint }|null} tier - gas-oracle.js tier (wei)
+ * @returns {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }|{ error: string, detail: string|null }}
+ */
+export function replacementFees(original, tier) {
+    const maxFee = toBigInt(original && original.maxFeePerGas);
+    const priorityFee = toBigInt(original && original.maxPriorityFeePerGas);
+    if (maxFee === null || priorityFee === null) return fail('INVALID_REPLACEMENT', 'original fees missing');
+
+    let maxPriorityFeePerGas = bumped(priorityFee);
+    let maxFeePerGas = bumped(maxFee);
+    if (tier) {
+        if (tier.priorityFee > maxPriorityFeePerGas) maxPriorityFeePerGas = tier.priorityFee;
+        if (tier.maxFee > maxFeePerGas) maxFeePerGas = tier.maxFee;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxFeePerGas = maxPriorityFeePerGas;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Same nonce, new fees. Speed-up keeps the payload; cancel is a 0-value
+ * transfer back to the sender.
+ * @param {object} original - Submitted tx (hex quantities)
+ * @param {{ kind: string, fees: { maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }, gas?: bigint }} options
+ *   gas: cancel gas limit (estimateCancelGas); defaults to a plain transfer
+ * @returns {{ tx: object }|{ error: string, detail: string|null }}
+ */
+export function buildReplacementTransaction(original, { kind, fees, gas = NATIVE_TRANSFER_GAS }) {
+    if (!Object.values(REPLACEMENT_KINDS).includes(kind)) return fail('INVALID_REPLACEMENT', kind);
+    if (!original || !original.from || toBigInt(original.nonce) === null || toBigInt(original.chainId) === null) {
+        return fail('INVALID_REPLACEMENT', 'original transaction incomplete');
+    }
+
+    const payload = kind === REPLACEMENT_KINDS.CANCEL
+        ? { to: original.from, value: '0x0', data: '0x', gas: toQuantity(gas) }
+        : { to: original.to, value: original.value, data: original.data, gas: original.gas };
+
+    return {
+        tx: {
+            type: '0x2',
+            chainId: original.chainId,
+            from: original.from,
+            ...payload,
+            nonce: original.nonce,
+            maxFeePerGas: toQuantity(fees.maxFeePerGas),
+            maxPriorityFeePerGas: toQuantity(fees.maxPriorityFeePerGas)
+        }
+    };
+}
+
+/**
+ * Gas limit for a cancel (0-value self-transfer) on the provider's chain.
+ * @param {object} original - Submitted tx (hex quantities)
+ * @param {object} provider - EIP-1193 provider
+ * @returns {Promise<bigint>}
+ */
+export async function estimateCancelGas(original, provider) {
+    const estimate = await rpc(provider, 'eth_estimateGas', [{ from: original.from, to: original.from, value: '0x0', data: '0x' }]);
+    const estimatedGas = toBigInt(estimate.result);
+    if (estimatedGas !== null) return gasLimitWithBuffer(estimatedGas);
+
+    const originalGas = toBigInt(original.gas);
+    return originalGas !== null && originalGas > NATIVE_TRANSFER_GAS ? originalGas : NATIVE_TRANSFER_GAS;
+}
+
+/**
+ * Builds + submits a replacement. The wallet must be on the original's chain
+ * and account (the nonce belongs to that pair).
+ * @returns {Promise<{ hash: string, tx: object }|{ error: string, detail: string|null }>}
+ */
+export async function sendReplacementTransaction(original, provider, options) {
+    if (!provider || typeof provider.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+
+    let built = buildReplacementTransaction(original, options);
+    if (built.error) return built;
+
+    const providerChain = await rpc(provider, 'eth_chainId');
+    if (providerChain.error) return providerChain;
+    if (toBigInt(providerChain.result) !== BigInt(original.chainId)) {
+        return fail('CHAIN_MISMATCH', `wallet=${toBigInt(providerChain.result)} tx=${BigInt(original.chainId)}`);
+    }
+
+    const sender = await resolveSender(provider);
+    if (sender.error) return sender;
+    if (sender.from.toLowerCase() !== original.from.toLowerCase()) return fail('ACCOUNT_MISMATCH', sender.from);
+
+    if (options.kind === REPLACEMENT_KINDS.CANCEL) {
+        built = buildReplacementTransaction(original, { ...options, gas: await estimateCancelGas(original, provider) });
+    }
+
+    const submitted = await submitEvmTransaction(built.tx, provider);
+    if (submitted.error) return submitted;
+
+    return { hash: submitted.hash, tx: built.tx };
+}
@@ -0,0 +1,31 @@
+// Shared helpers for the src/modules/verify-*.mjs scripts (not a script itself).
+
+/** JSON with BigInt values written as `12n`, so expectations can use base units. */
+export const toJSON = (v) => JSON.stringify(v, (_, x) => (typeof x === 'bigint' ? `${x}n` : x));
+
+/** Prints [PASS] / [FAIL] for a deep (JSON) comparison. */
+export function check(label, actual, expected) {
+    const pass = toJSON(actual) === toJSON(expected);
+    console.log(`[${pass ? "PASS" : "FAIL"}] ${label}`);
+    if (!pass) console.log("   expected:", expected, "got:", actual);
+}
+
+/**
+ * Stand-in JSON-RPC node / EIP-1193 provider. Records every request; answers
+ * from `overrides` first so individual tests can simulate failures. Unknown
+ * methods throw like a node (-32601).
+ * @param {Object<string, (params: any[]) => any>} defaults - method → handler
+ * @param {Object<string, (params: any[]) => any>} [overrides]
+ */
+export function createStandInNode(defaults, overrides = {}) {
+    const calls = [];
+    return {
+        calls,
+        async request({ method, params }) {
+            calls.push({ method, params });
+            const handler = overrides[method] || defaults[method];
+            if (!handler) throw { code: -32601, message: `Unsupported ${method}` };
+            return handler(params || []);
+        }
+    };
+}
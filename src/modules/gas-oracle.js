@@ -0,0 +1,233 @@
+/**
+ * Gas Oracle
+ *
+ * RESPONSIBILITY:
+ * - One interface for network fees across chain families, with per-family
+ *   adapters:
+ *     ethereum → eth_feeHistory (reward percentiles + next base fee)
+ *     bitcoin  → mempool.space projected-block fee buckets
+ *     solana   → getRecentPrioritizationFees
+ * - Every adapter returns the same three tiers: slow / standard / fast.
+ *
+ * CONTRACT:
+ * - Adapters receive their transport (EIP-1193-style `request` object or a
+ *   fetch function) and never read globals, so verify-gas-oracle.mjs can
+ *   replay recorded fixtures.
+ * - Tier shape: { baseFee, priorityFee, maxFee, etaSeconds }
+ *     ethereum: wei (BigInt)            — maxFee = 2 * nextBaseFee + priorityFee
+ *     bitcoin:  sat/vB (number)         — maxFee = feeRate = baseFee + priorityFee
+ *     solana:   baseFee lamports/signature, priorityFee micro-lamports/CU (numbers),
+ *               maxFee = lamports for the whole transfer
+ * - Returns { tiers, unit } or { error, detail }. Never throws.
+ *
+ * ERROR CODES:
+ * - UNSUPPORTED_FAMILY, FEE_DATA_UNAVAILABLE, RPC_ERROR
+ */
+
+import { DEFAULT_SIGNATURE_FEE_LAMPORTS } from './solana-transaction.js';
+
+export const GAS_TIERS = Object.freeze(['slow', 'standard', 'fast']);
+export const DEFAULT_GAS_TIER = 'standard';
+
+export const MEMPOOL_API_URL = 'https://mempool.space/api';
+
+const fail = (error, detail = null) => ({ error, detail });
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a > b ? 1 : a < b ? -1 : 0));
+    const mid = Math.floor(sorted.length / 2);
+    if (sorted.length % 2) return sorted[mid];
+    return typeof sorted[0] === 'bigint'
+        ? (sorted[mid - 1] + sorted[mid]) / 2n
+        : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length));
+    return sorted[index];
+}
+
+// --- ethereum: eth_feeHistory ---
+
+const FEE_HISTORY_BLOCKS = 20;
+const FEE_HISTORY_PERCENTILES = Object.freeze({ slow: 10, standard: 50, fast: 90 });
+const EVM_TIER_BLOCKS = Object.freeze({ slow: 6, standard: 3, fast: 1 }); // Expected inclusion delay
+const BASE_FEE_MULTIPLIER = 2n; // Same headroom as evm-transaction.js
+
+const evmFeeHistoryAdapter = Object.freeze({
+    unit: 'wei',
+
+    /**
+     * @param {{ request: Function }} provider
+     * @param {{ blockTime?: number }} [context]
+     */
+    async fetchTiers(provider, { blockTime = 12 } = {}) {
+        let history;
+        try {
+            history = await provider.request({
+                method: 'eth_feeHistory',
+                params: ['0x' + FEE_HISTORY_BLOCKS.toString(16), 'latest', GAS_TIERS.map(t => FEE_HISTORY_PERCENTILES[t])]
+            });
+        } catch (err) {
+            return fail('RPC_ERROR', err && err.message ? `eth_feeHistory: ${err.message}` : 'eth_feeHistory');
+        }
+
+        const baseFees = history && Array.isArray(history.baseFeePerGas) ? history.baseFeePerGas : [];
+        if (baseFees.length === 0) return fail('FEE_DATA_UNAVAILABLE', 'baseFeePerGas missing (pre-London chain?)');
+
+        // Last entry is the base fee of the NEXT block
+        const nextBaseFee = BigInt(baseFees[baseFees.length - 1]);
+        const rewards = (history.reward || []).filter(r => Array.isArray(r) && r.length === GAS_TIERS.length);
+
+        const tiers = {};
+        for (const [i, tier] of GAS_TIERS.entries()) {
+            const priorityFee = rewards.length ? median(rewards.map(r => BigInt(r[i]))) : 0n;
+            tiers[tier] = {
+                baseFee: nextBaseFee,
+                priorityFee,
+                maxFee: nextBaseFee * BASE_FEE_MULTIPLIER + priorityFee,
+                etaSeconds: Math.ceil(EVM_TIER_BLOCKS[tier] * blockTime)
+            };
+        }
+        return { tiers, unit: this.unit };
+    }
+});
+
+// --- bitcoin: mempool projected blocks ---
+
+// Projected block a tier aims for (0 = next block)
+const BTC_TIER_BLOCKS = Object.freeze({ slow: 5, standard: 2, fast: 0 });
+const BTC_BLOCK_SECONDS = 600;
+const BTC_MIN_RELAY_FEE = 1; // sat/vB
+
+const mempoolBucketsAdapter = Object.freeze({
+    unit: 'sat/vB',
+
+    /**
+     * Each projected block carries `feeRange` (min..max sat/vB to enter it)
+     * and `medianFee`. baseFee = the bucket's entry rate, priorityFee = the
+     * premium to sit at its median, so the tier lands mid-bucket.
+     *
+     * @param {Function} fetchImpl - fetch-compatible function
+     */
+    async fetchTiers(fetchImpl) {
+        let blocks;
+        try {
+            const response = await fetchImpl(`${MEMPOOL_API_URL}/v1/fees/mempool-blocks`);
+            if (!response.ok) return fail('RPC_ERROR', `mempool-blocks: HTTP ${response.status}`);
+            blocks = await response.json();
+        } catch (err) {
+            return fail('RPC_ERROR', err && err.message ? `mempool-blocks: ${err.message}` : 'mempool-blocks');
+        }
+        if (!Array.isArray(blocks) || blocks.length === 0) return fail('FEE_DATA_UNAVAILABLE', 'empty mempool projection');
+
+        const tiers = {};
+        for (const tier of GAS_TIERS) {
+            // A shallow mempool has fewer projected blocks: everything clears sooner
+            const index = Math.min(BTC_TIER_BLOCKS[tier], blocks.length - 1);
+            const block = blocks[index];
+            const range = Array.isArray(block.feeRange) && block.feeRange.length ? block.feeRange : [block.medianFee];
+
+            const feeRate = Math.max(BTC_MIN_RELAY_FEE, Math.ceil(block.medianFee));
+            const baseFee = Math.max(BTC_MIN_RELAY_FEE, Math.min(feeRate, Math.ceil(range[0])));
+            tiers[tier] = {
+                baseFee,
+                priorityFee: feeRate - baseFee,
+                maxFee: feeRate,
+                etaSeconds: (index + 1) * BTC_BLOCK_SECONDS
+            };
+        }
+        return { tiers, unit: this.unit };
+    }
+});
+
+// --- solana: getRecentPrioritizationFees ---
+
+const SOLANA_TIER_PERCENTILES = Object.freeze({ slow: 25, standard: 50, fast: 75 });
+const SOLANA_TIER_SLOTS = Object.freeze({ slow: 10, standard: 4, fast: 2 });
+const SOLANA_SLOT_SECONDS = 0.4;
+
+const prioritizationFeesAdapter = Object.freeze({
+    unit: 'lamports',
+
+    /**
+     * @param {{ request: Function }} connection
+     * @param {{ baseFeeLamports?: number, computeUnitLimit?: number, accounts?: string[] }} [context]
+     */
+    async fetchTiers(connection, { baseFeeLamports = DEFAULT_SIGNATURE_FEE_LAMPORTS, computeUnitLimit = 0, accounts = [] } = {}) {
+        let samples;
+        try {
+            samples = await connection.request({ method: 'getRecentPrioritizationFees', params: [accounts] });
+        } catch (err) {
+            return fail('RPC_ERROR', err && err.message ? `getRecentPrioritizationFees: ${err.message}` : 'getRecentPrioritizationFees');
+        }
+        if (!Array.isArray(samples) || samples.length === 0) return fail('FEE_DATA_UNAVAILABLE', 'no recent slots');
+
+        const fees = samples.map(s => Number(s.prioritizationFee) || 0);
+        const tiers = {};
+        for (const tier of GAS_TIERS) {
+            const priorityFee = percentile(fees, SOLANA_TIER_PERCENTILES[tier]);
+            tiers[tier] = {
+                baseFee: baseFeeLamports,
+                priorityFee,
+                maxFee: baseFeeLamports + Math.ceil((priorityFee * computeUnitLimit) / 1e6),
+                etaSeconds: Math.ceil(SOLANA_TIER_SLOTS[tier] * SOLANA_SLOT_SECONDS)
+            };
+        }
+        return { tiers, unit: this.unit };
+    }
+});
+
+// --- Registry ---
+
+const adapters = new Map([
+    ['ethereum', evmFeeHistoryAdapter],
+    ['bitcoin', mempoolBucketsAdapter],
+    ['solana', prioritizationFeesAdapter]
+]);
+
+/**
+ * Replaces or adds the adapter for a chain family.
+ * @param {string} family - 'ethereum' | 'bitcoin' | 'solana' | ...
+ * @param {{ unit: string, fetchTiers: Function }} adapter
+ */
+export function registerGasOracleAdapter(family, adapter) {
+    adapters.set(family, adapter);
+}
+
+/**
+ * @param {string} family - Chain family (resolveChainFamily)
+ * @param {object|Function} transport - `request` object or fetch, per adapter
+ * @param {object} [context] - Adapter-specific hints (block time, compute units...)
+ * @returns {Promise<{ tiers: object, unit: string }|{ error: string, detail: string|null }>}
+ */
+export async function fetchGasTiers(family, transport, context = {}) {
+    const adapter = adapters.get(family);
+    if (!adapter) return fail('UNSUPPORTED_FAMILY', family);
+    if (!transport) return fail('RPC_ERROR', 'no transport');
+
+    try {
+        return await adapter.fetchTiers(transport, context);
+    } catch (err) {
+        return fail('FEE_DATA_UNAVAILABLE', err && err.message ? err.message : family);
+    }
+}
+
+/**
+ * Display price for a tier, in the unit Send's fee row already uses
+ * (DATA_STATE.gasPrice / gasUnit).
+ *   ethereum → effective gwei (baseFee + priorityFee)
+ *   bitcoin  → sat/vB
+ *   solana   → SOL for the whole transfer
+ *
+ * @returns {{ price: number, unit: string }}
+ */
+export function tierDisplayPrice(family, tier) {
+    if (family === 'ethereum') {
+        const gwei = Number(tier.baseFee + tier.priorityFee) / 1e9;
+        return { price: Number(gwei.toPrecision(3)), unit: 'gwei' };
+    }
+    if (family === 'bitcoin') return { price: tier.maxFee, unit: 'sat/vB' };
+    return { price: tier.maxFee / 1e9, unit: 'SOL' };
+}
@@ -0,0 +1,201 @@
+/**
+ * Payment Handles (UPI-style recipients)
+ *
+ * RESPONSIBILITY:
+ * - Recognises handles typed into the Send recipient field:
+ *     alice.eth       ENS (ens.js, Ethereum mainnet)
+ *     alice.sol       SNS (Solana Name Service registry account owner)
+ *     alice@web3upi   App directory (JSON entries or an HTTP endpoint)
+ * - Resolves a handle to { address, family } so asset / chain detection
+ *   works exactly as for a pasted address.
+ *
+ * CONTRACT:
+ * - Transports are passed in: an EIP-1193 provider on Ethereum mainnet, a
+ *   Solana JSON-RPC connection, and a directory ({ lookup(name) → entry|null }).
+ * - Directory entries map families to addresses:
+ *     { "ethereum": "0x…", "bitcoin": "bc1…", "solana": "…" }
+ *   The caller's preferred family wins, otherwise the entry's first address.
+ *   Every address is re-validated here; the directory is not trusted.
+ * - SNS resolves to the registry owner. Tokenized (NFT-wrapped) domains and
+ *   SOL records are not followed.
+ * - Returns { handle, kind, address, family } or { error, detail }. Never throws.
+ *
+ * ERROR CODES:
+ * - INVALID_HANDLE, NOT_FOUND, NO_ADDRESS, INVALID_ENTRY, RESOLVER_UNAVAILABLE, RPC_ERROR
+ * - ENS handles also surface ens.js codes (NO_RESOLVER, INVALID_NAME)
+ */
+
+import { isEnsName, resolveName } from './ens.js';
+import { classifyAddress } from './address-classifier.js';
+import { findProgramAddress } from './solana-transaction.js';
+import { sha256 } from './crypto/sha256.js';
+import { base58Decode, base58Encode } from './crypto/base58.js';
+import { utf8ToBytes, base64ToBytes } from './crypto/bytes.js';
+
+export const DIRECTORY_SUFFIX = 'web3upi';
+
+export const HANDLE_KINDS = Object.freeze({
+    ENS: 'ens',
+    SNS: 'sns',
+    DIRECTORY: 'directory'
+});
+
+// SPL Name Service
+export const SNS_PROGRAM_ID = 'namesLPneVptA9Z5rqUDD9tMTWEJwofgaYwp8cawRkX';
+export const SOL_TLD_AUTHORITY = '58PwtjSDuFHuUkYjH9BYnnQKHfwo9reZhC2zMJv9JPkx';
+const SNS_HASH_PREFIX = 'SPL Name Service';
+const SNS_HEADER_OWNER = [32, 64]; // parent (32) | owner (32) | class (32) | data
+
+const LABEL = '[a-z0-9_-]+';
+const SNS_PATTERN = new RegExp(`^(${LABEL}\\.)?${LABEL}\\.sol$`);
+const DIRECTORY_PATTERN = new RegExp(`^([a-z0-9._-]+)@${DIRECTORY_SUFFIX}$`);
+const FAMILIES = ['ethereum', 'bitcoin', 'solana'];
+
+const fail = (error, detail = null) => ({ error, detail });
+
+/**
+ * @param {string} input - Raw recipient field value
+ * @returns {{ kind: string, handle: string, name: string }|null} null for anything that is not a handle
+ */
+export function parseHandle(input) {
+    if (typeof input !== 'string') return null;
+    const handle = input.trim().toLowerCase();
+
+    if (isEnsName(handle)) return { kind: HANDLE_KINDS.ENS, handle, name: handle };
+    if (SNS_PATTERN.test(handle)) return { kind: HANDLE_KINDS.SNS, handle, name: handle.slice(0, -'.sol'.length) };
+
+    const directory = handle.match(DIRECTORY_PATTERN);
+    if (directory) return { kind: HANDLE_KINDS.DIRECTORY, handle, name: directory[1] };
+    return null;
+}
+
+// --- SNS ---
+
+function snsAccountKey(label, parent) {
+    const hashed = sha256(utf8ToBytes(SNS_HASH_PREFIX + label));
+    return findProgramAddress([hashed, new Uint8Array(32), base58Decode(parent)], SNS_PROGRAM_ID).address;
+}
+
+/**
+ * Registry account of a .sol name (subdomains hash with a leading \0).
+ * @param {string} name - Without '.sol', e.g. 'bonfida' or 'dex.bonfida'
+ * @returns {string} Base58 account address
+ */
+export function snsNameAccount(name) {
+    const labels = name.split('.');
+    const domain = snsAccountKey(labels[labels.length - 1], SOL_TLD_AUTHORITY);
+    return labels.length === 2 ? snsAccountKey('\0' + labels[0], domain) : domain;
+}
+
+/**
+ * @param {object} connection - Solana JSON-RPC (`request({ method, params })`)
+ * @param {string} name - Without '.sol'
+ * @returns {Promise<{ address: string }|{ error: string, detail: string|null }>}
+ */
+export async function resolveSnsName(connection, name) {
+    const account = snsNameAccount(name);
+    let info;
+    try {
+        info = await connection.request({ method: 'getAccountInfo', params: [account, { encoding: 'base64' }] });
+    } catch (err) {
+        return fail('RPC_ERROR', (err && err.message) || 'getAccountInfo failed');
+    }
+
+    const value = info && info.value;
+    if (!value) return fail('NOT_FOUND', `${name}.sol`);
+    const data = base64ToBytes(Array.isArray(value.data) ? value.data[0] : '');
+    if (!data || data.length < SNS_HEADER_OWNER[1]) return fail('NOT_FOUND', `${name}.sol`);
+    return { address: base58Encode(data.slice(...SNS_HEADER_OWNER)) };
+}
+
+// --- Directory ---
+
+/**
+ * Directory backed by a JSON object (bundled entries, tests).
+ * @param {Object<string, object>} entries - name → { family: address }
+ */
+export function createJsonDirectory(entries = {}) {
+    return {
+        async lookup(name) {
+            return Object.prototype.hasOwnProperty.call(entries, name) ? entries[name] : null;
+        }
+    };
+}
+
+/**
+ * Directory behind HTTP: GET <baseUrl>/<name> → entry JSON, 404 → not found.
+ * Other failures reject (the resolver reports RESOLVER_UNAVAILABLE).
+ * @param {string} baseUrl
+ * @param {Function} [fetchImpl] - fetch-compatible function
+ */
+export function createHttpDirectory(baseUrl, fetchImpl = globalThis.fetch) {
+    const root = baseUrl.replace(/\/+$/, '');
+    return {
+        async lookup(name) {
+            const response = await fetchImpl(`${root}/${encodeURIComponent(name)}`, { headers: { Accept: 'application/json' } });
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        }
+    };
+}
+
+function pickDirectoryAddress(entry, family) {
+    const families = Object.keys(entry || {}).filter(f => FAMILIES.includes(f) && entry[f]);
+    if (families.length === 0) return fail('NO_ADDRESS');
+    if (family && !families.includes(family)) return fail('NO_ADDRESS', family);
+
+    const chosen = family || families[0];
+    const address = String(entry[chosen]).trim();
+    const classified = classifyAddress(address);
+    if (!classified.valid || classified.family !== chosen || (classified.network && classified.network !== 'mainnet')) {
+        return fail('INVALID_ENTRY', chosen);
+    }
+    return { address, family: chosen };
+}
+
+// --- Resolver ---
+
+/**
+ * @param {object} sources
+ * @param {object} [sources.ensProvider] - EIP-1193 provider on Ethereum mainnet
+ * @param {object} [sources.solanaConnection] - Solana JSON-RPC connection
+ * @param {{ lookup: (name: string) => Promise<object|null> }} [sources.directory]
+ */
+export function createHandleResolver({ ensProvider = null, solanaConnection = null, directory = null } = {}) {
+    return {
+        /**
+         * @param {string} input - Recipient field value
+         * @param {{ family?: string|null }} [options] - Preferred family (the user's chain choice)
+         * @returns {Promise<{ handle: string, kind: string, address: string, family: string }|{ error: string, detail: string|null }>}
+         */
+        async resolve(input, { family = null } = {}) {
+            const parsed = parseHandle(input);
+            if (!parsed) return fail('INVALID_HANDLE', input);
+            const { kind, handle, name } = parsed;
+
+            if (kind === HANDLE_KINDS.ENS) {
+                if (!ensProvider) return fail('RESOLVER_UNAVAILABLE', kind);
+                const res = await resolveName(ensProvider, name);
+                return res.error ? res : { handle, kind, address: res.address, family: 'ethereum' };
+            }
+
+            if (kind === HANDLE_KINDS.SNS) {
+                if (!solanaConnection) return fail('RESOLVER_UNAVAILABLE', kind);
+                const res = await resolveSnsName(solanaConnection, name);
+                return res.error ? res : { handle, kind, address: res.address, family: 'solana' };
+            }
+
+            if (!directory) return fail('RESOLVER_UNAVAILABLE', kind);
+            let entry;
+            try {
+                entry = await directory.lookup(name);
+            } catch (err) {
+                return fail('RESOLVER_UNAVAILABLE', err && err.message);
+            }
+            if (!entry) return fail('NOT_FOUND', handle);
+            const picked = pickDirectoryAddress(entry, family);
+            return picked.error ? picked : { handle, kind, ...picked };
+        }
+    };
+}
@@ -0,0 +1,161 @@
+/**
+ * L2 Fee Model (L1 Data Costs)
+ *
+ * RESPONSIBILITY:
+ * - Splits a rollup transaction's cost into the L2 execution fee and the
+ *   L1 data (calldata / blob) fee, per rollup family:
+ *     op-stack (Optimism, Base) → GasPriceOracle.getL1Fee(bytes)
+ *     scroll                    → L1GasPriceOracle.getL1Fee(bytes)
+ *     arbitrum                  → NodeInterface.gasEstimateComponents(...)
+ *     linea                     → L1 cost is priced into the L2 gas price
+ *                                 (no separate component; reported as included)
+ * - The rollup family comes from evm-chains.js (`rollup` field).
+ *
+ * CONTRACT:
+ * - `provider` is a read-only `request` object (rpc.js) for the L2 itself.
+ * - All fees are BigInt wei.
+ * - Returns { model, executionGas, executionFee, l1DataFee, l1FeeIncluded }
+ *   or { error, detail }. Never throws.
+ *
+ * ERROR CODES:
+ * - INVALID_TX, FEE_DATA_UNAVAILABLE, RPC_ERROR
+ */
+
+import { findChainById } from './evm-chains.js';
+import { rlpEncode, integerToBytes } from './crypto/rlp.js';
+import { concatBytes, hexToBytes, bytesToHex } from './crypto/bytes.js';
+
+export const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+export const SCROLL_L1_GAS_PRICE_ORACLE = '0x5300000000000000000000000000000000000002';
+export const ARBITRUM_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+
+const GET_L1_FEE_SELECTOR = '49948e0e';               // getL1Fee(bytes)
+const GAS_ESTIMATE_COMPONENTS_SELECTOR = 'c94e6eeb';  // gasEstimateComponents(address,bool,bytes)
+
+const EIP1559_TX_TYPE = 0x02;
+
+const fail = (error, detail = null) => ({ error, detail });
+
+// --- Encoding ---
+
+const word = (hex) => hex.padStart(64, '0');
+
+function encodeDynamicBytes(bytes) {
+    const hex = bytesToHex(bytes);
+    const padded = hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+    return word(bytes.length.toString(16)) + padded;
+}
+
+/**
+ * Unsigned EIP-1559 transaction: 0x02 || rlp([chainId, nonce, maxPriorityFeePerGas,
+ * maxFeePerGas, gasLimit, to, value, data, accessList]).
+ *
+ * @param {object} tx - { chainId, nonce?, maxPriorityFeePerGas, maxFeePerGas, gas, to, value?, data? }
+ * @returns {Uint8Array}
+ */
+export function serializeUnsignedEip1559(tx) {
+    return concatBytes(
+        Uint8Array.of(EIP1559_TX_TYPE),
+        rlpEncode([
+            integerToBytes(tx.chainId),
+            integerToBytes(tx.nonce || 0),
+            integerToBytes(tx.maxPriorityFeePerGas),
+            integerToBytes(tx.maxFeePerGas),
+            integerToBytes(tx.gas),
+            hexToBytes(tx.to),
+            integerToBytes(tx.value || 0),
+            hexToBytes(tx.data || '0x'),
+            [] // accessList
+        ])
+    );
+}
+
+export function encodeGetL1Fee(serializedTx) {
+    return '0x' + GET_L1_FEE_SELECTOR + word('20') + encodeDynamicBytes(serializedTx);
+}
+
+export function encodeGasEstimateComponents(to, data) {
+    return '0x' + GAS_ESTIMATE_COMPONENTS_SELECTOR +
+        word(to.slice(2).toLowerCase()) +
+        word('0') +       // contractCreation = false
+        word('60') +      // offset of `data`
+        encodeDynamicBytes(hexToBytes(data || '0x'));
+}
+
+async function ethCall(provider, to, data, from) {
+    try {
+        const call = from ? { from, to, data } : { to, data };
+        return { result: await provider.request({ method: 'eth_call', params: [call, 'latest'] }) };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? `eth_call ${to}: ${err.message}` : `eth_call ${to}`);
+    }
+}
+
+function readWord(hex, index) {
+    const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+    const slice = clean.slice(index * 64, (index + 1) * 64);
+    return slice.length === 64 ? BigInt('0x' + slice) : null;
+}
+
+// --- Models ---
+
+async function oracleL1Fee(provider, oracle, tx) {
+    const res = await ethCall(provider, oracle, encodeGetL1Fee(serializeUnsignedEip1559(tx)));
+    if (res.error) return res;
+    const fee = readWord(res.result, 0);
+    return fee === null ? fail('FEE_DATA_UNAVAILABLE', 'getL1Fee') : { l1DataFee: fee };
+}
+
+async function arbitrumComponents(provider, tx) {
+    const res = await ethCall(provider, ARBITRUM_NODE_INTERFACE, encodeGasEstimateComponents(tx.to, tx.data), tx.from);
+    if (res.error) return res;
+
+    // (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)
+    const gasEstimate = readWord(res.result, 0);
+    const gasForL1 = readWord(res.result, 1);
+    const baseFee = readWord(res.result, 2);
+    if (gasEstimate === null || gasForL1 === null || baseFee === null) {
+        return fail('FEE_DATA_UNAVAILABLE', 'gasEstimateComponents');
+    }
+    return { executionGas: gasEstimate - gasForL1, l1DataFee: gasForL1 * baseFee };
+}
+
+/**
+ * Execution + L1 data fee for a transaction on `chainId`.
+ *
+ * @param {object} provider - L2 JSON-RPC `request` object
+ * @param {object} tx - { chainId, to, value?, data?, gas, maxFeePerGas, maxPriorityFeePerGas, nonce?, from? }
+ * @param {bigint} gasPrice - Effective L2 gas price (base + priority) for the execution fee
+ * @returns {Promise<object>}
+ */
+export async function estimateL2Fees(provider, tx, gasPrice) {
+    if (!tx || !tx.to || !tx.gas) return fail('INVALID_TX');
+    const chain = findChainById(tx.chainId);
+    const model = chain && chain.rollup ? chain.rollup : null;
+
+    let executionGas = BigInt(tx.gas);
+    let l1DataFee = 0n;
+    let l1FeeIncluded = false;
+
+    if (model === 'op-stack' || model === 'scroll') {
+        const oracle = model === 'op-stack' ? OP_GAS_PRICE_ORACLE : SCROLL_L1_GAS_PRICE_ORACLE;
+        const res = await oracleL1Fee(provider, oracle, tx);
+        if (res.error) return res;
+        l1DataFee = res.l1DataFee;
+    } else if (model === 'arbitrum') {
+        const res = await arbitrumComponents(provider, tx);
+        if (res.error) return res;
+        executionGas = res.executionGas;
+        l1DataFee = res.l1DataFee;
+    } else if (model === 'linea') {
+        l1FeeIncluded = true; // Linea's gas price already carries the L1 cost
+    }
+
+    return {
+        model,
+        executionGas,
+        executionFee: executionGas * BigInt(gasPrice),
+        l1DataFee,
+        l1FeeIncluded
+    };
+}
@@ -0,0 +1,98 @@
+/**
+ * Wallet Network Switching
+ *
+ * RESPONSIBILITY:
+ * - Reads the wallet's current EVM chain.
+ * - Moves the wallet to the chain Send has selected:
+ *     wallet_switchEthereumChain (EIP-3326), and when the wallet does not know
+ *     the chain, wallet_addEthereumChain (EIP-3085) from evm-chains.js.
+ *
+ * CONTRACT:
+ * - The provider is passed in (the selected wallet in the app, a stand-in in
+ *   verify-network-switch.mjs). No globals are read here.
+ * - Success is confirmed with eth_chainId; a wallet that accepts the request
+ *   but stays on another chain is SWITCH_FAILED.
+ * - Returns { chainId, switched } or { error, detail }. Never throws.
+ *
+ * ERROR CODES:
+ * - PROVIDER_NOT_FOUND, UNSUPPORTED_CHAIN, USER_REJECTED, SWITCH_FAILED, RPC_ERROR
+ */
+
+import { findChainById, toHexChainId, addEthereumChainParams } from './evm-chains.js';
+
+const USER_REJECTED_CODE = 4001;      // EIP-1193
+const UNRECOGNIZED_CHAIN_CODE = 4902; // EIP-3326
+
+const fail = (error, detail = null) => ({ error, detail });
+
+async function rpc(provider, method, params = []) {
+    try {
+        return { result: await provider.request({ method, params }) };
+    } catch (err) {
+        return { rpcError: err || {} };
+    }
+}
+
+// MetaMask Mobile wraps 4902 in an internal error (-32603) with data.originalError
+function isUnrecognizedChain(err) {
+    const original = err.data && err.data.originalError;
+    return err.code === UNRECOGNIZED_CHAIN_CODE || Boolean(original && original.code === UNRECOGNIZED_CHAIN_CODE);
+}
+
+function toFailure(method, err) {
+    if (err.code === USER_REJECTED_CODE) return fail('USER_REJECTED', err.message);
+    return fail('RPC_ERROR', err.message ? `${method}: ${err.message}` : method);
+}
+
+/**
+ * @param {object} provider - EIP-1193 provider
+ * @returns {Promise<{ chainId: number }|{ error: string, detail: string|null }>}
+ */
+export async function readWalletChainId(provider) {
+    if (!provider || typeof provider.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+    const res = await rpc(provider, 'eth_chainId');
+    if (res.rpcError) return toFailure('eth_chainId', res.rpcError);
+    const chainId = Number.parseInt(res.result, 16);
+    return Number.isFinite(chainId) ? { chainId } : fail('RPC_ERROR', `eth_chainId returned ${res.result}`);
+}
+
+/**
+ * Switches the wallet to `chainId`, adding the chain first when needed.
+ *
+ * @param {object} provider - EIP-1193 provider
+ * @param {number} chainId - EIP-155 chain id (must be in EVM_CHAINS)
+ * @returns {Promise<{ chainId: number, switched: boolean }|{ error: string, detail: string|null }>}
+ */
+export async function switchEvmChain(provider, chainId) {
+    const chain = findChainById(chainId);
+    if (!chain) return fail('UNSUPPORTED_CHAIN', chainId);
+
+    const current = await readWalletChainId(provider);
+    if (current.error) return current;
+    if (current.chainId === chainId) return { chainId, switched: false };
+
+    const switchParams = [{ chainId: toHexChainId(chainId) }];
+    const switched = await rpc(provider, 'wallet_switchEthereumChain', switchParams);
+
+    if (switched.rpcError) {
+        if (!isUnrecognizedChain(switched.rpcError)) return toFailure('wallet_switchEthereumChain', switched.rpcError);
+
+        const added = await rpc(provider, 'wallet_addEthereumChain', [addEthereumChainParams(chain)]);
+        if (added.rpcError) return toFailure('wallet_addEthereumChain', added.rpcError);
+
+        // Most wallets switch as part of adding; the rest need a second request
+        const afterAdd = await readWalletChainId(provider);
+        if (afterAdd.error) return afterAdd;
+        if (afterAdd.chainId !== chainId) {
+            const retried = await rpc(provider, 'wallet_switchEthereumChain', switchParams);
+            if (retried.rpcError) return toFailure('wallet_switchEthereumChain', retried.rpcError);
+        }
+    }
+
+    const confirmed = await readWalletChainId(provider);
+    if (confirmed.error) return confirmed;
+    if (confirmed.chainId !== chainId) {
+        return fail('SWITCH_FAILED', `wallet=${confirmed.chainId} send=${chainId}`);
+    }
+    return { chainId, switched: true };
+}
@@ -0,0 +1,220 @@
+/**
+ * Notifications
+ *
+ * RESPONSIBILITY:
+ * - Typed notifications for settled sends (tx-history.js) and incoming
+ *   transfers (activity-watcher.js).
+ * - Title / message text and deep links per type.
+ * - Persistence with read state through the address-book.js store interface
+ *   (IndexedDB in the app).
+ *
+ * CONTRACT:
+ * - Notification: { id, type, payload, createdAt, read }
+ * - Types and payloads:
+ *   - tx-confirmed / tx-failed / tx-replaced: { transactionId, hash, chain, family,
+ *     chainId, asset, amount, recipient, handle, reason, kind }
+ * - A send replaced by its own speed-up / cancel does not notify; the replacement does.
+ *   - incoming-native / incoming-token: activity-watcher.js activity (minus `id` / `kind`)
+ * - Ids are derived from the source, so the same event never notifies twice.
+ * - Deep link: { transactionId } (History overlay) or { url } (block explorer).
+ * - Center methods return plain data ({ notification } / { notifications } / { error, detail }). Never throw.
+ *
+ * ERROR CODES:
+ * - UNSUPPORTED_TYPE, NOT_FOUND, STORAGE_ERROR
+ */
+
+import { TX_STATUS, explorerTxUrl } from './tx-history.js';
+
+export const NOTIFICATIONS_DB = Object.freeze({ name: 'web3upi-notifications', version: 1, store: 'notifications' });
+
+export const NOTIFICATION_TYPES = Object.freeze({
+    TX_CONFIRMED: 'tx-confirmed',
+    TX_FAILED: 'tx-failed',
+    TX_REPLACED: 'tx-replaced',
+    INCOMING_NATIVE: 'incoming-native',
+    INCOMING_TOKEN: 'incoming-token'
+});
+
+export const NOTIFICATION_LIMIT = 100;
+
+// Replaced by the user's own speed-up / cancel (tx-history.js reasons)
+const SELF_REPLACED = ['SPED_UP', 'CANCELLED'];
+
+const SETTLED_TYPES = {
+    [TX_STATUS.CONFIRMED]: NOTIFICATION_TYPES.TX_CONFIRMED,
+    [TX_STATUS.FAILED]: NOTIFICATION_TYPES.TX_FAILED,
+    [TX_STATUS.REPLACED]: NOTIFICATION_TYPES.TX_REPLACED
+};
+
+const fail = (error, detail = null) => ({ error, detail });
+
+const shorten = (address) => (address && address.length > 16 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address);
+const symbol = (asset) => (asset || '').toUpperCase();
+
+/**
+ * @param {object} record - tx-history.js record
+ * @returns {object|null} Notification for a settled send (null while pending)
+ */
+export function notificationForTransaction(record, { now = Date.now } = {}) {
+    const type = SETTLED_TYPES[record.status];
+    if (!type || (record.status === TX_STATUS.REPLACED && SELF_REPLACED.includes(record.reason))) return null;
+    return {
+        id: `${type}:${record.id}`,
+        type,
+        payload: {
+            transactionId: record.id,
+            hash: record.hash,
+            chain: record.chain,
+            family: record.family,
+            chainId: record.chainId,
+            asset: record.asset,
+            amount: record.amount,
+            recipient: record.recipient,
+            handle: record.handle,
+            reason: record.reason,
+            kind: record.kind || 'send'
+        },
+        createdAt: now(),
+        read: false
+    };
+}
+
+/**
+ * @param {object} activity - activity-watcher.js activity
+ * @returns {object}
+ */
+export function notificationForActivity(activity, { now = Date.now } = {}) {
+    const { id, kind, ...payload } = activity;
+    return {
+        id,
+        type: kind === 'token' ? NOTIFICATION_TYPES.INCOMING_TOKEN : NOTIFICATION_TYPES.INCOMING_NATIVE,
+        payload,
+        createdAt: now(),
+        read: false
+    };
+}
+
+/**
+ * @returns {{ title: string, message: string }}
+ */
+export function describeNotification({ type, payload }) {
+    const amount = `${payload.amount || ''} ${symbol(payload.asset)}`.trim();
+    const to = payload.handle || shorten(payload.recipient);
+
+    switch (type) {
+        case NOTIFICATION_TYPES.TX_CONFIRMED:
+            if (payload.kind === 'cancel') return { title: 'Send Cancelled', message: `${amount} to ${to} was cancelled` };
+            return { title: `${symbol(payload.asset)} Sent`, message: `${amount} to ${to} confirmed on ${payload.chain}` };
+        case NOTIFICATION_TYPES.TX_FAILED:
+            return { title: 'Send Failed', message: `${amount} to ${to} did not go through` };
+        case NOTIFICATION_TYPES.TX_REPLACED:
+            return { title: 'Send Replaced', message: `${amount} to ${to} was replaced by another transaction` };
+        case NOTIFICATION_TYPES.INCOMING_NATIVE:
+        case NOTIFICATION_TYPES.INCOMING_TOKEN:
+            return {
+                title: `${symbol(payload.asset)} Received`,
+                message: payload.from ? `You received ${amount} from ${shorten(payload.from)}` : `You received ${amount} on ${payload.chain}`
+            };
+        default:
+            return { title: 'Notification', message: '' };
+    }
+}
+
+/**
+ * @returns {{ transactionId: string }|{ url: string }|null}
+ */
+export function deepLinkFor({ payload }) {
+    if (payload.transactionId) return { transactionId: payload.transactionId };
+    if (!payload.hash) return null;
+    const url = explorerTxUrl(payload);
+    return url ? { url } : null;
+}
+
+// --- Center ---
+
+const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+/**
+ * @param {object} store - getAll / put / delete (address-book.js createIndexedDbStore)
+ * @param {{ limit?: number }} [options]
+ */
+export function createNotificationCenter(store, { limit = NOTIFICATION_LIMIT } = {}) {
+    let cache = null;
+
+    async function load() {
+        if (!cache) cache = (await store.getAll()) || [];
+        return cache;
+    }
+
+    async function guarded(work) {
+        try {
+            return await work();
+        } catch (err) {
+            cache = null; // Re-read on the next call
+            return fail('STORAGE_ERROR', (err && err.message) || String(err));
+        }
+    }
+
+    async function write(notification) {
+        await store.put(notification);
+        cache = [...cache.filter(n => n.id !== notification.id), notification];
+        return notification;
+    }
+
+    async function drop(ids) {
+        for (const id of ids) await store.delete(id);
+        cache = cache.filter(n => !ids.includes(n.id));
+    }
+
+    return {
+        /** @returns {Promise<{ notifications: object[] }|{ error: string, detail: any }>} */
+        list() {
+            return guarded(async () => ({ notifications: [...await load()].sort(newestFirst) }));
+        },
+
+        /**
+         * Stores a notification unless its id is already known. Beyond `limit`, the oldest go.
+         * @returns {Promise<{ notification: object, added: boolean }|{ error: string, detail: any }>}
+         */
+        add(notification) {
+            if (!Object.values(NOTIFICATION_TYPES).includes(notification && notification.type)) {
+                return Promise.resolve(fail('UNSUPPORTED_TYPE', notification && notification.type));
+            }
+            return guarded(async () => {
+                const existing = (await load()).find(n => n.id === notification.id);
+                if (existing) return { notification: existing, added: false };
+
+                await write(notification);
+                await drop([...cache].sort(newestFirst).slice(limit).map(n => n.id));
+                return { notification, added: true };
+            });
+        },
+
+        /** @returns {Promise<{ notification: object }|{ error: string, detail: any }>} */
+        markRead(id) {
+            return guarded(async () => {
+                const existing = (await load()).find(n => n.id === id);
+                if (!existing) return fail('NOT_FOUND', id);
+                return { notification: existing.read ? existing : await write({ ...existing, read: true }) };
+            });
+        },
+
+        /** @returns {Promise<{ updated: number }|{ error: string, detail: any }>} */
+        markAllRead() {
+            return guarded(async () => {
+                const unread = (await load()).filter(n => !n.read);
+                for (const n of unread) await write({ ...n, read: true });
+                return { updated: unread.length };
+            });
+        },
+
+        /** @returns {Promise<{ removed: number }|{ error: string, detail: any }>} */
+        clear() {
+            return guarded(async () => {
+                const ids = (await load()).map(n => n.id);
+                await drop(ids);
+                return { removed: ids.length };
+            });
+        }
+    };
+}
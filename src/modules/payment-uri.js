@@ -0,0 +1,283 @@
+/**
+ * Payment URI Parser
+ *
+ * RESPONSIBILITY:
+ * - Parses scanned / pasted payment payloads into a normalized payment request.
+ * - Supports BIP-21 (bitcoin:), EIP-681 (ethereum:) and Solana Pay (solana:).
+ * - Plain addresses (no scheme) are passed through as a recipient-only request.
+ * - ZERO side effects (no DOM, no network, no state mutation).
+ *
+ * CONTRACT:
+ * parsePaymentURI(input) -> {
+ *   scheme:       'bitcoin' | 'ethereum' | 'solana' | null,
+ *   recipient:    string|null,
+ *   amount:       string|null   (decimal string in ASSET units, never a Number),
+ *   asset:        'btc' | 'eth' | 'sol' | 'usdc' | 'usdt' | null,
+ *   tokenAddress: string|null   (ERC-20 contract / SPL mint),
+ *   chainId:      number|null   (EIP-155 id; EVM only),
+ *   chain:        string|null   (Send chain name, e.g. 'Ethereum Mainnet'),
+ *   label:        string|null,
+ *   message:      string|null,
+ *   memo:         string|null,
+ *   references:   string[]      (Solana Pay reference keys),
+ *   errors:       string[]      (non-empty => request MUST NOT be trusted)
+ * }
+ *
+ * RULES:
+ * - Amounts stay strings end-to-end; base units are shifted by decimals, not divided.
+ * - Unknown BIP-21 `req-` parameters invalidate the request (BIP-21 §"Rules").
+ * - Never throws.
+ */
+
+import { chainNameForId } from './evm-chains.js';
+import { trimDecimal, formatUnits } from './units.js';
+import { findTokenByAddress, findNativeToken } from './token-registry.js';
+
+const SOLANA_CHAIN_NAME = 'Solana';
+const BITCOIN_CHAIN_NAME = 'Bitcoin';
+const DEFAULT_EVM_CHAIN_ID = 1; // EIP-681: chain_id omitted => mainnet
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const SCIENTIFIC_PATTERN = /^(\d+)(?:\.(\d+))?[eE]\+?(\d+)$/;
+
+function emptyRequest(fields) {
+    return {
+        scheme: null,
+        recipient: null,
+        amount: null,
+        asset: null,
+        tokenAddress: null,
+        chainId: null,
+        chain: null,
+        label: null,
+        message: null,
+        memo: null,
+        references: [],
+        errors: [],
+        ...fields
+    };
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Splits "a=1&b=2" into an ordered list of [key, value] pairs.
+ * Keys may repeat (Solana Pay `reference`).
+ */
+function parseQuery(query) {
+    if (!query) return [];
+    return query.split('&')
+        .filter(Boolean)
+        .map(pair => {
+            const eq = pair.indexOf('=');
+            return eq === -1
+                ? [decodeParam(pair), '']
+                : [decodeParam(pair.slice(0, eq)), decodeParam(pair.slice(eq + 1))];
+        });
+}
+
+function firstParam(params, key) {
+    const hit = params.find(([k]) => k === key);
+    return hit ? hit[1] : null;
+}
+
+/**
+ * Expands an EIP-681 number ("2.014e18", "1e6", "42") into a plain integer string.
+ * @returns {string|null} null when not an integer
+ */
+function toIntegerString(value) {
+    if (/^\d+$/.test(value)) return value;
+
+    const sci = SCIENTIFIC_PATTERN.exec(value);
+    if (!sci) return null;
+
+    const [, int, frac = '', expStr] = sci;
+    const exp = parseInt(expStr, 10);
+    if (frac.length > exp) return null; // Would leave a fractional base unit
+
+    return (int + frac + '0'.repeat(exp - frac.length)).replace(/^0+(?=\d)/, '');
+}
+
+function parseBitcoin(body) {
+    const [path, query] = splitOnce(body, '?');
+    const params = parseQuery(query);
+    const request = emptyRequest({
+        scheme: 'bitcoin',
+        recipient: path || null,
+        asset: 'btc',
+        chain: BITCOIN_CHAIN_NAME
+    });
+
+    for (const [key, value] of params) {
+        if (key === 'amount') {
+            if (DECIMAL_PATTERN.test(value)) request.amount = trimDecimal(value);
+            else request.errors.push('invalid_amount');
+        } else if (key === 'label') {
+            request.label = value;
+        } else if (key === 'message') {
+            request.message = value;
+        } else if (key.startsWith('req-')) {
+            request.errors.push(`unsupported_required_param:${key}`);
+        }
+    }
+
+    if (!request.recipient) request.errors.push('missing_recipient');
+    return request;
+}
+
+function parseEthereum(body) {
+    // ethereum:[pay-]<target>[@chain_id][/function_name][?params]
+    const rest = body.startsWith('pay-') ? body.slice(4) : body;
+    const [pathPart, query] = splitOnce(rest, '?');
+    const [targetPart, functionName] = splitOnce(pathPart, '/');
+    const [target, chainIdStr] = splitOnce(targetPart, '@');
+    const params = parseQuery(query);
+
+    const request = emptyRequest({ scheme: 'ethereum' });
+
+    let chainId = DEFAULT_EVM_CHAIN_ID;
+    if (chainIdStr) {
+        chainId = /^\d+$/.test(chainIdStr) ? parseInt(chainIdStr, 10) : (chainIdStr.startsWith('0x') ? parseInt(chainIdStr, 16) : NaN);
+        if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+            request.errors.push('invalid_chain_id');
+            chainId = null;
+        }
+    }
+    request.chainId = chainId;
+    request.chain = chainId ? chainNameForId(chainId) : null;
+    if (chainId && !request.chain) request.errors.push('unsupported_chain_id');
+
+    if (!functionName) {
+        // Native transfer: value is in wei of the chain's own coin (POL on Polygon, not ETH)
+        request.recipient = target || null;
+        const native = chainId ? findNativeToken(chainId) : null;
+
+        if (native) {
+            request.asset = native.asset;
+            const value = firstParam(params, 'value');
+            if (value !== null) {
+                const wei = toIntegerString(value);
+                if (wei === null) request.errors.push('invalid_amount');
+                else request.amount = formatUnits(wei, native.decimals);
+            }
+        } else if (chainId) {
+            // No registry entry for the native coin (e.g. Polygon): Send cannot pay it
+            request.errors.push('unsupported_asset');
+        }
+    } else if (functionName === 'transfer') {
+        // ERC-20 transfer: target is the token contract
+        request.tokenAddress = target || null;
+        request.recipient = firstParam(params, 'address');
+
+        const token = chainId ? findTokenByAddress(chainId, target) : null;
+
+        if (token) {
+            request.asset = token.asset;
+            const raw = firstParam(params, 'uint256');
+            if (raw !== null) {
+                const units = toIntegerString(raw);
+                if (units === null) request.errors.push('invalid_amount');
+                else request.amount = formatUnits(units, token.decimals);
+            }
+        } else {
+            // Unknown token: decimals are unknown, so the amount cannot be shown safely
+            request.errors.push('unknown_token');
+        }
+    } else {
+        request.errors.push(`unsupported_function:${functionName}`);
+    }
+
+    request.label = firstParam(params, 'label');
+    request.message = firstParam(params, 'message');
+
+    if (!request.recipient) request.errors.push('missing_recipient');
+    return request;
+}
+
+function parseSolana(body) {
+    const [path, query] = splitOnce(body, '?');
+
+    // Transaction-request URIs (solana:https://...) need an interactive HTTP flow
+    if (/^https?%3A|^https?:/i.test(path)) {
+        return emptyRequest({ scheme: 'solana', errors: ['unsupported_transaction_request'] });
+    }
+
+    const params = parseQuery(query);
+    const request = emptyRequest({
+        scheme: 'solana',
+        recipient: path || null,
+        asset: 'sol',
+        chain: SOLANA_CHAIN_NAME
+    });
+
+    const amount = firstParam(params, 'amount');
+    if (amount !== null) {
+        if (DECIMAL_PATTERN.test(amount)) request.amount = trimDecimal(amount);
+        else request.errors.push('invalid_amount');
+    }
+
+    const mint = firstParam(params, 'spl-token');
+    if (mint) {
+        request.tokenAddress = mint;
+        const token = findTokenByAddress('solana', mint);
+        if (token) request.asset = token.asset;
+        else {
+            request.asset = null;
+            request.errors.push('unknown_token');
+        }
+    }
+
+    request.references = params.filter(([k]) => k === 'reference').map(([, v]) => v);
+    request.label = firstParam(params, 'label');
+    request.message = firstParam(params, 'message');
+    request.memo = firstParam(params, 'memo');
+
+    if (!request.recipient) request.errors.push('missing_recipient');
+    return request;
+}
+
+function splitOnce(str, sep) {
+    const idx = str.indexOf(sep);
+    return idx === -1 ? [str, null] : [str.slice(0, idx), str.slice(idx + 1)];
+}
+
+/**
+ * Parses a payment URI or a bare address.
+ * @param {string} input
+ * @returns {object} See CONTRACT above.
+ */
+export function parsePaymentURI(input) {
+    const raw = typeof input === 'string' ? input.trim() : '';
+    if (!raw) return emptyRequest({ errors: ['empty'] });
+
+    const colon = raw.indexOf(':');
+    const scheme = colon === -1 ? null : raw.slice(0, colon).toLowerCase();
+    const body = colon === -1 ? raw : raw.slice(colon + 1).replace(/^\/\//, '');
+
+    if (scheme === 'bitcoin') return parseBitcoin(body);
+    if (scheme === 'ethereum') return parseEthereum(body);
+    if (scheme === 'solana') return parseSolana(body);
+    if (scheme !== null) return emptyRequest({ errors: [`unsupported_scheme:${scheme}`] });
+
+    // Bare address
+    return emptyRequest({ recipient: raw });
+}
+
+/**
+ * True when the payload carries more than a bare address
+ * (amount, token, chain or a note worth confirming).
+ * @param {object} request - parsePaymentURI result
+ * @returns {boolean}
+ */
+export function hasPaymentDetails(request) {
+    if (!request || !request.scheme) return false;
+    return !!(request.amount || request.tokenAddress || request.label ||
+        request.message || request.memo ||
+        (request.chainId && request.chainId !== DEFAULT_EVM_CHAIN_ID));
+}
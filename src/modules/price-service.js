@@ -0,0 +1,180 @@
+/**
+ * Price Service
+ *
+ * RESPONSIBILITY:
+ * - Spot prices for supported assets in a fiat currency (USD, INR), from
+ *   several independent providers:
+ *     coingecko     → /simple/price
+ *     coinbase      → /v2/prices/{ASSET}-{FIAT}/spot
+ *     cryptocompare → /data/price
+ * - The quoted price is the median of every provider that answered, so one
+ *   bad or lagging source cannot move it on its own.
+ * - Caches quotes per (asset, fiat) for PRICE_TTL_MS; a failed refresh serves
+ *   the cached quote and flags it stale once it is older than PRICE_MAX_AGE_MS.
+ *
+ * CONTRACT:
+ * - Providers receive the fetch implementation explicitly and never read
+ *   globals, so verify-price-service.mjs can replay responses.
+ * - Provider shape: { id, fetchPrice(fetchImpl, asset, fiat) → Promise<number> }
+ *   (throws or returns a non-positive / non-finite value on failure).
+ * - getPrice returns { asset, fiat, price, sources, fetchedAt, stale }
+ *   or { error, detail }. Never throws.
+ *
+ * ERROR CODES:
+ * - UNSUPPORTED_ASSET, UNSUPPORTED_FIAT, PRICE_UNAVAILABLE
+ */
+
+export const FIAT_CURRENCIES = Object.freeze({
+    usd: Object.freeze({ code: 'USD', symbol: '$' }),
+    inr: Object.freeze({ code: 'INR', symbol: '₹' })
+});
+export const DEFAULT_FIAT_CURRENCY = 'usd';
+
+export const PRICE_TTL_MS = 60 * 1000;
+export const PRICE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Provider-specific asset identifiers
+const PRICE_ASSETS = Object.freeze({
+    eth: { coingecko: 'ethereum', symbol: 'ETH' },
+    btc: { coingecko: 'bitcoin', symbol: 'BTC' },
+    sol: { coingecko: 'solana', symbol: 'SOL' },
+    usdc: { coingecko: 'usd-coin', symbol: 'USDC' },
+    usdt: { coingecko: 'tether', symbol: 'USDT' }
+});
+
+const fail = (error, detail = null) => ({ error, detail });
+
+async function fetchJson(fetchImpl, url) {
+    const response = await fetchImpl(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+// --- Providers ---
+
+const coingeckoProvider = Object.freeze({
+    id: 'coingecko',
+    async fetchPrice(fetchImpl, asset, fiat) {
+        const id = PRICE_ASSETS[asset].coingecko;
+        const json = await fetchJson(fetchImpl, `https://api.coingecko.com/api/v3/simple/price?ids=${id}&vs_currencies=${fiat}`);
+        return Number(json[id] && json[id][fiat]);
+    }
+});
+
+const coinbaseProvider = Object.freeze({
+    id: 'coinbase',
+    async fetchPrice(fetchImpl, asset, fiat) {
+        const pair = `${PRICE_ASSETS[asset].symbol}-${FIAT_CURRENCIES[fiat].code}`;
+        const json = await fetchJson(fetchImpl, `https://api.coinbase.com/v2/prices/${pair}/spot`);
+        return Number(json.data && json.data.amount);
+    }
+});
+
+const cryptocompareProvider = Object.freeze({
+    id: 'cryptocompare',
+    async fetchPrice(fetchImpl, asset, fiat) {
+        const code = FIAT_CURRENCIES[fiat].code;
+        const json = await fetchJson(fetchImpl, `https://min-api.cryptocompare.com/data/price?fsym=${PRICE_ASSETS[asset].symbol}&tsyms=${code}`);
+        return Number(json[code]);
+    }
+});
+
+export const DEFAULT_PRICE_PROVIDERS = Object.freeze([coingeckoProvider, coinbaseProvider, cryptocompareProvider]);
+
+// --- Helpers ---
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * @param {string|null} value - Stored preference ('inr', 'INR', ...)
+ * @returns {string} Supported lowercase fiat code (falls back to USD)
+ */
+export function resolveFiatCurrency(value) {
+    const code = typeof value === 'string' ? value.toLowerCase() : null;
+    return code && FIAT_CURRENCIES[code] ? code : DEFAULT_FIAT_CURRENCY;
+}
+
+/**
+ * @param {number|null} fetchedAt - Quote timestamp (ms)
+ * @param {number} [now]
+ * @param {number} [maxAgeMs]
+ * @returns {boolean} True when there is no quote or it is too old to convert with
+ */
+export function isPriceStale(fetchedAt, now = Date.now(), maxAgeMs = PRICE_MAX_AGE_MS) {
+    return !fetchedAt || now - fetchedAt > maxAgeMs;
+}
+
+// --- Service ---
+
+/**
+ * @param {object} [options]
+ * @param {Array} [options.providers]
+ * @param {Function} [options.fetchImpl] - fetch-compatible function
+ * @param {number} [options.ttlMs]
+ * @param {number} [options.maxAgeMs]
+ * @param {Function} [options.now] - Clock (ms)
+ */
+export function createPriceService({
+    providers = DEFAULT_PRICE_PROVIDERS,
+    fetchImpl = globalThis.fetch,
+    ttlMs = PRICE_TTL_MS,
+    maxAgeMs = PRICE_MAX_AGE_MS,
+    now = Date.now
+} = {}) {
+    const cache = new Map();    // 'eth:inr' → quote
+    const inflight = new Map(); // 'eth:inr' → Promise<quote|error>
+
+    async function refresh(asset, fiat, key) {
+        const results = await Promise.allSettled(providers.map(p => p.fetchPrice(fetchImpl, asset, fiat)));
+
+        const prices = [];
+        const sources = [];
+        const failures = [];
+        results.forEach((r, i) => {
+            const value = r.status === 'fulfilled' ? r.value : NaN;
+            if (Number.isFinite(value) && value > 0) {
+                prices.push(value);
+                sources.push(providers[i].id);
+            } else {
+                failures.push(providers[i].id);
+            }
+        });
+
+        if (prices.length === 0) {
+            const cached = cache.get(key);
+            if (cached) return { ...cached, stale: isPriceStale(cached.fetchedAt, now(), maxAgeMs) };
+            return fail('PRICE_UNAVAILABLE', `no provider answered (${failures.join(', ')})`);
+        }
+
+        const quote = { asset, fiat, price: median(prices), sources, fetchedAt: now() };
+        cache.set(key, quote);
+        return { ...quote, stale: false };
+    }
+
+    return Object.freeze({
+        /**
+         * @param {string} asset - 'eth' | 'btc' | 'sol' | 'usdc' | 'usdt' (any case)
+         * @param {string} [fiat] - 'usd' | 'inr' (any case)
+         */
+        async getPrice(asset, fiat = DEFAULT_FIAT_CURRENCY) {
+            const a = typeof asset === 'string' ? asset.toLowerCase() : '';
+            const f = typeof fiat === 'string' ? fiat.toLowerCase() : '';
+            if (!PRICE_ASSETS[a]) return fail('UNSUPPORTED_ASSET', asset);
+            if (!FIAT_CURRENCIES[f]) return fail('UNSUPPORTED_FIAT', fiat);
+
+            const key = `${a}:${f}`;
+            const cached = cache.get(key);
+            if (cached && now() - cached.fetchedAt < ttlMs) return { ...cached, stale: false };
+
+            // Concurrent callers share one round of provider requests
+            if (!inflight.has(key)) {
+                inflight.set(key, refresh(a, f, key).finally(() => inflight.delete(key)));
+            }
+            return inflight.get(key);
+        }
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ * JSON-RPC Transport
+ *
+ * RESPONSIBILITY:
+ * - Wraps a plain HTTP JSON-RPC endpoint in the EIP-1193 `request({ method, params })`
+ *   shape, so chain modules accept a wallet provider, a public node, or a
+ *   local stand-in through the same interface.
+ *
+ * CONTRACT:
+ * - `request` resolves with `result` or throws `{ code, message, data }` (like a
+ *   wallet; `data` carries EVM revert data when the node returns it).
+ * - `fetch` is injectable for verify scripts; defaults to the global.
+ */
+
+export const PUBLIC_RPC_URLS = Object.freeze({
+    solana: 'https://api.mainnet-beta.solana.com'
+});
+
+/**
+ * @param {string} url - JSON-RPC endpoint
+ * @param {Function} [fetchImpl] - fetch-compatible function
+ * @returns {{ request: (args: { method: string, params?: Array }) => Promise<any> }}
+ */
+export function createJsonRpcProvider(url, fetchImpl = globalThis.fetch) {
+    let nextId = 1;
+
+    return {
+        url,
+        async request({ method, params = [] }) {
+            const response = await fetchImpl(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+            });
+
+            if (!response.ok) {
+                throw { code: response.status, message: `HTTP ${response.status}` };
+            }
+
+            const data = await response.json();
+            if (data.error) {
+                throw { code: data.error.code, message: data.error.message, data: data.error.data };
+            }
+            return data.result;
+        }
+    };
+}
@@ -9,6 +9,7 @@ This file is visual scaffolding only.
 */
 
 import { resolveIconSources } from '../icons/core/iconCDNResolver.js';
+import { listTokens, resolveChainKey } from './token-registry.js';
 
 /**
  * MOCK DATA - VISUAL ONLY
@@ -48,36 +49,17 @@ const MOCK_ASSETS = [
 // [PHASE 10B] Helper: Gating Pure Function
 // [PHASE 19] Helper: Chain-Scoped Asset Availability
 function getAllowedAssetsForChain(chain) {
-    if (!chain) return ['ETH', 'USDT', 'USDC']; // Default to ETH scope (Phase 19 Rule)
-
-    const c = chain.toLowerCase();
-
-    // Ethereum & L2s & Sidechains (EVM Scope)
-    // "Arbitrum / Optimism / Base / Polygon / Linea / Scroll"
-    if (c.includes('ethereum') ||
-        c.includes('arbitrum') ||
-        c.includes('optimism') ||
-        c.includes('base') ||
-        c.includes('polygon') ||
-        c.includes('linea') ||
-        c.includes('scroll') ||
-        c.includes('sepolia') || // Testnet
-        c.includes('monad')) {   // Devnet (EVM)
-        return ['ETH', 'USDT', 'USDC'];
-    }
-
-    // Bitcoin Scope
-    if (c.includes('bitcoin')) {
-        return ['BTC'];
-    }
+    const ETH_SCOPE = ['ETH', 'USDT', 'USDC']; // Default to ETH scope (Phase 19 Rule)
+    if (!chain) return ETH_SCOPE;
 
-    // Solana Scope
-    if (c.includes('solana')) {
-        return ['SOL', 'USDC'];
+    // Listed chains: exactly the verified assets in the token registry
+    // (e.g. Base has no USDT, Solana has SOL/USDC/USDT)
+    if (resolveChainKey(chain)) {
+        return listTokens(chain).map(t => t.symbol);
     }
 
-    // Fallback for unknown chains
-    return ['ETH', 'USDT', 'USDC'];
+    // Fallback for unknown chains (e.g. Monad devnet)
+    return ETH_SCOPE;
 }
 
 // [PHASE 12] Helper: Chain Gating
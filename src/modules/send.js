@@ -53,20 +53,44 @@
  * - Set window.__DEBUG_SEND__ = true to enable verbose logging
  */
 
-import { AmountEngine } from './amount-engine.js';
+import { AmountEngine, MAX_ASSET_DIGITS, ROUNDING } from './amount-engine.js';
 import { initSendOverlay, openOverlay } from './send-overlay.js';
 import { resolveIconSources } from '../icons/core/iconCDNResolver.js';
+import * as AddressValidation from './address-validation.js';
+import { classifyAddress, familyToAsset } from './address-classifier.js';
+import { parsePaymentURI, hasPaymentDetails } from './payment-uri.js';
+import { sendEvmTransaction, encodeErc20Transfer, resolveSender } from './evm-transaction.js';
+import { sendSolanaTransaction, estimateSolanaFee, computeUnitLimitFor, resolveSolanaSender } from './solana-transaction.js';
+import { createJsonRpcProvider, PUBLIC_RPC_URLS } from './rpc.js';
+import { estimateTransferVsize, fetchUtxos, buildBitcoinTransaction, fetchBitcoinTransaction, BTC_DECIMALS } from './bitcoin-transaction.js';
+import { bitcoinSubmission } from './tx-history.js';
+import { fetchGasTiers, tierDisplayPrice, GAS_TIERS, DEFAULT_GAS_TIER } from './gas-oracle.js';
+import { chainIdForName, findChainById, chainNameForId } from './evm-chains.js';
+import { readWalletChainId } from './network-switch.js';
+import { WalletService } from '../app/services/WalletService.js';
+import { findToken, findNativeToken } from './token-registry.js';
+import { fetchEvmBalances, fetchSolanaBalances, evmFeeReserve, spendableUnits, checkBalances } from './balance.js';
+import { estimateL2Fees } from './l2-fees.js';
+import { selectedEvmProvider, selectedSolanaWallet } from './wallet-discovery.js';
+import { parseHandle, createHandleResolver, createJsonDirectory, createHttpDirectory } from './handles.js';
+import { HANDLE_DIRECTORY_URL, HANDLE_DIRECTORY_ENTRIES } from '../config/handles.js';
+import { searchContacts } from './address-book.js';
+import { formatUnits } from './units.js';
+import { simulateEvmSend, simulateSolanaSend } from './simulation.js';
+import {
+    createPriceService,
+    isPriceStale,
+    resolveFiatCurrency,
+    FIAT_CURRENCIES,
+    PRICE_TTL_MS
+} from './price-service.js';
 
 // [PHASE 7I-F] Asset Input Length Limit (Preventive Guard)
-// JavaScript Number precision breaks beyond ~16 digits (2^53-1).
-// Industry wallets (MetaMask, Coinbase, Phantom) prevent input beyond safe limits.
-// 17 digits = 16 (JS safe integer) + 1 (UX buffer)
-// Implemention: beforeinput prevention (NOT post-truncation)
+// MAX_ASSET_DIGITS lives in amount-engine.js (shared with its verify suite).
 // INVARIANT GUARD: Preventive Strategy (Not Truncative)
 // - beforeinput blocks 18th digit BEFORE DOM insertion
 // - Truncation approach (fixing after insertion) loses user data silently
 // - Prevention approach (blocking before insertion) preserves trust and correctness
-const MAX_ASSET_DIGITS = 17;
 
 // Debug Flag Defaults
 if (typeof window.__DEBUG_SEND__ === 'undefined') {
@@ -180,7 +204,7 @@ function updateNumericScaling(element) {
 //
 // CRITICAL INVARIANTS:
 // 馃攲 String-Authoritative Model: Input values stay as strings, conversion
-//    happens ONLY in AmountEngine.safeParse()
+//    happens ONLY in AmountEngine.safeParse() (BigInt fixed-point, strings out)
 // 馃攲 Authority Rule: Derived field is written, authoritative field is READ-ONLY
 // 馃攲 Write Barriers: Focus-based protection prevents overwriting active input
 // 馃攲 Neutral State: "— —" rendering for invalid/empty states
@@ -201,7 +225,11 @@ function updateNumericScaling(element) {
 // - This rule is frozen for financial correctness across all future changes
 function updateAmountMirror() {
     // 1. Prerequisites
-    if (!APP_STATE.asset || !DATA_STATE.assetPriceUSD) return;
+    // [PHASE 36] Never convert on a stale price (refresh is requested instead)
+    if (!APP_STATE.asset || !isPriceFresh()) {
+        if (APP_STATE.asset) requestPriceRefresh();
+        return;
+    }
 
     const usdInput = document.getElementById('usdIndex');
     const assetDisplay = document.querySelector('.currency-display .value');
@@ -297,7 +325,7 @@ function updateAmountMirror() {
         // Standard pattern: Read USD, Write Asset.
 
         const fiatVal = usdInput.value;
-        const derived = AmountEngine.deriveFromFiat(fiatVal, DATA_STATE.assetPriceUSD, APP_STATE.chain);
+        const derived = AmountEngine.deriveFromFiat(fiatVal, DATA_STATE.assetPriceFiat, APP_STATE.asset || APP_STATE.chain);
 
         // Scale Authoritative Input (Self-check for sizing only, do not set value)
         updateNumericScaling(usdInput);
@@ -307,7 +335,7 @@ function updateAmountMirror() {
         // This mirrors USD's safety: USD never gets written to in FIAT mode
         const isAssetBeingEdited = document.activeElement === assetDisplay;
 
-        if (derived !== null && derived > 0) {
+        if (derived !== null && derived !== '0') {
             if (!isAssetBeingEdited) {
                 setVisualValue(assetDisplay, derived);
             }
@@ -330,14 +358,14 @@ function updateAmountMirror() {
 
         // Read textContent
         const assetVal = assetDisplay.textContent.replace('— —', '').trim();
-        const derived = AmountEngine.deriveFromAsset(assetVal, DATA_STATE.assetPriceUSD);
+        const derived = AmountEngine.deriveFromAsset(assetVal, DATA_STATE.assetPriceFiat);
 
         // Scale Authoritative Input
         updateNumericScaling(assetDisplay);
 
         if (derived !== null) {
             // Derive USD
-            setVisualValue(usdInput, derived.toFixed(2)); // derived is number, setVisualValue handles string
+            setVisualValue(usdInput, derived); // derived is already a 2-decimal string
             assetDisplay.classList.remove('state-neutral');
         } else {
             setVisualValue(usdInput, ''); // Empty string for USD input
@@ -376,7 +404,10 @@ const APP_STATE = Object.seal({
     source: null, // 'manual' | 'qr' | null
     chainUserSelected: false,
     assetUserSelected: false,
-    btcAddressType: null // 'taproot' | 'segwit' | 'legacy'
+    btcAddressType: null, // 'taproot' | 'segwit' | 'legacy'
+    paymentRequest: null, // [PHASE 29] Parsed BIP-21 / EIP-681 / Solana Pay request (payment-uri.js)
+    gasTier: DEFAULT_GAS_TIER, // [PHASE 34] 'slow' | 'standard' | 'fast' (gas-oracle.js)
+    fiatCurrency: resolveFiatCurrency(localStorage.getItem('currency_preference')) // [PHASE 36] Profile → 'usd' | 'inr'
 });
 
 // [PHASE 15] EXPOSED STATE SETTER (for Overlay)
@@ -404,11 +435,15 @@ window.setBTCAddressType = function (type) {
 
     // Trigger validation update if needed (e.g. if conflict check is implemented)
     // updateValidationState(); 
+
+    // [PHASE 33] BTC fee depends on input/change type (vsize)
+    updateDerivedState();
+    updateGasUI();
 };
 
 // [PHASE 3B-2] UI Gating Logic
 function applyUIGating(validationState) {
-    const { isAddressPresent, isAddressValid, isChainMatch, isSupportedChain } = validationState;
+    const { isAddressPresent, isAddressValid, isChainMatch, isSupportedChain, invalidReason } = validationState;
     // 1. Slider Gating (Send Button)
     // Send allowed ONLY if: Address exists AND is valid AND chain is supported AND matches asset type
     const canSend = isAddressPresent && isAddressValid && isSupportedChain && isChainMatch;
@@ -430,6 +465,13 @@ function applyUIGating(validationState) {
         // Reset classes first (Neutralize)
         addressField.classList.remove('input-validated', 'input-invalid');
 
+        // [PHASE 27] Expose machine-readable reason (styling/debug hook, no visual alarm)
+        if (isAddressPresent && invalidReason) {
+            addressField.dataset.invalidReason = invalidReason;
+        } else {
+            delete addressField.dataset.invalidReason;
+        }
+
         if (isAddressPresent) {
             if (isAddressValid && isSupportedChain && isChainMatch) {
                 // Structurally Valid -> Confirm
@@ -453,7 +495,8 @@ const VALIDATION_STATE = Object.seal({
     isAddressPresent: false,
     isAddressValid: false,
     isChainMatch: false,
-    isSupportedChain: false
+    isSupportedChain: false,
+    invalidReason: null // [PHASE 27] machine-readable reason, e.g. 'bad_checksum' | 'wrong_length' | 'testnet_hrp'
 });
 
 /**
@@ -462,10 +505,14 @@ const VALIDATION_STATE = Object.seal({
  * Updated via passive fetch, no execution logic.
  */
 const DATA_STATE = Object.seal({
-    gasPrice: null,        // raw value
+    gasPrice: null,        // raw value (selected tier, display unit)
     gasUnit: null,         // gwei, sat/vB, etc.
-    assetPriceUSD: null,   // number
-    lastUpdated: null      // timestamp
+    gasTiers: null,        // [PHASE 34] { slow, standard, fast } from gas-oracle.js
+    l2Fees: null,          // [PHASE 35] { model, executionGas, l1DataFee, l1DataFeeNative, l1FeeIncluded } (rollups only)
+    assetPriceUSD: null,   // number (fee display)
+    assetPriceFiat: null,  // [PHASE 36] number, in APP_STATE.fiatCurrency (amount mirror)
+    balance: null,         // [PHASE 37] { chain, asset, owner, token, balance, nativeBalance } (BigInt base units)
+    lastUpdated: null      // [PHASE 36] { at, priceFetchedAt, stale } (price-service.js)
 });
 
 /**
@@ -474,8 +521,10 @@ const DATA_STATE = Object.seal({
  * Derived from DATA_STATE + APP_STATE.
  */
 const DERIVED_STATE = Object.seal({
-    estimatedGasFeeNative: null, // e.g. 0.00042 ETH
+    estimatedGasFeeNative: null, // e.g. 0.00042 ETH (execution + L1 data)
     estimatedGasFeeUSD: null,    // e.g. 1.18
+    l2ExecutionFeeNative: null,  // [PHASE 35] Rollups: L2 execution part
+    l1DataFeeNative: null,       // [PHASE 35] Rollups: L1 data / blob part
     lastDerivedAt: null
 });
 
@@ -527,9 +576,10 @@ function debugTxLog(label, data) {
 
 /**
  * PURE DERIVATION FUNCTIONS
- * 1. ETH: 21,000 gas * gasPrice (gwei)
- * 2. BTC: ~140 vB * feeRate (sat/vB)
- * 3. SOL: ~5000 Lamports (fixed)
+ * 1. EVM: transfer gas * gasPrice (gwei, selected tier)
+ *    + [PHASE 35] rollups: L1 data fee (l2-fees.js)
+ * 2. BTC: vsize (bitcoin-transaction.js, by address type) * feeRate (sat/vB)
+ * 3. SOL: node-priced via getFeeForMessage (~5000 Lamports per signature)
  */
 function deriveGasFee() {
     const { chain, asset } = APP_STATE;
@@ -538,20 +588,28 @@ function deriveGasFee() {
     if (!chain || !gasPrice) return null;
 
     let nativeFee = 0;
+    let breakdown = null;
+    const family = resolveChainFamily(chain); // [PHASE 34] L2s priced like mainnet
 
-    if (chain === 'Ethereum') {
+    if (family === 'ethereum') {
         // gasPrice is in gwei. 1 gwei = 1e-9 ETH
-        // Standard Tx = 21000 gas
-        nativeFee = 21000 * gasPrice * 1e-9;
+        // [PHASE 35] Rollups: Arbitrum's execution gas excludes its L1 component
+        const l2 = DATA_STATE.l2Fees;
+        const executionGas = l2 ? l2.executionGas : transferGasFor(chain, asset);
+        const executionFee = executionGas * gasPrice * 1e-9;
+        const l1DataFee = l2 ? l2.l1DataFeeNative : 0;
+        nativeFee = executionFee + l1DataFee;
+        if (l2 && l2.model) breakdown = { l2ExecutionFeeNative: executionFee, l1DataFeeNative: l1DataFee };
     }
-    else if (chain === 'Bitcoin') {
+    else if (family === 'bitcoin') {
         // gasPrice is sat/vB. 1 sat = 1e-8 BTC
-        // Standard Tx ~ 140 vB (P2PKH/Segwit mix estimate)
-        nativeFee = 140 * gasPrice * 1e-8;
+        // [PHASE 33] vsize: 1 input of the selected wallet type + recipient + change
+        const recipientOutputType = classifyAddress(APP_STATE.recipientAddress || '').outputType;
+        const vsize = estimateTransferVsize(APP_STATE.btcAddressType, recipientOutputType);
+        nativeFee = vsize * gasPrice * 1e-8;
     }
-    else if (chain === 'Solana') {
-        // gasPrice is in SOL (0.000005)
-        // Fixed fee usually
+    else if (family === 'solana') {
+        // gasPrice is the whole transfer fee in SOL (base + priority, selected tier)
         nativeFee = gasPrice;
     }
 
@@ -561,7 +619,9 @@ function deriveGasFee() {
 
     return {
         estimatedGasFeeNative: nativeFee,
-        estimatedGasFeeUSD: usdFee
+        estimatedGasFeeUSD: usdFee,
+        l2ExecutionFeeNative: breakdown ? breakdown.l2ExecutionFeeNative : null,
+        l1DataFeeNative: breakdown ? breakdown.l1DataFeeNative : null
     };
 }
 
@@ -571,104 +631,347 @@ function updateDerivedState() {
     if (fees) {
         DERIVED_STATE.estimatedGasFeeNative = fees.estimatedGasFeeNative;
         DERIVED_STATE.estimatedGasFeeUSD = fees.estimatedGasFeeUSD;
+        DERIVED_STATE.l2ExecutionFeeNative = fees.l2ExecutionFeeNative;
+        DERIVED_STATE.l1DataFeeNative = fees.l1DataFeeNative;
         DERIVED_STATE.lastDerivedAt = Date.now();
     } else {
         DERIVED_STATE.estimatedGasFeeNative = null;
         DERIVED_STATE.estimatedGasFeeUSD = null;
+        DERIVED_STATE.l2ExecutionFeeNative = null;
+        DERIVED_STATE.l1DataFeeNative = null;
     }
 
     debugDerivedLog('Updated', DERIVED_STATE);
 }
 
 // [PHASE 3D] Transaction Readiness
+// [PHASE 38] Reasons are structured ({ code, message }) and shown under the slider
 function deriveTransactionReadiness() {
     const isAddressValid = VALIDATION_STATE.isAddressValid;
     const hasGasPrice = DATA_STATE.gasPrice !== null;
     const hasFeeUSD = DERIVED_STATE.estimatedGasFeeUSD !== null;
     const hasRecipient = APP_STATE.recipientAddress !== null;
+    // [PHASE 36] Fiat-entered amounts are converted at send time
+    const hasFreshPrice = APP_STATE.inputMode === 'asset' || isPriceFresh();
+    // [PHASE 38] Live balances of the connected wallet (unknown balances do not block)
+    const { hasSufficientFunds, hasSufficientGas } = deriveBalanceChecks();
+    // [PHASE 44] Simulated on a public node (only failures that would land on chain block)
+    const simulationPassed = !simulationFailure();
 
     // Check Amount Logic (Input Mode)
     // For now we just check if it's visually blocked or not, and basic valid inputs
     // The "validateInputs" function covers the amount numerical validity.
     // Here we check chain/data readiness.
 
-    const isReady = isAddressValid && hasGasPrice && hasFeeUSD && hasRecipient;
+    const checks = { isAddressValid, hasGasPrice, hasFeeUSD, hasRecipient, hasFreshPrice, hasSufficientFunds, hasSufficientGas, simulationPassed };
+    const reasons = READINESS_CHECKS
+        .filter(({ check }) => !checks[check])
+        .map(({ code, message }) => ({ code, message: message() }));
+    const isReady = reasons.length === 0;
 
     if (window.__DEBUG_GEMINI__) {
         console.log("[SendReadiness]", {
             chain: APP_STATE.chain,
             asset: APP_STATE.asset,
-            hasGasPrice,
-            hasFeeUSD,
+            ...checks,
             isReady
         });
     }
 
-    return {
-        isReady,
-        reason: isReady ? 'Ready' : `Missing: ${!isAddressValid ? 'Valid Address ' : ''}${!hasGasPrice ? 'Gas Data ' : ''}${!hasFeeUSD ? 'Fee Calc ' : ''}${!hasRecipient ? 'Recipient' : ''}`
-    };
+    return { isReady, checks, reasons };
+}
+
+// Order = display priority (the first failing check is shown)
+const READINESS_CHECKS = Object.freeze([
+    { check: 'hasRecipient', code: 'NO_RECIPIENT', message: () => 'Enter a recipient address' },
+    { check: 'isAddressValid', code: 'INVALID_ADDRESS', message: () => 'Enter a valid wallet address' },
+    { check: 'hasGasPrice', code: 'NO_GAS_DATA', message: () => 'Network fee unavailable' },
+    { check: 'hasFeeUSD', code: 'NO_FEE_ESTIMATE', message: () => 'Fee estimate unavailable' },
+    { check: 'hasFreshPrice', code: 'STALE_PRICE', message: () => 'Price is out of date' },
+    { check: 'hasSufficientFunds', code: 'INSUFFICIENT_FUNDS', message: () => `Insufficient ${(APP_STATE.asset || '').toUpperCase()} balance` },
+    { check: 'hasSufficientGas', code: 'INSUFFICIENT_GAS', message: () => insufficientGasMessage(APP_STATE.chain) },
+    { check: 'simulationPassed', code: 'SIMULATION_FAILED', message: () => simulationMessage(simulationFailure()) }
+]);
+
+/**
+ * [PHASE 38] Entered amount vs DATA_STATE.balance and the selected tier's fee.
+ * Both checks pass while the balance, fee or amount is still unknown.
+ */
+function deriveBalanceChecks() {
+    const unknown = { hasSufficientFunds: true, hasSufficientGas: true };
+    const held = DATA_STATE.balance;
+    if (!held || held.chain !== APP_STATE.chain || held.asset !== APP_STATE.asset) return unknown;
+
+    const feeReserve = feeReserveUnits(held.chain, held.asset);
+    const amountUnits = AmountEngine.toBaseUnits(resolveAssetAmount(), held.token.decimals);
+    if (feeReserve === null || amountUnits === null || amountUnits === 0n) return unknown;
+
+    return checkBalances({ token: held.token, amountUnits, balance: held.balance, nativeBalance: held.nativeBalance, feeReserve });
+}
+
+/**
+ * [PHASE 38] First blocking reason under the slider, before the user drags.
+ * Hidden on an untouched form (no recipient yet).
+ */
+function updateReadinessUI() {
+    const status = document.getElementById('sliderReadiness');
+    if (!status) return;
+
+    const { reasons } = deriveTransactionReadiness();
+    const reason = APP_STATE.recipientAddress ? reasons[0] : null;
+    status.textContent = reason ? reason.message : '';
+    status.dataset.reason = reason ? reason.code : '';
+    status.hidden = !reason;
+
+    // [PHASE 44] Inputs may have changed
+    scheduleSimulation(reasons.every(({ code }) => code === 'SIMULATION_FAILED'));
+    updateBtcSignerPanel(); // [PHASE 45]
 }
 
 /**
  * PASSIVE DATA FETCHERS
  * Fail silently, no retries, no side effects.
  */
+/**
+ * [PHASE 34] Gas oracle tiers (slow / standard / fast) for the active chain.
+ * Unsupported chains (no adapter / endpoint) return null → readiness blocks.
+ */
 async function fetchGasPrice(chain) {
     if (!chain) return null;
     try {
-        // Stub: Real fetch would go here
-        // Simulating network delay and realistic values
-        // await new Promise(r => setTimeout(r, 500)); 
+        const family = resolveChainFamily(chain);
+        const source = await gasOracleSource(chain, family);
+        if (!source) return null;
 
-        if (chain === 'Ethereum') return { price: 15, unit: 'gwei' };
-        if (chain === 'Bitcoin') return { price: 12, unit: 'sat/vB' };
-        if (chain === 'Solana') return { price: 0.000005, unit: 'SOL' };
-
-        // [PHASE 3C] A-MODE: Mock Fallback for L2s/Others
-        // Never return null so readiness check passes
-        return { price: 0.1, unit: 'gwei' };
+        const result = await fetchGasTiers(family, source.transport, source.context);
+        if (result.error) {
+            if (window.__DEBUG_DATA__) console.warn('[Data] Gas Oracle Failed', result);
+            return null;
+        }
+        return { tiers: result.tiers };
     } catch (e) {
         if (window.__DEBUG_DATA__) console.warn('[Data] Gas Fetch Failed', e);
         return null;
     }
 }
 
-async function fetchAssetPrice(asset) {
+// [PHASE 32] Solana reads (fees, blockhash, token accounts) go through a public node
+const solanaConnection = createJsonRpcProvider(PUBLIC_RPC_URLS.solana);
+const evmConnections = new Map(); // rpcUrl → provider
+
+function evmConnectionFor(evmChain) {
+    if (!evmConnections.has(evmChain.rpcUrl)) {
+        evmConnections.set(evmChain.rpcUrl, createJsonRpcProvider(evmChain.rpcUrl));
+    }
+    return evmConnections.get(evmChain.rpcUrl);
+}
+
+/**
+ * Transport + adapter context per chain family.
+ * Solana's base fee is node-priced (getFeeForMessage, 5000 lamports fallback).
+ */
+async function gasOracleSource(chain, family) {
+    if (family === 'ethereum') {
+        const evmChain = findChainById(chainIdForName(chain));
+        if (!evmChain) return null;
+        return { transport: evmConnectionFor(evmChain), context: { blockTime: evmChain.blockTime } };
+    }
+    if (family === 'bitcoin') {
+        return chain === 'Bitcoin' ? { transport: window.fetch.bind(window), context: {} } : null;
+    }
+    if (family === 'solana') {
+        const wallet = selectedSolanaWallet();
+        const from = wallet && wallet.publicKey ? wallet.publicKey.toString() : null;
+        const baseFee = await estimateSolanaFee(solanaConnection, { from, to: APP_STATE.recipientAddress });
+        if (window.__DEBUG_DATA__ && baseFee.fallback) console.warn('[Data] Solana fee fallback', baseFee);
+        return {
+            transport: solanaConnection,
+            context: {
+                baseFeeLamports: baseFee.lamports,
+                computeUnitLimit: computeUnitLimitFor({ asset: APP_STATE.asset })
+            }
+        };
+    }
+    return null;
+}
+
+// Gas for a plain transfer (wallet estimation refines it at execution)
+const NATIVE_TRANSFER_GAS = 21000;
+const TOKEN_TRANSFER_GAS = 65000;
+
+function isTokenTransfer(chain, asset) {
+    const token = findToken(chain, asset);
+    return Boolean(token && token.type !== 'native');
+}
+
+function transferGasFor(chain, asset) {
+    return isTokenTransfer(chain, asset) ? TOKEN_TRANSFER_GAS : NATIVE_TRANSFER_GAS;
+}
+
+// Stand-in recipient for fee sampling before one is entered (non-zero bytes: L1 data is priced per byte)
+const SAMPLE_EVM_RECIPIENT = '0x' + 'ab'.repeat(20);
+
+function isRollup(chain) {
+    const evmChain = findChainById(chainIdForName(chain));
+    return Boolean(evmChain && evmChain.rollup);
+}
+
+/**
+ * [PHASE 35] L2 execution gas + L1 data fee for a representative transfer
+ * on the active rollup. L1 chains (no `rollup` model) return null.
+ */
+async function fetchL2Fees(chain, asset, tier) {
+    const evmChain = findChainById(chainIdForName(chain));
+    if (!isRollup(chain) || !tier) return null;
+
+    const recipient = VALIDATION_STATE.isAddressValid && APP_STATE.recipientAddress
+        ? APP_STATE.recipientAddress
+        : SAMPLE_EVM_RECIPIENT;
+    const token = isTokenTransfer(chain, asset) ? findToken(chain, asset) : null;
+    const tx = {
+        chainId: evmChain.chainId,
+        to: token ? token.address : recipient,
+        value: token ? 0n : 10n ** 18n,
+        data: token ? encodeErc20Transfer(recipient, 10n ** 8n) : '0x',
+        gas: BigInt(transferGasFor(chain, asset)),
+        maxFeePerGas: tier.maxFee,
+        maxPriorityFeePerGas: tier.priorityFee
+    };
+
+    const source = await gasOracleSource(chain, 'ethereum');
+    const result = await estimateL2Fees(source.transport, tx, tier.baseFee + tier.priorityFee);
+    if (result.error) {
+        if (window.__DEBUG_DATA__) console.warn('[Data] L2 Fee Oracle Failed', result);
+        return null;
+    }
+    return {
+        model: result.model,
+        executionGas: Number(result.executionGas),
+        l1DataFee: result.l1DataFee,
+        l1DataFeeNative: Number(result.l1DataFee) / 1e18,
+        l1FeeIncluded: result.l1FeeIncluded
+    };
+}
+
+/**
+ * [PHASE 34] Projects the selected tier into DATA_STATE.gasPrice / gasUnit.
+ */
+function applyGasTier() {
+    const tier = selectedGasTier();
+    if (!tier) return;
+    const { price, unit } = tierDisplayPrice(resolveChainFamily(APP_STATE.chain), tier);
+    DATA_STATE.gasPrice = price;
+    DATA_STATE.gasUnit = unit;
+}
+
+/**
+ * [PHASE 43] Shares DATA_STATE.gasTiers with the app, which prices History
+ * speed-up / cancel replacements from them (send:gas-tiers).
+ */
+function announceGasTiers(chain) {
+    document.dispatchEvent(new CustomEvent('send:gas-tiers', {
+        detail: { chain, tiers: DATA_STATE.gasTiers, at: Date.now() }
+    }));
+}
+
+// [PHASE 36] Median of several providers, cached (price-service.js)
+const priceService = createPriceService({ fetchImpl: window.fetch.bind(window) });
+
+/**
+ * USD quote (fee display) + quote in the Profile currency (amount mirror).
+ * Failed lookups return null for that currency.
+ */
+async function fetchAssetPrice(asset, fiatCurrency) {
     if (!asset) return null;
     try {
-        // Stub: Real fetch would go here
-        if (asset === 'eth') return 2250.50;
-        if (asset === 'btc') return 42000.00;
-        if (asset === 'sol') return 95.20;
-
-        // [PHASE 3C] A-MODE: Mock Fallback for Tokens
-        return 1.00;
+        const [usd, fiat] = await Promise.all([
+            priceService.getPrice(asset, 'usd'),
+            priceService.getPrice(asset, fiatCurrency)
+        ]);
+        if (window.__DEBUG_DATA__ && (usd.error || fiat.error)) console.warn('[Data] Price Lookup Failed', usd, fiat);
+        return { usd: usd.error ? null : usd, fiat: fiat.error ? null : fiat };
     } catch (e) {
         if (window.__DEBUG_DATA__) console.warn('[Data] Price Fetch Failed', e);
         return null;
     }
 }
 
+/**
+ * [PHASE 36] True when the fiat price may be used for conversion.
+ * Re-checks age so a quote that aged out while idle is refused too.
+ */
+function isPriceFresh() {
+    const updated = DATA_STATE.lastUpdated;
+    if (!DATA_STATE.assetPriceFiat || !updated || updated.stale) return false;
+    if (isPriceStale(updated.priceFetchedAt)) {
+        updated.stale = true;
+        return false;
+    }
+    return true;
+}
+
+let priceRefreshPending = false;
+
+// [PHASE 37] Balance reads finish out of order (passive refresh vs Max): only
+// the latest one is written
+let balanceReads = 0;
+
+/** At most one refresh per TTL window, so a failing provider set cannot loop. */
+function requestPriceRefresh() {
+    const updated = DATA_STATE.lastUpdated;
+    if (priceRefreshPending || (updated && Date.now() - updated.at < PRICE_TTL_MS)) return;
+    priceRefreshPending = true;
+    updateDataState().finally(() => { priceRefreshPending = false; });
+}
+
 async function updateDataState() {
     const { chain, asset } = APP_STATE;
+    const currency = APP_STATE.fiatCurrency;
     if (!chain || !asset) return;
+    // A slow response for the previous selection must not land on the current one
+    const selectionChanged = () => APP_STATE.chain !== chain || APP_STATE.asset !== asset || APP_STATE.fiatCurrency !== currency;
+
+    // [PHASE 39] Wallet network vs the newly selected chain (non-blocking)
+    refreshWalletNetwork();
 
     // Passive Fetch
-    const [gas, price] = await Promise.all([
+    const balanceRead = ++balanceReads;
+    const [gas, price, held] = await Promise.all([
         fetchGasPrice(chain),
-        fetchAssetPrice(asset)
+        fetchAssetPrice(asset, APP_STATE.fiatCurrency),
+        fetchBalances(chain, asset) // [PHASE 37] Connected wallet only (never prompts)
     ]);
+    if (selectionChanged()) return;
+
+    // [PHASE 35] Rollups: without the L1 data fee the estimate is mostly missing → treat as no gas data
+    const l2Fees = gas && isRollup(chain)
+        ? await fetchL2Fees(chain, asset, gas.tiers[APP_STATE.gasTier])
+        : null;
+    if (selectionChanged()) return; // Never another rollup's L1 data fee
 
     // Update State
-    if (gas) {
-        DATA_STATE.gasPrice = gas.price;
-        DATA_STATE.gasUnit = gas.unit;
-    }
-    if (price) {
-        DATA_STATE.assetPriceUSD = price;
+    if (gas && (l2Fees || !isRollup(chain))) {
+        DATA_STATE.gasTiers = gas.tiers;
+        DATA_STATE.l2Fees = l2Fees;
+        applyGasTier();
+        announceGasTiers(chain);
+    } else {
+        // Never show another chain's tiers
+        DATA_STATE.gasTiers = null;
+        DATA_STATE.l2Fees = null;
+        DATA_STATE.gasPrice = null;
+        DATA_STATE.gasUnit = null;
     }
-    DATA_STATE.lastUpdated = Date.now();
+    // [PHASE 36] A missing quote clears the price (never another asset's / currency's)
+    const fiatQuote = price ? price.fiat : null;
+    DATA_STATE.assetPriceUSD = price && price.usd ? price.usd.price : null;
+    DATA_STATE.assetPriceFiat = fiatQuote ? fiatQuote.price : null;
+    DATA_STATE.lastUpdated = {
+        at: Date.now(),
+        priceFetchedAt: fiatQuote ? fiatQuote.fetchedAt : null,
+        stale: !fiatQuote || fiatQuote.stale
+    };
+    if (balanceRead === balanceReads) DATA_STATE.balance = held.error ? null : held;
 
     debugDataLog('Updated', DATA_STATE);
 
@@ -680,12 +983,23 @@ async function updateDataState() {
 
     // [PHASE 6D] Amount Engine Hook
     updateAmountMirror();
+
+    // [PHASE 38] Balance / fee may have changed
+    updateReadinessUI();
 }
 
 function updateGasUI() {
     const gasLabel = document.querySelector('.gas-info-row .label');
     const gasValue = document.querySelector('.gas-info-row .value');
 
+    // [PHASE 34] Selected tier + ETA (e.g. "Standard · ~36s")
+    if (gasLabel) {
+        const tier = selectedGasTier();
+        gasLabel.textContent = tier
+            ? `${GAS_TIER_LABELS[APP_STATE.gasTier]} · ~${formatEta(tier.etaSeconds)}`
+            : 'Current Gas';
+    }
+
     if (gasValue && DATA_STATE.gasPrice) {
         let text = `${DATA_STATE.gasPrice} ${DATA_STATE.gasUnit}`;
 
@@ -699,31 +1013,881 @@ function updateGasUI() {
         }
 
         gasValue.textContent = text;
+
+        // [PHASE 35] Rollups: L2 execution vs L1 data split
+        gasValue.title = DERIVED_STATE.l1DataFeeNative !== null
+            ? `L2 execution ≈ ${formatNativeFee(DERIVED_STATE.l2ExecutionFeeNative)} · L1 data ≈ ${formatNativeFee(DERIVED_STATE.l1DataFeeNative)}`
+            : '';
     }
 
     // Note: Can also update USD equivalent if we had a dedicated slot
     // For now, we strictly follow "passive display" scope.
 }
 
+function formatNativeFee(value) {
+    return `${Number(value.toPrecision(3))} ETH`;
+}
+
+function selectedGasTier() {
+    return DATA_STATE.gasTiers ? DATA_STATE.gasTiers[APP_STATE.gasTier] || null : null;
+}
+
+const GAS_TIER_LABELS = { slow: 'Slow', standard: 'Standard', fast: 'Fast' };
+
+function formatEta(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    return `${Math.round(seconds / 3600)} h`;
+}
+
+/**
+ * [PHASE 34] Cycles slow → standard → fast on the fee label.
+ * Re-projects cached tiers; no refetch.
+ */
+function initGasTierPicker() {
+    const toggle = document.querySelector('.gas-info-row .gas-tier-toggle');
+    if (!toggle) return;
+
+    const cycle = (e) => {
+        if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        if (!DATA_STATE.gasTiers) return;
+
+        const next = GAS_TIERS[(GAS_TIERS.indexOf(APP_STATE.gasTier) + 1) % GAS_TIERS.length];
+        APP_STATE.gasTier = next;
+        applyGasTier();
+        updateDerivedState();
+        updateGasUI();
+        updateReadinessUI(); // [PHASE 38] Fee reserve follows the tier
+
+        if (window.__DEBUG_DATA__) console.log('[Data] Gas tier selected:', next);
+    };
+
+    toggle.addEventListener('click', cycle);
+    toggle.addEventListener('keydown', cycle);
+}
+
+/**
+ * [PHASE 36] Applies the Profile currency to the fiat input and re-prices.
+ * Profile announces changes with 'profile:currency-changed'.
+ */
+function initFiatCurrency() {
+    const renderSymbol = () => {
+        const symbol = document.querySelector('.currency-input .currency-symbol');
+        if (symbol) symbol.textContent = FIAT_CURRENCIES[APP_STATE.fiatCurrency].symbol;
+    };
+    renderSymbol();
+
+    document.addEventListener('profile:currency-changed', (e) => {
+        const next = resolveFiatCurrency(e.detail && e.detail.currency);
+        if (next === APP_STATE.fiatCurrency) return;
+        APP_STATE.fiatCurrency = next;
+        DATA_STATE.assetPriceFiat = null; // Never convert with the previous currency's price
+        renderSymbol();
+        updateDataState();
+
+        if (window.__DEBUG_DATA__) console.log('[Data] Fiat currency selected:', next);
+    });
+}
+
+// [PHASE 37] Max send: exact balances (balance.js) minus the selected tier's fee
+
+/**
+ * Sending account for the chain family. Passive refreshes only read an
+ * already-authorized account; the Max button may ask the wallet to connect.
+ * @returns {Promise<{ from: string }|{ error: string }>}
+ */
+async function resolveBalanceOwner(family, prompt) {
+    if (family === 'ethereum') {
+        const provider = selectedEvmProvider();
+        if (prompt) return resolveSender(provider);
+        if (!provider) return { error: 'PROVIDER_NOT_FOUND' };
+        try {
+            const accounts = await provider.request({ method: 'eth_accounts' });
+            return accounts && accounts[0] ? { from: accounts[0] } : { error: 'NO_ACCOUNT' };
+        } catch (e) {
+            return { error: 'NO_ACCOUNT' };
+        }
+    }
+    if (family === 'solana') {
+        const wallet = selectedSolanaWallet();
+        if (prompt) return resolveSolanaSender(wallet);
+        const key = wallet && wallet.publicKey;
+        return key ? { from: key.toString() } : { error: 'NO_ACCOUNT' };
+    }
+    return { error: 'UNSUPPORTED_CHAIN' }; // Bitcoin: no wallet integration yet
+}
+
+/**
+ * Exact balance of the asset + the chain's native coin for the connected account.
+ * @returns {Promise<object>} DATA_STATE.balance shape, or { error }
+ */
+async function fetchBalances(chain, asset, { prompt = false } = {}) {
+    const family = resolveChainFamily(chain);
+    const token = findToken(chain, asset);
+    if (!token) return { error: 'UNSUPPORTED_ASSET' };
+
+    const owner = await resolveBalanceOwner(family, prompt);
+    if (owner.error) return owner;
+
+    const result = family === 'ethereum'
+        ? await fetchEvmBalances(evmConnectionFor(findChainById(chainIdForName(chain))), owner.from, token)
+        : await fetchSolanaBalances(solanaConnection, owner.from, token);
+    if (result.error) {
+        if (window.__DEBUG_DATA__) console.warn('[Data] Balance Read Failed', result);
+        return result;
+    }
+    return { chain, asset, owner: owner.from, token, balance: result.balance, nativeBalance: result.nativeBalance };
+}
+
+/**
+ * Native base units held back for the selected tier's fee (null without fee data).
+ * EVM mirrors the submitted transaction: buffered gas limit × maxFeePerGas + L1 data fee.
+ */
+function feeReserveUnits(chain, asset) {
+    const tier = selectedGasTier();
+    if (!tier) return null;
+
+    const family = resolveChainFamily(chain);
+    if (family === 'solana') return BigInt(Math.ceil(tier.maxFee)); // lamports, whole transfer
+    if (family !== 'ethereum') return null;
+
+    const l2 = DATA_STATE.l2Fees;
+    return evmFeeReserve({
+        gas: BigInt(l2 ? l2.executionGas : transferGasFor(chain, asset)),
+        maxFeePerGas: tier.maxFee,
+        gasPrice: tier.baseFee + tier.priorityFee,
+        l1DataFee: l2 ? l2.l1DataFee : 0n,
+        l1FeeAsGas: Boolean(l2 && l2.model === 'arbitrum')
+    });
+}
+
+/**
+ * Spendable amount of the active asset, or null while balance / fee data is unknown.
+ * @returns {{ units: bigint }|{ error: string }|null}
+ */
+function activeSpendable() {
+    const held = DATA_STATE.balance;
+    if (!held || held.chain !== APP_STATE.chain || held.asset !== APP_STATE.asset) return null;
+
+    const feeReserve = feeReserveUnits(held.chain, held.asset);
+    if (feeReserve === null) return null;
+    return spendableUnits({ token: held.token, balance: held.balance, nativeBalance: held.nativeBalance, feeReserve });
+}
+
+function insufficientGasMessage(chain) {
+    const native = findNativeToken(chain);
+    return `Not enough ${native ? native.symbol : 'native balance'} for the network fee`;
+}
+
+const MAX_ERROR_MESSAGES = {
+    PROVIDER_NOT_FOUND: 'No wallet found',
+    NO_ACCOUNT: 'Connect your wallet first',
+    USER_REJECTED: 'Wallet connection rejected',
+    UNSUPPORTED_CHAIN: 'Max is not available on this network yet',
+    UNSUPPORTED_ASSET: 'Asset not supported on this network',
+    INSUFFICIENT_FUNDS: 'Balance too low to cover the network fee'
+};
+
+/**
+ * Fills the asset display with the whole spendable balance (asset authority),
+ * rounded DOWN to the asset's precision so it never exceeds the balance.
+ */
+async function applyMaxAmount() {
+    const { chain, asset } = APP_STATE;
+    if (!chain || !asset) return;
+
+    const held = await fetchBalances(chain, asset, { prompt: true });
+    if (held.error) {
+        showToast(MAX_ERROR_MESSAGES[held.error] || 'Balance unavailable', true);
+        return;
+    }
+    if (APP_STATE.chain !== chain || APP_STATE.asset !== asset) return; // Selection changed mid-read
+    balanceReads++; // Passive reads already in flight are older
+    DATA_STATE.balance = held;
+
+    const spendable = activeSpendable();
+    if (!spendable) {
+        showToast('Network fee unavailable', true);
+        return;
+    }
+    if (spendable.error === 'INSUFFICIENT_GAS') {
+        showToast(insufficientGasMessage(chain), true);
+        return;
+    }
+    if (spendable.error) {
+        showToast(MAX_ERROR_MESSAGES[spendable.error], true);
+        return;
+    }
+    if (spendable.units === 0n) {
+        showToast(`No ${held.token.symbol} balance`, true);
+        return;
+    }
+
+    const amount = AmountEngine.roundAsset(
+        AmountEngine.fromBaseUnits(spendable.units, held.token.decimals), asset, ROUNDING.DOWN);
+    const assetDisplay = document.querySelector('.currency-display .value');
+    if (!assetDisplay || amount.replace('.', '').length > MAX_ASSET_DIGITS) return;
+
+    if (typeof window.setAmountInputMode === 'function') {
+        window.setAmountInputMode('asset');
+    }
+    assetDisplay.textContent = amount;
+    assetDisplay.classList.remove('state-neutral');
+    updateNumericScaling(assetDisplay);
+    updateAmountMirror();
+    updateReadinessUI();
+    debugLogicLog('Max Applied', APP_STATE);
+}
+
+function initMaxButton() {
+    const button = document.getElementById('amountMaxButton');
+    if (!button) return;
+
+    button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Never toggles the amount blocker underneath
+
+        // Same gate as the amount inputs
+        if (!VALIDATION_STATE.isAddressValid) {
+            showToast("Enter wallet address first", true);
+            return;
+        }
+        if (button.disabled) return;
+
+        button.disabled = true;
+        await applyMaxAmount();
+        button.disabled = false;
+    });
+}
+
+// [PHASE 39] Wallet network vs selected chain (network-switch.js; switches go
+// through WalletService.switchNetwork)
+
+const WALLET_NETWORK = {
+    provider: null,     // Provider whose chainChanged we follow
+    chainId: null       // Wallet's current EVM chain (null: no connected EVM wallet)
+};
+
+function onWalletChainChanged(hexChainId) {
+    const chainId = Number.parseInt(hexChainId, 16);
+    WALLET_NETWORK.chainId = Number.isFinite(chainId) ? chainId : null;
+    updateNetworkBanner();
+}
+
+/**
+ * Reads the connected wallet's chain (never prompts) and follows its
+ * chainChanged events, moving the subscription when another wallet is chosen.
+ */
+async function refreshWalletNetwork() {
+    const provider = selectedEvmProvider();
+    if (provider !== WALLET_NETWORK.provider) {
+        const previous = WALLET_NETWORK.provider;
+        if (previous && typeof previous.removeListener === 'function') previous.removeListener('chainChanged', onWalletChainChanged);
+        if (provider && typeof provider.on === 'function') provider.on('chainChanged', onWalletChainChanged);
+        WALLET_NETWORK.provider = provider;
+    }
+
+    const owner = await resolveBalanceOwner('ethereum', false);
+    const current = owner.error ? null : await readWalletChainId(provider);
+    WALLET_NETWORK.chainId = current && !current.error ? current.chainId : null;
+    updateNetworkBanner();
+}
+
+/**
+ * Banner above the slider while the wallet is on another EVM chain than the
+ * chain chip. Submission switches automatically; the button does it now.
+ */
+function updateNetworkBanner() {
+    const banner = document.getElementById('networkMismatchBanner');
+    const text = document.getElementById('networkMismatchText');
+    if (!banner || !text) return;
+
+    const selected = resolveChainFamily(APP_STATE.chain) === 'ethereum' ? chainIdForName(APP_STATE.chain) : null;
+    const walletChainId = WALLET_NETWORK.chainId;
+    const mismatch = selected !== null && walletChainId !== null && walletChainId !== selected;
+
+    banner.hidden = !mismatch;
+    if (!mismatch) return;
+    const walletChain = chainNameForId(walletChainId) || `chain ${walletChainId}`;
+    text.textContent = `Wallet is on ${walletChain}. Switch to ${chainNameForId(selected)} to send.`;
+}
+
+const NETWORK_SWITCH_ERROR_MESSAGES = {
+    PROVIDER_NOT_FOUND: 'No Ethereum wallet found',
+    USER_REJECTED: 'Network switch rejected in wallet',
+    UNSUPPORTED_CHAIN: 'Network not supported yet',
+    SWITCH_FAILED: 'Wallet did not switch network'
+};
+
+function initNetworkBanner() {
+    const button = document.getElementById('networkSwitchButton');
+    if (!button) return;
+
+    button.addEventListener('click', async () => {
+        const chainId = chainIdForName(APP_STATE.chain);
+        if (!chainId || button.disabled) return;
+
+        button.disabled = true;
+        const result = await WalletService.switchNetwork(chainId);
+        button.disabled = false;
+
+        if (result.error) showToast(NETWORK_SWITCH_ERROR_MESSAGES[result.error] || 'Could not switch network', true);
+        refreshWalletNetwork();
+    });
+}
+
+// [PHASE 44] Pre-send simulation (simulation.js): the send is built against the
+// chain's public node and simulated before the wallet signs. Reverts / program
+// errors block the slider; balance changes are previewed above it.
+
+const SIMULATION_DELAY_MS = 600;
+const SIMULATION_MAX_AGE_MS = 15000; // Older results are re-run at submit
+const SIMULATION_BLOCKING = ['REVERTED', 'TRANSFER_FAILED', 'INSUFFICIENT_FUNDS', 'INSUFFICIENT_GAS', 'PROGRAM_ERROR'];
+
+const SIMULATION = {
+    key: null,      // Send inputs of the current run (null: nothing to simulate)
+    pending: null,  // Promise of the run for `key`
+    result: null,   // simulation.js result for `key` (null while running)
+    at: null,       // When `result` arrived
+    timer: null
+};
+
+// Revert texts / program logs come from the recipient contract: shown clipped, as text
+const SIMULATION_DETAIL_MAX = 80;
+const clipDetail = (detail) => {
+    const text = String(detail);
+    return text.length > SIMULATION_DETAIL_MAX ? `${text.slice(0, SIMULATION_DETAIL_MAX - 1)}…` : text;
+};
+
+const SIMULATION_MESSAGES = {
+    REVERTED: (detail) => (detail ? `Transaction would revert: ${clipDetail(detail)}` : 'Transaction would revert'),
+    TRANSFER_FAILED: () => 'Token transfer would fail',
+    INSUFFICIENT_FUNDS: () => `Insufficient ${(APP_STATE.asset || '').toUpperCase()} balance`,
+    INSUFFICIENT_GAS: () => insufficientGasMessage(APP_STATE.chain),
+    PROGRAM_ERROR: (detail) => (detail ? `Transaction would fail: ${clipDetail(detail)}` : 'Transaction would fail')
+};
+
+const SIMULATION_LABELS = { fee: 'Network fee', rent: 'Token account rent' };
+
+/** TX_DRY_RUN fields the built transaction depends on (+ the fee tier). */
+function simulationInputs() {
+    const request = APP_STATE.paymentRequest;
+    return {
+        chain: APP_STATE.chain,
+        asset: APP_STATE.asset,
+        recipient: APP_STATE.recipientAddress,
+        amountAsset: resolveAssetAmount(),
+        memo: request ? request.memo : null,
+        references: request ? request.references : [],
+        gasTier: APP_STATE.gasTier
+    };
+}
+
+/** Blocking failure of the current simulation, or null. */
+function simulationFailure() {
+    const result = SIMULATION.result;
+    return result && SIMULATION_BLOCKING.includes(result.error) ? result : null;
+}
+
+function simulationMessage(failure) {
+    return SIMULATION_MESSAGES[failure.error](failure.detail);
+}
+
+/**
+ * Re-simulates (debounced) when the send inputs change. Runs only once every
+ * other readiness check passes, with the already-connected account (never prompts).
+ */
+function scheduleSimulation(readyOtherwise) {
+    const family = resolveChainFamily(APP_STATE.chain);
+    const inputs = simulationInputs();
+    const simulated = readyOtherwise && (family === 'ethereum' || family === 'solana') && inputs.amountAsset;
+    const key = simulated ? JSON.stringify(inputs) : null;
+    if (key === SIMULATION.key) return;
+
+    clearTimeout(SIMULATION.timer);
+    Object.assign(SIMULATION, { key, pending: null, result: null, at: null, timer: null });
+    updateSimulationPreview();
+    if (key) SIMULATION.timer = setTimeout(() => runSimulation(inputs, key, { prompt: false }), SIMULATION_DELAY_MS);
+}
+
+function runSimulation(inputs, key, { prompt }) {
+    const run = simulateSend(inputs, prompt).catch((err) => ({
+        error: 'RPC_ERROR', // Unavailable: never blocks the send
+        detail: err && err.message ? err.message : null
+    })).then((result) => {
+        if (SIMULATION.pending !== run) return result; // Inputs changed while simulating
+        SIMULATION.result = result;
+        SIMULATION.at = Date.now();
+        if (window.__DEBUG_TX__) console.log('[Tx] Simulation', result);
+        updateSimulationPreview();
+        updateReadinessUI();
+        return result;
+    });
+    Object.assign(SIMULATION, { key, pending: run, result: null, at: null, timer: null });
+    return run;
+}
+
+async function simulateSend(inputs, prompt) {
+    const family = resolveChainFamily(inputs.chain);
+    const owner = await resolveBalanceOwner(family, prompt);
+    if (owner.error) return owner;
+
+    const tier = selectedGasTier();
+    if (family === 'ethereum') {
+        const fees = tier ? { maxFeePerGas: tier.maxFee, maxPriorityFeePerGas: tier.priorityFee } : undefined;
+        return simulateEvmSend(inputs, evmConnectionFor(findChainById(chainIdForName(inputs.chain))), { from: owner.from, fees });
+    }
+    return simulateSolanaSend(inputs, solanaConnection, { from: owner.from, priorityFee: tier ? tier.priorityFee : 0 });
+}
+
+/**
+ * Submit gate: the debounced run when it matches the send and is recent,
+ * otherwise a fresh run (the wallet may be asked to connect).
+ * Unavailable simulations (node errors, no account) do not block.
+ * @returns {Promise<{ error: 'SIMULATION_FAILED', detail: string }|null>}
+ */
+async function simulateBeforeSigning() {
+    const inputs = simulationInputs();
+    const key = JSON.stringify(inputs);
+    const last = SIMULATION.result;
+    const reusable = SIMULATION.key === key && SIMULATION.pending
+        && (!last || ((last.simulation || simulationFailure()) && Date.now() - SIMULATION.at < SIMULATION_MAX_AGE_MS));
+
+    clearTimeout(SIMULATION.timer);
+    const result = await (reusable ? SIMULATION.pending : runSimulation(inputs, key, { prompt: true }));
+    return SIMULATION_BLOCKING.includes(result.error)
+        ? { error: 'SIMULATION_FAILED', detail: simulationMessage(result) }
+        : null;
+}
+
+/**
+ * Decoded balance changes above the slider ("You −0.5 ETH", "Network fee …").
+ */
+function updateSimulationPreview() {
+    const preview = document.getElementById('simulationPreview');
+    if (!preview) return;
+
+    const simulation = SIMULATION.result && SIMULATION.result.simulation;
+    preview.replaceChildren();
+    preview.hidden = !simulation;
+    if (!simulation) return;
+
+    simulation.deltas.forEach((delta) => {
+        const row = document.createElement('div');
+        row.className = `simulation-preview__row is-${delta.role}`;
+
+        const label = document.createElement('span');
+        label.textContent = delta.kind === 'transfer'
+            ? (delta.role === 'sender' ? 'You' : RECIPIENT_HANDLE.handle || 'Recipient')
+            : SIMULATION_LABELS[delta.kind];
+
+        const amount = document.createElement('span');
+        amount.className = 'simulation-preview__amount';
+        amount.textContent = `${delta.amount.replace('-', '−')} ${delta.asset.toUpperCase()}`;
+
+        row.append(label, amount);
+        preview.appendChild(row);
+    });
+}
+
+// [PHASE 45] Bitcoin sends: there is no Bitcoin wallet integration, so the slider
+// builds an unsigned PSBT (bitcoin-transaction.js) for an external signer
+// (hardware wallet, Sparrow, any PSBT-capable wallet). The paying address is
+// entered once above the slider and remembered. Pasting the broadcast txid
+// records the send (send:submitted), so History tracks and fee-bumps it.
+
+const BTC_SENDER_STORAGE_KEY = 'btc_sender_address';
+
+const BTC_HANDOFF = {
+    sender: null,   // Paying address for this page (storage may be blocked)
+    key: null,      // Send inputs the PSBT was built from (stale once they change)
+    tx: null,       // buildBitcoinTransaction() tx
+    dryRun: null    // TX_DRY_RUN it was built from
+};
+
+const BTC_PSBT_ERROR_MESSAGES = {
+    INVALID_RECIPIENT: 'Enter a valid wallet address',
+    INVALID_SENDER: 'Enter a valid Bitcoin address to pay from',
+    UNSUPPORTED_INPUT_TYPE: 'This address type cannot be signed here',
+    INVALID_AMOUNT: 'Enter a valid amount',
+    INVALID_FEE_RATE: 'Network fee unavailable',
+    DUST_OUTPUT: 'Amount is below the dust limit',
+    INSUFFICIENT_FUNDS: 'Insufficient BTC balance',
+    MISSING_PREV_TX: 'Could not load previous transactions',
+    RPC_ERROR: 'Bitcoin network unavailable'
+};
+
+function btcSenderAddress() {
+    if (BTC_HANDOFF.sender) return BTC_HANDOFF.sender;
+    try {
+        return localStorage.getItem(BTC_SENDER_STORAGE_KEY) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+const btcHandoffKey = () => JSON.stringify([APP_STATE.recipientAddress, resolveAssetAmount(), APP_STATE.gasTier, btcSenderAddress()]);
+
+/**
+ * Shows the panel on Bitcoin; drops a built PSBT once the send inputs change.
+ */
+function updateBtcSignerPanel() {
+    const panel = document.getElementById('btcSignerPanel');
+    const psbt = document.getElementById('btcPsbtPanel');
+    const summary = document.getElementById('btcPsbtSummary');
+    if (!panel || !psbt || !summary) return;
+
+    panel.hidden = resolveChainFamily(APP_STATE.chain) !== 'bitcoin';
+    if (BTC_HANDOFF.tx && (panel.hidden || BTC_HANDOFF.key !== btcHandoffKey())) {
+        Object.assign(BTC_HANDOFF, { key: null, tx: null, dryRun: null });
+    }
+
+    const tx = BTC_HANDOFF.tx;
+    if (psbt.hidden && tx) document.getElementById('btcTxidInput').value = '';
+    psbt.hidden = !tx;
+    summary.textContent = tx
+        ? `PSBT · ${tx.inputs.length} input${tx.inputs.length === 1 ? '' : 's'} · fee ${formatUnits(tx.fee, BTC_DECIMALS)} BTC (${tx.feeRate} sat/vB)`
+        : '';
+}
+
+/**
+ * Slider completion on Bitcoin: UTXOs of the paying address → PSBT at the
+ * selected tier's fee rate.
+ */
+async function prepareBitcoinPsbt(dryRun, maxDrag) {
+    const from = btcSenderAddress();
+    if (!from) {
+        resetSlider();
+        showToast(BTC_PSBT_ERROR_MESSAGES.INVALID_SENDER, true);
+        const input = document.getElementById('btcSenderInput');
+        if (input) input.focus();
+        return;
+    }
+
+    isSubmitting = true;
+    sliderKnob.style.transform = `translateX(${maxDrag}px)`;
+    sliderContainer.style.setProperty('--fill-width', '100%');
+    sliderText.textContent = "Building PSBT";
+    sliderText.style.opacity = 1;
+
+    const tier = selectedGasTier();
+    const spendable = await fetchUtxos(from, window.fetch.bind(window));
+    const built = spendable.error
+        ? spendable
+        : buildBitcoinTransaction(dryRun, { from, utxos: spendable.utxos, feeRate: tier ? tier.maxFee : null });
+    isSubmitting = false;
+
+    if (built.error) {
+        debugTxLog('PSBT Failed', built);
+        resetSlider();
+        showToast(BTC_PSBT_ERROR_MESSAGES[built.error] || 'Could not build the PSBT', true);
+        return;
+    }
+
+    debugTxLog('PSBT Built', built.tx);
+    Object.assign(BTC_HANDOFF, { key: btcHandoffKey(), tx: built.tx, dryRun });
+    updateBtcSignerPanel();
+    sliderText.textContent = "PSBT Ready";
+    sliderText.classList.add('sent');
+
+    setTimeout(() => {
+        showToast('PSBT ready: sign it in your Bitcoin wallet, then paste the txid', false);
+        resetSlider();
+    }, 500);
+}
+
+/**
+ * The user signed + broadcast the PSBT elsewhere and pasted its txid. A txid
+ * Esplora already knows must spend the PSBT's inputs; one still propagating
+ * is recorded as pending.
+ */
+async function recordBitcoinBroadcast(txid) {
+    if (!BTC_HANDOFF.tx) return;
+    const { tx, dryRun } = BTC_HANDOFF;
+    const found = await fetchBitcoinTransaction(txid.trim().toLowerCase(), window.fetch.bind(window));
+    const submission = bitcoinSubmission(txid, { tx, dryRun, broadcast: found.transaction || null });
+    if (submission.error) {
+        showToast('Paste the transaction ID of this PSBT', true);
+        return;
+    }
+
+    debugTxLog('Submitted', submission);
+    // [LIFECYCLE] send:submitted, as for wallet-signed sends
+    document.dispatchEvent(new CustomEvent('send:submitted', { detail: submission }));
+    Object.assign(BTC_HANDOFF, { key: null, tx: null, dryRun: null });
+    updateBtcSignerPanel();
+    showToast(`Transaction Submitted (${submission.hash.slice(0, 10)}…)`, false);
+}
+
+function initBtcSignerPanel() {
+    const input = document.getElementById('btcSenderInput');
+    const copy = document.getElementById('btcPsbtCopy');
+    const txid = document.getElementById('btcTxidInput');
+    const record = document.getElementById('btcTxidRecord');
+    if (!input || !copy || !txid || !record) return;
+
+    input.value = btcSenderAddress() || '';
+
+    // Remembered once valid; its type is the wallet type the fee row sizes for
+    input.addEventListener('input', () => {
+        const address = input.value.trim();
+        const valid = AddressValidation.validateBitcoinAddress(address).valid;
+        input.classList.toggle('is-error', Boolean(address) && !valid);
+        if (!valid) return;
+        BTC_HANDOFF.sender = address;
+        try {
+            localStorage.setItem(BTC_SENDER_STORAGE_KEY, address);
+        } catch (e) {
+            // Storage blocked (private mode): kept for this page only
+        }
+        const type = detectBTCAddressType(address);
+        if (type) window.setBTCAddressType(type);
+        updateBtcSignerPanel();
+    });
+
+    copy.addEventListener('click', async () => {
+        if (!BTC_HANDOFF.tx) return;
+        try {
+            await navigator.clipboard.writeText(BTC_HANDOFF.tx.psbtBase64);
+            showToast('PSBT copied: sign and broadcast it in your Bitcoin wallet', false);
+        } catch (e) {
+            showToast('Clipboard unavailable', true);
+        }
+    });
+
+    record.addEventListener('click', async () => {
+        if (record.disabled) return;
+        record.disabled = true;
+        await recordBitcoinBroadcast(txid.value);
+        record.disabled = false;
+    });
+}
+
+// [PHASE 41] Payment handles typed into the address field (handles.js):
+// alice.eth (ENS, PHASE 40), alice.sol (SNS), alice@web3upi (app directory)
+
+const HANDLE_LOOKUP_DELAY_MS = 350;
+const ENS_MAINNET_CHAIN_ID = 1;
+
+const RECIPIENT_HANDLE = {
+    handle: null,   // Handle in the field (null: the field holds an address)
+    address: null,  // Resolved address (null: pending or failed)
+    family: null,   // Family the handle resolved on (fed to asset detection)
+    error: null,    // handles.js error code of the last lookup
+    timer: null
+};
+
+const handleResolver = createHandleResolver({
+    ensProvider: evmConnectionFor(findChainById(ENS_MAINNET_CHAIN_ID)),
+    solanaConnection,
+    directory: HANDLE_DIRECTORY_URL
+        ? createHttpDirectory(HANDLE_DIRECTORY_URL)
+        : createJsonDirectory(HANDLE_DIRECTORY_ENTRIES)
+});
+
+const HANDLE_ERROR_MESSAGES = {
+    INVALID_NAME: 'Unsupported characters in name',
+    NO_RESOLVER: 'Name not registered',
+    NOT_FOUND: 'Handle not registered',
+    NO_ADDRESS: 'Handle has no address for this chain',
+    INVALID_ENTRY: 'Handle points to an invalid address',
+    RESOLVER_UNAVAILABLE: 'Handle directory unavailable',
+    RPC_ERROR: 'Could not reach name service'
+};
+
+/**
+ * Mirrors the typed recipient: addresses pass through, handles resolve
+ * (debounced) and stand in as their address once resolved.
+ * @returns {string|null} Recipient for APP_STATE (null while a handle is unresolved)
+ */
+function trackRecipientHandle(input) {
+    clearTimeout(RECIPIENT_HANDLE.timer);
+    const parsed = parseHandle(input);
+    if (!parsed) {
+        clearRecipientHandle();
+        return input;
+    }
+
+    const { handle } = parsed;
+    if (handle === RECIPIENT_HANDLE.handle && (RECIPIENT_HANDLE.address || RECIPIENT_HANDLE.error)) return RECIPIENT_HANDLE.address;
+
+    Object.assign(RECIPIENT_HANDLE, { handle, address: null, family: null, error: null });
+    RECIPIENT_HANDLE.timer = setTimeout(() => lookupRecipientHandle(handle), HANDLE_LOOKUP_DELAY_MS);
+    updateHandleResolution();
+    return null;
+}
+
+async function lookupRecipientHandle(handle) {
+    // A chain the user picked decides which directory address to use
+    const family = APP_STATE.chainUserSelected ? resolveChainFamily(APP_STATE.chain) : null;
+    const result = await handleResolver.resolve(handle, { family });
+    if (RECIPIENT_HANDLE.handle !== handle) return; // Field changed while resolving
+
+    RECIPIENT_HANDLE.address = result.error ? null : result.address;
+    RECIPIENT_HANDLE.family = result.error ? null : result.family;
+    RECIPIENT_HANDLE.error = result.error || null;
+    updateHandleResolution();
+    if (!RECIPIENT_HANDLE.address) return;
+
+    APP_STATE.recipientAddress = RECIPIENT_HANDLE.address;
+    updateAssetLogo(RECIPIENT_HANDLE.address);
+    debugLogicLog('Address Input (Handle)', APP_STATE);
+}
+
+function clearRecipientHandle() {
+    clearTimeout(RECIPIENT_HANDLE.timer);
+    Object.assign(RECIPIENT_HANDLE, { handle: null, address: null, family: null, error: null, timer: null });
+    updateHandleResolution();
+}
+
+/**
+ * Resolved address (or lookup state) under the recipient field.
+ */
+function updateHandleResolution() {
+    const line = document.getElementById('recipientHandleResolution');
+    if (!line) return;
+
+    line.hidden = !RECIPIENT_HANDLE.handle;
+    line.classList.toggle('is-error', Boolean(RECIPIENT_HANDLE.error));
+    if (!RECIPIENT_HANDLE.handle) return;
+
+    if (RECIPIENT_HANDLE.address) line.textContent = `→ ${RECIPIENT_HANDLE.address}`;
+    else if (RECIPIENT_HANDLE.error) line.textContent = HANDLE_ERROR_MESSAGES[RECIPIENT_HANDLE.error] || 'Could not resolve handle';
+    else line.textContent = 'Resolving…';
+}
+
+// [PHASE 42] Address book suggestions under the recipient field (address-book.js)
+// The app owns the book (IndexedDB via AppState) and announces it with 'contacts:changed'.
+
+const RECIPIENT_SUGGESTIONS = {
+    contacts: [],
+    rows: [],       // searchContacts() result currently shown
+    active: -1      // Keyboard-highlighted row
+};
+
+function updateRecipientSuggestions() {
+    const list = document.getElementById('recipientSuggestions');
+    const addressInput = document.getElementById('recipientAddress');
+    if (!list || !addressInput) return;
+
+    // A chain the user picked scopes suggestions to its family
+    const family = APP_STATE.chainUserSelected ? resolveChainFamily(APP_STATE.chain) : null;
+    const query = addressInput.value.trim();
+    const rows = addressInput.readOnly || document.activeElement !== addressInput
+        ? []
+        : searchContacts(RECIPIENT_SUGGESTIONS.contacts, query, { family });
+
+    // Nothing left to suggest once the field holds the exact address
+    RECIPIENT_SUGGESTIONS.rows = rows.some(r => r.address === query) ? [] : rows;
+    RECIPIENT_SUGGESTIONS.active = -1;
+    renderRecipientSuggestions();
+}
+
+function renderRecipientSuggestions() {
+    const list = document.getElementById('recipientSuggestions');
+    if (!list) return;
+
+    list.replaceChildren();
+    list.hidden = RECIPIENT_SUGGESTIONS.rows.length === 0;
+
+    RECIPIENT_SUGGESTIONS.rows.forEach((row, i) => {
+        const item = document.createElement('li');
+        item.className = 'recipient-suggestion';
+        item.setAttribute('role', 'option');
+        item.classList.toggle('is-active', i === RECIPIENT_SUGGESTIONS.active);
+        item.dataset.index = String(i);
+
+        const label = document.createElement('span');
+        label.className = 'recipient-suggestion__label';
+        label.textContent = row.contact.label;
+
+        const address = document.createElement('span');
+        address.className = 'recipient-suggestion__address';
+        address.textContent = row.address;
+
+        const family = document.createElement('span');
+        family.className = 'recipient-suggestion__family';
+        family.textContent = row.family;
+
+        item.append(label, address, family);
+        list.appendChild(item);
+    });
+}
+
+function pickRecipientSuggestion(index) {
+    const row = RECIPIENT_SUGGESTIONS.rows[index];
+    const addressInput = document.getElementById('recipientAddress');
+    if (!row || !addressInput) return;
+
+    RECIPIENT_SUGGESTIONS.rows = [];
+    renderRecipientSuggestions();
+
+    // Same path as typing (fit, asset detection, payment-request guard)
+    addressInput.value = row.address;
+    addressInput.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function initRecipientSuggestions() {
+    const list = document.getElementById('recipientSuggestions');
+    const addressInput = document.getElementById('recipientAddress');
+    if (!list || !addressInput) return;
+
+    document.addEventListener('contacts:changed', (e) => {
+        RECIPIENT_SUGGESTIONS.contacts = (e.detail && e.detail.contacts) || [];
+        updateRecipientSuggestions();
+    });
+
+    addressInput.addEventListener('input', updateRecipientSuggestions);
+    addressInput.addEventListener('focus', updateRecipientSuggestions);
+    addressInput.addEventListener('blur', () => {
+        RECIPIENT_SUGGESTIONS.rows = [];
+        renderRecipientSuggestions();
+    });
+
+    addressInput.addEventListener('keydown', (e) => {
+        const count = RECIPIENT_SUGGESTIONS.rows.length;
+        if (count === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            RECIPIENT_SUGGESTIONS.active = (RECIPIENT_SUGGESTIONS.active + step + count) % count;
+            renderRecipientSuggestions();
+        } else if (e.key === 'Enter' && RECIPIENT_SUGGESTIONS.active >= 0) {
+            e.preventDefault();
+            pickRecipientSuggestion(RECIPIENT_SUGGESTIONS.active);
+        } else if (e.key === 'Escape') {
+            RECIPIENT_SUGGESTIONS.rows = [];
+            renderRecipientSuggestions();
+        }
+    });
+
+    // mousedown (not click) so the pick lands before the input blurs
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.recipient-suggestion');
+        if (!item) return;
+        e.preventDefault();
+        pickRecipientSuggestion(Number(item.dataset.index));
+    });
+}
+
 /**
  * PURE VALIDATION FUNCTIONS
  * No side effects, no UI access.
+ * [PHASE 27] Checksum-aware: EIP-55, Base58Check, bech32/bech32m, 32-byte Base58.
+ * Rules live in address-validation.js; these wrappers keep the boolean contract.
  */
 function validateEthereumAddress(address) {
-    if (!address) return false;
-    return /^0x[a-fA-F0-9]{40}$/.test(address);
+    return AddressValidation.validateEthereumAddress(address).valid;
 }
 
 function validateBitcoinAddress(address) {
-    if (!address) return false;
-    // Regex covers Legacy (1), Script (3), Segwit (bc1)
-    return /^(1|3|bc1)[a-zA-Z0-9]{25,59}$/.test(address);
+    return AddressValidation.validateBitcoinAddress(address).valid;
 }
 
 function validateSolanaAddress(address) {
-    if (!address) return false;
-    // Base58 checks are complex purely via Regex, but this covers length & chars
-    return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address);
+    return AddressValidation.validateSolanaAddress(address).valid;
 }
 
 function deriveValidationState(appState) {
@@ -733,13 +1897,21 @@ function deriveValidationState(appState) {
     // 1. Is Address Present?
     const isAddressPresent = hasAddress;
 
-    // 2. Is Address Valid (Generic Format Check)?
+    // 2. Is Address Valid (Checksum-Aware)?
     let isAddressValid = false;
+    let invalidReason = null;
     if (hasAddress) {
         // Check against all supported validators
         isAddressValid = validateEthereumAddress(recipientAddress) ||
             validateBitcoinAddress(recipientAddress) ||
             validateSolanaAddress(recipientAddress);
+
+        // [PHASE 27] Reason is taken from the family the input is shaped like
+        if (!isAddressValid) {
+            invalidReason = classifyAddress(recipientAddress).reason;
+        }
+    } else {
+        invalidReason = AddressValidation.VALIDATION_REASONS.EMPTY;
     }
 
     // [PHASE 3B-2] A-MODE: Permissive Validation (Hackathon)
@@ -758,7 +1930,8 @@ function deriveValidationState(appState) {
         isAddressPresent,
         isAddressValid,
         isSupportedChain,
-        isChainMatch
+        isChainMatch,
+        invalidReason
     };
 }
 
@@ -773,6 +1946,7 @@ function updateValidationState() {
 
     // [PHASE 3B-2] UI Gating
     applyUIGating(VALIDATION_STATE);
+    updateReadinessUI();
 }
 
 // Initialize Features
@@ -898,6 +2072,22 @@ function initSendUI() {
         });
     }
 
+    // [PHASE 34] Gas tier picker (.gas-info-row label half)
+    initGasTierPicker();
+
+    // [PHASE 36] Fiat currency (Profile preference)
+    initFiatCurrency();
+    initMaxButton();
+
+    // [PHASE 39] Wallet network mismatch banner
+    initNetworkBanner();
+
+    // [PHASE 45] Bitcoin paying address + PSBT handoff
+    initBtcSignerPanel();
+
+    // [PHASE 42] Address book suggestions
+    initRecipientSuggestions();
+
     // [PHASE 6E] REMOVE FAKE DEFAULT DATA
     // Enforce clean slate on load
     const usdInputInitial = document.getElementById('usdIndex');
@@ -973,6 +2163,9 @@ function initSendUI() {
         // 3. Reset Validation State (Visually)
         // address reset is handled by enforceAddressState() call elsewhere
 
+        // [PHASE 29] Payment request is tied to the address it came with
+        clearPaymentRequest();
+
         // [PHASE 20] Reset Identity Pills
         updateIdentityPills();
     }
@@ -1000,6 +2193,7 @@ function initSendUI() {
 
                 // Clear APP_STATE
                 APP_STATE.recipientAddress = null;
+                clearRecipientHandle(); // [PHASE 41]
                 APP_STATE.source = null;
                 APP_STATE.asset = null;
                 APP_STATE.chain = null;
@@ -1129,10 +2323,11 @@ function initSendUI() {
             // [PHASE 6D] Amount Engine Hook
             // Real-time update while typing
             // INVARIANT GUARD: AmountEngine Numeric Conversion Boundary
-            // - String → Number conversion happens INSIDE AmountEngine only
+            // - String → decimal conversion happens INSIDE AmountEngine only
             // - Input handlers keep strings; AmountEngine converts for calculation
             // - This boundary prevents precision loss in UI layer
             updateAmountMirror();
+            updateReadinessUI(); // [PHASE 38]
             // [PHASE 7] Scaling
             updateNumericScaling(amountInput);
         });
@@ -1244,6 +2439,8 @@ function initSendUI() {
         if (!addressInput) return;
 
         const scannedAddress = sessionStorage.getItem('scannedAddress');
+        const scannedPayment = sessionStorage.getItem('scannedPayment');
+        const scannedTarget = sessionStorage.getItem('scannedTarget');
 
         // Reset font size ensuring clean state
         addressInput.style.fontSize = '0.8rem';
@@ -1260,6 +2457,7 @@ function initSendUI() {
 
             // MIRROR STATE
             APP_STATE.recipientAddress = scannedAddress;
+            clearRecipientHandle(); // [PHASE 41]
             APP_STATE.source = 'qr';
             debugLogicLog('Address Set (QR)', APP_STATE);
 
@@ -1268,8 +2466,34 @@ function initSendUI() {
             // [PHASE 4] Immediate Logo Update on Scan
             updateAssetLogo(scannedAddress);
 
+            // [PHASE 30] Scanner Pre-Selection (chain / asset / BTC address type)
+            if (scannedTarget) {
+                try {
+                    const target = JSON.parse(scannedTarget);
+                    if (target.asset && target.chain) {
+                        selectAsset({ asset: target.asset, chain: target.chain, source: 'qr' });
+                    }
+                    if (target.btcAddressType) {
+                        window.setBTCAddressType(target.btcAddressType);
+                    }
+                } catch (e) {
+                    console.warn('[Send] Ignoring malformed scan target', e);
+                }
+            }
+
+            // [PHASE 29] Payment URI Prefill (amount / chain / asset from the QR)
+            if (scannedPayment) {
+                try {
+                    applyPaymentRequest(JSON.parse(scannedPayment));
+                } catch (e) {
+                    console.warn('[Send] Ignoring malformed scanned payment', e);
+                }
+            }
+
             // Clear storage immediately (Anti-replay)
             sessionStorage.removeItem('scannedAddress');
+            sessionStorage.removeItem('scannedPayment');
+            sessionStorage.removeItem('scannedTarget');
         } else {
             // STATE B: ENTRY VIA MANUAL/RE-ENTRY (RESET)
             debugLog('State B: Manual Mode Active');
@@ -1282,6 +2506,7 @@ function initSendUI() {
 
             // MIRROR STATE (Reset)
             APP_STATE.recipientAddress = null;
+            clearRecipientHandle(); // [PHASE 41]
             APP_STATE.source = 'manual';
             APP_STATE.chainUserSelected = false;
             APP_STATE.assetUserSelected = false;
@@ -1305,17 +2530,41 @@ function initSendUI() {
             adjustAddressFit();
 
             // MIRROR STATE
-            APP_STATE.recipientAddress = addressInput.value;
+            // [PHASE 41] Handles mirror their resolved address (null until resolved)
+            APP_STATE.recipientAddress = trackRecipientHandle(addressInput.value);
             APP_STATE.source = 'manual'; // Reinforce manual source on typing
+
+            // [PHASE 29] Editing the recipient invalidates a prefilled payment request
+            if (APP_STATE.paymentRequest && addressInput.value.trim() !== APP_STATE.paymentRequest.recipient) {
+                clearPaymentRequest();
+            }
             // Note: Asset update happens in updateAssetLogo, we'll hook state there too or let it flow
 
             // [PHASE 4] Dynamic Asset Logo on Input (Debouncing or direct is fine for display only)
             // We'll update on input to feel responsive, logic is lightweight
-            updateAssetLogo(addressInput.value);
+            updateAssetLogo(APP_STATE.recipientAddress || addressInput.value);
 
             debugLogicLog('Address Input (Type)', APP_STATE);
         });
 
+        // [PHASE 29] Pasted Payment URIs (bitcoin: / ethereum: / solana:)
+        // Bare addresses fall through to the normal input flow.
+        addressInput.addEventListener('paste', (e) => {
+            const text = (e.clipboardData || window.clipboardData)?.getData('text') || '';
+            const request = parsePaymentURI(text);
+            if (!request.scheme && request.errors.length === 0) return;
+
+            e.preventDefault();
+            if (request.errors.length > 0 || !request.recipient) {
+                showToast("Unsupported payment request", true);
+                return;
+            }
+
+            addressInput.value = request.recipient;
+            addressInput.dispatchEvent(new Event('input', { bubbles: true }));
+            applyPaymentRequest(request);
+        });
+
         // [LIFECYCLE] Fire send:context-changed on address blur (when user finishes editing)
         addressInput.addEventListener('blur', () => {
             if (addressInput.value.trim()) {
@@ -1476,6 +2725,7 @@ function initSendUI() {
 
             // Trigger Engine
             updateAmountMirror();
+            updateReadinessUI(); // [PHASE 38]
             // [PHASE 7] Scaling
             updateNumericScaling(assetDisplay);
         });
@@ -1515,35 +2765,14 @@ function initSendUI() {
 }
 
 // [PHASE 4] Logic: Asset Detection & Logo Update
+// [PHASE 28] Delegates to the shared classifier (also used by Scan), so an
+// address is classified identically regardless of where it was entered.
+// Checksum failures still resolve a family (confidence 'low') so the logo
+// follows the user while the validation state reports the typo.
 function detectAssetFromAddress(address) {
-    if (!address) return null;
-    const addr = address.trim();
-
-    // ETH: Starts with 0x, length 42
-    if (addr.startsWith('0x') && addr.length === 42) {
-        return 'eth';
-    }
-
-    // BTC: Starts with 1, 3, or bc1. 
-    // [BUGFIX] Split Detection: Max length 35 for Legacy (1/3) to avoid Solana collision (44 chars)
-    // Segwit (bc1) can be longer.
-    if ((addr.startsWith('bc1') && addr.length >= 26 && addr.length <= 90) ||
-        ((addr.startsWith('1') || addr.startsWith('3')) && addr.length >= 26 && addr.length <= 35)) {
-        return 'btc';
-    }
-
-    // SOL: Base58 chars (alphanumeric except 0, O, I, l), 32-44 length.
-    // [BUGFIX] Relaxed exclusion: Allow 1/3 start if length is correct (since BTC caught shorts above)
-    // STRICT: Must NOT start with 'T' (TRON)
-    const base58Regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-    if (base58Regex.test(addr)) {
-        if (addr.startsWith('T')) {
-            return null;
-        }
-        return 'sol';
-    }
-
-    return null;
+    // [PHASE 41] A resolved handle carries the family it resolved on
+    if (address && address === RECIPIENT_HANDLE.address) return familyToAsset(RECIPIENT_HANDLE.family);
+    return familyToAsset(classifyAddress(address).family);
 }
 
 /*
@@ -1738,14 +2967,11 @@ function updateIdentityPills() {
 
 /**
  * [PHASE 14] BTC Address Type Detector
+ * [PHASE 28] Reads addressType from the shared classifier ('taproot' | 'segwit' | 'legacy').
  */
 function detectBTCAddressType(address) {
-    if (!address) return null;
-    const addr = address.trim();
-    if (addr.startsWith('bc1p')) return 'taproot';
-    if (addr.startsWith('bc1q')) return 'segwit';
-    if (addr.startsWith('1') || addr.startsWith('3')) return 'legacy';
-    return null;
+    const classification = classifyAddress(address);
+    return classification.family === 'bitcoin' ? classification.addressType : null;
 }
 
 /**
@@ -1826,6 +3052,146 @@ function selectAsset({ asset, chain, source }) {
 // Expose for Overlay
 window.selectAsset = selectAsset;
 
+/**
+ * [PHASE 29] PAYMENT REQUEST PREFILL
+ * Applies a parsePaymentURI() result to the Send screen:
+ * chain/asset via selectAsset (locked — the payee chose them), amount into the
+ * asset display (asset authority), and a confirmation panel listing every field.
+ * Requests with parse errors are never applied.
+ */
+function applyPaymentRequest(request) {
+    if (!request || request.errors?.length > 0 || !request.recipient) return;
+    if (!hasPaymentDetails(request)) return;
+
+    APP_STATE.paymentRequest = request;
+
+    // 1. Chain + Asset (authority locks so address detection cannot override)
+    if (request.asset && request.chain) {
+        APP_STATE.chainUserSelected = true;
+        APP_STATE.assetUserSelected = true;
+        selectAsset({ asset: request.asset, chain: request.chain, source: 'payment_uri' });
+    }
+
+    // 2. Amount (asset units) -> asset display is authoritative, USD is derived
+    const assetDisplay = document.querySelector('.currency-display .value');
+    const digitCount = request.amount ? request.amount.replace('.', '').length : 0;
+    if (request.amount && assetDisplay && digitCount <= MAX_ASSET_DIGITS) {
+        if (typeof window.setAmountInputMode === 'function') {
+            window.setAmountInputMode('asset');
+        }
+        assetDisplay.textContent = request.amount;
+        assetDisplay.classList.remove('state-neutral');
+        updateNumericScaling(assetDisplay);
+        updateAmountMirror();
+    }
+
+    // 3. Confirmation
+    renderPaymentRequestPanel(request);
+    debugLogicLog('Payment Request Applied', APP_STATE);
+}
+
+function clearPaymentRequest() {
+    APP_STATE.paymentRequest = null;
+    const panel = document.getElementById('paymentRequestPanel');
+    if (panel) panel.remove();
+}
+
+function renderPaymentRequestPanel(request) {
+    injectPaymentRequestStyles();
+
+    const existing = document.getElementById('paymentRequestPanel');
+    if (existing) existing.remove();
+
+    const anchor = document.querySelector('.send-card__address-section');
+    if (!anchor) return;
+
+    const rows = [
+        ['Amount', request.amount ? `${request.amount} ${(request.asset || '').toUpperCase()}`.trim() : null],
+        ['Network', request.chain],
+        ['Token', request.tokenAddress],
+        ['Label', request.label],
+        ['Message', request.message],
+        ['Memo', request.memo]
+    ].filter(([, value]) => value);
+
+    // Built with textContent only: label/message/memo are payee-controlled strings
+    const panel = document.createElement('div');
+    panel.id = 'paymentRequestPanel';
+    panel.className = 'payment-request-panel';
+
+    const header = document.createElement('div');
+    header.className = 'payment-request-header';
+    const title = document.createElement('span');
+    title.textContent = 'Payment Request — please confirm';
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'payment-request-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss payment request details');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => panel.remove());
+    header.append(title, dismiss);
+    panel.appendChild(header);
+
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'payment-request-row';
+        const k = document.createElement('span');
+        k.className = 'label';
+        k.textContent = label;
+        const v = document.createElement('span');
+        v.className = 'value';
+        v.textContent = value;
+        row.append(k, v);
+        panel.appendChild(row);
+    });
+
+    anchor.insertAdjacentElement('afterend', panel);
+}
+
+function injectPaymentRequestStyles() {
+    if (document.getElementById('payment-request-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'payment-request-styles';
+    style.textContent = `
+        .payment-request-panel {
+            margin: 8px 0;
+            padding: 8px 12px;
+            border-radius: 10px;
+            border: 1px solid rgba(255, 255, 255, 0.15);
+            background: rgba(255, 255, 255, 0.06);
+            font-size: 0.72rem;
+            color: rgba(255, 255, 255, 0.85);
+        }
+        .payment-request-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            font-weight: 600;
+            margin-bottom: 4px;
+        }
+        .payment-request-dismiss {
+            background: none;
+            border: none;
+            color: inherit;
+            font-size: 1rem;
+            cursor: pointer;
+        }
+        .payment-request-row {
+            display: flex;
+            justify-content: space-between;
+            gap: 12px;
+        }
+        .payment-request-row .label { opacity: 0.6; }
+        .payment-request-row .value {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            text-align: right;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
 /**
  * [PHASE 25] CHAIN FAMILY RESOLVER (CRITICAL)
  * Normalizes all chain variants into canonical family identifiers.
@@ -2020,6 +3386,7 @@ const sliderKnob = document.getElementById('sliderKnob');
 const sliderText = document.querySelector('.slider-text');
 
 let isDragging = false;
+let isSubmitting = false; // [PHASE 31] Wallet prompt open
 let startX = 0;
 let currentX = 0;
 const knobWidth = 52;
@@ -2044,11 +3411,15 @@ document.addEventListener('touchend', endDrag);
 // 馃攲 Multi-Gate Validation: Address Gate → Threshold Gate (90%) → Input Validation → Readiness Check
 // 馃攲 Drag Initiation: Blocked if !VALIDATION_STATE.isAddressValid
 // 馃攲 Completion Threshold: 90% (industry standard, allows slight over-drag)
-// 馃攲 Dry-Run Only: TX_DRY_RUN object logged, NOT executed
+// 馃攲 Execution: TX_DRY_RUN is built first and simulated (simulation.js, blocks on failure);
+//    EVM chains submit it via evm-transaction.js
+//    (wallet signs via eth_sendTransaction), Solana via solana-transaction.js
+//    (Phantom signAndSendTransaction). Bitcoin builds an unsigned PSBT
+//    (bitcoin-transaction.js) that the user signs in an external wallet.
 //
 // ⚠️  DO NOT:
 // - Allow drag without valid address (Gate 1 violation)
-// - Execute transaction (no wallet SDK integration)
+// - Sign or broadcast outside the connected wallet (no private keys in this app)
 // - Change threshold (90% is UX-tested standard)
 // - Skip validation gates (creates financial risk)
 //
@@ -2079,10 +3450,28 @@ function validateInputs() {
         return { valid: false, msg: 'Enter a valid amount' };
     }
 
+    // 4. [PHASE 37] Spendable balance (known once a wallet is connected)
+    const spendable = activeSpendable();
+    if (spendable) {
+        if (spendable.error === 'INSUFFICIENT_GAS') {
+            return { valid: false, msg: insufficientGasMessage(APP_STATE.chain) };
+        }
+        const units = AmountEngine.toBaseUnits(resolveAssetAmount(), DATA_STATE.balance.token.decimals);
+        if (units !== null && (spendable.error || units > spendable.units)) {
+            return { valid: false, msg: 'Amount exceeds your spendable balance' };
+        }
+    }
+
     return { valid: true, msg: '' };
 }
 
 function startDrag(e) {
+    // [PHASE 31] One submission at a time (wallet prompt is open)
+    if (isSubmitting) {
+        e.preventDefault();
+        return;
+    }
+
     // [PHASE 7H] Slider Gating
     if (!VALIDATION_STATE.isAddressValid) {
         e.preventDefault();
@@ -2151,8 +3540,8 @@ function endDrag(e) {
         const readiness = deriveTransactionReadiness();
         if (!readiness.isReady) {
             resetSlider();
-            if (window.__DEBUG_TX__) console.warn('[Tx] Blocked:', readiness.reason);
-            setTimeout(() => showToast("Network Unavailable or Invalid Data", true), 50);
+            if (window.__DEBUG_TX__) console.warn('[Tx] Blocked:', readiness.reasons);
+            setTimeout(() => showToast(readiness.reasons[0].message, true), 50);
             return;
         }
 
@@ -2161,16 +3550,56 @@ function endDrag(e) {
             chain: APP_STATE.chain,
             asset: APP_STATE.asset,
             recipient: APP_STATE.recipientAddress,
+            recipientHandle: RECIPIENT_HANDLE.address ? RECIPIENT_HANDLE.handle : null, // [PHASE 41] e.g. 'alice@web3upi'
+            amountAsset: resolveAssetAmount(), // [PHASE 31] Decimal string in asset units
             amountInputMode: APP_STATE.inputMode,
             source: APP_STATE.source,
+            memo: APP_STATE.paymentRequest ? APP_STATE.paymentRequest.memo : null, // [PHASE 32] Solana Pay
+            references: APP_STATE.paymentRequest ? APP_STATE.paymentRequest.references : [],
             estimatedGasNative: DERIVED_STATE.estimatedGasFeeNative,
             estimatedGasUSD: DERIVED_STATE.estimatedGasFeeUSD,
+            gasTier: APP_STATE.gasTier, // [PHASE 34]
             timestamp: Date.now()
         };
 
         debugTxLog('Dry Run Prepared', TX_DRY_RUN);
 
-        // 4. Success Visuals (Simulated)
+        // 4. [PHASE 31] EVM Execution (wallet-signed)
+        if (resolveChainFamily(APP_STATE.chain) === 'ethereum') {
+            const tier = selectedGasTier();
+            const fees = tier ? { maxFeePerGas: tier.maxFee, maxPriorityFeePerGas: tier.priorityFee } : undefined;
+            // [PHASE 39] Move the wallet to the selected chain first (switch / add)
+            executeWalletSend(TX_DRY_RUN, maxDrag, async () => {
+                const simulation = await simulateBeforeSigning(); // [PHASE 44]
+                if (simulation) return simulation;
+                const network = await WalletService.switchNetwork(chainIdForName(TX_DRY_RUN.chain));
+                if (network.error) return network;
+                if (network.switched) refreshWalletNetwork();
+                return sendEvmTransaction(TX_DRY_RUN, selectedEvmProvider(), { fees });
+            }, EVM_TX_ERROR_MESSAGES);
+            return;
+        }
+
+        // 4b. [PHASE 32] Solana Execution (Phantom-signed)
+        if (resolveChainFamily(APP_STATE.chain) === 'solana') {
+            const tier = selectedGasTier();
+            executeWalletSend(TX_DRY_RUN, maxDrag, async () => {
+                const simulation = await simulateBeforeSigning(); // [PHASE 44]
+                if (simulation) return simulation;
+                const result = await sendSolanaTransaction(TX_DRY_RUN, solanaConnection, selectedSolanaWallet(),
+                    { priorityFee: tier ? tier.priorityFee : 0 });
+                return result.error ? result : { hash: result.signature, tx: result.tx };
+            }, SOLANA_TX_ERROR_MESSAGES);
+            return;
+        }
+
+        // 4c. [PHASE 45] Bitcoin: unsigned PSBT for an external signer
+        if (resolveChainFamily(APP_STATE.chain) === 'bitcoin') {
+            prepareBitcoinPsbt(TX_DRY_RUN, maxDrag);
+            return;
+        }
+
+        // 5. Chains without an execution path: dry run only (Success Visuals, Simulated)
         sliderKnob.style.transform = `translateX(${maxDrag}px)`;
         sliderContainer.style.setProperty('--fill-width', '100%');
         sliderText.textContent = "Submitted";
@@ -2188,6 +3617,99 @@ function endDrag(e) {
     }
 }
 
+/**
+ * [PHASE 31] Asset amount for execution (string, asset units).
+ * Asset mode: the authoritative display text (never the visually truncated mirror).
+ * Fiat mode: re-derived from the fiat input through AmountEngine (fresh price only),
+ * rounded DOWN so the send never exceeds the entered fiat value.
+ */
+function resolveAssetAmount() {
+    if (APP_STATE.inputMode === 'asset') {
+        const assetDisplay = document.querySelector('.currency-display .value');
+        const text = assetDisplay ? assetDisplay.textContent.replace('— —', '').trim() : '';
+        return text || null;
+    }
+
+    if (!isPriceFresh()) return null;
+    const usdInput = document.getElementById('usdIndex');
+    return AmountEngine.deriveFromFiat(usdInput ? usdInput.value : null, DATA_STATE.assetPriceFiat, APP_STATE.asset || APP_STATE.chain, {
+        rounding: ROUNDING.DOWN
+    });
+}
+
+const EVM_TX_ERROR_MESSAGES = {
+    PROVIDER_NOT_FOUND: 'No Ethereum wallet found',
+    NO_ACCOUNT: 'Connect your wallet first',
+    USER_REJECTED: 'Transaction rejected in wallet',
+    CHAIN_MISMATCH: 'Wallet is on a different network',
+    UNSUPPORTED_CHAIN: 'Network not supported yet',
+    UNSUPPORTED_ASSET: 'Asset not supported on this network',
+    INVALID_AMOUNT: 'Enter a valid amount',
+    INVALID_RECIPIENT: 'Enter a valid wallet address',
+    GAS_ESTIMATION_FAILED: 'Transaction would fail (check balance)',
+    FEE_DATA_UNAVAILABLE: 'Network fee unavailable',
+    SWITCH_FAILED: 'Wallet did not switch network' // [PHASE 39]
+};
+
+const SOLANA_TX_ERROR_MESSAGES = {
+    PROVIDER_NOT_FOUND: 'No Solana wallet found',
+    NO_ACCOUNT: 'Connect your wallet first',
+    USER_REJECTED: 'Transaction rejected in wallet',
+    UNSUPPORTED_ASSET: 'Asset not supported on Solana',
+    INVALID_AMOUNT: 'Enter a valid amount',
+    INVALID_RECIPIENT: 'Enter a valid wallet address',
+    NO_TOKEN_ACCOUNT: 'No balance for this token',
+    BLOCKHASH_UNAVAILABLE: 'Network unavailable'
+};
+
+/**
+ * Shared wallet-signed submission (EVM + Solana).
+ * @param {object} dryRun - TX_DRY_RUN
+ * @param {number} maxDrag
+ * @param {() => Promise<{ hash: string, tx: object }|{ error: string }>} submit
+ * @param {object} errorMessages - error code → toast text
+ */
+async function executeWalletSend(dryRun, maxDrag, submit, errorMessages) {
+    isSubmitting = true;
+    sliderKnob.style.transform = `translateX(${maxDrag}px)`;
+    sliderContainer.style.setProperty('--fill-width', '100%');
+    sliderText.textContent = "Confirm in Wallet";
+    sliderText.style.opacity = 1;
+
+    let result;
+    try {
+        result = await submit();
+    } catch (err) {
+        // Builders return plain errors; anything thrown still releases the slider
+        result = { error: 'RPC_ERROR', detail: err && err.message ? err.message : null };
+    } finally {
+        isSubmitting = false;
+    }
+
+    if (result.error) {
+        debugTxLog('Submission Failed', result);
+        resetSlider();
+        // [PHASE 44] Simulation failures carry their own reason
+        const message = result.error === 'SIMULATION_FAILED' ? result.detail : errorMessages[result.error];
+        showToast(message || 'Transaction failed', true);
+        return;
+    }
+
+    debugTxLog('Submitted', result);
+    sliderText.textContent = "Submitted";
+    sliderText.classList.add('sent');
+
+    // [LIFECYCLE] send:submitted for downstream consumers (history, notifications)
+    document.dispatchEvent(new CustomEvent('send:submitted', {
+        detail: { hash: result.hash, tx: result.tx, dryRun }
+    }));
+
+    setTimeout(() => {
+        showToast(`Transaction Submitted (${result.hash.slice(0, 10)}…)`, false);
+        resetSlider();
+    }, 500);
+}
+
 // [PHASE 3.1] Unified Premium Toast (Success + Error)
 function showToast(message, isError = false) {
     // 1. Remove existing
@@ -2203,7 +3725,11 @@ function showToast(message, isError = false) {
         ? '<i class="fa-solid fa-circle-xmark" style="color: #ff4d4d;"></i>'
         : '<i class="fa-solid fa-circle-check"></i>';
 
-    toast.innerHTML = `${icon} ${message}`;
+    // Messages may carry contract-controlled text: never parsed as markup
+    const text = document.createElement('span');
+    text.textContent = ` ${message}`;
+    toast.innerHTML = icon;
+    toast.appendChild(text);
 
     // 3. Mount to App Container 
     const container = document.querySelector('.app-container') || document.body;
@@ -2343,7 +3869,7 @@ window.__getSendTransactionContext__ = function () {
         }
 
         const context = {
-            connectedWalletAddress: (typeof window.ethereum !== 'undefined' && window.ethereum.selectedAddress) || null,
+            connectedWalletAddress: (selectedEvmProvider() || {}).selectedAddress || null,
             recipientAddress: recipientAddress,
             chain: chain,
             chainId: chainIdMap[chainNorm] || null,
@@ -2511,6 +4037,15 @@ window.__getSendTransactionContext__ = function () {
             overlay.classList.remove('state-locked');
         }
     }
+
+    // [PHASE 29] EXPOSED AUTHORITY SETTER (for Payment URI prefill)
+    // Keeps closure state and APP_STATE.inputMode in sync (unlike a visual-only reset).
+    window.setAmountInputMode = function (mode) {
+        state.blockedSide = mode === 'asset' ? 'left' : 'right';
+        APP_STATE.inputMode = mode === 'asset' ? 'asset' : 'fiat';
+        updateBlockedState();
+        debugLogicLog('Blocker Set (Programmatic)', APP_STATE);
+    };
 })();
 
 // [PHASE 9] Gemini Risk Data Layer (Hidden / Hackathon Mode)
@@ -2640,7 +4175,7 @@ window.__getSendTransactionContext__ = function () {
         }
 
         const context = {
-            connectedWalletAddress: (typeof window.ethereum !== 'undefined' && window.ethereum.selectedAddress) || null,
+            connectedWalletAddress: (selectedEvmProvider() || {}).selectedAddress || null,
             recipientAddress: currentRecipient,
             chain: currentChain,
             chainId: currentChain,
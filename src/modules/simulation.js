@@ -0,0 +1,287 @@
+/**
+ * Transaction Simulation
+ *
+ * RESPONSIBILITY:
+ * - Runs a built transaction against the chain before the wallet is asked to sign:
+ *     ethereum → eth_call + eth_estimateGas on the pending block
+ *     solana   → simulateTransaction (no signature check, fresh blockhash)
+ * - Decodes reverts / program errors into a specific reason.
+ * - Decodes the balance changes the transaction makes for sender and recipient
+ *   (transfer amount, network fee, Solana account rent).
+ * - simulateEvmSend / simulateSolanaSend: build (evm- / solana-transaction.js)
+ *   + simulate a Send dry run in one step, for Send's readiness gate.
+ *
+ * CONTRACT:
+ * - Input is the `tx` of buildEvmTransaction / buildSolanaTransaction; the
+ *   connection is any `request({ method, params })` object (a public node in
+ *   the app, a stand-in in verify-simulation.mjs).
+ * - Delta: { role: 'sender'|'recipient', address, asset, amount, kind }
+ *   amount is a signed decimal string in asset units ('-0.5'); kind is
+ *   'transfer' | 'fee' | 'rent'. EVM fees use maxFeePerGas (an upper bound).
+ * - Returns { simulation: { deltas, gasUsed|unitsConsumed } } or { error, detail }.
+ *   detail of REVERTED / PROGRAM_ERROR is the decoded reason (or null).
+ * - The *Send helpers add `tx` on success and pass build errors through unchanged,
+ *   except a failed EVM gas estimate, which is decoded like a failed eth_call.
+ * - Never throws.
+ *
+ * ERROR CODES:
+ * - REVERTED, TRANSFER_FAILED, INSUFFICIENT_FUNDS, INSUFFICIENT_GAS,
+ *   PROGRAM_ERROR, UNSUPPORTED_TRANSACTION, RPC_ERROR
+ */
+
+import { ERC20_TRANSFER_SELECTOR, buildEvmTransaction } from './evm-transaction.js';
+import { compactU16, buildSolanaTransaction } from './solana-transaction.js';
+import { findTokenByAddress, findNativeToken, findToken } from './token-registry.js';
+import { findChainById } from './evm-chains.js';
+import { concatBytes, hexToBytes, bytesToBase64 } from './crypto/bytes.js';
+import { formatUnits } from './units.js';
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+const EXECUTION_REVERTED_CODE = 3;          // geth / EIP-1474 revert error code
+const TOKEN_ACCOUNT_SIZE = 165;             // SPL token account bytes (rent for a new ATA)
+const SIGNATURE_BYTES = 64;
+
+// SystemProgram ResultWithNegativeLamports / SPL InsufficientFunds
+const CUSTOM_INSUFFICIENT_FUNDS = 1;
+
+const fail = (error, detail = null) => ({ error, detail });
+
+const signed = (units, decimals) => (units === 0n ? '0' : `${units < 0n ? '-' : '+'}${formatUnits(units < 0n ? -units : units, decimals)}`);
+
+function toBigInt(hex) {
+    if (typeof hex !== 'string' || !hex || hex === '0x') return null;
+    try {
+        return BigInt(hex);
+    } catch (e) {
+        return null;
+    }
+}
+
+function delta(role, address, token, units, kind) {
+    return { role, address, asset: token.asset, amount: signed(units, token.decimals), kind };
+}
+
+// --- EVM ---
+
+/**
+ * Human-readable revert reason from ABI-encoded revert data.
+ * @param {string} data - 0x hex
+ * @returns {string|null}
+ */
+export function decodeRevertReason(data) {
+    if (typeof data !== 'string' || data.length < 10) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    const body = data.slice(10);
+
+    if (selector === ERROR_STRING_SELECTOR && body.length >= 128) {
+        const length = toBigInt('0x' + body.slice(64, 128));
+        if (length === null) return null;
+        const bytes = hexToBytes(body.slice(128, 128 + Number(length) * 2));
+        return new TextDecoder().decode(bytes);
+    }
+    if (selector === PANIC_SELECTOR && body.length >= 64) {
+        const code = toBigInt('0x' + body.slice(0, 64));
+        return code === null ? null : `Panic 0x${code.toString(16)}`;
+    }
+    return null;
+}
+
+function revertData(err) {
+    if (!err) return null;
+    if (typeof err.data === 'string') return err.data;
+    if (err.data && typeof err.data.data === 'string') return err.data.data; // Some wallets nest it
+    return null;
+}
+
+/** Maps a failed eth_call / eth_estimateGas to a simulation error. */
+function evmFailure(method, err) {
+    const message = (err && err.message) || '';
+    if (/insufficient funds|insufficient balance/i.test(message)) return fail('INSUFFICIENT_FUNDS', message);
+
+    const reason = decodeRevertReason(revertData(err));
+    if (reason) return fail('REVERTED', reason);
+    if ((err && err.code === EXECUTION_REVERTED_CODE) || /revert/i.test(message)) {
+        const stated = message.replace(/^.*execution reverted:?\s*/i, '').trim();
+        return fail('REVERTED', stated || null);
+    }
+    return fail('RPC_ERROR', message ? `${method}: ${message}` : method);
+}
+
+async function evmCall(connection, method, params) {
+    try {
+        return { result: await connection.request({ method, params }) };
+    } catch (err) {
+        return evmFailure(method, err);
+    }
+}
+
+/**
+ * The chain's native coin: its token registry entry, else the chain registry's
+ * nativeCurrency (coins the registry does not list, e.g. Polygon's POL).
+ */
+function evmNativeToken(chainId) {
+    const native = findNativeToken(chainId);
+    if (native) return native;
+    const chain = findChainById(chainId);
+    if (!chain) return null;
+    return { type: 'native', asset: chain.nativeCurrency.symbol.toLowerCase(), decimals: chain.nativeCurrency.decimals };
+}
+
+/**
+ * Native transfer or ERC-20 `transfer(to, amount)`, read back from the tx itself.
+ */
+function decodeEvmTransfer(tx, chainId, native) {
+    if (!tx.data || tx.data === '0x') {
+        return { token: native, recipient: tx.to, units: BigInt(tx.value) };
+    }
+    if (!tx.data.toLowerCase().startsWith(ERC20_TRANSFER_SELECTOR) || tx.data.length < 138) return null;
+
+    const token = findTokenByAddress(chainId, tx.to);
+    if (!token) return null;
+    return {
+        token,
+        recipient: '0x' + tx.data.slice(34, 74),
+        units: BigInt('0x' + tx.data.slice(74, 138))
+    };
+}
+
+/**
+ * @param {object} tx - buildEvmTransaction() tx
+ * @param {object} connection - JSON-RPC `request` object for tx.chainId
+ * @returns {Promise<{ simulation: object }|{ error: string, detail: any }>}
+ */
+export async function simulateEvmTransaction(tx, connection) {
+    const chainId = Number(toBigInt(tx.chainId));
+    const native = evmNativeToken(chainId);
+    const transfer = native && decodeEvmTransfer(tx, chainId, native);
+    if (!transfer) return fail('UNSUPPORTED_TRANSACTION', tx.to);
+
+    const call = { from: tx.from, to: tx.to, value: tx.value, data: tx.data };
+
+    // 1. Execute against the pending block (reverts surface here)
+    const executed = await evmCall(connection, 'eth_call', [{ ...call, gas: tx.gas }, 'pending']);
+    if (executed.error) return executed;
+
+    // ERC-20 `transfer` returning false (tokens that return nothing are fine)
+    const returned = executed.result;
+    if (transfer.token.type !== 'native' && typeof returned === 'string' && returned.length >= 66 && toBigInt(returned.slice(0, 66)) === 0n) {
+        return fail('TRANSFER_FAILED', 'transfer returned false');
+    }
+
+    // 2. Gas at the pending block (also checks value + fee against the balance)
+    const estimate = await evmCall(connection, 'eth_estimateGas', [call, 'pending']);
+    if (estimate.error) return estimate;
+    const gasUsed = toBigInt(estimate.result);
+    if (gasUsed === null) return fail('RPC_ERROR', 'eth_estimateGas');
+
+    // 3. Balance changes
+    const deltas = [
+        delta('sender', tx.from, transfer.token, -transfer.units, 'transfer'),
+        delta('recipient', transfer.recipient, transfer.token, transfer.units, 'transfer'),
+        delta('sender', tx.from, native, -(gasUsed * BigInt(tx.maxFeePerGas)), 'fee')
+    ];
+    return { simulation: { gasUsed, deltas } };
+}
+
+/**
+ * Builds a Send dry run against `connection` and simulates it.
+ * @param {object} dryRun - TX_DRY_RUN
+ * @param {object} connection - Public node for the dry run's chain
+ * @param {{ from: string, fees?: object }} options - buildEvmTransaction options
+ */
+export async function simulateEvmSend(dryRun, connection, options) {
+    const built = await buildEvmTransaction(dryRun, connection, options);
+    if (built.error === 'GAS_ESTIMATION_FAILED') {
+        // The build's estimate already executed the call: decode why it failed
+        return evmFailure('eth_estimateGas', { message: String(built.detail || '').replace(/^eth_estimateGas:\s*/, '') });
+    }
+    if (built.error) return built;
+
+    const simulated = await simulateEvmTransaction(built.tx, connection);
+    return simulated.error ? simulated : { ...simulated, tx: built.tx };
+}
+
+// --- Solana ---
+
+/**
+ * Wire transaction with empty signatures (simulateTransaction, sigVerify off).
+ * @param {Uint8Array} message - Compiled legacy message
+ * @returns {string} base64
+ */
+export function unsignedSolanaTransaction(message) {
+    const signatures = message[0]; // header: numRequiredSignatures
+    return bytesToBase64(concatBytes(compactU16(signatures), new Uint8Array(signatures * SIGNATURE_BYTES), message));
+}
+
+/** Maps a simulateTransaction `err` (+ logs) to a simulation error. */
+function solanaFailure(err, logs) {
+    if (err === 'InsufficientFundsForFee' || err === 'AccountNotFound') return fail('INSUFFICIENT_GAS', err);
+    if (err && err.InsufficientFundsForRent) return fail('INSUFFICIENT_FUNDS', 'rent');
+
+    const instruction = err && err.InstructionError;
+    if (instruction && instruction[1] && instruction[1].Custom === CUSTOM_INSUFFICIENT_FUNDS) {
+        return fail('INSUFFICIENT_FUNDS', null);
+    }
+
+    const logged = (logs || []).filter(line => /error|failed/i.test(line)).pop();
+    return fail('PROGRAM_ERROR', logged ? logged.replace(/^Program log:\s*/, '') : JSON.stringify(err));
+}
+
+async function solanaCall(connection, method, params) {
+    try {
+        return { result: await connection.request({ method, params }) };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+/**
+ * @param {object} tx - buildSolanaTransaction() tx
+ * @param {object} connection - Solana JSON-RPC `request` object
+ * @returns {Promise<{ simulation: object }|{ error: string, detail: any }>}
+ */
+export async function simulateSolanaTransaction(tx, connection) {
+    const token = findToken('solana', tx.asset);
+    const native = findNativeToken('solana');
+    if (!token || !native) return fail('UNSUPPORTED_TRANSACTION', tx.asset);
+
+    // 1. Simulate (unsigned; the node swaps in a fresh blockhash)
+    const simulated = await solanaCall(connection, 'simulateTransaction', [unsignedSolanaTransaction(tx.message), {
+        encoding: 'base64',
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        commitment: 'processed'
+    }]);
+    if (simulated.error) return simulated;
+    const value = simulated.result && simulated.result.value;
+    if (!value) return fail('RPC_ERROR', 'simulateTransaction: empty result');
+    if (value.err) return solanaFailure(value.err, value.logs);
+
+    // 2. Balance changes (+ rent for a recipient token account created on the way)
+    const deltas = [
+        delta('sender', tx.from, token, -tx.amount, 'transfer'),
+        delta('recipient', tx.to, token, tx.amount, 'transfer'),
+        delta('sender', tx.from, native, -BigInt(tx.feeLamports), 'fee')
+    ];
+    if (tx.createsRecipientAccount) {
+        const rent = await solanaCall(connection, 'getMinimumBalanceForRentExemption', [TOKEN_ACCOUNT_SIZE]);
+        if (rent.error) return rent;
+        deltas.push(delta('sender', tx.from, native, -BigInt(rent.result), 'rent'));
+    }
+    return { simulation: { unitsConsumed: value.unitsConsumed ?? null, deltas } };
+}
+
+/**
+ * Builds a Send dry run against `connection` and simulates it.
+ * @param {object} dryRun - TX_DRY_RUN
+ * @param {object} connection - Solana JSON-RPC `request` object
+ * @param {{ from: string, priorityFee?: number }} options - buildSolanaTransaction options
+ */
+export async function simulateSolanaSend(dryRun, connection, options) {
+    const built = await buildSolanaTransaction(dryRun, connection, options);
+    if (built.error) return built;
+
+    const simulated = await simulateSolanaTransaction(built.tx, connection);
+    return simulated.error ? simulated : { ...simulated, tx: built.tx };
+}
@@ -0,0 +1,491 @@
+/**
+ * Solana Transaction Builder
+ *
+ * RESPONSIBILITY:
+ * - Turns the slider's TX_DRY_RUN object into a legacy Solana message:
+ *   SystemProgram transfer (SOL) or SPL TransferChecked (USDC/USDT), creating
+ *   the recipient's associated token account when it does not exist yet.
+ * - Carries Solana Pay `memo` (Memo program) and `reference` keys.
+ * - Optional priority fee (gas-oracle tier) via ComputeBudget instructions.
+ * - Hands the message to Phantom (`signAndSendTransaction`) to sign + submit.
+ *
+ * CONTRACT:
+ * - `connection` is any `request({ method, params })` JSON-RPC object
+ *   (rpc.js in the app, a stand-in in verify-solana-transaction.mjs).
+ * - `wallet` is the Phantom provider (window.solana in the app).
+ * - Returns plain data: { tx } / { signature, tx } on success, { error, detail } on failure.
+ * - Never throws.
+ *
+ * ERROR CODES:
+ * - PROVIDER_NOT_FOUND, NO_ACCOUNT, UNSUPPORTED_ASSET, INVALID_AMOUNT,
+ *   INVALID_RECIPIENT, NO_TOKEN_ACCOUNT, BLOCKHASH_UNAVAILABLE,
+ *   USER_REJECTED, RPC_ERROR
+ */
+
+import { base58Decode, base58Encode } from './crypto/base58.js';
+import { sha256 } from './crypto/sha256.js';
+import { isOnCurve } from './crypto/ed25519.js';
+import { concatBytes, utf8ToBytes, bytesToBase64 } from './crypto/bytes.js';
+import { findToken } from './token-registry.js';
+import { validateSolanaAddress } from './address-validation.js';
+import { parseUnits } from './units.js';
+
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+export const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+export const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+
+export const DEFAULT_SIGNATURE_FEE_LAMPORTS = 5000;
+
+const SYSTEM_TRANSFER_INDEX = 2;
+const TOKEN_TRANSFER_CHECKED_INDEX = 12;
+const ATA_CREATE_IDEMPOTENT_INDEX = 1;
+const SET_COMPUTE_UNIT_LIMIT_INDEX = 2;
+const SET_COMPUTE_UNIT_PRICE_INDEX = 3;
+
+// Compute-unit ceilings (measured usage plus headroom). Priority fees are
+// charged on the requested limit, so these stay tight but never fail the tx.
+const COMPUTE_UNITS = Object.freeze({
+    budget: 300,          // The two ComputeBudget instructions
+    solTransfer: 300,
+    tokenTransfer: 10000,
+    createAta: 35000,
+    memo: 20000
+});
+const PDA_MARKER = utf8ToBytes('ProgramDerivedAddress');
+const USER_REJECTED_CODE = 4001; // Phantom follows EIP-1193 codes
+const COMMITMENT = 'confirmed';
+
+const fail = (error, detail = null) => ({ error, detail });
+
+/**
+ * @param {string} address - Base58 public key
+ * @returns {Uint8Array|null} 32 bytes, or null when malformed
+ */
+export function decodePublicKey(address) {
+    if (typeof address !== 'string') return null;
+    const bytes = base58Decode(address);
+    return bytes && bytes.length === 32 ? bytes : null;
+}
+
+// --- Program-derived addresses ---
+
+/**
+ * sha256(seeds || programId || "ProgramDerivedAddress"); rejected when on-curve.
+ * @param {Uint8Array[]} seeds
+ * @param {string} programId
+ * @returns {string|null} Base58 address, or null when the hash lands on the curve
+ */
+export function createProgramAddress(seeds, programId) {
+    const hash = sha256(concatBytes(...seeds, decodePublicKey(programId), PDA_MARKER));
+    return isOnCurve(hash) ? null : base58Encode(hash);
+}
+
+/**
+ * Searches bump seeds 255 → 0 for the first off-curve address.
+ * @returns {{ address: string, bump: number }|null}
+ */
+export function findProgramAddress(seeds, programId) {
+    for (let bump = 255; bump >= 0; bump--) {
+        const address = createProgramAddress([...seeds, Uint8Array.of(bump)], programId);
+        if (address) return { address, bump };
+    }
+    return null;
+}
+
+/**
+ * Associated token account for (owner, mint).
+ * @returns {string} Base58 address
+ */
+export function getAssociatedTokenAddress(owner, mint, tokenProgramId) {
+    return findProgramAddress(
+        [decodePublicKey(owner), decodePublicKey(tokenProgramId), decodePublicKey(mint)],
+        ASSOCIATED_TOKEN_PROGRAM_ID
+    ).address;
+}
+
+// --- Instructions ---
+
+function u64le(value) {
+    const out = new Uint8Array(8);
+    let v = BigInt(value);
+    for (let i = 0; i < 8; i++) {
+        out[i] = Number(v & 0xffn);
+        v >>= 8n;
+    }
+    return out;
+}
+
+function u32le(value) {
+    return Uint8Array.of(value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff);
+}
+
+const meta = (pubkey, isSigner, isWritable) => ({ pubkey, isSigner, isWritable });
+
+// Solana Pay: references ride along as read-only, non-signer keys
+const referenceMetas = (references = []) => references.map(r => meta(r, false, false));
+
+export function systemTransferInstruction(from, to, lamports, references) {
+    return {
+        programId: SYSTEM_PROGRAM_ID,
+        keys: [meta(from, true, true), meta(to, false, true), ...referenceMetas(references)],
+        data: concatBytes(u32le(SYSTEM_TRANSFER_INDEX), u64le(lamports))
+    };
+}
+
+export function tokenTransferCheckedInstruction(source, mint, destination, owner, amount, decimals, tokenProgramId, references) {
+    return {
+        programId: tokenProgramId,
+        keys: [
+            meta(source, false, true),
+            meta(mint, false, false),
+            meta(destination, false, true),
+            meta(owner, true, false),
+            ...referenceMetas(references)
+        ],
+        data: concatBytes(Uint8Array.of(TOKEN_TRANSFER_CHECKED_INDEX), u64le(amount), Uint8Array.of(decimals))
+    };
+}
+
+export function createAssociatedTokenAccountIdempotentInstruction(payer, ata, owner, mint, tokenProgramId) {
+    return {
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        keys: [
+            meta(payer, true, true),
+            meta(ata, false, true),
+            meta(owner, false, false),
+            meta(mint, false, false),
+            meta(SYSTEM_PROGRAM_ID, false, false),
+            meta(tokenProgramId, false, false)
+        ],
+        data: Uint8Array.of(ATA_CREATE_IDEMPOTENT_INDEX)
+    };
+}
+
+export function memoInstruction(memo, signer) {
+    return {
+        programId: MEMO_PROGRAM_ID,
+        keys: [meta(signer, true, false)],
+        data: utf8ToBytes(memo)
+    };
+}
+
+export function setComputeUnitLimitInstruction(units) {
+    return {
+        programId: COMPUTE_BUDGET_PROGRAM_ID,
+        keys: [],
+        data: concatBytes(Uint8Array.of(SET_COMPUTE_UNIT_LIMIT_INDEX), u32le(units))
+    };
+}
+
+export function setComputeUnitPriceInstruction(microLamports) {
+    return {
+        programId: COMPUTE_BUDGET_PROGRAM_ID,
+        keys: [],
+        data: concatBytes(Uint8Array.of(SET_COMPUTE_UNIT_PRICE_INDEX), u64le(microLamports))
+    };
+}
+
+/**
+ * Compute-unit limit requested for a Send transfer.
+ * @param {{ asset: string, createsRecipientAccount?: boolean, memo?: string|null }} shape
+ * @returns {number}
+ */
+export function computeUnitLimitFor({ asset, createsRecipientAccount = false, memo = null }) {
+    let units = COMPUTE_UNITS.budget;
+    units += (asset || '').toLowerCase() === 'sol' ? COMPUTE_UNITS.solTransfer : COMPUTE_UNITS.tokenTransfer;
+    if (createsRecipientAccount) units += COMPUTE_UNITS.createAta;
+    if (memo) units += COMPUTE_UNITS.memo;
+    return units;
+}
+
+// --- Message (legacy format) ---
+
+/**
+ * Solana short-vec length prefix.
+ * @param {number} n
+ * @returns {Uint8Array}
+ */
+export function compactU16(n) {
+    const out = [];
+    let rem = n;
+    for (;;) {
+        let byte = rem & 0x7f;
+        rem >>= 7;
+        if (rem === 0) {
+            out.push(byte);
+            return Uint8Array.from(out);
+        }
+        out.push(byte | 0x80);
+    }
+}
+
+/**
+ * Serializes a legacy message.
+ * Account order: fee payer, writable signers, readonly signers,
+ * writable non-signers, readonly non-signers (first-seen order within each group).
+ *
+ * @param {{ payer: string, recentBlockhash: string, instructions: object[] }} params
+ * @returns {{ message: Uint8Array, accountKeys: string[] }}
+ */
+export function compileMessage({ payer, recentBlockhash, instructions }) {
+    const metas = new Map([[payer, meta(payer, true, true)]]);
+    const merge = (m) => {
+        const existing = metas.get(m.pubkey);
+        if (existing) {
+            existing.isSigner = existing.isSigner || m.isSigner;
+            existing.isWritable = existing.isWritable || m.isWritable;
+        } else {
+            metas.set(m.pubkey, { ...m });
+        }
+    };
+
+    for (const ix of instructions) {
+        ix.keys.forEach(merge);
+        merge(meta(ix.programId, false, false));
+    }
+
+    const all = [...metas.values()];
+    const group = (signer, writable) => all.filter(m => m.isSigner === signer && m.isWritable === writable);
+    const ordered = [...group(true, true), ...group(true, false), ...group(false, true), ...group(false, false)];
+    const accountKeys = ordered.map(m => m.pubkey);
+    const indexOf = (pubkey) => accountKeys.indexOf(pubkey);
+
+    const header = Uint8Array.of(
+        ordered.filter(m => m.isSigner).length,
+        group(true, false).length,
+        group(false, false).length
+    );
+
+    const compiled = instructions.map(ix => {
+        const accounts = ix.keys.map(k => indexOf(k.pubkey));
+        return concatBytes(
+            Uint8Array.of(indexOf(ix.programId)),
+            compactU16(accounts.length),
+            Uint8Array.from(accounts),
+            compactU16(ix.data.length),
+            ix.data
+        );
+    });
+
+    const message = concatBytes(
+        header,
+        compactU16(accountKeys.length),
+        ...accountKeys.map(decodePublicKey),
+        base58Decode(recentBlockhash),
+        compactU16(compiled.length),
+        ...compiled
+    );
+
+    return { message, accountKeys };
+}
+
+// --- RPC ---
+
+async function rpc(connection, method, params = []) {
+    try {
+        return { result: await connection.request({ method, params }) };
+    } catch (err) {
+        if (err && err.code === USER_REJECTED_CODE) return fail('USER_REJECTED', err.message);
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+async function accountExists(connection, address) {
+    const res = await rpc(connection, 'getAccountInfo', [address, { encoding: 'base64', commitment: COMMITMENT }]);
+    if (res.error) return res;
+    return { exists: !!(res.result && res.result.value) };
+}
+
+async function fetchLatestBlockhash(connection) {
+    const res = await rpc(connection, 'getLatestBlockhash', [{ commitment: COMMITMENT }]);
+    if (res.error) return res;
+    const value = res.result && res.result.value;
+    if (!value || !decodePublicKey(value.blockhash)) return fail('BLOCKHASH_UNAVAILABLE');
+    return { blockhash: value.blockhash, lastValidBlockHeight: value.lastValidBlockHeight };
+}
+
+/**
+ * Network fee for a compiled message via `getFeeForMessage`.
+ * Falls back to one signature fee when the node cannot price it.
+ *
+ * @param {object} connection
+ * @param {Uint8Array} message
+ * @returns {Promise<{ lamports: number, fallback: boolean }>}
+ */
+export async function estimateMessageFee(connection, message) {
+    const res = await rpc(connection, 'getFeeForMessage', [bytesToBase64(message), { commitment: COMMITMENT }]);
+    const value = res.result ? res.result.value : null;
+    if (typeof value === 'number') return { lamports: value, fallback: false };
+    return { lamports: DEFAULT_SIGNATURE_FEE_LAMPORTS, fallback: true };
+}
+
+/**
+ * Fee for a plain SOL transfer between `from` and `to` (Send's fee row).
+ * `from` may be omitted before the wallet connects; the recipient then
+ * stands in as payer (the fee depends on the signature count, not the key).
+ *
+ * @returns {Promise<{ lamports: number, fallback: boolean }>}
+ */
+export async function estimateSolanaFee(connection, { from, to }) {
+    const payer = from || to;
+    if (!decodePublicKey(payer) || !decodePublicKey(to)) {
+        return { lamports: DEFAULT_SIGNATURE_FEE_LAMPORTS, fallback: true };
+    }
+
+    const latest = await fetchLatestBlockhash(connection);
+    if (latest.error) return { lamports: DEFAULT_SIGNATURE_FEE_LAMPORTS, fallback: true };
+
+    const { message } = compileMessage({
+        payer,
+        recentBlockhash: latest.blockhash,
+        instructions: [systemTransferInstruction(payer, to, 1n)]
+    });
+    return estimateMessageFee(connection, message);
+}
+
+// --- Wallet ---
+
+/**
+ * Connected Phantom public key (prompts connect when not yet authorized).
+ * @returns {Promise<{ from: string }|{ error: string }>}
+ */
+export async function resolveSolanaSender(wallet) {
+    if (!wallet || typeof wallet.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+
+    try {
+        if (!wallet.publicKey) await wallet.connect();
+    } catch (err) {
+        if (err && err.code === USER_REJECTED_CODE) return fail('USER_REJECTED', err.message);
+        return fail('NO_ACCOUNT', err && err.message);
+    }
+
+    const from = wallet.publicKey ? wallet.publicKey.toString() : null;
+    return from ? { from } : fail('NO_ACCOUNT');
+}
+
+// --- Build / Send ---
+
+/**
+ * Builds a legacy Solana message from a TX_DRY_RUN object.
+ *
+ * @param {object} dryRun - { asset, recipient, amountAsset, memo?, references? }
+ * @param {object} connection - JSON-RPC `request` object
+ * @param {object} options
+ * @param {string} options.from - Fee payer / token owner (base58)
+ * @param {number} [options.priorityFee] - micro-lamports per compute unit (gas-oracle tier)
+ * @returns {Promise<{ tx: object }|{ error: string, detail: string|null }>}
+ */
+export async function buildSolanaTransaction(dryRun, connection, { from, priorityFee = 0 } = {}) {
+    if (!connection || typeof connection.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+    if (!decodePublicKey(from)) return fail('NO_ACCOUNT');
+
+    // 1. Recipient (+ Solana Pay references)
+    if (!validateSolanaAddress(dryRun.recipient).valid) return fail('INVALID_RECIPIENT');
+    const references = dryRun.references || [];
+    if (references.some(r => !decodePublicKey(r))) return fail('INVALID_RECIPIENT', 'reference');
+
+    // 2. Transfer instruction(s)
+    const asset = (dryRun.asset || '').toLowerCase();
+    const instructions = [];
+    let createsRecipientAccount = false;
+    let amount;
+
+    const token = findToken('solana', asset);
+    if (!token) return fail('UNSUPPORTED_ASSET', asset);
+
+    if (token.type === 'native') {
+        amount = parseUnits(dryRun.amountAsset, token.decimals);
+        if (amount === null || amount <= 0n) return fail('INVALID_AMOUNT', dryRun.amountAsset);
+        instructions.push(systemTransferInstruction(from, dryRun.recipient, amount, references));
+    } else {
+        amount = parseUnits(dryRun.amountAsset, token.decimals);
+        if (amount === null || amount <= 0n) return fail('INVALID_AMOUNT', dryRun.amountAsset);
+
+        const sourceAta = getAssociatedTokenAddress(from, token.address, token.programId);
+        const destinationAta = getAssociatedTokenAddress(dryRun.recipient, token.address, token.programId);
+
+        const source = await accountExists(connection, sourceAta);
+        if (source.error) return source;
+        if (!source.exists) return fail('NO_TOKEN_ACCOUNT', sourceAta);
+
+        const destination = await accountExists(connection, destinationAta);
+        if (destination.error) return destination;
+        if (!destination.exists) {
+            createsRecipientAccount = true;
+            instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+                from, destinationAta, dryRun.recipient, token.address, token.programId));
+        }
+
+        instructions.push(tokenTransferCheckedInstruction(
+            sourceAta, token.address, destinationAta, from, amount, token.decimals, token.programId, references));
+    }
+
+    // 3. Memo (Solana Pay: before the transfer)
+    if (dryRun.memo) {
+        instructions.splice(instructions.length - 1, 0, memoInstruction(dryRun.memo, from));
+    }
+
+    // 4. Priority fee (ComputeBudget instructions lead the transaction)
+    if (priorityFee > 0) {
+        const units = computeUnitLimitFor({ asset, createsRecipientAccount, memo: dryRun.memo });
+        instructions.unshift(
+            setComputeUnitLimitInstruction(units),
+            setComputeUnitPriceInstruction(BigInt(Math.ceil(priorityFee)))
+        );
+    }
+
+    // 5. Blockhash + compile
+    const latest = await fetchLatestBlockhash(connection);
+    if (latest.error) return latest;
+
+    const { message, accountKeys } = compileMessage({ payer: from, recentBlockhash: latest.blockhash, instructions });
+    const fee = await estimateMessageFee(connection, message);
+
+    return {
+        tx: {
+            from,
+            to: dryRun.recipient,
+            asset,
+            amount,
+            instructions,
+            accountKeys,
+            message,
+            recentBlockhash: latest.blockhash,
+            lastValidBlockHeight: latest.lastValidBlockHeight,
+            feeLamports: fee.lamports,
+            priorityFee,
+            createsRecipientAccount
+        }
+    };
+}
+
+/**
+ * Phantom signs + submits the serialized message.
+ * @returns {Promise<{ signature: string }|{ error: string, detail: string|null }>}
+ */
+export async function submitSolanaTransaction(tx, wallet) {
+    if (!wallet || typeof wallet.request !== 'function') return fail('PROVIDER_NOT_FOUND');
+    const res = await rpc(wallet, 'signAndSendTransaction', { message: base58Encode(tx.message) });
+    if (res.error) return res;
+    if (!res.result || !res.result.signature) return fail('RPC_ERROR', 'signAndSendTransaction: no signature');
+    return { signature: res.result.signature };
+}
+
+/**
+ * Resolve sender + build + submit in one step.
+ * @param {object} [options] - { priorityFee } (see buildSolanaTransaction)
+ * @returns {Promise<{ signature: string, tx: object }|{ error: string, detail: string|null }>}
+ */
+export async function sendSolanaTransaction(dryRun, connection, wallet, options = {}) {
+    const sender = await resolveSolanaSender(wallet);
+    if (sender.error) return sender;
+
+    const built = await buildSolanaTransaction(dryRun, connection, { ...options, from: sender.from });
+    if (built.error) return built;
+
+    const submitted = await submitSolanaTransaction(built.tx, wallet);
+    if (submitted.error) return submitted;
+
+    return { signature: submitted.signature, tx: built.tx };
+}
@@ -0,0 +1,188 @@
+/**
+ * Token Registry
+ *
+ * RESPONSIBILITY:
+ * - One table of every asset Send can move, keyed by chain and symbol:
+ *   native coins (ETH, BTC, SOL), ERC-20 contracts and SPL mints.
+ * - Each entry carries what the other modules used to hardcode: contract
+ *   address / mint, on-chain decimals, input precision, logo and whether the
+ *   entry is verified.
+ * - Pure data + lookups (no DOM, no network).
+ *
+ * Read by amount-engine.js (precision), send-overlay.js (asset lists),
+ * iconCDNResolver.js (logos), evm-transaction.js / solana-transaction.js
+ * (contracts, decimals), payment-uri.js (address → asset) and send.js.
+ *
+ * CONTRACT:
+ * - Chain keys double as TrustWallet CDN slugs ('ethereum', 'arbitrum', ...).
+ * - A chain reference may be a chain key, an EIP-155 chain id or a Send chain
+ *   name ('Ethereum Mainnet', 'Arbitrum One', 'Bitcoin Network', aliases).
+ * - Symbols are matched case-insensitively; `asset` is the lowercase symbol
+ *   used by APP_STATE / TX_DRY_RUN.
+ * - Lookups return only verified entries unless { includeUnverified: true }.
+ * - Token entry: { symbol, asset, name, chain, type: 'native'|'erc20'|'spl',
+ *   address (null for native), decimals, precision, logo, verified,
+ *   programId (spl only) }
+ */
+
+import { chainIdForName } from './evm-chains.js';
+
+const CDN_BASE_URL = 'https://raw.githubusercontent.com/trustwallet/assets/master/blockchains';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+// family: transaction builder; chainId: EIP-155 id (EVM only); names: non-EVM Send names
+export const TOKEN_CHAINS = Object.freeze({
+    ethereum: Object.freeze({ key: 'ethereum', family: 'evm', chainId: 1 }),
+    optimism: Object.freeze({ key: 'optimism', family: 'evm', chainId: 10 }),
+    polygon: Object.freeze({ key: 'polygon', family: 'evm', chainId: 137 }),
+    base: Object.freeze({ key: 'base', family: 'evm', chainId: 8453 }),
+    arbitrum: Object.freeze({ key: 'arbitrum', family: 'evm', chainId: 42161 }),
+    linea: Object.freeze({ key: 'linea', family: 'evm', chainId: 59144 }),
+    scroll: Object.freeze({ key: 'scroll', family: 'evm', chainId: 534352 }),
+    sepolia: Object.freeze({ key: 'sepolia', family: 'evm', chainId: 11155111 }),
+    bitcoin: Object.freeze({ key: 'bitcoin', family: 'bitcoin', chainId: null, names: ['bitcoin', 'bitcoin network'] }),
+    solana: Object.freeze({ key: 'solana', family: 'solana', chainId: null, names: ['solana', 'solana mainnet'] })
+});
+
+// --- Entries ---
+
+function entry(chain, type, symbol, name, address, decimals, precision, extra = {}) {
+    const logo = address
+        ? `${CDN_BASE_URL}/${chain}/assets/${address}/logo.png`
+        : `${CDN_BASE_URL}/${chain}/info/logo.png`;
+    return Object.freeze({
+        symbol,
+        asset: symbol.toLowerCase(),
+        name,
+        chain,
+        type,
+        address,
+        decimals,
+        precision,
+        logo,
+        verified: true,
+        ...extra
+    });
+}
+
+// precision: decimal places the amount fields accept and round to (≤ decimals)
+const ether = (chain) => entry(chain, 'native', 'ETH', 'Ether', null, 18, 6);
+const usdc = (chain, address) => entry(chain, 'erc20', 'USDC', 'USD Coin', address, 6, 6);
+const usdt = (chain, address) => entry(chain, 'erc20', 'USDT', 'Tether USD', address, 6, 6);
+const spl = (symbol, name, mint) => entry('solana', 'spl', symbol, name, mint, 6, 6, { programId: TOKEN_PROGRAM_ID });
+
+// ERC-20 addresses are checksummed (the CDN path is case-sensitive)
+export const TOKENS = Object.freeze([
+    ether('ethereum'),
+    usdc('ethereum', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'),
+    usdt('ethereum', '0xdAC17F958D2ee523a2206206994597C13D831ec7'),
+
+    ether('optimism'),
+    usdc('optimism', '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85'),
+    usdt('optimism', '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58'),
+
+    // Polygon PoS still settles gas in its own coin; only stablecoins are listed
+    usdc('polygon', '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359'),
+    usdt('polygon', '0xc2132D05D31c914a87C6611C10748AEb04B58e8F'),
+
+    ether('base'),
+    usdc('base', '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'),
+
+    ether('arbitrum'),
+    usdc('arbitrum', '0xaf88d065e77c8cC2239327C5EDb3A432268e5831'),
+    usdt('arbitrum', '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9'),
+
+    ether('linea'),
+    ether('scroll'),
+    ether('sepolia'),
+
+    entry('bitcoin', 'native', 'BTC', 'Bitcoin', null, 8, 8),
+
+    entry('solana', 'native', 'SOL', 'Solana', null, 9, 6),
+    spl('USDC', 'USD Coin', 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'),
+    spl('USDT', 'Tether USD', 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB')
+]);
+
+// --- Lookups ---
+
+/**
+ * @param {string|number} ref - Chain key, EIP-155 chain id or Send chain name
+ * @returns {string|null} Registry chain key
+ */
+export function resolveChainKey(ref) {
+    if (typeof ref === 'number') {
+        const chain = Object.values(TOKEN_CHAINS).find(c => c.chainId === ref);
+        return chain ? chain.key : null;
+    }
+    if (!ref || typeof ref !== 'string') return null;
+
+    const n = ref.trim().toLowerCase();
+    if (TOKEN_CHAINS[n]) return n;
+
+    const nonEvm = Object.values(TOKEN_CHAINS).find(c => c.names && c.names.includes(n));
+    if (nonEvm) return nonEvm.key;
+
+    const chainId = chainIdForName(ref);
+    return chainId === null ? null : resolveChainKey(chainId);
+}
+
+/**
+ * @param {string|number} chainRef
+ * @param {{ includeUnverified?: boolean }} [options]
+ * @returns {object[]} Registry entries for the chain (native first)
+ */
+export function listTokens(chainRef, { includeUnverified = false } = {}) {
+    const chain = resolveChainKey(chainRef);
+    if (!chain) return [];
+    return TOKENS.filter(t => t.chain === chain && (includeUnverified || t.verified));
+}
+
+/**
+ * @param {string|number} chainRef
+ * @param {string} symbol - 'ETH' | 'usdc' | ... (any case)
+ * @param {{ includeUnverified?: boolean }} [options]
+ * @returns {object|null}
+ */
+export function findToken(chainRef, symbol, options) {
+    if (!symbol || typeof symbol !== 'string') return null;
+    const asset = symbol.trim().toLowerCase();
+    return listTokens(chainRef, options).find(t => t.asset === asset) || null;
+}
+
+/**
+ * @param {string|number} chainRef
+ * @param {string} address - ERC-20 contract (any case) or SPL mint (exact)
+ * @param {{ includeUnverified?: boolean }} [options]
+ * @returns {object|null}
+ */
+export function findTokenByAddress(chainRef, address, options) {
+    if (!address || typeof address !== 'string') return null;
+    const isEvm = (TOKEN_CHAINS[resolveChainKey(chainRef)] || {}).family === 'evm';
+    const matches = isEvm
+        ? (t) => t.address && t.address.toLowerCase() === address.toLowerCase()
+        : (t) => t.address === address; // base58 is case-sensitive
+    return listTokens(chainRef, options).find(matches) || null;
+}
+
+/**
+ * @param {string|number} chainRef
+ * @returns {object|null} The chain's native coin entry
+ */
+export function findNativeToken(chainRef) {
+    return listTokens(chainRef).find(t => t.type === 'native') || null;
+}
+
+/**
+ * Input precision for an asset symbol, or for a chain's native coin.
+ * A bare symbol listed on several chains (USDC) has the same precision on each.
+ *
+ * @param {string|number} ref - 'usdc' | 'ETH' | 'Bitcoin Network' | 42161 ...
+ * @returns {number|null}
+ */
+export function precisionFor(ref) {
+    if (ref === null || ref === undefined || ref === '') return null;
+    const asset = typeof ref === 'string' ? ref.trim().toLowerCase() : null;
+    const token = TOKENS.find(t => t.verified && t.asset === asset) || findNativeToken(ref);
+    return token ? token.precision : null;
+}
@@ -0,0 +1,594 @@
+/**
+ * Transaction History
+ *
+ * RESPONSIBILITY:
+ * - One record per submitted send (send:submitted): hash, chain, asset, amount,
+ *   fee, recipient, payment handle and status.
+ * - Status tracking: pending records are polled until the chain's confirmation
+ *   rule is met (EVM receipts, Solana signature statuses, Esplora for Bitcoin).
+ * - Persistence through the address-book.js store interface (IndexedDB in the app).
+ * - Replacement chains for EVM speed-up / cancel (same nonce): the new record
+ *   points at the one it replaces; once any of them is mined, the rest are
+ *   marked replaced by it.
+ *
+ * CONTRACT:
+ * - Record: { id, hash, chain, chainId, family, asset, amount, fee, feeEstimated,
+ *   recipient, handle, from, nonce, lastValidBlockHeight, status, confirmations,
+ *   required, blockNumber, reason, kind, replaces, replacedBy, evmTx,
+ *   submittedAt, updatedAt }
+ * - kind: 'send' | 'speed-up' | 'cancel'. replaces / replacedBy: record ids.
+ * - Bitcoin sends are recorded from the txid of the Send PSBT once an external
+ *   wallet broadcasts it (bitcoinSubmission); their fee is exact.
+ *   evmTx: the submitted EVM transaction (hex quantities), kept for replacements.
+ * - Status: 'pending' → 'confirmed' | 'failed' | 'replaced' (final states are never polled).
+ * - Confirmation rules: EVM_CHAINS `confirmations` per chain; Solana 'finalized';
+ *   Bitcoin BITCOIN_CONFIRMATIONS.
+ * - Transports: { evm(chainId) → EIP-1193 provider, solana → JSON-RPC provider,
+ *   bitcoin → { baseUrl, fetch } }. createPublicTransports() in the app,
+ *   stand-ins in verify-tx-history.mjs.
+ * - Returns plain data ({ transaction } / { transactions } / { error, detail }). Never throws.
+ *
+ * ERROR CODES:
+ * - INVALID_SUBMISSION, UNSUPPORTED_CHAIN, NOT_FOUND, RPC_ERROR, STORAGE_ERROR
+ */
+
+import { chainIdForName, findChainById } from './evm-chains.js';
+import { findNativeToken } from './token-registry.js';
+import { formatUnits } from './units.js';
+import { createJsonRpcProvider, PUBLIC_RPC_URLS } from './rpc.js';
+import { ESPLORA_API_URL, BTC_DECIMALS, spendsSameInputs } from './bitcoin-transaction.js';
+
+export const TX_HISTORY_DB = Object.freeze({ name: 'web3upi-tx-history', version: 1, store: 'transactions' });
+
+export const TX_STATUS = Object.freeze({
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    FAILED: 'failed',
+    REPLACED: 'replaced'
+});
+
+export const HISTORY_LIMIT = 200;
+
+export const BITCOIN_CONFIRMATIONS = 1;
+
+// Why a record lost its nonce, by the kind of the record that was mined
+const REPLACED_REASONS = Object.freeze({ 'speed-up': 'SPED_UP', cancel: 'CANCELLED' });
+
+// Poll cadence floor (EVM chains poll once per block above it)
+const MIN_POLL_MS = 4000;
+const BITCOIN_POLL_MS = 30000;
+const TRACKER_TICK_MS = 2000;
+
+const fail = (error, detail = null) => ({ error, detail });
+
+// Node quantities are untrusted: malformed values parse to null instead of throwing
+function toBigInt(hex) {
+    if (typeof hex !== 'string' || !hex || hex === '0x') return null;
+    try {
+        return BigInt(hex);
+    } catch (e) {
+        return null;
+    }
+}
+
+const toNumber = (hex) => {
+    const value = toBigInt(hex);
+    return value === null ? null : Number(value);
+};
+
+/**
+ * @param {string} chain - Send chain name
+ * @returns {{ family: string, chainId: number|null }|null}
+ */
+export function chainFamilyFor(chain) {
+    const chainId = chainIdForName(chain);
+    if (chainId) return { family: 'ethereum', chainId };
+    const name = (chain || '').toString().trim().toLowerCase();
+    if (name === 'solana' || name === 'bitcoin') return { family: name, chainId: null };
+    return null;
+}
+
+/**
+ * Confirmation rule and poll cadence for a record.
+ * @returns {{ confirmations: number|null, commitment: string|null, pollMs: number }}
+ */
+export function confirmationRuleFor(record) {
+    if (record.family === 'solana') return { confirmations: null, commitment: 'finalized', pollMs: MIN_POLL_MS };
+    if (record.family === 'bitcoin') return { confirmations: BITCOIN_CONFIRMATIONS, commitment: null, pollMs: BITCOIN_POLL_MS };
+
+    const chain = findChainById(record.chainId);
+    return {
+        confirmations: chain ? chain.confirmations : 1,
+        commitment: null,
+        pollMs: Math.max(MIN_POLL_MS, chain ? chain.blockTime * 1000 : 0)
+    };
+}
+
+/**
+ * @returns {string} Symbol the record's fee is paid in
+ */
+export function feeSymbolFor(record) {
+    if (record.family === 'solana') return 'SOL';
+    if (record.family === 'bitcoin') return 'BTC';
+    const chain = findChainById(record.chainId);
+    return chain ? chain.nativeCurrency.symbol : 'ETH';
+}
+
+/**
+ * @returns {string|null} Block explorer page for the record
+ */
+export function explorerTxUrl(record) {
+    if (record.family === 'solana') return `https://solscan.io/tx/${record.hash}`;
+    if (record.family === 'bitcoin') return `https://mempool.space/tx/${record.hash}`;
+    const chain = findChainById(record.chainId);
+    return chain ? `${chain.explorerUrl}/tx/${record.hash}` : null;
+}
+
+const EVM_TX_FIELDS = ['chainId', 'from', 'to', 'value', 'data', 'nonce', 'gas', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+function pickEvmTx(tx) {
+    if (!tx.nonce || !tx.maxFeePerGas) return null;
+    return Object.fromEntries(EVM_TX_FIELDS.map(k => [k, tx[k] ?? null]));
+}
+
+/**
+ * Builds the stored record from a send:submitted detail (or replacementSubmission()).
+ * @param {{ hash: string, tx: object, dryRun: object, kind?: string, replaces?: string }} submission
+ * @param {{ now?: () => number }} [options]
+ * @returns {{ transaction: object }|{ error: string, detail: any }}
+ */
+export function recordFromSubmission(submission, { now = Date.now } = {}) {
+    const { hash, tx = {}, dryRun, kind = 'send', replaces = null } = submission || {};
+    if (typeof hash !== 'string' || !hash || !dryRun) return fail('INVALID_SUBMISSION');
+
+    const chain = chainFamilyFor(dryRun.chain);
+    if (!chain) return fail('UNSUPPORTED_CHAIN', dryRun.chain);
+
+    // Solana reports the exact base + priority fee before signing; a Bitcoin
+    // PSBT fixes its fee when built
+    const solFee = chain.family === 'solana' && tx.feeLamports !== undefined && tx.feeLamports !== null;
+    const btcFee = chain.family === 'bitcoin' && typeof tx.fee === 'bigint';
+    const estimated = dryRun.estimatedGasNative;
+    let fee = estimated === null || estimated === undefined ? null : String(estimated);
+    if (solFee) fee = formatUnits(BigInt(tx.feeLamports), 9);
+    if (btcFee) fee = formatUnits(tx.fee, BTC_DECIMALS);
+
+    const timestamp = now();
+    return {
+        transaction: {
+            id: `${chain.family}:${chain.chainId || ''}:${hash}`,
+            hash,
+            chain: dryRun.chain,
+            chainId: chain.chainId,
+            family: chain.family,
+            asset: dryRun.asset || null,
+            amount: dryRun.amountAsset || null,
+            fee,
+            feeEstimated: !solFee && !btcFee,
+            recipient: dryRun.recipient,
+            handle: dryRun.recipientHandle || null,
+            from: tx.from || null,
+            nonce: chain.family === 'ethereum' ? toNumber(tx.nonce) : null,
+            lastValidBlockHeight: tx.lastValidBlockHeight ?? null,
+            status: TX_STATUS.PENDING,
+            confirmations: 0,
+            required: confirmationRuleFor(chain).confirmations,
+            blockNumber: null,
+            reason: null,
+            kind,
+            replaces,
+            replacedBy: null,
+            evmTx: chain.family === 'ethereum' ? pickEvmTx(tx) : null,
+            submittedAt: timestamp,
+            updatedAt: timestamp
+        }
+    };
+}
+
+/**
+ * True for a pending EVM record that can still be sped up or cancelled
+ * (not mined, not already superseded by a later replacement).
+ */
+export function canReplace(record) {
+    return record.family === 'ethereum' &&
+        record.status === TX_STATUS.PENDING &&
+        record.blockNumber === null &&
+        !record.replacedBy &&
+        Boolean(record.evmTx);
+}
+
+/**
+ * True for an unconfirmed Bitcoin record (RBF / CPFP fee bump, bitcoin-transaction.js).
+ */
+export function canBumpFee(record) {
+    return record.family === 'bitcoin' && record.status === TX_STATUS.PENDING && record.blockNumber === null;
+}
+
+/**
+ * Submission detail for a speed-up / cancel of `original`. Display fields
+ * (asset, amount, recipient) stay the original's; the fee is only known once mined.
+ * @param {object} original - Record being replaced
+ * @param {{ hash: string, tx: object, kind: string }} replacement
+ */
+export function replacementSubmission(original, { hash, tx, kind }) {
+    return {
+        hash,
+        tx,
+        kind,
+        replaces: original.id,
+        dryRun: {
+            chain: original.chain,
+            asset: original.asset,
+            amountAsset: original.amount,
+            recipient: original.recipient,
+            recipientHandle: original.handle,
+            estimatedGasNative: null
+        }
+    };
+}
+
+/**
+ * Submission detail for a Send PSBT the user signed and broadcast in an
+ * external wallet, once they paste its txid.
+ * @param {string} txid
+ * @param {{ tx: object, dryRun: object, broadcast?: object|null }} built - buildBitcoinTransaction()
+ *   tx + the TX_DRY_RUN it came from; broadcast: fetchBitcoinTransaction() result
+ *   (null while Esplora has not seen the txid)
+ * @returns {{ hash: string, tx: object, dryRun: object }|{ error: string, detail: any }}
+ */
+export function bitcoinSubmission(txid, { tx, dryRun, broadcast = null }) {
+    const hash = typeof txid === 'string' ? txid.trim().toLowerCase() : '';
+    if (!/^[0-9a-f]{64}$/.test(hash) || !tx || !dryRun) return fail('INVALID_SUBMISSION', txid);
+    if (broadcast && !spendsSameInputs(tx, broadcast)) return fail('INVALID_SUBMISSION', 'not the PSBT\'s inputs');
+    return { hash, tx, dryRun };
+}
+
+// Other records holding the same EVM nonce (original + its replacements)
+function nonceSiblings(records, record) {
+    if (record.family !== 'ethereum' || record.nonce === null || !record.from) return [];
+    const from = record.from.toLowerCase();
+    return records.filter(r => r.id !== record.id &&
+        r.family === 'ethereum' &&
+        r.chainId === record.chainId &&
+        r.nonce === record.nonce &&
+        (r.from || '').toLowerCase() === from);
+}
+
+// --- Status checks (one network round per call) ---
+
+async function call(provider, method, params = []) {
+    try {
+        return { result: await provider.request({ method, params }) };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? `${method}: ${err.message}` : method);
+    }
+}
+
+async function checkEvm(record, provider) {
+    const receipt = await call(provider, 'eth_getTransactionReceipt', [record.hash]);
+    if (receipt.error) return receipt;
+
+    if (!receipt.result) {
+        // Not mined: the nonce moving past it means another tx took its slot
+        if (record.from === null || record.nonce === null) return { patch: { status: TX_STATUS.PENDING } };
+        const count = await call(provider, 'eth_getTransactionCount', [record.from, 'latest']);
+        if (count.error) return count;
+        const minedNonces = toNumber(count.result);
+        if (minedNonces === null) return fail('RPC_ERROR', 'eth_getTransactionCount');
+        if (minedNonces <= record.nonce) return { patch: { status: TX_STATUS.PENDING } };
+
+        // Mined between the two calls?
+        const again = await call(provider, 'eth_getTransactionReceipt', [record.hash]);
+        if (again.error) return again;
+        if (!again.result) return { patch: { status: TX_STATUS.REPLACED, reason: 'NONCE_USED' } };
+        receipt.result = again.result;
+    }
+
+    const r = receipt.result;
+    const gasUsed = toBigInt(r.gasUsed || '0x0');
+    const gasPrice = toBigInt(r.effectiveGasPrice || '0x0');
+    const l1Fee = toBigInt(r.l1Fee || '0x0');
+    const blockNumber = toNumber(r.blockNumber);
+    if (gasUsed === null || gasPrice === null || l1Fee === null || blockNumber === null) {
+        return fail('RPC_ERROR', 'eth_getTransactionReceipt');
+    }
+    const decimals = (findNativeToken(record.chainId) || { decimals: 18 }).decimals;
+    const mined = { blockNumber, fee: formatUnits(gasUsed * gasPrice + l1Fee, decimals), feeEstimated: false };
+
+    if (r.status === '0x0') return { patch: { ...mined, status: TX_STATUS.FAILED, reason: 'REVERTED' } };
+
+    const head = await call(provider, 'eth_blockNumber');
+    if (head.error) return head;
+    const headNumber = toNumber(head.result);
+    if (headNumber === null) return fail('RPC_ERROR', 'eth_blockNumber');
+    const confirmations = Math.max(1, headNumber - mined.blockNumber + 1);
+    const { confirmations: required } = confirmationRuleFor(record);
+    return {
+        patch: { ...mined, confirmations, status: confirmations >= required ? TX_STATUS.CONFIRMED : TX_STATUS.PENDING }
+    };
+}
+
+async function solanaStatus(connection, signature) {
+    const res = await call(connection, 'getSignatureStatuses', [[signature], { searchTransactionHistory: true }]);
+    if (res.error) return res;
+    return { status: (res.result && res.result.value && res.result.value[0]) || null };
+}
+
+async function checkSolana(record, connection) {
+    let { status, error, detail } = await solanaStatus(connection, record.hash);
+    if (error) return fail(error, detail);
+
+    if (!status) {
+        // Unknown signature: dropped once its blockhash can no longer land
+        if (record.lastValidBlockHeight === null) return { patch: { status: TX_STATUS.PENDING } };
+        const height = await call(connection, 'getBlockHeight', [{ commitment: 'confirmed' }]);
+        if (height.error) return height;
+        if (height.result <= record.lastValidBlockHeight) return { patch: { status: TX_STATUS.PENDING } };
+
+        ({ status, error, detail } = await solanaStatus(connection, record.hash));
+        if (error) return fail(error, detail);
+        if (!status) return { patch: { status: TX_STATUS.FAILED, reason: 'EXPIRED' } };
+    }
+
+    if (status.err) return { patch: { status: TX_STATUS.FAILED, reason: 'PROGRAM_ERROR', blockNumber: status.slot ?? null } };
+
+    const finalized = status.confirmationStatus === 'finalized';
+    return {
+        patch: {
+            status: finalized ? TX_STATUS.CONFIRMED : TX_STATUS.PENDING,
+            confirmations: finalized ? 1 : 0,
+            blockNumber: status.slot ?? null
+        }
+    };
+}
+
+async function checkBitcoin(record, { baseUrl = ESPLORA_API_URL, fetch: fetchImpl = globalThis.fetch } = {}) {
+    try {
+        const response = await fetchImpl(`${baseUrl}/tx/${record.hash}/status`);
+        // Esplora has not seen it yet (still propagating)
+        if (response.status === 404) return { patch: { status: TX_STATUS.PENDING } };
+        if (!response.ok) return fail('RPC_ERROR', `tx status: HTTP ${response.status}`);
+
+        const status = await response.json();
+        if (!status.confirmed) return { patch: { status: TX_STATUS.PENDING, confirmations: 0 } };
+
+        const tip = await fetchImpl(`${baseUrl}/blocks/tip/height`);
+        if (!tip.ok) return fail('RPC_ERROR', `tip height: HTTP ${tip.status}`);
+        const confirmations = Math.max(1, Number((await tip.text()).trim()) - status.block_height + 1);
+        return {
+            patch: {
+                status: confirmations >= BITCOIN_CONFIRMATIONS ? TX_STATUS.CONFIRMED : TX_STATUS.PENDING,
+                confirmations,
+                blockNumber: status.block_height
+            }
+        };
+    } catch (err) {
+        return fail('RPC_ERROR', err && err.message ? err.message : 'tx status');
+    }
+}
+
+/**
+ * One status check for a pending record.
+ * @param {object} record
+ * @param {object} transports - see CONTRACT
+ * @returns {Promise<{ patch: object }|{ error: string, detail: any }>}
+ */
+export async function checkTransaction(record, transports = {}) {
+    try {
+        return await checkByFamily(record, transports);
+    } catch (err) {
+        // Unexpected node payloads fail this check only; the record stays pending
+        return fail('RPC_ERROR', err && err.message ? err.message : record.family);
+    }
+}
+
+async function checkByFamily(record, transports) {
+    if (record.family === 'ethereum') {
+        const provider = transports.evm && transports.evm(record.chainId);
+        if (!provider) return fail('UNSUPPORTED_CHAIN', record.chain);
+        return checkEvm(record, provider);
+    }
+    if (record.family === 'solana') {
+        if (!transports.solana) return fail('UNSUPPORTED_CHAIN', record.chain);
+        return checkSolana(record, transports.solana);
+    }
+    if (record.family === 'bitcoin') return checkBitcoin(record, transports.bitcoin);
+    return fail('UNSUPPORTED_CHAIN', record.chain);
+}
+
+/**
+ * Public read endpoints (EVM_CHAINS rpcUrl, Solana mainnet, Esplora).
+ * @param {Function} [fetchImpl]
+ */
+export function createPublicTransports(fetchImpl = globalThis.fetch) {
+    const evm = new Map();
+    return {
+        evm(chainId) {
+            const chain = findChainById(chainId);
+            if (!chain) return null;
+            if (!evm.has(chainId)) evm.set(chainId, createJsonRpcProvider(chain.rpcUrl, fetchImpl));
+            return evm.get(chainId);
+        },
+        solana: createJsonRpcProvider(PUBLIC_RPC_URLS.solana, fetchImpl),
+        bitcoin: { baseUrl: ESPLORA_API_URL, fetch: fetchImpl }
+    };
+}
+
+// --- History ---
+
+const newestFirst = (a, b) => b.submittedAt - a.submittedAt;
+
+/**
+ * @param {object} store - getAll / put / delete (address-book.js createIndexedDbStore)
+ * @param {{ now?: () => number, limit?: number }} [options]
+ */
+export function createTxHistory(store, { now = Date.now, limit = HISTORY_LIMIT } = {}) {
+    let cache = null;
+
+    async function load() {
+        if (!cache) cache = (await store.getAll()) || [];
+        return cache;
+    }
+
+    async function guarded(work) {
+        try {
+            return await work();
+        } catch (err) {
+            cache = null; // Re-read on the next call
+            return fail('STORAGE_ERROR', (err && err.message) || String(err));
+        }
+    }
+
+    async function write(record) {
+        await store.put(record);
+        cache = [...cache.filter(r => r.id !== record.id), record];
+        return record;
+    }
+
+    return {
+        /** @returns {Promise<{ transactions: object[] }|{ error: string, detail: any }>} */
+        list() {
+            return guarded(async () => ({ transactions: [...await load()].sort(newestFirst) }));
+        },
+
+        /**
+         * Records a submission. Beyond `limit`, the oldest settled records are dropped.
+         * @returns {Promise<{ transaction: object }|{ error: string, detail: any }>}
+         */
+        add(submission) {
+            const built = recordFromSubmission(submission, { now });
+            if (built.error) return Promise.resolve(built);
+
+            return guarded(async () => {
+                const records = await load();
+                if (records.some(r => r.id === built.transaction.id)) return { transaction: records.find(r => r.id === built.transaction.id) };
+
+                await write(built.transaction);
+                const replaced = built.transaction.replaces && cache.find(r => r.id === built.transaction.replaces);
+                if (replaced) await write({ ...replaced, replacedBy: built.transaction.id, updatedAt: now() });
+                const settled = cache.filter(r => r.status !== TX_STATUS.PENDING).sort(newestFirst);
+                for (const old of settled.slice(Math.max(0, limit - (cache.length - settled.length)))) {
+                    await store.delete(old.id);
+                    cache = cache.filter(r => r.id !== old.id);
+                }
+                return { transaction: built.transaction };
+            });
+        },
+
+        /** @returns {Promise<{ transaction: object }|{ error: string, detail: any }>} */
+        update(id, patch) {
+            return guarded(async () => {
+                const existing = (await load()).find(r => r.id === id);
+                if (!existing) return fail('NOT_FOUND', id);
+                return { transaction: await write({ ...existing, ...patch, id, updatedAt: now() }) };
+            });
+        }
+    };
+}
+
+// --- Tracker ---
+
+const changed = (record, patch) => Object.keys(patch).some(k => record[k] !== patch[k]);
+
+/**
+ * Polls pending records on their chain's cadence until they settle.
+ * @param {object} history - createTxHistory()
+ * @param {object} transports - see CONTRACT
+ * @param {{ now?: () => number, onChange?: (records: object[]) => void,
+ *           setTimer?: Function, clearTimer?: Function }} [options]
+ */
+export function createTxTracker(history, transports, {
+    now = Date.now,
+    onChange = () => {},
+    setTimer = setTimeout,
+    clearTimer = clearTimeout
+} = {}) {
+    const lastChecked = new Map(); // id → ms (in memory; every record is due after a reload)
+    let timer = null;
+    let polling = false;
+    let rearm = false; // start() during a pass (a record added mid-poll)
+
+    /**
+     * One pass over due records.
+     * @returns {Promise<{ pending: number, updated: object[] }|{ error: string, detail: any }>}
+     */
+    async function poll() {
+        try {
+            return await pollDue();
+        } catch (err) {
+            // A throwing store / onChange must not leave the tracker stuck mid-pass
+            return fail('RPC_ERROR', err && err.message ? err.message : 'poll');
+        }
+    }
+
+    async function pollDue() {
+        const listed = await history.list();
+        if (listed.error) return listed;
+
+        const records = [...listed.transactions];
+        const updated = [];
+        let pending = 0;
+        for (const [index, record] of records.entries()) {
+            if (record.status !== TX_STATUS.PENDING) continue;
+            pending++;
+
+            let patch;
+            const siblings = nonceSiblings(records, record);
+            const winner = siblings.find(r => r.blockNumber !== null && r.status !== TX_STATUS.REPLACED);
+            if (winner) {
+                // Another record with this nonce was mined (no network round needed)
+                patch = { status: TX_STATUS.REPLACED, reason: REPLACED_REASONS[winner.kind] || 'NONCE_USED', replacedBy: winner.id };
+            } else {
+                const last = lastChecked.get(record.id);
+                if (last !== undefined && now() < last + confirmationRuleFor(record).pollMs) continue;
+                lastChecked.set(record.id, now());
+
+                const checked = await checkTransaction(record, transports);
+                if (checked.error) continue;
+                patch = checked.patch;
+
+                // Nonce used: an older pending sibling may be the one mined; it settles first
+                const olderPending = siblings.some(r => r.status === TX_STATUS.PENDING && r.submittedAt < record.submittedAt);
+                if (patch.reason === 'NONCE_USED' && olderPending) continue;
+            }
+            if (!changed(record, patch)) continue;
+
+            const saved = await history.update(record.id, patch);
+            if (saved.error) continue;
+            records[index] = saved.transaction;
+            updated.push(saved.transaction);
+            if (saved.transaction.status !== TX_STATUS.PENDING) {
+                pending--;
+                lastChecked.delete(record.id);
+            }
+        }
+
+        if (updated.length) onChange(updated);
+        return { pending, updated };
+    }
+
+    async function tick() {
+        timer = null;
+        if (polling) return;
+        polling = true;
+        rearm = false;
+        const result = await poll();
+        polling = false;
+        // Sleep once nothing is pending (or storage is gone); start() wakes the tracker
+        if (rearm || (!result.error && result.pending > 0)) timer = setTimer(tick, TRACKER_TICK_MS);
+    }
+
+    return {
+        poll,
+
+        start() {
+            if (polling) rearm = true;
+            else if (timer === null) timer = setTimer(tick, 0);
+        },
+
+        stop() {
+            if (timer !== null) clearTimer(timer);
+            timer = null;
+        }
+    };
+}
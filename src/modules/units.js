@@ -0,0 +1,124 @@
+/**
+ * Unit Conversion (Decimal String <-> Integer Base Units)
+ *
+ * RESPONSIBILITY:
+ * - Converts user-facing decimal strings ("1.5") to chain base units (wei,
+ *   lamports, satoshis, token units) and back, without floating point.
+ * - ZERO side effects (no DOM, no network, no state mutation).
+ *
+ * RULES:
+ * - Amounts are strings on the decimal side and BigInt on the base-unit side.
+ * - Malformed input returns null (never throws).
+ * - Rounding is explicit (ROUNDING); nothing rounds implicitly.
+ */
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const LOOSE_DECIMAL_PATTERN = /^(\d+\.?\d*|\.\d+)$/; // Also "5." / ".5" (mid-typing)
+
+export const ROUNDING = Object.freeze({
+    DOWN: 'down',           // Toward zero (sends: never exceed the entered value)
+    UP: 'up',               // Away from zero
+    HALF_UP: 'half-up',
+    HALF_EVEN: 'half-even'  // Banker's rounding (display)
+});
+
+/**
+ * Strips leading zeros / trailing fractional zeros: "001.500" -> "1.5".
+ * @param {string} str - Plain decimal string
+ * @returns {string}
+ */
+export function trimDecimal(str) {
+    let [int, frac = ''] = str.split('.');
+    int = int.replace(/^0+(?=\d)/, '');
+    frac = frac.replace(/0+$/, '');
+    return frac ? `${int}.${frac}` : int;
+}
+
+/**
+ * Parses a decimal string into integer base units.
+ * parseUnits("1.5", 6) -> 1500000n
+ *
+ * @param {string} amount - Plain decimal string ("0.01", "12")
+ * @param {number} decimals
+ * @returns {bigint|null} null when malformed or more precise than `decimals`
+ */
+export function parseUnits(amount, decimals) {
+    if (typeof amount !== 'string' || !DECIMAL_PATTERN.test(amount.trim())) return null;
+
+    const [int, frac = ''] = amount.trim().split('.');
+    const significantFrac = frac.replace(/0+$/, '');
+    if (significantFrac.length > decimals) return null;
+
+    return BigInt(int + significantFrac.padEnd(decimals, '0'));
+}
+
+/**
+ * Shifts integer base units into a decimal string.
+ * formatUnits(1500000n, 6) -> "1.5"
+ *
+ * @param {bigint|string} units - BigInt or integer string
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function formatUnits(units, decimals) {
+    const intStr = units.toString();
+    const padded = intStr.padStart(decimals + 1, '0');
+    const int = padded.slice(0, padded.length - decimals);
+    const frac = padded.slice(padded.length - decimals);
+    return trimDecimal(decimals ? `${int}.${frac}` : int);
+}
+
+/**
+ * Exact parse at the string's own precision.
+ * parseDecimal("1.50") -> { units: 150n, decimals: 2 }
+ *
+ * @param {string} amount - Plain, non-negative decimal string ("5." and ".5" allowed)
+ * @returns {{ units: bigint, decimals: number }|null}
+ */
+export function parseDecimal(amount) {
+    if (typeof amount !== 'string' || !LOOSE_DECIMAL_PATTERN.test(amount.trim())) return null;
+    const [int, frac = ''] = amount.trim().split('.');
+    return { units: BigInt((int || '0') + frac), decimals: frac.length };
+}
+
+/**
+ * Integer division of non-negative BigInts with an explicit rounding mode.
+ * @param {bigint} numerator
+ * @param {bigint} denominator - > 0
+ * @param {string} [mode] - ROUNDING value
+ * @returns {bigint}
+ */
+export function divideRounded(numerator, denominator, mode = ROUNDING.DOWN) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    const twice = remainder * 2n;
+    switch (mode) {
+        case ROUNDING.UP:
+            return quotient + 1n;
+        case ROUNDING.HALF_UP:
+            return twice >= denominator ? quotient + 1n : quotient;
+        case ROUNDING.HALF_EVEN:
+            if (twice !== denominator) return twice > denominator ? quotient + 1n : quotient;
+            return quotient % 2n === 0n ? quotient : quotient + 1n;
+        default:
+            return quotient;
+    }
+}
+
+/**
+ * Like parseUnits, but rounds excess precision instead of rejecting it.
+ * roundUnits("1.2345", 2, ROUNDING.HALF_EVEN) -> 123n
+ *
+ * @param {string} amount
+ * @param {number} decimals
+ * @param {string} [mode] - ROUNDING value
+ * @returns {bigint|null}
+ */
+export function roundUnits(amount, decimals, mode = ROUNDING.DOWN) {
+    const parsed = parseDecimal(amount);
+    if (!parsed) return null;
+    if (parsed.decimals <= decimals) return parsed.units * 10n ** BigInt(decimals - parsed.decimals);
+    return divideRounded(parsed.units, 10n ** BigInt(parsed.decimals - decimals), mode);
+}
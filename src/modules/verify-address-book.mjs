@@ -0,0 +1,116 @@
+// Verification Script for the Address Book
+// Run with: node src/modules/verify-address-book.mjs
+// Uses an in-memory store stand-in (no IndexedDB in Node).
+
+import {
+    createAddressBook,
+    normalizeContact,
+    searchContacts,
+    findContactByAddress,
+    parseContactsFile,
+    exportContactsCsv
+} from './address-book.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Address Book ---");
+
+const EVM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const EVM_2 = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const SOL = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const BTC = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+function createStore({ failing = false } = {}) {
+    const rows = new Map();
+    const guard = () => { if (failing) throw new Error('QuotaExceededError'); };
+    return {
+        rows,
+        async getAll() { guard(); return [...rows.values()]; },
+        async put(contact) { guard(); rows.set(contact.id, contact); },
+        async delete(id) { guard(); rows.delete(id); }
+    };
+}
+
+let clock = 1000;
+const now = () => clock++;
+
+// Test 1: Validation
+check("Contact normalised (trimmed, family derived, duplicates folded)", normalizeContact({
+    label: '  Alice ',
+    addresses: [{ address: EVM }, { address: EVM.toLowerCase() }, { family: 'solana', address: SOL }],
+    handle: 'Alice@Web3UPI',
+    notes: ' rent '
+}), { contact: { label: 'Alice', addresses: [{ family: 'ethereum', address: EVM }, { family: 'solana', address: SOL }], handle: 'alice@web3upi', notes: 'rent' } });
+check("Rejected inputs", [
+    normalizeContact({ label: '', addresses: [{ address: EVM }] }).error,
+    normalizeContact({ label: 'x'.repeat(41), addresses: [{ address: EVM }] }).error,
+    normalizeContact({ label: 'Bob', addresses: [] }).error,
+    normalizeContact({ label: 'Bob', addresses: [{ address: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx' }] }).error,
+    normalizeContact({ label: 'Bob', addresses: [{ family: 'solana', address: EVM }] }).error,
+    normalizeContact({ label: 'Bob', addresses: [{ address: EVM }], handle: 'bob' }).error,
+    normalizeContact({ label: 'Bob', addresses: [{ address: EVM }], notes: 'n'.repeat(281) }).error
+], ['INVALID_LABEL', 'INVALID_LABEL', 'NO_ADDRESSES', 'INVALID_ADDRESS', 'INVALID_ADDRESS', 'INVALID_HANDLE', 'NOTES_TOO_LONG']);
+
+// Test 2: Book CRUD
+const store = createStore();
+const book = createAddressBook(store, { now });
+const alice = (await book.save({ label: 'Alice', addresses: [{ address: EVM }, { address: SOL }], handle: 'alice.eth' })).contact;
+const bob = (await book.save({ label: 'bob', addresses: [{ address: BTC }] })).contact;
+check("Saved contacts persisted with ids and timestamps", [store.rows.size, typeof alice.id, alice.createdAt, bob.createdAt], [2, 'string', 1000, 1001]);
+
+const edited = await book.save({ ...alice, notes: 'Flatmate' });
+check("Update keeps id / createdAt", [edited.contact.id === alice.id, edited.contact.createdAt, edited.contact.updatedAt, store.rows.size], [true, 1000, 1002, 2]);
+check("Unknown id", (await book.save({ id: 'nope', label: 'X', addresses: [{ address: EVM }] })).error, 'NOT_FOUND');
+
+const reopened = createAddressBook(store, { now });
+check("List sorted by label (case-insensitive) from the store", (await reopened.list()).contacts.map(c => c.label), ['Alice', 'bob']);
+check("Remove", [await reopened.remove(bob.id), (await reopened.remove(bob.id)).error, store.rows.size], [{ removed: bob.id }, 'NOT_FOUND', 1]);
+check("Storage failures surface", (await createAddressBook(createStore({ failing: true })).list()).error, 'STORAGE_ERROR');
+
+// Test 3: Suggestions
+const contacts = (await reopened.list()).contacts;
+check("Search by label / handle / address prefix, scoped to a family", [
+    searchContacts(contacts, 'ali').map(r => r.family),
+    searchContacts(contacts, 'ali', { family: 'solana' }).map(r => r.address),
+    searchContacts(contacts, 'alice.eth').length,
+    searchContacts(contacts, '0x5aae').map(r => r.address),
+    searchContacts(contacts, '0x5aae', { family: 'bitcoin' }),
+    searchContacts(contacts, '  ')
+], [['ethereum', 'solana'], [SOL], 2, [EVM], [], []]);
+check("Known recipient lookup (EVM case-insensitive)", [
+    findContactByAddress(contacts, EVM.toLowerCase()).label,
+    findContactByAddress(contacts, EVM_2)
+], ['Alice', null]);
+
+// Test 4: Export / import
+const csv = exportContactsCsv([{ label: '=HYPERLINK("x")', addresses: [{ family: 'ethereum', address: EVM_2 }], handle: null, notes: 'line 1\nline, 2' }]);
+check("CSV export quotes and defuses formulas", csv,
+    'label,family,address,handle,notes\r\n"\'=HYPERLINK(""x"")",ethereum,' + EVM_2 + ',,"line 1\nline, 2"\r\n');
+check("CSV round trip", parseContactsFile(csv, 'csv').contacts, [
+    { label: '=HYPERLINK("x")', addresses: [{ family: 'ethereum', address: EVM_2 }], handle: null, notes: 'line 1\nline, 2' }
+]);
+
+const handWritten = 'Label,Address,Family\nCarol,' + EVM_2 + ',ethereum\ncarol,' + SOL + ',\nDan,not-an-address,\n';
+const parsed = parseContactsFile(handWritten, 'csv');
+check("CSV rows grouped by label; bad rows reported", [parsed.contacts.map(c => [c.label, c.addresses.length]), parsed.errors],
+    [[['Carol', 2]], [{ row: 4, error: 'INVALID_ADDRESS', detail: 'not-an-address' }]]);
+check("Malformed files", [
+    parseContactsFile('{', 'json').error,
+    parseContactsFile('name,wallet\n', 'csv').error,
+    parseContactsFile('', 'xml').error
+], ['PARSE_ERROR', 'PARSE_ERROR', 'UNSUPPORTED_FORMAT']);
+
+const imported = await reopened.importFile(JSON.stringify([
+    { label: 'ALICE', addresses: [{ address: EVM_2 }] },
+    { label: 'Erin', addresses: [{ address: BTC }], notes: 'BTC only' },
+    { label: 'Broken', addresses: [{ address: '0x12' }] }
+]), 'json');
+check("JSON import merges by label, adds the rest", [imported.added, imported.updated, imported.errors.map(e => e.row)], [1, 1, [3]]);
+check("Merged contact keeps its id and gains the address",
+    (await reopened.list()).contacts.find(c => c.id === alice.id).addresses.map(a => a.address), [EVM, SOL, EVM_2]);
+
+const exported = JSON.parse(await reopened.exportFile('json'));
+check("JSON export (no ids / timestamps)", [exported.version, exported.contacts.map(c => c.label), Object.keys(exported.contacts[0])],
+    [1, ['Alice', 'Erin'], ['label', 'addresses', 'handle', 'notes']]);
+check("Export → import is lossless", parseContactsFile(await reopened.exportFile('csv'), 'csv').contacts, exported.contacts);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,55 @@
+// Verification Script for Address Validation & Classification
+// Run with: node src/modules/verify-address-validation.mjs
+
+import {
+    validateEthereumAddress,
+    validateBitcoinAddress,
+    validateSolanaAddress,
+    toChecksumAddress
+} from './address-validation.js';
+import { classifyAddress, AMBIGUITIES } from './address-classifier.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Address Validation ---");
+
+// Test 1: EIP-55
+check("EIP-55 valid checksum", validateEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed').valid, true);
+check("EIP-55 lowercase accepted", validateEthereumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed').valid, true);
+check("EIP-55 typo rejected", validateEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD').reason, 'bad_checksum');
+check("EVM short address", validateEthereumAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA').reason, 'wrong_length');
+check("toChecksumAddress", toChecksumAddress('0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359'), '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359');
+
+// Test 2: Bitcoin
+check("P2PKH valid", validateBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2').valid, true);
+check("P2PKH typo", validateBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3').reason, 'bad_checksum');
+check("P2SH valid", validateBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy').valid, true);
+check("P2WPKH valid", validateBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq').valid, true);
+check("P2WPKH typo", validateBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdr').reason, 'bad_checksum');
+check("P2TR valid", validateBitcoinAddress('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297').valid, true);
+check("Testnet HRP", validateBitcoinAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx').reason, 'testnet_hrp');
+check("Testnet version", validateBitcoinAddress('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn').reason, 'testnet_version');
+// v0 program encoded with bech32m (BIP-350 invalid vector)
+check("v0 with bech32m", validateBitcoinAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh').reason, 'wrong_encoding');
+check("Mixed case bech32", validateBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdQ').reason, 'mixed_case');
+
+// Test 3: Solana
+check("SOL valid", validateSolanaAddress('7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV').valid, true);
+check("SOL not 32 bytes", validateSolanaAddress('7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLt').reason, 'wrong_length');
+
+// Test 4: Classifier (shared by Send & Scan)
+const legacy = classifyAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+check("Legacy BTC family", legacy.family, 'bitcoin');
+check("Legacy BTC confidence", legacy.confidence, 'high');
+check("Legacy BTC flagged ambiguous with Solana", legacy.ambiguities.includes(AMBIGUITIES.BTC_LEGACY_OR_SOLANA), true);
+check("Legacy BTC not Solana", validateSolanaAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2').valid, false);
+check("Legacy BTC typo stays BTC", classifyAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3').family, 'bitcoin');
+check("Taproot type", classifyAddress('bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297').addressType, 'taproot');
+check("P2WPKH output", classifyAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq').outputType, 'p2wpkh');
+check("Testnet network", classifyAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx').network, 'testnet');
+check("SOL family", classifyAddress('7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV').family, 'solana');
+check("All-ones SOL key", classifyAddress('11111111111111111111111111111111').family, 'solana');
+check("TRON not SOL", classifyAddress('TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7').family, null);
+check("Lowercase EVM medium", classifyAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed').confidence, 'medium');
+check("Partial EVM unrecognised", classifyAddress('0x5aAeb6').confidence, 'none');
+
+console.log("\n--- TEST END ---");
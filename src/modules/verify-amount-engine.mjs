@@ -0,0 +1,154 @@
+// Verification Script for the Amount Engine
+// Run with: node src/modules/verify-amount-engine.mjs
+// Example checks + seeded property runs over the MAX_ASSET_DIGITS input domain.
+
+import { AmountEngine, MAX_ASSET_DIGITS, ROUNDING } from './amount-engine.js';
+import { parseDecimal, divideRounded, roundUnits, trimDecimal } from './units.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Amount Engine ---");
+
+// --- Property harness (deterministic: same seed, same cases) ---
+
+const SEED = 0x5eed;
+const RUNS = 500;
+
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = mulberry32(SEED);
+const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+const digits = (n) => Array.from({ length: n }, () => int(0, 9)).join('');
+
+/** Random decimal with 1..MAX_ASSET_DIGITS digits and up to `maxFrac` of them fractional. */
+function decimalString(maxFrac) {
+    const total = int(1, MAX_ASSET_DIGITS);
+    const frac = Math.min(int(0, maxFrac), total - 1);
+    const intPart = digits(total - frac).replace(/^0+(?=\d)/, '');
+    return frac ? `${intPart}.${digits(frac)}` : intPart;
+}
+
+/** Returns the first counterexample, or null when the property held for every run. */
+function property(generate, holds) {
+    for (let i = 0; i < RUNS; i++) {
+        const input = generate();
+        if (!holds(input)) return input;
+    }
+    return null;
+}
+
+const exact = (str) => parseDecimal(str);
+const pow10 = (n) => 10n ** BigInt(n);
+
+// Test 1: Examples (strings out, no float artefacts)
+check("Fiat → asset", AmountEngine.deriveFromFiat('100', 3012.4, 'Ethereum'), '0.033196');
+check("Asset → fiat (2 decimals)", AmountEngine.deriveFromAsset('0.1', 3012.4), '301.24');
+check("0.1 + 0.2 class inputs stay exact", AmountEngine.deriveFromAsset('0.3', '0.1'), '0.03');
+check("Rounding DOWN for sends", AmountEngine.deriveFromFiat('100', 3012.4, 'Ethereum', { rounding: ROUNDING.DOWN }), '0.033196');
+check("Rounding HALF_EVEN ties", [AmountEngine.roundFiat('0.125'), AmountEngine.roundFiat('0.135'), AmountEngine.roundFiat('0.1251')], ['0.12', '0.14', '0.13']);
+check("Explicit decimals (wei precision)", AmountEngine.deriveFromFiat('1', '3', 'Ethereum', { decimals: 18, rounding: ROUNDING.DOWN }), '0.333333333333333333');
+check("Zero / negative / malformed", [
+    AmountEngine.deriveFromFiat('0', 3000, 'Ethereum'),
+    AmountEngine.deriveFromAsset('-2', 3000),
+    AmountEngine.deriveFromFiat('abc', 3000, 'Ethereum'),
+    AmountEngine.deriveFromFiat('10', 0, 'Ethereum')
+], ['0', '0.00', null, null]);
+check("Mid-typing inputs", [AmountEngine.normalizeFiat('5.'), AmountEngine.normalizeFiat('.5')], ['5.00', '0.50']);
+check("Number prices expand without exponent", AmountEngine.deriveFromAsset('1000000', 1e-7), '0.10');
+check("Base units: ETH / BTC / SOL / USDC", [
+    AmountEngine.toBaseUnits('1.5', 18),
+    AmountEngine.toBaseUnits('0.00000001', 8),
+    AmountEngine.toBaseUnits('2', 9),
+    AmountEngine.toBaseUnits('12.5', 6)
+], [1500000000000000000n, 1n, 2000000000n, 12500000n]);
+check("Base units round DOWN by default", [AmountEngine.toBaseUnits('0.0000000019', 9), AmountEngine.toBaseUnits('0.0000000019', 9, ROUNDING.UP)], [1n, 2n]);
+check("Beyond 2^53 stays exact", AmountEngine.fromBaseUnits(AmountEngine.toBaseUnits('12345678901234567', 18), 18), '12345678901234567');
+
+// Test 2: Properties — base units
+check("P1 round trip: fromBaseUnits(toBaseUnits(x, d), d) = x", property(
+    () => ({ x: decimalString(9), d: int(9, 18) }),
+    ({ x, d }) => AmountEngine.fromBaseUnits(AmountEngine.toBaseUnits(x, d), d) === trimDecimal(x)
+), null);
+
+check("P2 DOWN ≤ exact ≤ UP, and they differ by at most one unit", property(
+    () => ({ x: decimalString(MAX_ASSET_DIGITS - 1), d: int(0, 8) }),
+    ({ x, d }) => {
+        const { units, decimals } = exact(x);
+        const down = AmountEngine.toBaseUnits(x, d, ROUNDING.DOWN);
+        const up = AmountEngine.toBaseUnits(x, d, ROUNDING.UP);
+        const scaledExact = units * pow10(d);           // x * 10^d * 10^decimals
+        return down * pow10(decimals) <= scaledExact &&
+            up * pow10(decimals) >= scaledExact &&
+            up - down <= 1n;
+    }
+), null);
+
+check("P3 HALF_EVEN: error ≤ half a unit, ties land on even", property(
+    () => ({ x: decimalString(MAX_ASSET_DIGITS - 1), d: int(0, 8) }),
+    ({ x, d }) => {
+        const { units, decimals } = exact(x);
+        const r = AmountEngine.toBaseUnits(x, d, ROUNDING.HALF_EVEN);
+        const error = r * pow10(decimals) - units * pow10(d); // scaled by 10^decimals
+        const half = pow10(decimals) / 2n;
+        const absError = error < 0n ? -error : error;
+        if (decimals <= d) return error === 0n;
+        if (pow10(decimals) % 2n === 0n && absError === half) return r % 2n === 0n;
+        return absError * 2n <= pow10(decimals);
+    }
+), null);
+
+// Test 3: Properties — fiat ↔ asset
+const PRICE = () => decimalString(4).replace(/^0+(\.0*)?$/, '1'); // Never zero
+
+check("P4 fiat → asset (DOWN) never exceeds the fiat value", property(
+    () => ({ fiat: `${digits(int(1, 9)).replace(/^0+(?=\d)/, '')}.${digits(2)}`, price: PRICE(), d: int(0, 18) }),
+    ({ fiat, price, d }) => {
+        const a = AmountEngine.deriveFromFiat(fiat, price, 'Ethereum', { decimals: d, rounding: ROUNDING.DOWN });
+        const A = exact(a), F = exact(fiat), P = exact(price);
+        // a * p ≤ f < (a + 10^-d) * p, with a held in 10^-d steps
+        const steps = A.units * pow10(d - A.decimals);
+        const spent = steps * P.units * pow10(F.decimals);
+        const entered = F.units * pow10(d + P.decimals);
+        const nextStep = (steps + 1n) * P.units * pow10(F.decimals);
+        return spent <= entered && entered < nextStep;
+    }
+), null);
+
+check("P5 asset → fiat matches exact product rounded HALF_EVEN", property(
+    () => ({ asset: decimalString(8), price: PRICE() }),
+    ({ asset, price }) => {
+        const A = exact(asset), P = exact(price);
+        const expected = divideRounded(A.units * P.units * 100n, pow10(A.decimals + P.decimals), ROUNDING.HALF_EVEN);
+        return roundUnits(AmountEngine.deriveFromAsset(asset, price), 2) === expected;
+    }
+), null);
+
+check("P6 asset → fiat → asset stays within half a fiat cent of the input", property(
+    () => ({ asset: decimalString(6), price: PRICE() }),
+    ({ asset, price }) => {
+        const fiat = AmountEngine.deriveFromAsset(asset, price);
+        const back = AmountEngine.deriveFromFiat(fiat, price, 'Ethereum', { decimals: 18 });
+        const A = exact(asset), B = exact(back), P = exact(price);
+        // |back - asset| * p ≤ 0.005 (fiat rounding) + 0.5e-18 * p (back rounding), at 10^-18 scale
+        const diff = B.units * pow10(18 - B.decimals) - A.units * pow10(18 - A.decimals);
+        const absDiff = diff < 0n ? -diff : diff;
+        return absDiff * P.units * 2n <= pow10(16 + P.decimals) + P.units;
+    }
+), null);
+
+check("P7 outputs are plain decimal strings (no exponent, no float noise)", property(
+    () => ({ asset: decimalString(8), price: PRICE() }),
+    ({ asset, price }) => /^\d+\.\d{2}$/.test(AmountEngine.deriveFromAsset(asset, price)) &&
+        /^\d+(\.\d+)?$/.test(AmountEngine.deriveFromFiat(asset, price, 'Bitcoin'))
+), null);
+
+console.log(`\n(${RUNS} runs per property, seed 0x${SEED.toString(16)})`);
+console.log("\n--- TEST END ---");
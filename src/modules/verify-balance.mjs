@@ -0,0 +1,88 @@
+// Verification Script for Balance Reads + Max Amount
+// Run with: node src/modules/verify-balance.mjs
+// Uses local stand-in transports (no network).
+
+import {
+    fetchEvmBalances,
+    fetchSolanaBalances,
+    encodeBalanceOf,
+    evmFeeReserve,
+    spendableUnits,
+    checkBalances
+} from './balance.js';
+import { findToken } from './token-registry.js';
+import { getAssociatedTokenAddress } from './solana-transaction.js';
+import { check, createStandInNode } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Balance + Max ---");
+
+const OWNER = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SOL_OWNER = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+const ETH = findToken('Ethereum Mainnet', 'eth');
+const USDC = findToken('Ethereum Mainnet', 'usdc');
+const SOL = findToken('Solana', 'sol');
+const SPL_USDC = findToken('Solana', 'usdc');
+
+// Test 1: EVM reads
+check("balanceOf calldata", encodeBalanceOf(OWNER),
+    '0x70a08231' + '0000000000000000000000005aaeb6053f3e94c9b9a09f33669435e7ef1beaed');
+
+const evm = createStandInNode({
+    eth_getBalance: () => '0xde0b6b3a7640000',        // 1 ETH
+    eth_call: ([call]) => (call.to === USDC.address ? '0x' + (25000000n).toString(16).padStart(64, '0') : '0x')
+});
+check("Native ETH balance (wei, exact)", await fetchEvmBalances(evm, OWNER, ETH),
+    { balance: 1000000000000000000n, nativeBalance: 1000000000000000000n });
+check("ERC-20 balance + native for gas", await fetchEvmBalances(evm, OWNER, USDC),
+    { balance: 25000000n, nativeBalance: 1000000000000000000n });
+check("Empty eth_call result is an error, not zero",
+    (await fetchEvmBalances(evm, OWNER, { ...USDC, address: '0x' + '00'.repeat(20) })).error, 'RPC_ERROR');
+check("Rejected inputs", [
+    (await fetchEvmBalances(evm, 'nope', ETH)).error,
+    (await fetchEvmBalances(evm, OWNER, SOL)).error,
+    (await fetchEvmBalances(createStandInNode({}), OWNER, ETH)).error
+], ['INVALID_ADDRESS', 'UNSUPPORTED_ASSET', 'RPC_ERROR']);
+
+// Test 2: Solana reads
+const ata = getAssociatedTokenAddress(SOL_OWNER, SPL_USDC.address, SPL_USDC.programId);
+const solana = (tokenAccount) => createStandInNode({
+    getBalance: () => ({ value: 2000000000 }),
+    getAccountInfo: ([address]) => ({
+        value: address === ata && tokenAccount
+            ? { data: { parsed: { info: { tokenAmount: { amount: tokenAccount, decimals: 6 } } } } }
+            : null
+    })
+});
+check("Native SOL balance (lamports)", await fetchSolanaBalances(solana(null), SOL_OWNER, SOL),
+    { balance: 2000000000n, nativeBalance: 2000000000n });
+check("SPL balance from the associated token account", await fetchSolanaBalances(solana('12345678'), SOL_OWNER, SPL_USDC),
+    { balance: 12345678n, nativeBalance: 2000000000n });
+check("No token account → zero", (await fetchSolanaBalances(solana(null), SOL_OWNER, SPL_USDC)).balance, 0n);
+
+// Test 3: Fee reserve
+const GWEI = 1000000000n;
+check("L1: 21000 × maxFee (no buffer on plain transfers)", evmFeeReserve({ gas: 21000n, maxFeePerGas: 30n * GWEI }), 630000n * GWEI);
+check("Token transfer gas gets the builder's 20% buffer", evmFeeReserve({ gas: 65000n, maxFeePerGas: GWEI }), 78000n * GWEI);
+check("OP Stack: L1 data fee added on top", evmFeeReserve({ gas: 21000n, maxFeePerGas: GWEI, l1DataFee: 5000n }), 21000n * GWEI + 5000n);
+check("Arbitrum: L1 fee folded into gas (rounded up)", evmFeeReserve({
+    gas: 21000n, maxFeePerGas: 2n * GWEI, gasPrice: GWEI, l1DataFee: 4000n * GWEI + 1n, l1FeeAsGas: true
+}), ((25001n * 120n) / 100n) * 2n * GWEI);
+
+// Test 4: Spendable
+check("Native: balance minus fee", spendableUnits({ token: ETH, balance: 1000n, nativeBalance: 1000n, feeReserve: 300n }), { units: 700n });
+check("Native: fee ≥ balance", spendableUnits({ token: ETH, balance: 300n, nativeBalance: 300n, feeReserve: 300n }).error, 'INSUFFICIENT_FUNDS');
+check("Token: full balance when native covers gas", spendableUnits({ token: USDC, balance: 25000000n, nativeBalance: 300n, feeReserve: 300n }), { units: 25000000n });
+check("Token: not enough native for gas", spendableUnits({ token: USDC, balance: 25000000n, nativeBalance: 299n, feeReserve: 300n }).error, 'INSUFFICIENT_GAS');
+
+// Test 5: Readiness checks
+const held = { balance: 1000n, nativeBalance: 1000n, feeReserve: 300n };
+check("Native: amount + fee fits", checkBalances({ token: ETH, amountUnits: 700n, ...held }), { hasSufficientFunds: true, hasSufficientGas: true });
+check("Native: amount fits, fee does not", checkBalances({ token: ETH, amountUnits: 701n, ...held }), { hasSufficientFunds: true, hasSufficientGas: false });
+check("Native: amount above balance", checkBalances({ token: ETH, amountUnits: 1001n, ...held }).hasSufficientFunds, false);
+check("Token: funds and gas checked separately", [
+    checkBalances({ token: USDC, amountUnits: 1000n, balance: 1000n, nativeBalance: 299n, feeReserve: 300n }),
+    checkBalances({ token: USDC, amountUnits: 1001n, balance: 1000n, nativeBalance: 300n, feeReserve: 300n })
+], [{ hasSufficientFunds: true, hasSufficientGas: false }, { hasSufficientFunds: false, hasSufficientGas: true }]);
+
+console.log("\n--- TEST END ---");
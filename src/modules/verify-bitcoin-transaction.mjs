@@ -0,0 +1,136 @@
+// Verification Script for Bitcoin Transaction Building (PSBT)
+// Run with: node src/modules/verify-bitcoin-transaction.mjs
+// Pure: UTXOs are fixtures (no network).
+
+import {
+    estimateVsize,
+    estimateTransferVsize,
+    scriptForAddress,
+    selectCoins,
+    buildBitcoinTransaction,
+    serializeUnsignedTx,
+    fetchBitcoinTransaction,
+    spendsSameInputs,
+    buildFeeBumpTransaction,
+    buildCpfpTransaction
+} from './bitcoin-transaction.js';
+import { bytesToHex } from './crypto/bytes.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Bitcoin Transaction Building ---");
+
+const SEGWIT = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const TAPROOT = 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0';
+const LEGACY = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const TXID_A = 'aa'.repeat(31) + '01';
+const TXID_B = 'bb'.repeat(31) + '02';
+
+// Test 1: vsize (1 input, recipient + change of the same type)
+check("P2WPKH 1-in 2-out vsize", estimateVsize({ inputs: ['p2wpkh'], outputs: ['p2wpkh', 'p2wpkh'] }), 141);
+check("P2TR 1-in 2-out vsize", estimateVsize({ inputs: ['p2tr'], outputs: ['p2tr', 'p2tr'] }), 154);
+check("P2PKH 1-in 2-out vsize", estimateVsize({ inputs: ['p2pkh'], outputs: ['p2pkh', 'p2pkh'] }), 226);
+check("Mixed legacy + segwit inputs", estimateVsize({ inputs: ['p2pkh', 'p2wpkh'], outputs: ['p2wpkh'] }), 258);
+check("Transfer vsize follows btcAddressType", [
+    estimateTransferVsize('legacy', null),
+    estimateTransferVsize('segwit', 'p2tr'),
+    estimateTransferVsize(null, null)
+], [226, 153, 141]);
+
+// Test 2: scriptPubKey (BIP-173 / BIP-350 examples)
+check("P2WPKH script", bytesToHex(scriptForAddress(SEGWIT).script), '0014751e76e8199196d454941c45d1b3a323f1433bd6');
+check("P2TR script", bytesToHex(scriptForAddress(TAPROOT).script), '512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798');
+check("P2PKH script shape", [scriptForAddress(LEGACY).outputType, bytesToHex(scriptForAddress(LEGACY).script).slice(0, 6)], ['p2pkh', '76a914']);
+
+// Test 3: Coin selection @ 10 sat/vB
+const shape = { feeRate: 10, inputType: 'p2wpkh', recipientType: 'p2wpkh', changeType: 'p2wpkh' };
+const utxos = [
+    { txid: TXID_B, vout: 0, value: 50000n },
+    { txid: TXID_A, vout: 1, value: 100000n },
+    { txid: TXID_A, vout: 2, value: 500n } // Costs 680 sats to spend
+];
+
+const single = selectCoins(utxos, { ...shape, amount: 60000n });
+check("Largest UTXO first, change added", [single.selected.length, single.fee, single.change], [1, 1410n, 38590n]);
+
+const double = selectCoins(utxos, { ...shape, amount: 99000n });
+check("Second UTXO when the first cannot cover fee", [double.selected.length, double.fee, double.change], [2, 2090n, 48910n]);
+
+const noChange = selectCoins([utxos[1]], { ...shape, amount: 98500n });
+check("Dust change folded into fee", [noChange.fee, noChange.change, noChange.vsize], [1500n, 0n, 110]);
+
+check("Uneconomical UTXO skipped", selectCoins([utxos[2]], { ...shape, amount: 100n }).error, 'INSUFFICIENT_FUNDS');
+check("Insufficient funds", selectCoins(utxos, { ...shape, amount: 200000n }).error, 'INSUFFICIENT_FUNDS');
+
+// Test 4: PSBT
+const built = buildBitcoinTransaction(
+    { recipient: TAPROOT, amountAsset: '0.0006' },
+    { from: SEGWIT, utxos, feeRate: 10 }
+);
+check("Outputs (recipient, change)", built.tx.outputs.map(o => [o.address, o.value, o.isChange]),
+    [[TAPROOT, 60000n, false], [SEGWIT, 38470n, true]]);
+check("Fee uses P2TR recipient output size", [built.tx.vsize, built.tx.fee], [153, 1530n]);
+check("PSBT magic / base64 prefix", [built.tx.psbtHex.slice(0, 10), built.tx.psbtBase64.slice(0, 8)], ['70736274ff', 'cHNidP8B']);
+
+const unsignedTx = bytesToHex(serializeUnsignedTx(
+    [{ txid: TXID_A, vout: 1 }],
+    [{ value: 60000n, script: scriptForAddress(TAPROOT).script }]
+));
+check("Unsigned tx layout", unsignedTx,
+    '02000000' + '01' + '01' + 'aa'.repeat(31) + '01000000' + '00' + 'fdffffff' +
+    '01' + '60ea000000000000' + '22' + '512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798' +
+    '00000000');
+check("PSBT embeds unsigned tx + witness UTXO", [
+    built.tx.psbtHex.includes(bytesToHex(serializeUnsignedTx(
+        [{ txid: TXID_A, vout: 1 }],
+        [{ value: 60000n, script: scriptForAddress(TAPROOT).script }, { value: 38470n, script: scriptForAddress(SEGWIT).script }]
+    ))),
+    built.tx.psbtHex.includes('0101' + '1f' + 'a086010000000000' + '16' + '0014751e76e8199196d454941c45d1b3a323f1433bd6')
+], [true, true]);
+
+// Test 5: Rejections
+check("Dust recipient amount", buildBitcoinTransaction({ recipient: SEGWIT, amountAsset: '0.000002' }, { from: SEGWIT, utxos, feeRate: 10 }).error, 'DUST_OUTPUT');
+check("Legacy inputs need the previous tx", buildBitcoinTransaction({ recipient: SEGWIT, amountAsset: '0.0001' }, { from: LEGACY, utxos, feeRate: 10 }).error, 'MISSING_PREV_TX');
+check("Invalid recipient", buildBitcoinTransaction({ recipient: '0xdeadbeef', amountAsset: '0.0001' }, { from: SEGWIT, utxos, feeRate: 10 }).error, 'INVALID_RECIPIENT');
+check("Missing fee rate", buildBitcoinTransaction({ recipient: SEGWIT, amountAsset: '0.0001' }, { from: SEGWIT, utxos }).error, 'INVALID_FEE_RATE');
+
+// Test 6: Fee bumps of a broadcast send (Esplora shape)
+const esploraTx = {
+    txid: 'cc'.repeat(32),
+    vin: [{ txid: TXID_A, vout: 1, sequence: 0xfffffffd, prevout: { scriptpubkey_address: SEGWIT, value: 100000 } }],
+    vout: [{ scriptpubkey_address: TAPROOT, value: 60000 }, { scriptpubkey_address: SEGWIT, value: 38470 }],
+    fee: 1530,
+    weight: 612,
+    status: { confirmed: false }
+};
+const stuck = (await fetchBitcoinTransaction(esploraTx.txid, async (url) => ({
+    ok: true, status: 200, json: async () => (url.endsWith(esploraTx.txid) ? esploraTx : null)
+}))).transaction;
+check("Esplora tx read for bumping", [stuck.from, stuck.vsize, stuck.feeRate, stuck.rbf, stuck.outputs[1].vout], [SEGWIT, 153, 10, true, 1]);
+check("Built sends signal RBF", built.tx.rbf, true);
+check("Broadcast matched to its PSBT by inputs", [
+    spendsSameInputs(built.tx, stuck),
+    spendsSameInputs(built.tx, { ...stuck, inputs: [{ txid: TXID_B, vout: 0 }] })
+], [true, false]);
+
+const rbf = buildFeeBumpTransaction(stuck, { feeRate: 20 }).tx;
+check("RBF: change pays the bump", [rbf.outputs.map(o => [o.address, o.value]), rbf.fee, rbf.addedFee, rbf.effectiveFeeRate, rbf.replaces],
+    [[[TAPROOT, 60000n], [SEGWIT, 36940n]], 3060n, 1530n, 20, stuck.txid]);
+check("RBF: at least old fee + relay fee for its size (BIP-125)", buildFeeBumpTransaction(stuck, { feeRate: 10.5 }).tx.fee, 1683n);
+
+const tight = { ...stuck, outputs: [{ vout: 0, address: TAPROOT, value: 98000n }, { vout: 1, address: SEGWIT, value: 470n }] };
+const topped = buildFeeBumpTransaction(tight, { feeRate: 20, utxos: [{ txid: stuck.txid, vout: 1, value: 470n }, utxos[0]] }).tx;
+check("RBF: extra UTXO when change is short (never the original's outputs)", [topped.inputs.map(i => i.txid), topped.fee],
+    [[TXID_A, TXID_B], 4420n]);
+check("RBF guards", [
+    buildFeeBumpTransaction({ ...stuck, rbf: false }, { feeRate: 20 }).error,
+    buildFeeBumpTransaction(stuck, { feeRate: 8 }).error,
+    buildFeeBumpTransaction({ ...stuck, confirmed: true }, { feeRate: 20 }).error,
+    buildFeeBumpTransaction(tight, { feeRate: 20 }).error
+], ['NOT_REPLACEABLE', 'INVALID_FEE_RATE', 'ALREADY_CONFIRMED', 'INSUFFICIENT_FUNDS']);
+
+const cpfp = buildCpfpTransaction(stuck, { feeRate: 20 }).tx;
+check("CPFP: child spends change, package reaches the target", [cpfp.inputs[0].vout, cpfp.vsize, cpfp.fee, cpfp.outputs[0].value, cpfp.effectiveFeeRate],
+    [1, 110, 3730n, 34740n, 20]);
+check("CPFP needs a change output", buildCpfpTransaction({ ...stuck, outputs: [stuck.outputs[0]] }, { feeRate: 20 }).error, 'NO_CHANGE_OUTPUT');
+
+console.log("\n--- TEST END ---");
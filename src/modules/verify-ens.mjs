@@ -0,0 +1,115 @@
+// Verification Script for ENS Resolution
+// Run with: node src/modules/verify-ens.mjs
+// Uses a local mainnet stand-in: registry and resolvers answer eth_call from
+// in-memory records (no network).
+
+import {
+    ENS_REGISTRY,
+    isEnsName,
+    normalizeEnsName,
+    namehash,
+    reverseNode,
+    resolveName,
+    lookupAddress,
+    getTextRecord,
+    resolveAvatar
+} from './ens.js';
+import { keccak256Hex } from './crypto/keccak.js';
+import { bytesToHex, utf8ToBytes, hexToBytes } from './crypto/bytes.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: ENS ---");
+
+const ALICE = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const BOB = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+
+// --- ABI helpers for the stand-in (encoding side of what ens.js decodes) ---
+const word = (hex) => hex.padStart(64, '0');
+const abiAddress = (address) => '0x' + word(address ? address.slice(2).toLowerCase() : '');
+const abiString = (value) => {
+    const hex = bytesToHex(utf8ToBytes(value));
+    return '0x' + word('20') + word((hex.length / 2).toString(16)) + hex.padEnd(Math.ceil(hex.length / 64) * 64 || 64, '0');
+};
+const readString = (data, offsetWord) => {
+    const offset = parseInt(data.slice(offsetWord * 64, offsetWord * 64 + 64), 16) * 2;
+    const length = parseInt(data.slice(offset, offset + 64), 16);
+    return new TextDecoder().decode(hexToBytes(data.slice(offset + 64, offset + 64 + length * 2)));
+};
+
+/**
+ * Mainnet stand-in. `records[node]` = { resolver, addr, name, text: { key: value } }
+ */
+function createMainnet(records, { failing = false } = {}) {
+    return {
+        async request({ method, params }) {
+            if (method !== 'eth_call') throw { code: -32601, message: `Unsupported ${method}` };
+            if (failing) throw { code: -32000, message: 'header not found' };
+            const { to, data } = params[0];
+            const selector = data.slice(2, 10);
+            const node = '0x' + data.slice(10, 74);
+            const record = records[node] || {};
+
+            if (to === ENS_REGISTRY && selector === '0178b8bf') return abiAddress(record.resolver);
+            if (to.toLowerCase() !== RESOLVER.toLowerCase()) return '0x';
+            if (selector === '3b3b57de') return abiAddress(record.addr);
+            if (selector === '691f3431') return abiString(record.name || '');
+            if (selector === '59d1d43c') return abiString((record.text || {})[readString(data.slice(10), 1)] || '');
+            throw { code: 3, message: 'execution reverted' };
+        }
+    };
+}
+
+// Test 1: Names and hashing
+check("Selectors", ['resolver(bytes32)', 'addr(bytes32)', 'name(bytes32)', 'text(bytes32,string)'].map(s => keccak256Hex(s).slice(0, 8)),
+    ['0178b8bf', '3b3b57de', '691f3431', '59d1d43c']);
+check("EIP-137 namehash vectors", [namehash(''), namehash('eth'), namehash('foo.eth')], [
+    '0x' + '0'.repeat(64),
+    '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae',
+    '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f'
+]);
+check("Normalisation", [
+    normalizeEnsName(' Alice.ETH '),
+    normalizeEnsName('a..eth').error,
+    normalizeEnsName('ålice.eth').error
+], [{ name: 'alice.eth' }, 'INVALID_NAME', 'INVALID_NAME']);
+check("ENS detection in the recipient field", ['alice.eth', 'pay.alice.eth', ' Alice.Eth', 'alice', ALICE, 'alice.eth.com'].map(isEnsName),
+    [true, true, true, false, false, false]);
+
+// Test 2: Forward resolution
+const records = {
+    [namehash('alice.eth')]: { resolver: RESOLVER, addr: ALICE, text: { avatar: 'ipfs://bafybeigdyrzt/avatar.png', url: 'https://alice.example' } },
+    [reverseNode(ALICE)]: { resolver: RESOLVER, name: 'alice.eth' },
+    [namehash('bob.eth')]: { resolver: RESOLVER, addr: BOB, text: { avatar: 'eip155:1/erc721:0xb47e3cd837dDF8e4c57F05d70Ab865de6e193BBB/1' } },
+    [reverseNode(BOB)]: { resolver: RESOLVER, name: 'alice.eth' }, // claims someone else's name
+    [namehash('empty.eth')]: { resolver: RESOLVER }
+};
+const mainnet = createMainnet(records);
+
+check("Name → checksummed address", await resolveName(mainnet, 'Alice.eth'), { address: ALICE, name: 'alice.eth' });
+check("No resolver / no addr record", [
+    (await resolveName(mainnet, 'nobody.eth')).error,
+    (await resolveName(mainnet, 'empty.eth')).error
+], ['NO_RESOLVER', 'NOT_FOUND']);
+
+// Test 3: Reverse resolution
+check("Address → primary name (forward-verified)", await lookupAddress(mainnet, ALICE.toLowerCase()), { name: 'alice.eth' });
+check("Reverse record pointing at another address is rejected", await lookupAddress(mainnet, BOB), { error: 'UNVERIFIED', detail: 'alice.eth' });
+check("No reverse record / bad address", [
+    (await lookupAddress(mainnet, '0x' + '11'.repeat(20))).error,
+    (await lookupAddress(mainnet, '0x1234')).error
+], ['NO_RESOLVER', 'INVALID_ADDRESS']);
+
+// Test 4: Text records and avatar
+check("Text record", await getTextRecord(mainnet, 'alice.eth', 'url'), { value: 'https://alice.example' });
+check("Missing text record", (await getTextRecord(mainnet, 'alice.eth', 'com.twitter')).error, 'NOT_FOUND');
+check("ipfs:// avatar through the gateway", await resolveAvatar(mainnet, 'alice.eth'), { avatar: 'https://ipfs.io/ipfs/bafybeigdyrzt/avatar.png' });
+check("NFT avatar unsupported", (await resolveAvatar(mainnet, 'bob.eth')).error, 'UNSUPPORTED_AVATAR');
+
+// Test 5: Transport failure
+check("RPC failure surfaces, never throws", [
+    await resolveName(createMainnet(records, { failing: true }), 'alice.eth'),
+    (await lookupAddress(createMainnet(records, { failing: true }), ALICE)).error
+], [{ error: 'RPC_ERROR', detail: 'header not found' }, 'RPC_ERROR']);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,144 @@
+// Verification Script for EVM Transaction Building
+// Run with: node src/modules/verify-evm-transaction.mjs
+// Uses a local mock EIP-1193 provider (no network).
+
+import {
+    buildEvmTransaction,
+    sendEvmTransaction,
+    encodeErc20Transfer,
+    replacementFees,
+    buildReplacementTransaction,
+    estimateCancelGas,
+    sendReplacementTransaction
+} from './evm-transaction.js';
+import { parseUnits } from './units.js';
+import { check, createStandInNode } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: EVM Transaction Building ---");
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+/** Minimal EIP-1193 provider (mainnet, nonce 7, 1 gwei base fee). */
+function createMockProvider(overrides = {}) {
+    return createStandInNode({
+        eth_chainId: () => '0x1',
+        eth_accounts: () => [SENDER],
+        eth_requestAccounts: () => [SENDER],
+        eth_getTransactionCount: () => '0x7',
+        eth_estimateGas: ([tx]) => (tx.data === '0x' ? '0x5208' : '0xea60'),
+        eth_getBlockByNumber: () => ({ baseFeePerGas: '0x3b9aca00' }), // 1 gwei
+        eth_maxPriorityFeePerGas: () => '0x77359400', // 2 gwei
+        eth_sendTransaction: () => '0x' + 'ab'.repeat(32)
+    }, overrides);
+}
+
+// Test 1: Units & calldata
+check("parseUnits 1.5 @ 6", parseUnits('1.5', 6), 1500000n);
+check("parseUnits rejects excess precision", parseUnits('0.0000001', 6), null);
+check("ERC-20 transfer calldata",
+    encodeErc20Transfer(RECIPIENT, 1500000n),
+    '0xa9059cbb' +
+    '0000000000000000000000005aaeb6053f3e94c9b9a09f33669435e7ef1beaed' +
+    '000000000000000000000000000000000000000000000000000000000016e360');
+
+// Test 2: Native ETH (EIP-1559)
+const native = await buildEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.25' },
+    createMockProvider()
+);
+check("Native tx fields", native.tx && {
+    to: native.tx.to, value: native.tx.value, chainId: native.tx.chainId,
+    nonce: native.tx.nonce, gas: native.tx.gas, type: native.tx.type
+}, {
+    to: RECIPIENT, value: '0x3782dace9d90000', chainId: '0x1',
+    nonce: '0x7', gas: '0x5208', type: '0x2'
+});
+// maxFee = 2 * 1 gwei + 2 gwei = 4 gwei
+check("Native tx fees", [native.tx.maxFeePerGas, native.tx.maxPriorityFeePerGas], ['0xee6b2800', '0x77359400']);
+
+// Test 3: ERC-20 (USDC)
+const token = await buildEvmTransaction(
+    { chain: 'Ethereum Mainnet', asset: 'usdc', recipient: RECIPIENT, amountAsset: '12.5' },
+    createMockProvider()
+);
+check("ERC-20 targets token contract", [token.tx.to, token.tx.value], [USDC, '0x0']);
+check("ERC-20 calldata amount", token.tx.data.endsWith((12500000).toString(16).padStart(64, '0')), true);
+check("ERC-20 gas buffered (60000 * 1.2)", token.tx.gas, '0x11940');
+
+// Test 4: Guards
+check("Chain mismatch", (await buildEvmTransaction(
+    { chain: 'Base', asset: 'eth', recipient: RECIPIENT, amountAsset: '1' },
+    createMockProvider()
+)).error, 'CHAIN_MISMATCH');
+check("Unsupported asset", (await buildEvmTransaction(
+    { chain: 'Base', asset: 'usdt', recipient: RECIPIENT, amountAsset: '1' },
+    createMockProvider({ eth_chainId: () => '0x2105' })
+)).error, 'UNSUPPORTED_ASSET');
+check("Zero amount", (await buildEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0' },
+    createMockProvider()
+)).error, 'INVALID_AMOUNT');
+check("Malformed nonce", (await buildEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '1' },
+    createMockProvider({ eth_getTransactionCount: () => null })
+)), { error: 'RPC_ERROR', detail: 'eth_getTransactionCount' });
+check("Missing provider", (await buildEvmTransaction({ chain: 'Ethereum' }, null)).error, 'PROVIDER_NOT_FOUND');
+
+// Test 5: Submission
+const provider = createMockProvider();
+const sent = await sendEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.01' },
+    provider
+);
+check("eth_sendTransaction hash", sent.hash, '0x' + 'ab'.repeat(32));
+check("eth_sendTransaction payload", provider.calls.at(-1).params[0].from, SENDER);
+
+const rejected = await sendEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.01' },
+    createMockProvider({ eth_sendTransaction: () => { throw Object.assign(new Error('User denied'), { code: 4001 }); } })
+);
+check("User rejection surfaced", rejected.error, 'USER_REJECTED');
+
+const malformedHash = (result) => sendEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.01' },
+    createMockProvider({ eth_sendTransaction: () => result })
+);
+check("Malformed tx hash from the wallet → RPC_ERROR", [
+    (await malformedHash(null)).error,
+    (await malformedHash({ hash: '0x' + 'ab'.repeat(32) })).error,
+    (await malformedHash('0xabc')).error
+], ['RPC_ERROR', 'RPC_ERROR', 'RPC_ERROR']);
+
+// Test 6: Replacements (same nonce)
+const GWEI = 1000000000n;
+check("Replacement minimum: +10% on both fees", replacementFees(native.tx, { maxFee: 3n * GWEI, priorityFee: GWEI }),
+    { maxFeePerGas: 4400000000n, maxPriorityFeePerGas: 2200000000n });
+check("Higher tier wins", replacementFees(native.tx, { maxFee: 10n * GWEI, priorityFee: 3n * GWEI }),
+    { maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: 3n * GWEI });
+
+const fees = replacementFees(token.tx, null);
+const speedUp = buildReplacementTransaction(token.tx, { kind: 'speed-up', fees }).tx;
+const cancel = buildReplacementTransaction(token.tx, { kind: 'cancel', fees }).tx;
+check("Speed-up keeps payload + nonce", [speedUp.to, speedUp.data, speedUp.gas, speedUp.nonce], [USDC, token.tx.data, token.tx.gas, token.tx.nonce]);
+check("Cancel is a 0-value self-transfer", [cancel.to, cancel.value, cancel.data, cancel.gas, cancel.nonce], [SENDER, '0x0', '0x', '0x5208', '0x7']);
+check("Unknown kind", buildReplacementTransaction(token.tx, { kind: 'drop', fees }).error, 'INVALID_REPLACEMENT');
+
+const replacer = createMockProvider();
+const replaced = await sendReplacementTransaction(native.tx, replacer, { kind: 'cancel', fees: replacementFees(native.tx, null) });
+check("Replacement submitted", [replaced.hash, replacer.calls.at(-1).params[0].maxFeePerGas], ['0x' + 'ab'.repeat(32), '0x10642ac00']);
+const arbitrum = createMockProvider({ eth_estimateGas: () => '0x7a120' }); // 500k: L1 component priced as gas
+const arbitrumCancel = await sendReplacementTransaction(native.tx, arbitrum, { kind: 'cancel', fees });
+const noEstimate = createMockProvider({ eth_estimateGas: () => { throw { code: -32000, message: 'estimate failed' }; } });
+check("Cancel gas: estimated (+20%), else the original's limit when higher", [
+    arbitrumCancel.tx.gas,
+    await estimateCancelGas(token.tx, noEstimate),
+    await estimateCancelGas(native.tx, noEstimate)
+], ['0x927c0', 72000n, 21000n]);
+check("Replacement guards (chain / account)", [
+    (await sendReplacementTransaction(native.tx, createMockProvider({ eth_chainId: () => '0x2105' }), { kind: 'cancel', fees })).error,
+    (await sendReplacementTransaction(native.tx, createMockProvider({ eth_accounts: () => [RECIPIENT] }), { kind: 'cancel', fees })).error
+], ['CHAIN_MISMATCH', 'ACCOUNT_MISMATCH']);
+
+console.log("\n--- TEST END ---");
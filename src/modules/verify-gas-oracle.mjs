@@ -0,0 +1,80 @@
+// Verification Script for the Gas Oracle
+// Run with: node src/modules/verify-gas-oracle.mjs
+// Replays recorded responses from fixtures/gas-oracle.json (no network).
+
+import { readFileSync } from 'node:fs';
+import {
+    fetchGasTiers,
+    registerGasOracleAdapter,
+    tierDisplayPrice,
+    GAS_TIERS
+} from './gas-oracle.js';
+import { check, createStandInNode } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Gas Oracle ---");
+
+const FIXTURES = JSON.parse(readFileSync(new URL('./fixtures/gas-oracle.json', import.meta.url), 'utf8'));
+
+/** JSON-RPC replay: answers each method from a recorded response. */
+function replayRpc(responses) {
+    return createStandInNode(Object.fromEntries(Object.entries(responses).map(([method, result]) => [method, () => result])));
+}
+
+/** fetch replay: answers by URL suffix. */
+function replayFetch(routes) {
+    return async (url) => {
+        const key = Object.keys(routes).find(suffix => url.endsWith(suffix));
+        if (!key) return { ok: false, status: 404 };
+        return { ok: true, status: 200, json: async () => routes[key] };
+    };
+}
+
+const pick = (tiers, field) => GAS_TIERS.map(t => tiers[t][field]);
+
+// Test 1: ethereum (eth_feeHistory, mainnet)
+const rpc = replayRpc({ eth_feeHistory: FIXTURES.eth_feeHistory });
+const eth = await fetchGasTiers('ethereum', rpc, { blockTime: 12 });
+check("feeHistory request", rpc.calls[0].params, ['0x14', 'latest', [10, 50, 90]]);
+check("EVM base fee = next block", pick(eth.tiers, 'baseFee'), [10500000000n, 10500000000n, 10500000000n]);
+check("EVM priority = median reward per percentile", pick(eth.tiers, 'priorityFee'), [50000000n, 1000000000n, 2800000000n]);
+check("EVM maxFee = 2 * base + priority", pick(eth.tiers, 'maxFee'), [21050000000n, 22000000000n, 23800000000n]);
+check("EVM ETA from block time", pick(eth.tiers, 'etaSeconds'), [72, 36, 12]);
+check("EVM display (standard)", tierDisplayPrice('ethereum', eth.tiers.standard), { price: 11.5, unit: 'gwei' });
+
+// Test 2: ethereum (L2: sub-gwei, zero slow reward)
+const l2 = await fetchGasTiers('ethereum', replayRpc({ eth_feeHistory: FIXTURES.eth_feeHistory_l2 }), { blockTime: 2 });
+check("L2 priority tiers", pick(l2.tiers, 'priorityFee'), [0n, 1000000n, 5000000n]);
+check("L2 display keeps sub-gwei precision", tierDisplayPrice('ethereum', l2.tiers.standard), { price: 0.011, unit: 'gwei' });
+
+// Test 3: bitcoin (mempool projected blocks)
+const btc = await fetchGasTiers('bitcoin', replayFetch({ '/v1/fees/mempool-blocks': FIXTURES.mempool_blocks }));
+check("BTC fee rate = bucket median", pick(btc.tiers, 'maxFee'), [3, 11, 22]);
+check("BTC base = bucket entry rate", pick(btc.tiers, 'baseFee'), [1, 10, 19]);
+check("BTC ETA (projected block)", pick(btc.tiers, 'etaSeconds'), [3600, 1800, 600]);
+const shallow = await fetchGasTiers('bitcoin', replayFetch({ '/v1/fees/mempool-blocks': FIXTURES.mempool_blocks.slice(0, 1) }));
+check("BTC shallow mempool clamps to next block", pick(shallow.tiers, 'maxFee'), [22, 22, 22]);
+
+// Test 4: solana (getRecentPrioritizationFees)
+const sol = await fetchGasTiers('solana',
+    replayRpc({ getRecentPrioritizationFees: FIXTURES.getRecentPrioritizationFees }),
+    { baseFeeLamports: 5000, computeUnitLimit: 600 });
+check("SOL priority percentiles (µlamports/CU)", pick(sol.tiers, 'priorityFee'), [1000, 7500, 25000]);
+check("SOL total lamports", pick(sol.tiers, 'maxFee'), [5001, 5005, 5015]);
+check("SOL display (standard)", tierDisplayPrice('solana', sol.tiers.standard), { price: 0.000005005, unit: 'SOL' });
+
+// Test 5: failures + pluggability
+check("RPC failure surfaced", (await fetchGasTiers('ethereum', replayRpc({}))).error, 'RPC_ERROR');
+check("HTTP failure surfaced", (await fetchGasTiers('bitcoin', replayFetch({}))).error, 'RPC_ERROR');
+check("Pre-London chain", (await fetchGasTiers('ethereum', replayRpc({ eth_feeHistory: { baseFeePerGas: [] } }))).error, 'FEE_DATA_UNAVAILABLE');
+check("Unknown family", (await fetchGasTiers('cosmos', {})).error, 'UNSUPPORTED_FAMILY');
+
+registerGasOracleAdapter('cosmos', {
+    unit: 'uatom',
+    async fetchTiers() {
+        const tier = (fee, eta) => ({ baseFee: fee, priorityFee: 0, maxFee: fee, etaSeconds: eta });
+        return { tiers: { slow: tier(1, 12), standard: tier(2, 6), fast: tier(3, 6) }, unit: this.unit };
+    }
+});
+check("Registered adapter", (await fetchGasTiers('cosmos', {})).tiers.fast.maxFee, 3);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,104 @@
+// Verification Script for Payment Handles
+// Run with: node src/modules/verify-handles.mjs
+// Uses local stand-ins: an ENS mainnet, a Solana node holding SNS registry
+// accounts, and JSON / HTTP directories (no network).
+
+import {
+    parseHandle,
+    snsNameAccount,
+    resolveSnsName,
+    createJsonDirectory,
+    createHttpDirectory,
+    createHandleResolver,
+    SOL_TLD_AUTHORITY
+} from './handles.js';
+import { ENS_REGISTRY, namehash } from './ens.js';
+import { base58Decode } from './crypto/base58.js';
+import { bytesToBase64, concatBytes } from './crypto/bytes.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Payment Handles ---");
+
+const EVM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SOL = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const BTC = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const RESOLVER = '0x231b0Ee14048e9dCcD1d247744d114a4EB5E8E63';
+
+// ENS: registry → resolver → addr for alice.eth only
+const ensMainnet = {
+    async request({ params }) {
+        const { to, data } = params[0];
+        const known = '0x' + data.slice(10, 74) === namehash('alice.eth');
+        const word = (address) => '0x' + (known ? address.slice(2).toLowerCase() : '').padStart(64, '0');
+        return to === ENS_REGISTRY ? word(RESOLVER) : word(EVM);
+    }
+};
+
+// SNS: registry accounts keyed by name account address
+const snsAccounts = new Map();
+const registerSns = (name, owner) => {
+    const header = concatBytes(base58Decode(SOL_TLD_AUTHORITY), base58Decode(owner), new Uint8Array(32));
+    snsAccounts.set(snsNameAccount(name), bytesToBase64(concatBytes(header, new Uint8Array(8))));
+};
+const solanaNode = {
+    async request({ method, params }) {
+        if (method !== 'getAccountInfo') throw { code: -32601, message: `Unsupported ${method}` };
+        const data = snsAccounts.get(params[0]);
+        return { context: { slot: 1 }, value: data ? { data: [data, 'base64'], owner: 'namesLPneVptA9Z5rqUDD9tMTWEJwofgaYwp8cawRkX' } : null };
+    }
+};
+registerSns('alice', SOL);
+
+const directory = createJsonDirectory({
+    alice: { solana: SOL, ethereum: EVM },
+    bob: { bitcoin: BTC },
+    typo: { ethereum: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD' },
+    mislabelled: { solana: EVM }
+});
+
+// Test 1: Parsing
+check("Handle kinds", ['alice.eth', 'Alice.SOL', 'pay.alice.sol', 'Alice@Web3UPI', EVM, 'alice@gmail.com', 'alice'].map(i => {
+    const parsed = parseHandle(i);
+    return parsed && `${parsed.kind}:${parsed.name}`;
+}), ['ens:alice.eth', 'sns:alice', 'sns:pay.alice', 'directory:alice', null, null, null]);
+
+// Test 2: SNS
+check("SNS name account (bonfida.sol)", snsNameAccount('bonfida'), 'Crf8hzfthWGbGbLTVCiqRqV5MVnbpHB1L9KQMd6gsinb');
+check("SNS owner read from the registry account", await resolveSnsName(solanaNode, 'alice'), { address: SOL });
+check("Unregistered .sol", (await resolveSnsName(solanaNode, 'nobody')).error, 'NOT_FOUND');
+
+// Test 3: Resolver
+const resolver = createHandleResolver({ ensProvider: ensMainnet, solanaConnection: solanaNode, directory });
+check("ENS handle", await resolver.resolve('Alice.eth'), { handle: 'alice.eth', kind: 'ens', address: EVM, family: 'ethereum' });
+check("SNS handle", await resolver.resolve('alice.sol'), { handle: 'alice.sol', kind: 'sns', address: SOL, family: 'solana' });
+check("Directory: first address by default, chain choice wins", [
+    await resolver.resolve('alice@web3upi'),
+    (await resolver.resolve('alice@web3upi', { family: 'ethereum' })).address,
+    (await resolver.resolve('bob@web3upi')).family
+], [{ handle: 'alice@web3upi', kind: 'directory', address: SOL, family: 'solana' }, EVM, 'bitcoin']);
+check("Directory failures", [
+    (await resolver.resolve('carol@web3upi')).error,
+    (await resolver.resolve('bob@web3upi', { family: 'solana' })).error,
+    (await resolver.resolve('typo@web3upi')).error,
+    (await resolver.resolve('mislabelled@web3upi')).error,
+    (await resolver.resolve(EVM)).error
+], ['NOT_FOUND', 'NO_ADDRESS', 'INVALID_ENTRY', 'INVALID_ENTRY', 'INVALID_HANDLE']);
+check("Missing transport", (await createHandleResolver().resolve('alice.sol')).error, 'RESOLVER_UNAVAILABLE');
+
+// Test 4: HTTP directory
+const requested = [];
+const fetchStandIn = async (url) => {
+    requested.push(url);
+    if (url.endsWith('/alice')) return { ok: true, status: 200, json: async () => ({ ethereum: EVM }) };
+    if (url.endsWith('/down')) return { ok: false, status: 503, json: async () => ({}) };
+    return { ok: false, status: 404, json: async () => ({}) };
+};
+const http = createHandleResolver({ directory: createHttpDirectory('https://directory.example/v1/', fetchStandIn) });
+check("HTTP directory", [
+    (await http.resolve('alice@web3upi')).address,
+    (await http.resolve('nobody@web3upi')).error,
+    await http.resolve('down@web3upi'),
+    requested[0]
+], [EVM, 'NOT_FOUND', { error: 'RESOLVER_UNAVAILABLE', detail: 'HTTP 503' }, 'https://directory.example/v1/alice']);
+
+console.log("\n--- TEST END ---");
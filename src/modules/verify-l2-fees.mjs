@@ -0,0 +1,94 @@
+// Verification Script for the L2 Fee Model
+// Run with: node src/modules/verify-l2-fees.mjs
+// Uses a stand-in L2 JSON-RPC node (no network).
+
+import {
+    estimateL2Fees,
+    serializeUnsignedEip1559,
+    encodeGetL1Fee,
+    OP_GAS_PRICE_ORACLE,
+    SCROLL_L1_GAS_PRICE_ORACLE,
+    ARBITRUM_NODE_INTERFACE
+} from './l2-fees.js';
+import { rlpEncode, integerToBytes } from './crypto/rlp.js';
+import { utf8ToBytes, bytesToHex } from './crypto/bytes.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: L2 Fee Model ---");
+
+const RECIPIENT = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const word = (n) => BigInt(n).toString(16).padStart(64, '0');
+
+/** Stand-in L2 node: answers eth_call per target contract. */
+function createStandInL2(callHandlers) {
+    const calls = [];
+    return {
+        calls,
+        async request({ method, params }) {
+            calls.push({ method, params });
+            if (method !== 'eth_call') throw { code: -32601, message: `Unsupported ${method}` };
+            const handler = callHandlers[params[0].to];
+            if (!handler) throw { code: -32000, message: 'execution reverted' };
+            return handler(params[0]);
+        }
+    };
+}
+
+// Test 1: RLP (Yellow Paper examples)
+check("RLP string", bytesToHex(rlpEncode(utf8ToBytes('dog'))), '83646f67');
+check("RLP list", bytesToHex(rlpEncode([utf8ToBytes('cat'), utf8ToBytes('dog')])), 'c88363617483646f67');
+check("RLP empty / zero", [bytesToHex(rlpEncode(new Uint8Array(0))), bytesToHex(rlpEncode(integerToBytes(0)))], ['80', '80']);
+check("RLP integer 1024", bytesToHex(rlpEncode(integerToBytes(1024))), '820400');
+check("RLP long string", bytesToHex(rlpEncode(utf8ToBytes('Lorem ipsum dolor sit amet, consectetur adipisicing elit'))).slice(0, 6), 'b8384c');
+
+// Test 2: Unsigned EIP-1559 serialization
+const tx = {
+    chainId: 10,
+    to: RECIPIENT,
+    value: 10n ** 18n,
+    gas: 21000n,
+    maxFeePerGas: 2000000n,
+    maxPriorityFeePerGas: 1000000n
+};
+const serialized = bytesToHex(serializeUnsignedEip1559(tx));
+check("EIP-1559 payload", serialized,
+    '02ed' + '0a' + '80' + '830f4240' + '831e8480' + '825208' +
+    '94' + RECIPIENT.slice(2).toLowerCase() + '880de0b6b3a7640000' + '80' + 'c0');
+check("getL1Fee calldata (offset, length, padded payload)", encodeGetL1Fee(serializeUnsignedEip1559(tx)),
+    '0x49948e0e' + word(32) + word(47) + serialized.padEnd(128, '0'));
+
+// Test 3: OP-stack (Optimism / Base)
+const l1Fee = 45000000000n;
+const opNode = createStandInL2({ [OP_GAS_PRICE_ORACLE]: () => '0x' + word(l1Fee) });
+const op = await estimateL2Fees(opNode, tx, 1010000n);
+check("OP-stack split", [op.model, op.executionFee, op.l1DataFee], ['op-stack', 21000n * 1010000n, l1Fee]);
+check("OP oracle receives the serialized tx", opNode.calls[0].params[0].data.includes(serialized), true);
+
+const base = await estimateL2Fees(opNode, { ...tx, chainId: 8453 }, 1010000n);
+check("Base uses the OP oracle", [base.model, base.l1DataFee], ['op-stack', l1Fee]);
+
+// Test 4: Scroll
+const scroll = await estimateL2Fees(
+    createStandInL2({ [SCROLL_L1_GAS_PRICE_ORACLE]: () => '0x' + word(120000000000n) }),
+    { ...tx, chainId: 534352 }, 40000000n);
+check("Scroll split", [scroll.model, scroll.l1DataFee], ['scroll', 120000000000n]);
+
+// Test 5: Arbitrum (gasEstimateComponents)
+const arbNode = createStandInL2({
+    [ARBITRUM_NODE_INTERFACE]: () => '0x' + word(27500) + word(6500) + word(10000000) + word(30000000000n)
+});
+const arb = await estimateL2Fees(arbNode, { ...tx, chainId: 42161 }, 10000000n);
+check("Arbitrum execution gas excludes the L1 component", arb.executionGas, 21000n);
+check("Arbitrum L1 fee = L1 gas * L2 base fee", [arb.executionFee, arb.l1DataFee], [210000000000n, 65000000000n]);
+check("NodeInterface calldata", arbNode.calls[0].params[0].data.slice(0, 10 + 64 * 3),
+    '0xc94e6eeb' + word(0).slice(40) + RECIPIENT.slice(2).toLowerCase() + word(0) + word(96));
+
+// Test 6: Linea / L1 / failures
+const linea = await estimateL2Fees(createStandInL2({}), { ...tx, chainId: 59144 }, 50000000n);
+check("Linea: L1 cost included in gas price", [linea.l1FeeIncluded, linea.l1DataFee, linea.executionFee], [true, 0n, 1050000000000n]);
+const mainnet = await estimateL2Fees(createStandInL2({}), { ...tx, chainId: 1 }, 10n ** 10n);
+check("Mainnet has no L1 data fee", [mainnet.model, mainnet.l1DataFee], [null, 0n]);
+check("Oracle revert surfaced", (await estimateL2Fees(createStandInL2({}), tx, 1n)).error, 'RPC_ERROR');
+check("Missing gas", (await estimateL2Fees(opNode, { ...tx, gas: null }, 1n)).error, 'INVALID_TX');
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,93 @@
+// Verification Script for Wallet Network Switching
+// Run with: node src/modules/verify-network-switch.mjs
+// Uses a local wallet stand-in (no browser, no network).
+
+import { switchEvmChain, readWalletChainId } from './network-switch.js';
+import { EVM_CHAINS, findChainById, addEthereumChainParams } from './evm-chains.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Network Switch ---");
+
+/**
+ * Wallet that knows `known` chains, starts on `start`.
+ * - switchOnAdd: adding a chain also switches to it (MetaMask)
+ * - behaviour.switch / behaviour.add: override to throw
+ * - behaviour.unknownChain: error thrown for chains the wallet does not know
+ */
+function createWallet({ start = 1, known = [1], switchOnAdd = true, behaviour = {} } = {}) {
+    const calls = [];
+    const state = { chainId: start, known: new Set(known) };
+    return {
+        calls,
+        state,
+        async request({ method, params }) {
+            calls.push(method);
+            if (method === 'eth_chainId') return '0x' + state.chainId.toString(16);
+            if (method === 'wallet_switchEthereumChain') {
+                if (behaviour.switch) throw behaviour.switch;
+                const target = parseInt(params[0].chainId, 16);
+                if (!state.known.has(target)) throw behaviour.unknownChain || { code: 4902, message: 'Unrecognized chain ID' };
+                if (!behaviour.ignoreSwitch) state.chainId = target;
+                return null;
+            }
+            if (method === 'wallet_addEthereumChain') {
+                if (behaviour.add) throw behaviour.add;
+                const target = parseInt(params[0].chainId, 16);
+                state.known.add(target);
+                state.added = params[0];
+                if (switchOnAdd) state.chainId = target;
+                return null;
+            }
+            throw { code: -32601, message: `Unsupported ${method}` };
+        }
+    };
+}
+
+// Test 1: Registry
+check("Every chain carries RPC, explorer and native currency", EVM_CHAINS.filter(c =>
+    !/^https:\/\//.test(c.rpcUrl) || !/^https:\/\/[^/]+$/.test(c.explorerUrl) ||
+    !c.nativeCurrency || c.nativeCurrency.decimals !== 18 || typeof c.testnet !== 'boolean'
+).map(c => c.chainId), []);
+check("Testnets flagged", EVM_CHAINS.filter(c => c.testnet).map(c => c.name), ['Sepolia']);
+check("EIP-3085 params for Base", addEthereumChainParams(findChainById(8453)), {
+    chainId: '0x2105',
+    chainName: 'Base',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['https://mainnet.base.org'],
+    blockExplorerUrls: ['https://basescan.org']
+});
+
+// Test 2: Switching
+const same = createWallet({ start: 8453, known: [8453] });
+check("Already on the chain: no prompt", [await switchEvmChain(same, 8453), same.calls], [{ chainId: 8453, switched: false }, ['eth_chainId']]);
+
+const known = createWallet({ start: 1, known: [1, 8453] });
+check("Known chain: switch", [await switchEvmChain(known, 8453), known.calls],
+    [{ chainId: 8453, switched: true }, ['eth_chainId', 'wallet_switchEthereumChain', 'eth_chainId']]);
+
+const unknown = createWallet({ start: 1, known: [1] });
+check("Unknown chain: add (wallet switches as part of it)", [await switchEvmChain(unknown, 59144), unknown.calls, unknown.state.added.chainName],
+    [{ chainId: 59144, switched: true }, ['eth_chainId', 'wallet_switchEthereumChain', 'wallet_addEthereumChain', 'eth_chainId', 'eth_chainId'], 'Linea']);
+
+const addOnly = createWallet({ start: 1, known: [1], switchOnAdd: false });
+check("Wallet that only adds: second switch request", [await switchEvmChain(addOnly, 534352), addOnly.calls.filter(m => m === 'wallet_switchEthereumChain').length],
+    [{ chainId: 534352, switched: true }, 2]);
+
+const mobile = createWallet({ behaviour: { unknownChain: { code: -32603, message: 'Internal error', data: { originalError: { code: 4902 } } } } });
+check("Wrapped 4902 (MetaMask Mobile) still adds", (await switchEvmChain(mobile, 10)).chainId, 10);
+
+// Test 3: Failures
+check("Rejections", [
+    (await switchEvmChain(createWallet({ known: [1, 10], behaviour: { switch: { code: 4001, message: 'User rejected' } } }), 10)).error,
+    (await switchEvmChain(createWallet({ known: [1], behaviour: { add: { code: 4001, message: 'User rejected' } } }), 10)).error
+], ['USER_REJECTED', 'USER_REJECTED']);
+check("Wallet accepts but stays put", (await switchEvmChain(createWallet({ known: [1, 10], behaviour: { ignoreSwitch: true } }), 10)).error, 'SWITCH_FAILED');
+check("Unsupported chain / no provider", [
+    (await switchEvmChain(createWallet(), 56)).error,
+    (await switchEvmChain(null, 10)).error,
+    (await readWalletChainId({})).error
+], ['UNSUPPORTED_CHAIN', 'PROVIDER_NOT_FOUND', 'PROVIDER_NOT_FOUND']);
+check("Other wallet errors surface as RPC_ERROR", (await switchEvmChain(createWallet({ behaviour: { switch: { code: -32002, message: 'Request pending' } } }), 10)),
+    { error: 'RPC_ERROR', detail: 'wallet_switchEthereumChain: Request pending' });
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,184 @@
+// Verification Script for Notifications + Activity Watcher
+// Run with: node src/modules/verify-notifications.mjs
+// Uses local stand-ins: an in-memory store and EVM / Solana nodes (no network).
+
+import {
+    notificationForTransaction,
+    notificationForActivity,
+    describeNotification,
+    deepLinkFor,
+    createNotificationCenter
+} from './notifications.js';
+import { createActivityWatcher, ERC20_TRANSFER_TOPIC } from './activity-watcher.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Notifications ---");
+
+const ME = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SENDER = '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const SOL_ME = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const SOL_SENDER = 'GsbwXfJraMomNxBcjYLcG3mxkBUiyWXAB32fGbSMQRdW';
+const SOL_USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+function createStore() {
+    const rows = new Map();
+    return {
+        rows,
+        async getAll() { return [...rows.values()]; },
+        async put(row) { rows.set(row.id, row); },
+        async delete(id) { rows.delete(id); }
+    };
+}
+
+// Test 1: Typed notifications
+const record = {
+    id: 'ethereum:1:0xabc', hash: '0xabc', chain: 'Ethereum', family: 'ethereum', chainId: 1,
+    asset: 'eth', amount: '0.5', recipient: SENDER, handle: 'bob.eth', reason: null, status: 'confirmed'
+};
+const confirmed = notificationForTransaction(record, { now: () => 5 });
+check("Settled send → typed notification", [confirmed.id, confirmed.type, confirmed.payload.transactionId, confirmed.read],
+    ['tx-confirmed:ethereum:1:0xabc', 'tx-confirmed', 'ethereum:1:0xabc', false]);
+check("Pending sends do not notify", notificationForTransaction({ ...record, status: 'pending' }), null);
+check("Text per type", [
+    describeNotification(confirmed),
+    describeNotification(notificationForTransaction({ ...record, status: 'failed', reason: 'REVERTED' })).title,
+    describeNotification(notificationForActivity({ id: 'x', kind: 'token', asset: 'usdc', amount: '25', from: SENDER, chain: 'Ethereum Mainnet' }))
+], [
+    { title: 'ETH Sent', message: '0.5 ETH to bob.eth confirmed on Ethereum' },
+    'Send Failed',
+    { title: 'USDC Received', message: 'You received 25 USDC from 0xfb69…d359' }
+]);
+check("Own replacements: silent original, cancel wording", [
+    notificationForTransaction({ ...record, status: 'replaced', reason: 'SPED_UP' }),
+    describeNotification(notificationForTransaction({ ...record, kind: 'cancel' }))
+], [null, { title: 'Send Cancelled', message: '0.5 ETH to bob.eth was cancelled' }]);
+check("Deep links", [
+    deepLinkFor(confirmed),
+    deepLinkFor(notificationForActivity({ id: 'y', kind: 'native', family: 'solana', chainId: null, hash: 'sig9', asset: 'sol' })),
+    deepLinkFor(notificationForActivity({ id: 'z', kind: 'native', family: 'ethereum', chainId: 1, hash: null, asset: 'eth' }))
+], [{ transactionId: 'ethereum:1:0xabc' }, { url: 'https://solscan.io/tx/sig9' }, null]);
+
+// Test 2: Center (dedupe, read state, limit)
+const store = createStore();
+const center = createNotificationCenter(store, { limit: 2 });
+const first = await center.add(confirmed);
+const again = await center.add({ ...confirmed, createdAt: 9 });
+check("Same source notifies once", [first.added, again.added, store.rows.size], [true, false, 1]);
+await center.markRead(confirmed.id);
+check("Read state persisted", [...store.rows.values()][0].read, true);
+await center.add(notificationForActivity({ id: 'a', kind: 'native', asset: 'eth' }, { now: () => 6 }));
+await center.add(notificationForActivity({ id: 'b', kind: 'native', asset: 'eth' }, { now: () => 7 }));
+check("Limit keeps the newest", (await center.list()).notifications.map(n => n.id), ['b', 'a']);
+check("Mark all read / clear / bad type", [
+    await center.markAllRead(),
+    await center.clear(),
+    store.rows.size,
+    (await center.add({ id: 'q', type: 'eth-swapped' })).error
+], [{ updated: 2 }, { removed: 2 }, 0, 'UNSUPPORTED_TYPE']);
+
+// Test 3: EVM watcher (balance delta + registry ERC-20 logs)
+const evmNode = {
+    balance: 10n ** 18n,
+    head: 100,
+    logs: [],
+    logRequests: [],
+    async request({ method, params }) {
+        if (method === 'eth_getBalance') return '0x' + this.balance.toString(16);
+        if (method === 'eth_blockNumber') return '0x' + this.head.toString(16);
+        if (method === 'eth_getLogs') { this.logRequests.push(params[0]); return this.logs; }
+        throw { code: -32601, message: `Unsupported ${method}` };
+    }
+};
+const solanaNode = {
+    signatures: [],
+    transactions: new Map(),
+    async request({ method, params }) {
+        if (method === 'getSignaturesForAddress') {
+            const { until, before, limit } = params[1];
+            const end = until ? this.signatures.findIndex(s => s.signature === until) : -1;
+            const newer = end === -1 ? this.signatures : this.signatures.slice(0, end);
+            const start = before ? newer.findIndex(s => s.signature === before) + 1 : 0;
+            return newer.slice(start, start + limit);
+        }
+        if (method === 'getTransaction') return this.transactions.get(params[0]);
+        throw { code: -32601, message: `Unsupported ${method}` };
+    }
+};
+
+const seen = [];
+const manualTimers = { setTimer: () => 1, clearTimer: () => {} };
+const watcher = createActivityWatcher({ evm: (id) => (id === 1 ? evmNode : null), solana: solanaNode }, {
+    onActivity: (activity) => seen.push(...activity),
+    ...manualTimers
+});
+
+watcher.watch({ family: 'ethereum', address: ME, chainId: 1 });
+const baseline = await watcher.poll();
+evmNode.balance += 25n * 10n ** 16n;
+evmNode.head = 103;
+evmNode.logs = [
+    { address: USDC.toLowerCase(), topics: [ERC20_TRANSFER_TOPIC, '0x' + SENDER.slice(2).padStart(64, '0'), '0x' + ME.slice(2).toLowerCase().padStart(64, '0')], data: '0x' + (25n * 10n ** 6n).toString(16), transactionHash: '0xfeed', logIndex: '0x3' },
+    { address: '0x000000000000000000000000000000000000dEaD', topics: [ERC20_TRANSFER_TOPIC, '0x0', '0x0'], data: '0x1', transactionHash: '0xspam', logIndex: '0x0' }
+];
+await watcher.poll();
+check("Baseline poll is silent", baseline, { activity: [] });
+check("Incoming ETH + USDC (unknown token ignored)", seen.map(a => [a.kind, a.asset, a.amount, a.hash, a.from]), [
+    ['native', 'eth', '0.25', null, null],
+    ['token', 'usdc', '25', '0xfeed', SENDER]
+]);
+check("Logs requested for the new range, to the address", [evmNode.logRequests[0].fromBlock, evmNode.logRequests[0].toBlock, evmNode.logRequests[0].topics[2].endsWith(ME.slice(2).toLowerCase())],
+    ['0x65', '0x67', true]);
+
+// Test 4: Solana watcher (new signatures only)
+seen.length = 0;
+solanaNode.signatures = [{ signature: 'old', err: null }];
+watcher.watch({ family: 'solana', address: SOL_ME });
+await watcher.poll();
+solanaNode.signatures = [{ signature: 'failed', err: { InstructionError: [0, 'Custom'] } }, { signature: 'new', err: null }, { signature: 'old', err: null }];
+solanaNode.transactions.set('new', {
+    meta: {
+        err: null,
+        preBalances: [5000000000, 0, 1],
+        postBalances: [3999995000, 1000000000, 1],
+        preTokenBalances: [],
+        postTokenBalances: [
+            { accountIndex: 2, mint: SOL_USDC, owner: SOL_ME, uiTokenAmount: { amount: '1500000' } },
+            { accountIndex: 3, mint: 'Spam1111111111111111111111111111111111111111', owner: SOL_ME, uiTokenAmount: { amount: '9' } }
+        ]
+    },
+    transaction: { message: { accountKeys: [{ pubkey: SOL_SENDER }, { pubkey: SOL_ME }, { pubkey: 'ata' }] } }
+});
+await watcher.poll();
+const quiet = await watcher.poll();
+check("Incoming SOL + SPL once, failed signatures skipped", [seen.map(a => [a.asset, a.amount, a.hash, a.from]), quiet.activity.length],
+    [[['sol', '1', 'new', SOL_SENDER], ['usdc', '1.5', 'new', SOL_SENDER]], 0]);
+
+// More than one page of new signatures since the last poll
+seen.length = 0;
+const solTransfer = (lamports) => ({
+    meta: { err: null, preBalances: [10000000000, 0], postBalances: [9000000000, lamports], preTokenBalances: [], postTokenBalances: [] },
+    transaction: { message: { accountKeys: [SOL_SENDER, SOL_ME] } }
+});
+const burst = Array.from({ length: 25 }, (_, i) => ({ signature: `burst${24 - i}`, err: null }));
+burst.forEach((entry, i) => solanaNode.transactions.set(entry.signature, solTransfer(25 - i)));
+solanaNode.signatures = [...burst, ...solanaNode.signatures];
+await watcher.poll();
+check("Busy address: pages back to the last seen signature", [seen.length, seen[0].hash, seen[24].hash], [25, 'burst0', 'burst24']);
+
+// Malformed node payloads are RPC_ERROR / skipped, never thrown
+solanaNode.signatures = [{ signature: 'garbled', err: null }, ...solanaNode.signatures];
+solanaNode.transactions.set('garbled', {
+    meta: { err: null, preBalances: [], postBalances: ['lots'], preTokenBalances: [], postTokenBalances: [{ accountIndex: 1, mint: SOL_USDC, owner: SOL_ME }] },
+    transaction: { message: { accountKeys: [SOL_SENDER, SOL_ME] } }
+});
+const garbled = await watcher.poll();
+watcher.watch({ family: 'ethereum', address: ME, chainId: 1 });
+evmNode.balance = 'lots';
+const badBalance = await watcher.poll();
+check("Malformed balances and amounts", [garbled, badBalance.error], [{ activity: [] }, 'RPC_ERROR']);
+
+watcher.stop();
+check("Stopped watcher", (await watcher.poll()).error, 'NOT_WATCHING');
+
+console.log("\n--- TEST END ---");
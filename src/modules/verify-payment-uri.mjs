@@ -0,0 +1,41 @@
+// Verification Script for Payment URI Parsing
+// Run with: node src/modules/verify-payment-uri.mjs
+
+import { parsePaymentURI, hasPaymentDetails } from './payment-uri.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Payment URI Parsing ---");
+
+// Test 1: BIP-21
+const btc = parsePaymentURI('bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2?amount=0.00100&label=Luke%20Jr&message=Donation');
+check("BIP-21 recipient", btc.recipient, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+check("BIP-21 amount (string, trimmed)", btc.amount, '0.001');
+check("BIP-21 label decoded", btc.label, 'Luke Jr');
+check("BIP-21 unknown req- param rejected", parsePaymentURI('bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2?req-foo=1').errors.length > 0, true);
+
+// Test 2: EIP-681
+const native = parsePaymentURI('ethereum:0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359?value=2.014e18');
+check("EIP-681 native amount from wei", native.amount, '2.014');
+check("EIP-681 default chain", native.chain, 'Ethereum Mainnet');
+const base = parsePaymentURI('ethereum:pay-0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359@8453?value=1');
+check("EIP-681 chain id", [base.chainId, base.chain], [8453, 'Base']);
+check("EIP-681 1 wei", base.amount, '0.000000000000000001');
+const polygon = parsePaymentURI('ethereum:0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359@137?value=1e18');
+check("EIP-681 native without a registry coin (Polygon POL) rejected", [polygon.asset, polygon.errors], [null, ['unsupported_asset']]);
+const erc20 = parsePaymentURI('ethereum:0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eB48@1/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1.5e6');
+check("EIP-681 ERC-20 recipient", erc20.recipient, '0x8e23ee67d1332ad560396262c48ffbb01f93d052');
+check("EIP-681 ERC-20 asset + amount", [erc20.asset, erc20.amount], ['usdc', '1.5']);
+check("EIP-681 unknown token rejected", parsePaymentURI('ethereum:0x0000000000000000000000000000000000000001/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1').errors, ['unknown_token']);
+
+// Test 3: Solana Pay
+const sol = parsePaymentURI('solana:7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV?amount=0.01&spl-token=EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v&reference=82ZJ7nbGpixjeDCmEhUcmwXYfvurzAgGdtSMuHnUgyny&memo=OrderId12345');
+check("Solana Pay SPL asset", sol.asset, 'usdc');
+check("Solana Pay memo + reference", [sol.memo, sol.references.length], ['OrderId12345', 1]);
+check("Solana transaction request unsupported", parsePaymentURI('solana:https%3A%2F%2Fexample.com%2Fpay').errors, ['unsupported_transaction_request']);
+
+// Test 4: Bare address
+const bare = parsePaymentURI('  0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed ');
+check("Bare address passthrough", [bare.scheme, bare.recipient], [null, '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed']);
+check("Bare address has no details", hasPaymentDetails(bare), false);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,106 @@
+// Verification Script for the Price Service
+// Run with: node src/modules/verify-price-service.mjs
+// Replays provider responses through a stand-in fetch (no network).
+
+import {
+    createPriceService,
+    DEFAULT_PRICE_PROVIDERS,
+    isPriceStale,
+    resolveFiatCurrency,
+    PRICE_TTL_MS,
+    PRICE_MAX_AGE_MS
+} from './price-service.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Price Service ---");
+
+/** fetch replay: answers by URL substring; `down` hosts fail. */
+function replayFetch(routes, down = new Set()) {
+    const urls = [];
+    const fetchImpl = async (url) => {
+        urls.push(url);
+        if ([...down].some(host => url.includes(host))) return { ok: false, status: 503 };
+        const key = Object.keys(routes).find(part => url.includes(part));
+        if (!key) return { ok: false, status: 404 };
+        return { ok: true, status: 200, json: async () => routes[key] };
+    };
+    return { fetchImpl, urls };
+}
+
+const ETH_USD = {
+    'coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd': { ethereum: { usd: 3012.4 } },
+    'coinbase.com/v2/prices/ETH-USD/spot': { data: { base: 'ETH', currency: 'USD', amount: '3010.15' } },
+    'cryptocompare.com/data/price?fsym=ETH&tsyms=USD': { USD: 3015.9 }
+};
+const ETH_INR = {
+    'coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=inr': { ethereum: { inr: 251240 } },
+    'coinbase.com/v2/prices/ETH-INR/spot': { data: { base: 'ETH', currency: 'INR', amount: '251002.37' } },
+    'cryptocompare.com/data/price?fsym=ETH&tsyms=INR': { INR: 251388.1 }
+};
+
+let clock = 1_700_000_000_000;
+const now = () => clock;
+
+// Test 1: Median across providers
+const usd = replayFetch(ETH_USD);
+const service = createPriceService({ fetchImpl: usd.fetchImpl, now });
+const eth = await service.getPrice('ETH', 'usd');
+check("Median of three sources", [eth.price, eth.sources, eth.stale], [3012.4, ['coingecko', 'coinbase', 'cryptocompare'], false]);
+check("One request per provider", usd.urls.length, DEFAULT_PRICE_PROVIDERS.length);
+
+const inr = await createPriceService({ fetchImpl: replayFetch(ETH_INR).fetchImpl, now }).getPrice('eth', 'INR');
+check("INR quote", [inr.fiat, inr.price], ['inr', 251240]);
+
+const two = await createPriceService({ fetchImpl: replayFetch(ETH_USD, new Set(['cryptocompare'])).fetchImpl, now }).getPrice('eth', 'usd');
+check("Median of two = midpoint; failed source dropped", [two.price, two.sources], [3011.275, ['coingecko', 'coinbase']]);
+
+const outlier = await createPriceService({
+    fetchImpl: replayFetch({ ...ETH_USD, 'cryptocompare.com/data/price?fsym=ETH&tsyms=USD': { USD: 30.1 } }).fetchImpl, now
+}).getPrice('eth', 'usd');
+check("Single outlier cannot move the median", outlier.price, 3010.15);
+
+// Test 2: TTL cache
+const cachedAgain = await service.getPrice('eth', 'usd');
+check("Within TTL: served from cache", [cachedAgain.price, usd.urls.length], [3012.4, 3]);
+
+clock += PRICE_TTL_MS;
+await service.getPrice('eth', 'usd');
+check("After TTL: refreshed", usd.urls.length, 6);
+
+const shared = replayFetch(ETH_USD);
+const concurrent = createPriceService({ fetchImpl: shared.fetchImpl, now });
+await Promise.all([concurrent.getPrice('eth', 'usd'), concurrent.getPrice('eth', 'usd')]);
+check("Concurrent callers share one refresh", shared.urls.length, 3);
+
+// Test 3: Staleness
+const outage = new Set();
+const flaky = replayFetch(ETH_USD, outage);
+const flakyService = createPriceService({ fetchImpl: flaky.fetchImpl, now });
+const fresh = await flakyService.getPrice('eth', 'usd');
+['coingecko', 'coinbase', 'cryptocompare'].forEach(host => outage.add(host));
+
+clock += PRICE_TTL_MS + 1;
+const served = await flakyService.getPrice('eth', 'usd');
+check("Failed refresh inside max age: cached, not stale", [served.price, served.fetchedAt, served.stale], [3012.4, fresh.fetchedAt, false]);
+
+clock += PRICE_MAX_AGE_MS;
+const stale = await flakyService.getPrice('eth', 'usd');
+check("Failed refresh past max age: stale", [stale.price, stale.stale], [3012.4, true]);
+
+outage.clear();
+clock += PRICE_TTL_MS;
+check("Recovery clears stale", (await flakyService.getPrice('eth', 'usd')).stale, false);
+
+check("isPriceStale", [
+    isPriceStale(null, clock),
+    isPriceStale(clock - PRICE_MAX_AGE_MS, clock),
+    isPriceStale(clock - PRICE_MAX_AGE_MS - 1, clock)
+], [true, false, true]);
+
+// Test 4: Failures + currency preference
+check("No provider and no cache", (await createPriceService({ fetchImpl: replayFetch({}).fetchImpl, now }).getPrice('eth', 'usd')).error, 'PRICE_UNAVAILABLE');
+check("Unsupported asset", (await service.getPrice('doge', 'usd')).error, 'UNSUPPORTED_ASSET');
+check("Unsupported fiat", (await service.getPrice('eth', 'eur')).error, 'UNSUPPORTED_FIAT');
+check("resolveFiatCurrency", [resolveFiatCurrency('INR'), resolveFiatCurrency('eur'), resolveFiatCurrency(null)], ['inr', 'usd', 'usd']);
+
+console.log("\n--- TEST END ---");
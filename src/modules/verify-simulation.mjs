@@ -0,0 +1,150 @@
+// Verification Script for Pre-send Simulation
+// Run with: node src/modules/verify-simulation.mjs
+// Uses local stand-in EVM / Solana nodes (no network).
+
+import {
+    simulateEvmTransaction,
+    simulateSolanaTransaction,
+    simulateEvmSend,
+    simulateSolanaSend,
+    decodeRevertReason,
+    unsignedSolanaTransaction
+} from './simulation.js';
+import { buildEvmTransaction } from './evm-transaction.js';
+import { buildSolanaTransaction, getAssociatedTokenAddress } from './solana-transaction.js';
+import { TOKEN_PROGRAM_ID } from './token-registry.js';
+import { base64ToBytes, utf8ToBytes, bytesToHex } from './crypto/bytes.js';
+import { check, createStandInNode } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Pre-send Simulation ---");
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SOL_SENDER = 'mvines9iiHiQTysrwkJjGf2gb9Ex9jXJX8ns3qwf2kN';
+const SOL_RECIPIENT = '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const word = (n) => BigInt(n).toString(16).padStart(64, '0');
+const errorString = (reason) => {
+    const hex = bytesToHex(utf8ToBytes(reason)).replace(/^0x/, '');
+    return '0x08c379a0' + word(32) + word(hex.length / 2) + hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+};
+
+const evmNode = (overrides) => createStandInNode({
+    eth_chainId: () => '0x1',
+    eth_accounts: () => [SENDER],
+    eth_getTransactionCount: () => '0x7',
+    eth_estimateGas: ([tx]) => (tx.data === '0x' ? '0x5208' : '0xc350'),
+    eth_getBlockByNumber: () => ({ baseFeePerGas: '0x3b9aca00' }), // 1 gwei
+    eth_maxPriorityFeePerGas: () => '0x77359400', // 2 gwei
+    eth_call: () => '0x'
+}, overrides);
+
+// Test 1: Revert decoding
+check("Error(string) / Panic / unknown", [
+    decodeRevertReason(errorString('Blacklistable: account is blacklisted')),
+    decodeRevertReason('0x4e487b71' + word(0x11)),
+    decodeRevertReason('0xdeadbeef'),
+    decodeRevertReason(null)
+], ['Blacklistable: account is blacklisted', 'Panic 0x11', null, null]);
+
+// Test 2: EVM native + ERC-20 deltas (fee = gasUsed * maxFeePerGas = 21000 * 4 gwei)
+const native = (await buildEvmTransaction({ chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.25' }, evmNode())).tx;
+const nativeNode = evmNode();
+const nativeSim = await simulateEvmTransaction(native, nativeNode);
+check("Native deltas", nativeSim.simulation.deltas.map(d => [d.role, d.asset, d.amount, d.kind]), [
+    ['sender', 'eth', '-0.25', 'transfer'],
+    ['recipient', 'eth', '+0.25', 'transfer'],
+    ['sender', 'eth', '-0.000084', 'fee']
+]);
+check("Simulated on the pending block", nativeNode.calls.filter(c => c.method !== 'eth_chainId').map(c => [c.method, c.params[1]]),
+    [['eth_call', 'pending'], ['eth_estimateGas', 'pending']]);
+
+const usdc = (await buildEvmTransaction({ chain: 'Ethereum', asset: 'usdc', recipient: RECIPIENT, amountAsset: '12.5' }, evmNode())).tx;
+const usdcSim = await simulateEvmTransaction(usdc, evmNode({ eth_call: () => '0x' + word(1) }));
+check("ERC-20 deltas decoded from calldata", usdcSim.simulation.deltas.map(d => [d.role, d.address, d.asset, d.amount]), [
+    ['sender', SENDER, 'usdc', '-12.5'],
+    ['recipient', RECIPIENT.toLowerCase(), 'usdc', '+12.5'],
+    ['sender', SENDER, 'eth', '-0.0002']
+]);
+
+// Polygon: POL has no token registry entry; the fee is in the chain's nativeCurrency
+const polygonNode = () => evmNode({ eth_chainId: () => '0x89', eth_call: () => '0x' + word(1) });
+const polygonUsdc = (await buildEvmTransaction({ chain: 'Polygon', asset: 'usdc', recipient: RECIPIENT, amountAsset: '12.5' }, polygonNode())).tx;
+check("Polygon USDC: fee in POL", (await simulateEvmTransaction(polygonUsdc, polygonNode())).simulation.deltas.map(d => [d.asset, d.amount, d.kind]), [
+    ['usdc', '-12.5', 'transfer'],
+    ['usdc', '+12.5', 'transfer'],
+    ['pol', '-0.0002', 'fee']
+]);
+check("Malformed gas estimate → RPC_ERROR", (await simulateEvmTransaction(native, evmNode({ eth_estimateGas: () => 'lots' }))).error, 'RPC_ERROR');
+
+// Test 3: EVM failures
+const reverted = async (err) => simulateEvmTransaction(usdc, evmNode({ eth_call: () => { throw err; } }));
+check("Blocked recipient (revert data)", await reverted({ code: 3, message: 'execution reverted', data: errorString('Blacklistable: account is blacklisted') }),
+    { error: 'REVERTED', detail: 'Blacklistable: account is blacklisted' });
+check("Revert reason in the message only", await reverted({ code: -32000, message: 'execution reverted: ERC20: transfer amount exceeds allowance' }),
+    { error: 'REVERTED', detail: 'ERC20: transfer amount exceeds allowance' });
+check("Transfer returning false", (await simulateEvmTransaction(usdc, evmNode({ eth_call: () => '0x' + word(0) }))).error, 'TRANSFER_FAILED');
+check("Insufficient funds from estimateGas", (await simulateEvmTransaction(native, evmNode({
+    eth_estimateGas: () => { throw { code: -32000, message: 'insufficient funds for gas * price + value' }; }
+}))).error, 'INSUFFICIENT_FUNDS');
+check("Node errors stay RPC_ERROR", (await reverted({ code: -32005, message: 'rate limited' })).error, 'RPC_ERROR');
+check("Unknown contract call", (await simulateEvmTransaction({ ...usdc, to: '0x000000000000000000000000000000000000dEaD' }, evmNode())).error,
+    'UNSUPPORTED_TRANSACTION');
+
+// Test 4: Solana simulateTransaction
+const solanaNode = (overrides) => createStandInNode({
+    getLatestBlockhash: () => ({ context: { slot: 1 }, value: { blockhash: 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k', lastValidBlockHeight: 150 } }),
+    getAccountInfo: ([address]) => ({
+        context: { slot: 1 },
+        value: address === getAssociatedTokenAddress(SOL_SENDER, USDC_MINT, TOKEN_PROGRAM_ID) ? { lamports: 2039280 } : null
+    }),
+    getFeeForMessage: () => ({ context: { slot: 1 }, value: 5000 }),
+    getMinimumBalanceForRentExemption: () => 2039280,
+    simulateTransaction: () => ({ context: { slot: 1 }, value: { err: null, logs: [], unitsConsumed: 450 } })
+}, overrides);
+
+const sol = (await buildSolanaTransaction({ asset: 'sol', recipient: SOL_RECIPIENT, amountAsset: '0.5' }, solanaNode(), { from: SOL_SENDER })).tx;
+const solNode = solanaNode();
+const solSim = await simulateSolanaTransaction(sol, solNode);
+const wire = base64ToBytes(unsignedSolanaTransaction(sol.message));
+check("Unsigned wire tx: 1 empty signature + message", [wire[0], wire.slice(1, 65).every(b => b === 0), wire.length], [1, true, 65 + sol.message.length]);
+check("Simulation options", solNode.calls.find(c => c.method === 'simulateTransaction').params[1],
+    { encoding: 'base64', sigVerify: false, replaceRecentBlockhash: true, commitment: 'processed' });
+check("SOL deltas", [solSim.simulation.unitsConsumed, solSim.simulation.deltas.map(d => [d.role, d.asset, d.amount, d.kind])], [450, [
+    ['sender', 'sol', '-0.5', 'transfer'],
+    ['recipient', 'sol', '+0.5', 'transfer'],
+    ['sender', 'sol', '-0.000005', 'fee']
+]]);
+
+const usdcNew = (await buildSolanaTransaction({ asset: 'usdc', recipient: SOL_RECIPIENT, amountAsset: '3' }, solanaNode(), { from: SOL_SENDER })).tx;
+const usdcNewSim = await simulateSolanaTransaction(usdcNew, solanaNode());
+check("New token account rent", usdcNewSim.simulation.deltas.map(d => [d.asset, d.amount, d.kind]), [
+    ['usdc', '-3', 'transfer'], ['usdc', '+3', 'transfer'], ['sol', '-0.000005', 'fee'], ['sol', '-0.00203928', 'rent']
+]);
+
+// Test 5: Solana failures
+const failing = (value) => simulateSolanaTransaction(sol, solanaNode({ simulateTransaction: () => ({ context: { slot: 1 }, value }) }));
+check("Solana failures", [
+    (await failing({ err: { InstructionError: [0, { Custom: 1 }] }, logs: ['Transfer: insufficient lamports 1, need 500000000'] })).error,
+    (await failing({ err: 'InsufficientFundsForFee', logs: [] })).error,
+    (await failing({ err: 'AccountNotFound', logs: [] })).error,
+    await failing({ err: { InstructionError: [1, { Custom: 17 }] }, logs: ['Program log: Error: account frozen', 'Program Tokenkeg failed: custom program error: 0x11'] })
+], ['INSUFFICIENT_FUNDS', 'INSUFFICIENT_GAS', 'INSUFFICIENT_GAS', { error: 'PROGRAM_ERROR', detail: 'Program Tokenkeg failed: custom program error: 0x11' }]);
+check("Node down", (await simulateSolanaTransaction(sol, solanaNode({ simulateTransaction: () => { throw new Error('fetch failed'); } }))).error, 'RPC_ERROR');
+
+// Test 6: Build + simulate (Send's readiness gate)
+const dryRun = { chain: 'Ethereum', asset: 'usdc', recipient: RECIPIENT, amountAsset: '12.5' };
+const sent = await simulateEvmSend(dryRun, evmNode({ eth_call: () => '0x' + word(1) }), { from: SENDER });
+check("EVM send: tx + deltas", [sent.tx.from, sent.simulation.deltas.length], [SENDER, 3]);
+check("Reverting estimate during the build is decoded", await simulateEvmSend(dryRun, evmNode({
+    eth_estimateGas: () => { throw { code: 3, message: 'execution reverted: Blacklistable: account is blacklisted' }; }
+}), { from: SENDER }), { error: 'REVERTED', detail: 'Blacklistable: account is blacklisted' });
+check("Build errors pass through", [
+    (await simulateEvmSend({ ...dryRun, chain: 'Base' }, evmNode(), { from: SENDER })).error,
+    (await simulateSolanaSend({ asset: 'usdc', recipient: SOL_RECIPIENT, amountAsset: '1' }, solanaNode({ getAccountInfo: () => ({ context: { slot: 1 }, value: null }) }), { from: SOL_SENDER })).error
+], ['CHAIN_MISMATCH', 'NO_TOKEN_ACCOUNT']);
+check("Solana send: tx + deltas", (await simulateSolanaSend({ asset: 'sol', recipient: SOL_RECIPIENT, amountAsset: '0.5' }, solanaNode(), { from: SOL_SENDER })).tx.from,
+    SOL_SENDER);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,159 @@
+// Verification Script for Solana Transaction Building
+// Run with: node src/modules/verify-solana-transaction.mjs
+// Uses a local stand-in JSON-RPC node and Phantom provider (no network).
+
+import {
+    createProgramAddress,
+    getAssociatedTokenAddress,
+    buildSolanaTransaction,
+    sendSolanaTransaction,
+    estimateSolanaFee,
+    decodePublicKey,
+    SYSTEM_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    MEMO_PROGRAM_ID,
+    COMPUTE_BUDGET_PROGRAM_ID
+} from './solana-transaction.js';
+import { TOKEN_PROGRAM_ID } from './token-registry.js';
+import { base58Decode, base58Encode } from './crypto/base58.js';
+import { concatBytes, utf8ToBytes, bytesToHex } from './crypto/bytes.js';
+import { check, createStandInNode } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Solana Transaction Building ---");
+
+const SENDER = 'mvines9iiHiQTysrwkJjGf2gb9Ex9jXJX8ns3qwf2kN';
+const RECIPIENT = '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV';
+const REFERENCE = '82ZJ7nbGpixjeDCmEhUcmwXYfvurzAgGdtSMuHnUgyny';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const BLOCKHASH = 'EETubP5AKHgjPAhzPAFcb8BAY1hMH639CWCFTqi3hq1k';
+
+const SENDER_ATA = getAssociatedTokenAddress(SENDER, USDC_MINT, TOKEN_PROGRAM_ID);
+const RECIPIENT_ATA = getAssociatedTokenAddress(RECIPIENT, USDC_MINT, TOKEN_PROGRAM_ID);
+
+/**
+ * Stand-in Solana JSON-RPC node. `accounts` lists the addresses that exist;
+ * `overrides` replace individual methods so tests can simulate failures.
+ */
+function createStandInRpc({ accounts = [], overrides = {} } = {}) {
+    return createStandInNode({
+        getLatestBlockhash: () => ({ context: { slot: 1 }, value: { blockhash: BLOCKHASH, lastValidBlockHeight: 150 } }),
+        getAccountInfo: ([address]) => ({
+            context: { slot: 1 },
+            value: accounts.includes(address) ? { lamports: 2039280, owner: TOKEN_PROGRAM_ID, data: ['', 'base64'] } : null
+        }),
+        getFeeForMessage: () => ({ context: { slot: 1 }, value: 5000 })
+    }, overrides);
+}
+
+/** Stand-in Phantom provider (window.solana). */
+function createStandInPhantom({ connected = true, reject = false } = {}) {
+    const publicKey = { toString: () => SENDER };
+    const wallet = {
+        calls: [],
+        publicKey: connected ? publicKey : null,
+        async connect() {
+            wallet.publicKey = publicKey;
+            return { publicKey };
+        },
+        async request({ method, params }) {
+            wallet.calls.push({ method, params });
+            if (reject) throw { code: 4001, message: 'User rejected the request.' };
+            return { signature: '5'.repeat(88), publicKey: SENDER };
+        }
+    };
+    return wallet;
+}
+
+// Test 1: Program-derived addresses (web3.js createProgramAddress vectors)
+const BPF_LOADER = 'BPFLoader1111111111111111111111111111111111';
+check("PDA ['', [1]]", createProgramAddress([new Uint8Array(0), Uint8Array.of(1)], BPF_LOADER), '3gF2KMe9KiC6FNVBmfg9i267aMPvK37FewCip4eGBFcT');
+check("PDA ['☉']", createProgramAddress([utf8ToBytes('☉')], BPF_LOADER), '7ytmC1nT1xY4RfxCV2ZgyA7UakC93do5ZdyhdF3EtPj7');
+check("PDA ['Talking', 'Squirrels']", createProgramAddress([utf8ToBytes('Talking'), utf8ToBytes('Squirrels')], BPF_LOADER), 'HwRVBufQ4haG5XSgpspwKtNd3PC9GM9m1196uJW36vds');
+check("PDA [pubkey seed]", createProgramAddress([base58Decode('SeedPubey1111111111111111111111111111111111')], BPF_LOADER), 'GUs5qLUfsEHkcMB9T38vjr18ypEhRuNWiePW2LoK4E3K');
+
+// Test 2: SOL transfer (SystemProgram) — full message layout
+const sol = await buildSolanaTransaction(
+    { asset: 'sol', recipient: RECIPIENT, amountAsset: '0.5' },
+    createStandInRpc(),
+    { from: SENDER }
+);
+check("SOL account keys", sol.tx && sol.tx.accountKeys, [SENDER, RECIPIENT, SYSTEM_PROGRAM_ID]);
+check("SOL message bytes", bytesToHex(sol.tx.message), bytesToHex(concatBytes(
+    Uint8Array.of(1, 0, 1, 3),                    // header + 3 keys
+    decodePublicKey(SENDER), decodePublicKey(RECIPIENT), decodePublicKey(SYSTEM_PROGRAM_ID),
+    base58Decode(BLOCKHASH),
+    Uint8Array.of(1, 2, 2, 0, 1, 12),             // 1 ix: program 2, accounts [0, 1], 12 data bytes
+    Uint8Array.of(2, 0, 0, 0, 0x00, 0x65, 0xcd, 0x1d, 0, 0, 0, 0) // Transfer, 500000000 lamports
+)));
+check("SOL fee from getFeeForMessage", sol.tx.feeLamports, 5000);
+
+// Test 3: USDC (SPL TransferChecked) with / without recipient token account
+const usdcNew = await buildSolanaTransaction(
+    { asset: 'usdc', recipient: RECIPIENT, amountAsset: '12.5' },
+    createStandInRpc({ accounts: [SENDER_ATA] }),
+    { from: SENDER }
+);
+check("USDC creates recipient ATA", [usdcNew.tx.createsRecipientAccount, usdcNew.tx.instructions.map(ix => ix.programId)],
+    [true, [ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID]]);
+check("USDC TransferChecked data", bytesToHex(usdcNew.tx.instructions[1].data), '0c' + '20bcbe0000000000' + '06');
+check("USDC TransferChecked accounts", usdcNew.tx.instructions[1].keys.map(k => k.pubkey), [SENDER_ATA, USDC_MINT, RECIPIENT_ATA, SENDER]);
+
+const usdcExisting = await buildSolanaTransaction(
+    { asset: 'usdc', recipient: RECIPIENT, amountAsset: '1' },
+    createStandInRpc({ accounts: [SENDER_ATA, RECIPIENT_ATA] }),
+    { from: SENDER }
+);
+check("USDC skips ATA creation when it exists", [usdcExisting.tx.createsRecipientAccount, usdcExisting.tx.instructions.length], [false, 1]);
+
+check("Sender without token account", (await buildSolanaTransaction(
+    { asset: 'usdc', recipient: RECIPIENT, amountAsset: '1' },
+    createStandInRpc(),
+    { from: SENDER }
+)).error, 'NO_TOKEN_ACCOUNT');
+
+// Test 4: Solana Pay memo + reference
+const pay = await buildSolanaTransaction(
+    { asset: 'sol', recipient: RECIPIENT, amountAsset: '0.01', memo: 'OrderId12345', references: [REFERENCE] },
+    createStandInRpc(),
+    { from: SENDER }
+);
+check("Memo precedes transfer", pay.tx.instructions.map(ix => ix.programId), [MEMO_PROGRAM_ID, SYSTEM_PROGRAM_ID]);
+check("Reference is a read-only key", pay.tx.instructions[1].keys[2], { pubkey: REFERENCE, isSigner: false, isWritable: false });
+
+// Test 5: Rejections
+check("Unsupported SPL asset", (await buildSolanaTransaction(
+    { asset: 'dai', recipient: RECIPIENT, amountAsset: '1' }, createStandInRpc(), { from: SENDER })).error, 'UNSUPPORTED_ASSET');
+check("Excess SOL precision", (await buildSolanaTransaction(
+    { asset: 'sol', recipient: RECIPIENT, amountAsset: '0.0000000001' }, createStandInRpc(), { from: SENDER })).error, 'INVALID_AMOUNT');
+check("Invalid recipient", (await buildSolanaTransaction(
+    { asset: 'sol', recipient: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', amountAsset: '1' }, createStandInRpc(), { from: SENDER })).error, 'INVALID_RECIPIENT');
+
+// Test 6: Fee estimation (fetchGasPrice path)
+check("Fee estimate", await estimateSolanaFee(createStandInRpc({ overrides: { getFeeForMessage: () => ({ value: 10000 }) } }), { to: RECIPIENT }),
+    { lamports: 10000, fallback: false });
+check("Fee fallback when RPC fails", await estimateSolanaFee(createStandInRpc({ overrides: { getLatestBlockhash: () => { throw { code: -32000, message: 'down' }; } } }), { from: SENDER, to: RECIPIENT }),
+    { lamports: 5000, fallback: true });
+
+// Test 7: Phantom signAndSendTransaction
+const wallet = createStandInPhantom({ connected: false });
+const sent = await sendSolanaTransaction({ asset: 'sol', recipient: RECIPIENT, amountAsset: '0.5' }, createStandInRpc(), wallet);
+check("Phantom connect + signature", sent.signature, '5'.repeat(88));
+check("Phantom receives base58 message", wallet.calls[0].params.message, base58Encode(sent.tx.message));
+
+check("Phantom rejection surfaced", (await sendSolanaTransaction(
+    { asset: 'sol', recipient: RECIPIENT, amountAsset: '0.5' }, createStandInRpc(), createStandInPhantom({ reject: true }))).error, 'USER_REJECTED');
+check("Missing Phantom", (await sendSolanaTransaction({ asset: 'sol' }, createStandInRpc(), undefined)).error, 'PROVIDER_NOT_FOUND');
+
+// Test 8: Priority fee (gas-oracle tier) → ComputeBudget instructions
+const priority = await buildSolanaTransaction(
+    { asset: 'sol', recipient: RECIPIENT, amountAsset: '0.5' },
+    createStandInRpc(),
+    { from: SENDER, priorityFee: 7500 }
+);
+check("ComputeBudget leads the transaction", priority.tx.instructions.map(ix => ix.programId),
+    [COMPUTE_BUDGET_PROGRAM_ID, COMPUTE_BUDGET_PROGRAM_ID, SYSTEM_PROGRAM_ID]);
+check("Compute unit limit + price data", priority.tx.instructions.slice(0, 2).map(ix => bytesToHex(ix.data)),
+    ['0258020000', '034c1d000000000000']);
+check("No priority fee, no ComputeBudget", sol.tx.instructions.length, 1);
+
+console.log("\n--- TEST END ---");
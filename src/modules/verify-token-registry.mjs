@@ -0,0 +1,79 @@
+// Verification Script for the Token Registry
+// Run with: node src/modules/verify-token-registry.mjs
+
+import {
+    TOKENS,
+    TOKEN_PROGRAM_ID,
+    resolveChainKey,
+    listTokens,
+    findToken,
+    findTokenByAddress,
+    findNativeToken,
+    precisionFor
+} from './token-registry.js';
+import { AmountEngine } from './amount-engine.js';
+import { resolveIconSources } from '../icons/core/iconCDNResolver.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Token Registry ---");
+
+const CDN = 'https://raw.githubusercontent.com/trustwallet/assets/master/blockchains';
+
+// Test 1: Chain references
+check("Chain keys from Send names, ids and keys", [
+    resolveChainKey('Ethereum Mainnet'),
+    resolveChainKey('Arbitrum One'),
+    resolveChainKey('OP Mainnet'),
+    resolveChainKey(8453),
+    resolveChainKey('Bitcoin Network'),
+    resolveChainKey('Solana Mainnet'),
+    resolveChainKey('polygon'),
+    resolveChainKey('BNB Chain'),
+    resolveChainKey(null)
+], ['ethereum', 'arbitrum', 'optimism', 'base', 'bitcoin', 'solana', 'polygon', null, null]);
+
+// Test 2: Lookups
+const usdcEth = findToken('Ethereum Mainnet', 'USDC');
+check("USDC on Ethereum", [usdcEth.type, usdcEth.address, usdcEth.decimals, usdcEth.precision, usdcEth.verified],
+    ['erc20', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', 6, 6, true]);
+check("Lookup by chain id and lowercase asset", findToken(42161, 'usdt').address, '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9');
+check("Not listed on chain", [findToken('Base', 'usdt'), findToken('Bitcoin', 'usdc'), findToken('Unknown', 'eth')], [null, null, null]);
+check("Native coins", [findToken('Scroll', 'eth').decimals, findNativeToken('Bitcoin').decimals, findNativeToken('Solana').decimals, findNativeToken('Polygon')],
+    [18, 8, 9, null]);
+check("EVM address lookup ignores case", findTokenByAddress(1, '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48').asset, 'usdc');
+check("SPL mint lookup is exact", [
+    findTokenByAddress('solana', 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v').programId,
+    findTokenByAddress('solana', 'epjfwdd5aufqssqem2qn1xzybapc8g4wegGkZwyTDt1v')
+], [TOKEN_PROGRAM_ID, null]);
+check("Asset lists per chain", [
+    listTokens('Base').map(t => t.symbol),
+    listTokens('Solana Mainnet').map(t => t.symbol),
+    listTokens('Bitcoin Network').map(t => t.symbol)
+], [['ETH', 'USDC'], ['SOL', 'USDC', 'USDT'], ['BTC']]);
+
+// Test 3: Entry integrity
+check("Every entry: precision ≤ decimals, tokens carry an address", TOKENS.filter(t =>
+    t.precision > t.decimals || (t.type !== 'native') !== Boolean(t.address) || t.asset !== t.symbol.toLowerCase()
+), []);
+check("Unique (chain, symbol)", new Set(TOKENS.map(t => `${t.chain}:${t.asset}`)).size, TOKENS.length);
+
+// Test 4: Precision consumers
+check("precisionFor symbols and chains", [
+    precisionFor('usdc'), precisionFor('ETH'), precisionFor('btc'), precisionFor('Arbitrum One'), precisionFor('doge')
+], [6, 6, 8, 6, null]);
+check("roundAsset keeps stablecoin cents", [
+    AmountEngine.roundAsset('12.345678', 'usdc'),
+    AmountEngine.roundAsset('0.5', 'usdt'),
+    AmountEngine.deriveFromFiat('10', '1.0001', 'usdc')
+], ['12.345678', '0.5', '9.999']);
+check("Unlisted assets still round to whole units", AmountEngine.roundAsset('1.7', 'doge'), '2');
+
+// Test 5: Icon sources
+check("Token logo uses the checksummed contract path", resolveIconSources({ chain: 'Ethereum', asset: 'USDC' })[0],
+    `${CDN}/ethereum/assets/0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48/logo.png`);
+check("SPL logo uses the mint", resolveIconSources({ chain: 'Solana', asset: 'usdt' })[0],
+    `${CDN}/solana/assets/Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB/logo.png`);
+check("Chain logo uses the registry slug", resolveIconSources({ chain: 'Arbitrum One', asset: 'native' })[0],
+    `${CDN}/arbitrum/info/logo.png`);
+
+console.log("\n--- TEST END ---");
@@ -0,0 +1,229 @@
+// Verification Script for Transaction History
+// Run with: node src/modules/verify-tx-history.mjs
+// Uses local stand-ins: an in-memory store, EVM / Solana nodes and an Esplora
+// fetch (no network), and a manual clock.
+
+import {
+    recordFromSubmission,
+    checkTransaction,
+    createTxHistory,
+    createTxTracker,
+    explorerTxUrl,
+    canReplace,
+    canBumpFee,
+    replacementSubmission,
+    bitcoinSubmission,
+    TX_STATUS
+} from './tx-history.js';
+import { buildBitcoinTransaction } from './bitcoin-transaction.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Transaction History ---");
+
+const FROM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const TO = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const SOL_FROM = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const hash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+function createStore() {
+    const rows = new Map();
+    return {
+        rows,
+        async getAll() { return [...rows.values()]; },
+        async put(record) { rows.set(record.id, record); },
+        async delete(id) { rows.delete(id); }
+    };
+}
+
+// EVM node: receipts by hash, a head block and the sender's mined nonce count
+const evmNode = {
+    head: 100,
+    minedNonce: 5,
+    receipts: new Map(),
+    async request({ method, params }) {
+        if (method === 'eth_getTransactionReceipt') return this.receipts.get(params[0]) || null;
+        if (method === 'eth_getTransactionCount') return '0x' + this.minedNonce.toString(16);
+        if (method === 'eth_blockNumber') return '0x' + this.head.toString(16);
+        throw { code: -32601, message: `Unsupported ${method}` };
+    }
+};
+const receipt = (block, status = '0x1', extra = {}) => ({
+    status, blockNumber: '0x' + block.toString(16), gasUsed: '0x5208', effectiveGasPrice: '0x3b9aca00', ...extra
+});
+
+// Solana node: signature statuses + block height
+const solanaNode = {
+    height: 1000,
+    statuses: new Map(),
+    async request({ method, params }) {
+        if (method === 'getSignatureStatuses') return { context: { slot: 1 }, value: [this.statuses.get(params[0][0]) || null] };
+        if (method === 'getBlockHeight') return this.height;
+        throw { code: -32601, message: `Unsupported ${method}` };
+    }
+};
+
+// Esplora
+const esplora = {
+    tip: 800000,
+    seen: new Map(),
+    fetch: async (url) => {
+        const txid = url.match(/\/tx\/([0-9a-f]+)\/status$/);
+        if (txid) {
+            const status = esplora.seen.get(txid[1]);
+            return status ? { ok: true, status: 200, json: async () => status } : { ok: false, status: 404 };
+        }
+        return { ok: true, status: 200, text: async () => `${esplora.tip}\n` };
+    }
+};
+
+const transports = {
+    evm: (chainId) => (chainId === 1 || chainId === 8453 ? evmNode : null),
+    solana: solanaNode,
+    bitcoin: { baseUrl: 'https://esplora.example/api', fetch: esplora.fetch }
+};
+
+const evmSubmission = (n, chain = 'Ethereum', nonce = '0x5') => ({
+    hash: hash(n),
+    tx: { from: FROM, nonce },
+    dryRun: { chain, asset: 'eth', recipient: TO, recipientHandle: 'bob.eth', amountAsset: '0.5', estimatedGasNative: 0.00042 }
+});
+
+// Test 1: Records
+const built = recordFromSubmission(evmSubmission(1), { now: () => 7 }).transaction;
+check("Record from send:submitted", [built.family, built.chainId, built.amount, built.fee, built.feeEstimated, built.handle, built.nonce, built.required, built.status],
+    ['ethereum', 1, '0.5', '0.00042', true, 'bob.eth', 5, 2, 'pending']);
+const solRecord = recordFromSubmission({
+    hash: 'sig1', tx: { from: SOL_FROM, feeLamports: 105000, lastValidBlockHeight: 1150 },
+    dryRun: { chain: 'Solana', asset: 'sol', recipient: SOL_FROM, amountAsset: '1' }
+}).transaction;
+check("Solana record carries the exact fee and expiry height", [solRecord.fee, solRecord.feeEstimated, solRecord.lastValidBlockHeight], ['0.000105', false, 1150]);
+check("Rejected submissions", [
+    recordFromSubmission({ tx: {}, dryRun: {} }).error,
+    recordFromSubmission({ hash: 'x', dryRun: { chain: 'Dogecoin' } }).error
+], ['INVALID_SUBMISSION', 'UNSUPPORTED_CHAIN']);
+check("Explorer links", [explorerTxUrl(built), explorerTxUrl(solRecord)], [`https://etherscan.io/tx/${hash(1)}`, 'https://solscan.io/tx/sig1']);
+
+// Test 2: EVM rules (Ethereum needs 2 blocks, Base 1)
+evmNode.receipts.set(hash(1), receipt(100));
+check("Mined, under the confirmation rule", (await checkTransaction(built, transports)).patch,
+    { blockNumber: 100, fee: '0.000021', feeEstimated: false, confirmations: 1, status: 'pending' });
+const base = recordFromSubmission(evmSubmission(1, 'Base')).transaction;
+evmNode.receipts.set(hash(1), receipt(100, '0x1', { l1Fee: '0x9184e72a000' }));
+check("Rollup: one block, L1 data fee included", (await checkTransaction(base, transports)).patch,
+    { blockNumber: 100, fee: '0.000031', feeEstimated: false, confirmations: 1, status: 'confirmed' });
+evmNode.receipts.set(hash(2), receipt(99, '0x0'));
+check("Reverted", (await checkTransaction(recordFromSubmission(evmSubmission(2)).transaction, transports)).patch.reason, 'REVERTED');
+check("Nonce used by another tx → replaced; unmined nonce → pending", [
+    (await checkTransaction(recordFromSubmission(evmSubmission(3, 'Ethereum', '0x4')).transaction, transports)).patch.status,
+    (await checkTransaction(recordFromSubmission(evmSubmission(3, 'Ethereum', '0x5')).transaction, transports)).patch.status
+], ['replaced', 'pending']);
+evmNode.receipts.set(hash(5), receipt(100, '0x1', { gasUsed: 'not-a-quantity' }));
+check("Malformed receipt → RPC_ERROR, no throw", (await checkTransaction(recordFromSubmission(evmSubmission(5)).transaction, transports)).error, 'RPC_ERROR');
+
+// Test 3: Solana + Bitcoin
+solanaNode.statuses.set('sig1', { slot: 9, err: null, confirmationStatus: 'confirmed', confirmations: 10 });
+const solPending = (await checkTransaction(solRecord, transports)).patch.status;
+solanaNode.statuses.set('sig1', { slot: 9, err: null, confirmationStatus: 'finalized', confirmations: null });
+check("Solana waits for finalized", [solPending, (await checkTransaction(solRecord, transports)).patch.status], ['pending', 'confirmed']);
+solanaNode.statuses.delete('sig1');
+const solUnknown = (await checkTransaction(solRecord, transports)).patch.status;
+solanaNode.height = 1151;
+check("Unknown signature expires with its blockhash", [solUnknown, (await checkTransaction(solRecord, transports)).patch], ['pending', { status: 'failed', reason: 'EXPIRED' }]);
+
+const btc = recordFromSubmission({ hash: 'ab'.repeat(32), tx: {}, dryRun: { chain: 'Bitcoin', asset: 'btc', recipient: 'bc1q', amountAsset: '0.01' } }).transaction;
+const btcUnseen = (await checkTransaction(btc, transports)).patch.status;
+esplora.seen.set(btc.hash, { confirmed: true, block_height: 800000 });
+check("Bitcoin via Esplora", [btcUnseen, (await checkTransaction(btc, transports)).patch],
+    ['pending', { status: 'confirmed', confirmations: 1, blockNumber: 800000 }]);
+check("Chain without a transport", (await checkTransaction(recordFromSubmission(evmSubmission(4, 'Polygon')).transaction, transports)).error, 'UNSUPPORTED_CHAIN');
+
+// Test 4: History + tracker
+let clock = 0;
+const now = () => clock;
+const store = createStore();
+const history = createTxHistory(store, { now, limit: 3 });
+await history.add(evmSubmission(10));
+clock = 1;
+const duplicate = await history.add(evmSubmission(10));
+check("Add is idempotent per hash", [store.rows.size, duplicate.transaction.submittedAt], [1, 0]);
+
+const changes = [];
+const tracker = createTxTracker(history, transports, { now, onChange: (records) => changes.push(records.map(r => r.status)) });
+evmNode.head = 200;
+evmNode.receipts.set(hash(10), receipt(200));
+const first = await tracker.poll();
+const early = await tracker.poll(); // Same clock: not due yet
+clock = 20000;
+evmNode.head = 201;
+const second = await tracker.poll();
+check("Tracker polls on the chain cadence until settled", [first.pending, early.updated.length, second.pending, changes],
+    [1, 0, 0, [['pending'], ['confirmed']]]);
+check("Settled record persisted", [...store.rows.values()][0].status, TX_STATUS.CONFIRMED);
+
+for (let n = 11; n <= 13; n++) {
+    clock++;
+    await history.add(evmSubmission(n, 'Ethereum', '0x9'));
+}
+check("Limit drops the oldest settled records first", (await history.list()).transactions.map(t => t.hash), [hash(13), hash(12), hash(11)]);
+
+const timers = [];
+const brokenHistory = { async list() { throw new Error('store closed'); } };
+const brokenTracker = createTxTracker(brokenHistory, transports, { now, setTimer: (fn) => timers.push(fn), clearTimer: () => {} });
+const brokenPass = await brokenTracker.poll();
+brokenTracker.start();
+await timers[0]();
+brokenTracker.start(); // Not stuck mid-pass: schedules a new tick
+check("A throwing pass → RPC_ERROR; the tracker can start again", [brokenPass.error, timers.length], ['RPC_ERROR', 2]);
+
+// Test 5: Replacement chains (speed-up / cancel share the nonce)
+const chainHistory = createTxHistory(createStore(), { now });
+const chainTracker = createTxTracker(chainHistory, transports, { now });
+const sentTx = (nonce) => ({ chainId: '0x1', from: FROM, to: TO, value: '0x1', data: '0x', nonce, gas: '0x5208', maxFeePerGas: '0x10', maxPriorityFeePerGas: '0x1' });
+const stuck = (await chainHistory.add({ ...evmSubmission(30), tx: sentTx('0x20') })).transaction;
+clock++;
+const speedUp = (await chainHistory.add(replacementSubmission(stuck, { hash: hash(31), tx: { ...sentTx('0x20'), maxFeePerGas: '0x12' }, kind: 'speed-up' }))).transaction;
+const linked = (await chainHistory.list()).transactions.find(t => t.id === stuck.id);
+check("Replacement linked both ways", [speedUp.kind, speedUp.replaces, speedUp.amount, speedUp.fee, linked.replacedBy],
+    ['speed-up', stuck.id, '0.5', null, speedUp.id]);
+check("Only the latest attempt is replaceable", [canReplace(stuck), canReplace(linked), canReplace(speedUp)], [true, false, true]);
+
+evmNode.minedNonce = 0x21;
+evmNode.receipts.set(hash(31), receipt(201));
+await chainTracker.poll();
+const afterSpeedUp = (await chainHistory.list()).transactions.map(t => [t.status, t.reason, t.replacedBy]);
+check("Mined speed-up replaces the original", afterSpeedUp, [['pending', null, null], ['replaced', 'SPED_UP', speedUp.id]]);
+
+clock++;
+const original = (await chainHistory.add({ ...evmSubmission(40), tx: sentTx('0x30') })).transaction;
+clock++;
+const cancel = (await chainHistory.add(replacementSubmission(original, { hash: hash(41), tx: { ...sentTx('0x30'), to: FROM }, kind: 'cancel' }))).transaction;
+evmNode.minedNonce = 0x31;
+evmNode.receipts.set(hash(40), receipt(201));
+await chainTracker.poll();
+const waiting = (await chainHistory.list()).transactions.find(t => t.id === cancel.id).status;
+await chainTracker.poll();
+const lost = (await chainHistory.list()).transactions.find(t => t.id === cancel.id);
+check("Cancel that lost waits for the mined original, then links to it", [waiting, lost.status, lost.reason, lost.replacedBy],
+    ['pending', 'replaced', 'NONCE_USED', original.id]);
+
+// Test 6: Bitcoin Send (PSBT signed + broadcast in an external wallet) → bumpable record
+const BTC_FROM = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const BTC_TO = 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0';
+const btcDryRun = { chain: 'Bitcoin', asset: 'btc', recipient: BTC_TO, amountAsset: '0.0006', estimatedGasNative: 0.00002 };
+const psbt = buildBitcoinTransaction(btcDryRun, { from: BTC_FROM, utxos: [{ txid: 'aa'.repeat(32), vout: 1, value: 100000n }], feeRate: 10 }).tx;
+const broadcast = { inputs: [{ txid: 'aa'.repeat(32), vout: 1 }] };
+check("Pasted txid checked against the PSBT", [
+    bitcoinSubmission('not-a-txid', { tx: psbt, dryRun: btcDryRun }).error,
+    bitcoinSubmission('cd'.repeat(32), { tx: psbt, dryRun: btcDryRun, broadcast: { inputs: [{ txid: 'bb'.repeat(32), vout: 0 }] } }).error
+], ['INVALID_SUBMISSION', 'INVALID_SUBMISSION']);
+
+const btcHistory = createTxHistory(createStore(), { now });
+const btcSent = (await btcHistory.add(bitcoinSubmission('CD'.repeat(32), { tx: psbt, dryRun: btcDryRun, broadcast }))).transaction;
+check("Send PSBT → pending record, exact fee, bumpable", [btcSent.hash, btcSent.fee, btcSent.feeEstimated, btcSent.from, canBumpFee(btcSent)],
+    ['cd'.repeat(32), '0.0000153', false, BTC_FROM, true]);
+esplora.seen.set(btcSent.hash, { confirmed: true, block_height: esplora.tip });
+await createTxTracker(btcHistory, transports, { now }).poll();
+check("Tracked to confirmed via Esplora, then no longer bumpable", [(await btcHistory.list()).transactions[0].status, canBumpFee((await btcHistory.list()).transactions[0])],
+    ['confirmed', false]);
+
+console.log("\n--- TEST END ---");
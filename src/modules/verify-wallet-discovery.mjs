@@ -0,0 +1,93 @@
+// Verification Script for EIP-6963 Wallet Discovery
+// Run with: node src/modules/verify-wallet-discovery.mjs
+// Uses a plain EventTarget as the window (no browser, no wallets).
+
+import {
+    createWalletDiscovery,
+    parseAnnouncement,
+    legacyWallets,
+    selectEvmProvider,
+    selectedEvmProvider,
+    EIP6963_ANNOUNCE_EVENT,
+    EIP6963_REQUEST_EVENT
+} from './wallet-discovery.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: Wallet Discovery ---");
+
+const ICON = 'data:image/svg+xml;base64,PHN2Zy8+';
+const provider = (flags = {}) => ({ ...flags, request: async () => null });
+
+const announce = (target, info, p = provider()) =>
+    target.dispatchEvent(new CustomEvent(EIP6963_ANNOUNCE_EVENT, { detail: Object.freeze({ info, provider: p }) }));
+
+// A wallet that answers every requestProvider, like the extensions do
+function walletOn(target, info, p = provider()) {
+    target.addEventListener(EIP6963_REQUEST_EVENT, () => announce(target, info, p));
+    return p;
+}
+
+const names = (wallets) => wallets.map(w => w.name);
+const withoutProvider = ({ provider: _, ...rest }) => rest;
+
+// Test 1: Announcement parsing
+check("Valid announcement", withoutProvider(parseAnnouncement({
+    info: { uuid: 'u-1', name: ' Rabby Wallet ', icon: ICON, rdns: 'io.rabby' }, provider: provider()
+})), { id: 'u-1', name: 'Rabby Wallet', icon: ICON, rdns: 'io.rabby', source: 'eip6963' });
+check("Rejected announcements", [
+    parseAnnouncement({ info: { uuid: '', name: 'X' }, provider: provider() }),
+    parseAnnouncement({ info: { uuid: 'u', name: '' }, provider: provider() }),
+    parseAnnouncement({ info: { uuid: 'u', name: 'X' }, provider: {} }),
+    parseAnnouncement(null)
+], [null, null, null, null]);
+check("Non-inline icons are dropped", [
+    parseAnnouncement({ info: { uuid: 'u', name: 'X', icon: 'https://evil.example/i.svg' }, provider: provider() }).icon,
+    parseAnnouncement({ info: { uuid: 'u', name: 'X', icon: 'javascript:alert(1)' }, provider: provider() }).icon
+], [null, null]);
+
+// Test 2: Discovery
+const target = new EventTarget();
+const mm = walletOn(target, { uuid: 'u-mm', name: 'MetaMask', icon: ICON, rdns: 'io.metamask' });
+const discovery = createWalletDiscovery(target);
+const seen = [];
+discovery.subscribe(wallets => seen.push(wallets.length));
+discovery.start();
+check("Wallets loaded before start answer requestProvider", names(discovery.list()), ['MetaMask']);
+
+announce(target, { uuid: 'u-cb', name: 'Coinbase Wallet', icon: ICON, rdns: 'com.coinbase.wallet' });
+check("Late announcements are added and reported", [names(discovery.list()), seen], [['MetaMask', 'Coinbase Wallet'], [1, 2]]);
+
+announce(target, { uuid: 'u-mm', name: 'MetaMask', icon: ICON, rdns: 'io.metamask' }, mm);
+check("Repeated uuid replaces, not duplicates", discovery.list().length, 2);
+check("Find by uuid or rdns", [discovery.find('u-cb').name, discovery.find('io.metamask').provider === mm, discovery.find('nope')],
+    ['Coinbase Wallet', true, null]);
+
+discovery.stop();
+announce(target, { uuid: 'u-late', name: 'After Stop' });
+check("Stopped discovery ignores announcements", discovery.list().length, 2);
+
+// Test 3: Legacy injection
+check("Single window.ethereum", names(legacyWallets(provider({ isMetaMask: true }))), ['MetaMask']);
+check("Shared providers array (Rabby also flags isMetaMask)", names(legacyWallets({
+    ...provider(), providers: [provider({ isMetaMask: true }), provider({ isRabby: true, isMetaMask: true }), provider()]
+})), ['MetaMask', 'Rabby', 'Browser Wallet']);
+
+const legacyTarget = new EventTarget();
+legacyTarget.ethereum = provider({ isMetaMask: true });
+const legacy = createWalletDiscovery(legacyTarget);
+legacy.start();
+check("Fallback only while nothing is announced", [legacy.list()[0].source, (() => {
+    announce(legacyTarget, { uuid: 'u-1', name: 'Frame', rdns: 'sh.frame' });
+    return names(legacy.list());
+})()], ['injected', ['Frame']]);
+
+// Test 4: Selection
+globalThis.window = { ethereum: provider() };
+check("Falls back to window.ethereum until a wallet is chosen", selectedEvmProvider() === globalThis.window.ethereum, true);
+selectEvmProvider(mm);
+check("Chosen provider wins", selectedEvmProvider() === mm, true);
+selectEvmProvider(null);
+delete globalThis.window;
+check("Nothing injected", selectedEvmProvider(), null);
+
+console.log("\n--- TEST END ---");
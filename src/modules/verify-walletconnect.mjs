@@ -0,0 +1,217 @@
+// Verification Script for WalletConnect v2 Sessions
+// Run with: node src/modules/verify-walletconnect.mjs
+// Uses a local relay stand-in: the sign client and the wallet on the other end
+// of the relay live in this file (no network, no SDK).
+
+import {
+    createWalletConnectSession,
+    parseSessionAccounts,
+    unsignedTransactionBase64,
+    WC_REQUIRED_NAMESPACES,
+    WC_STORAGE_KEY,
+    SOLANA_MAINNET_CAIP2
+} from './walletconnect.js';
+import { sendEvmTransaction } from './evm-transaction.js';
+import { resolveSolanaSender, submitSolanaTransaction } from './solana-transaction.js';
+import { bytesToBase64 } from './crypto/bytes.js';
+import { check } from './fixtures/harness.mjs';
+
+console.log("--- TEST BEGIN: WalletConnect ---");
+
+const EVM = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const SOL = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const RECIPIENT = '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359';
+const HOUR = 3600;
+
+function createStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (k) => (items.has(k) ? items.get(k) : null),
+        setItem: (k, v) => items.set(k, String(v)),
+        removeItem: (k) => items.delete(k)
+    };
+}
+
+/**
+ * Sign client + wallet joined by an in-memory relay.
+ * `wallet` decides proposals and answers requests; `sessions` is what the
+ * client has persisted.
+ */
+function createRelayStandIn(wallet) {
+    const handlers = {};
+    const sessions = [];
+    const relayed = [];
+    let nextTopic = 1;
+
+    const client = {
+        session: { getAll: () => [...sessions] },
+        on(event, cb) { (handlers[event] = handlers[event] || []).push(cb); },
+
+        async connect({ requiredNamespaces, optionalNamespaces }) {
+            const topic = `topic-${nextTopic++}`;
+            return {
+                uri: `wc:${topic}@2?relay-protocol=irn&symKey=00`,
+                approval: async () => {
+                    const namespaces = await wallet.propose({ requiredNamespaces, optionalNamespaces });
+                    const session = { topic, expiry: Math.floor(Date.now() / 1000) + HOUR, namespaces, peer: { metadata: { name: 'Test Wallet', icons: ['https://wallet.example/icon.png'] } } };
+                    sessions.push(session);
+                    return session;
+                }
+            };
+        },
+
+        async request({ topic, chainId, request }) {
+            relayed.push({ topic, chainId, method: request.method });
+            return wallet.handle(chainId, request);
+        },
+
+        async disconnect({ topic }) {
+            sessions.splice(sessions.findIndex(s => s.topic === topic), 1);
+            relayed.push({ topic, method: 'disconnect' });
+        }
+    };
+
+    // Wallet → dapp
+    const fromWallet = (event, payload) => (handlers[event] || []).forEach(cb => cb(payload));
+
+    return { client, sessions, relayed, fromWallet };
+}
+
+const approveAll = (chains = [1, 10]) => ({
+    eip155: { accounts: chains.map(id => `eip155:${id}:${EVM}`), methods: [], events: [] },
+    solana: { accounts: [`${SOLANA_MAINNET_CAIP2}:${SOL}`], methods: [], events: [] }
+});
+
+const wallet = {
+    propose: async () => approveAll(),
+    handle: async (chainId, { method, params }) => {
+        if (method === 'eth_sendTransaction') return '0x' + 'ab'.repeat(32);
+        if (method === 'eth_getTransactionCount') return '0x7';
+        if (method === 'solana_signAndSendTransaction') return { signature: `sig:${params.transaction.length}` };
+        throw { code: 5201, message: `wallet cannot ${method}` };
+    }
+};
+
+// Test 1: Proposal + pairing
+const relay = createRelayStandIn(wallet);
+const storage = createStorage();
+const reads = [];
+const wc = createWalletConnectSession(relay.client, {
+    storage,
+    rpcFor: (chainId) => ({
+        request: async ({ method }) => {
+            reads.push(`${chainId}:${method}`);
+            if (method === 'eth_estimateGas') return '0x5208';
+            if (method === 'eth_getTransactionCount') return '0x3';
+            return null;
+        }
+    })
+});
+
+check("Required namespaces: eip155 + solana", Object.keys(WC_REQUIRED_NAMESPACES), ['eip155', 'solana']);
+
+let shownUri = null;
+const paired = await wc.pair({ onUri: (uri) => { shownUri = uri; } });
+check("Pairing URI handed to the QR display", shownUri, 'wc:topic-1@2?relay-protocol=irn&symKey=00');
+check("Approved accounts", [paired.evm, paired.solana, paired.peer.name],
+    [{ address: EVM, chainIds: [1, 10] }, { address: SOL }, 'Test Wallet']);
+check("Session topic persisted", storage.getItem(WC_STORAGE_KEY), 'topic-1');
+
+// Test 2: EVM adapter behaves like an injected provider
+const provider = wc.evmProvider;
+check("eth_accounts / eth_chainId answered locally", [
+    await provider.request({ method: 'eth_accounts' }),
+    await provider.request({ method: 'eth_chainId' })
+], [[EVM], '0x1']);
+
+const changes = [];
+provider.on('chainChanged', (id) => changes.push(id));
+await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0xa' }] });
+let unapproved = null;
+try {
+    await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x89' }] });
+} catch (err) {
+    unapproved = err.code;
+}
+check("Switch within approved chains; others 4902", [changes, unapproved], [['0xa'], 4902]);
+await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x1' }] });
+
+relay.relayed.length = 0;
+const sent = await sendEvmTransaction({ chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.01' }, provider, {
+    fees: { maxFeePerGas: 30000000000n, maxPriorityFeePerGas: 1000000000n }
+});
+check("EVM send: reads go to the node, signing over the relay", [
+    sent.hash, sent.tx.nonce, relay.relayed.map(r => `${r.chainId}:${r.method}`)
+], ['0x' + 'ab'.repeat(32), '0x3', ['eip155:1:eth_sendTransaction']]);
+check("Reads used the session chain's node", reads, ['1:eth_getTransactionCount', '1:eth_estimateGas']);
+
+const rejecting = createRelayStandIn({ ...wallet, handle: async () => { throw { code: 5000, message: 'User rejected.' }; } });
+const wcRejecting = createWalletConnectSession(rejecting.client);
+await wcRejecting.pair();
+check("Wallet rejection maps to USER_REJECTED", (await sendEvmTransaction(
+    { chain: 'Ethereum', asset: 'eth', recipient: RECIPIENT, amountAsset: '0.01' },
+    wcRejecting.evmProvider,
+    { nonce: 0, gas: 21000n, fees: { maxFeePerGas: 1n, maxPriorityFeePerGas: 1n } }
+)).error, 'USER_REJECTED');
+
+// Test 3: Solana adapter behaves like Phantom
+check("Solana sender from the session", await resolveSolanaSender(wc.solanaWallet), { from: SOL });
+const message = new Uint8Array([1, 0, 1, 2, 9, 9]);
+check("Unsigned wire format: count + empty slot + message", unsignedTransactionBase64(message),
+    bytesToBase64(new Uint8Array([1, ...new Uint8Array(64), 1, 0, 1, 2, 9, 9])));
+check("signAndSendTransaction relayed as solana_signAndSendTransaction", [
+    await submitSolanaTransaction({ message }, wc.solanaWallet),
+    relay.relayed.at(-1).chainId
+], [{ signature: `sig:${unsignedTransactionBase64(message).length}` }, SOLANA_MAINNET_CAIP2]);
+
+// Test 4: Wallet-side events
+const accountEvents = [];
+provider.on('accountsChanged', (a) => accountEvents.push(a));
+relay.fromWallet('session_event', { topic: 'topic-1', params: { chainId: 'eip155:1', event: { name: 'chainChanged', data: 10 } } });
+relay.fromWallet('session_event', { topic: 'topic-1', params: { chainId: 'eip155:10', event: { name: 'accountsChanged', data: [`eip155:10:${RECIPIENT}`] } } });
+relay.fromWallet('session_event', { topic: 'other', params: { event: { name: 'chainChanged', data: 137 } } });
+check("chainChanged / accountsChanged forwarded; other topics ignored", [changes.at(-1), accountEvents], ['0xa', [[RECIPIENT]]]);
+
+// Test 5: Reconnection
+const reloaded = createWalletConnectSession(relay.client, { storage });
+check("Restore after reload (no pairing)", (await reloaded.restore()).evm.address, EVM);
+check("Restored session answers requests", await reloaded.evmProvider.request({ method: 'eth_accounts' }), [EVM]);
+
+relay.sessions[0].expiry = Math.floor(Date.now() / 1000) - 1;
+const expired = createWalletConnectSession(relay.client, { storage: createStorage() });
+check("No stored topic → NO_SESSION", (await expired.restore()).error, 'NO_SESSION');
+const staleStorage = createStorage();
+staleStorage.setItem(WC_STORAGE_KEY, 'topic-1');
+check("Expired session is dropped", [(await createWalletConnectSession(relay.client, { storage: staleStorage }).restore()).error, staleStorage.getItem(WC_STORAGE_KEY)],
+    ['NO_SESSION', null]);
+relay.sessions[0].expiry = Math.floor(Date.now() / 1000) + HOUR;
+
+// Test 6: Disconnect
+check("Local disconnect reaches the relay and clears storage", [
+    await reloaded.disconnect(), storage.getItem(WC_STORAGE_KEY), relay.relayed.at(-1).method, relay.sessions.length
+], [{ disconnected: true }, null, 'disconnect', 0]);
+
+const again = createWalletConnectSession(relay.client, { storage });
+await again.pair();
+let remoteEnded = 0;
+again.onDisconnect(() => remoteEnded++);
+relay.fromWallet('session_delete', { topic: again.current().topic });
+let ended = null;
+try {
+    await again.evmProvider.request({ method: 'eth_accounts' });
+} catch (err) {
+    ended = err.code;
+}
+check("Wallet-side delete ends the session", [remoteEnded, again.current(), ended, storage.getItem(WC_STORAGE_KEY)], [1, null, 4900, null]);
+
+// Test 7: Pairing failures
+const declined = createRelayStandIn({ ...wallet, propose: async () => { throw { code: 5002, message: 'User rejected methods.' }; } });
+check("Proposal rejected", (await createWalletConnectSession(declined.client).pair()).error, 'USER_REJECTED');
+const timedOut = createRelayStandIn({ ...wallet, propose: async () => { throw new Error('Proposal expired'); } });
+check("Proposal expired", await createWalletConnectSession(timedOut.client).pair(), { error: 'PAIRING_FAILED', detail: 'Proposal expired' });
+
+check("EVM-only approval", parseSessionAccounts({ namespaces: { eip155: { accounts: [`eip155:8453:${EVM}`] } } }),
+    { evm: { address: EVM, chainIds: [8453] }, solana: null, peer: { name: null, icon: null } });
+
+console.log("\n--- TEST END ---");
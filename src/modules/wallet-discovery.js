@@ -0,0 +1,174 @@
+/**
+ * Wallet Discovery (EIP-6963)
+ *
+ * RESPONSIBILITY:
+ * - Lists every injected EVM wallet with its name and icon:
+ *     'eip6963:announceProvider' → one entry per announced wallet
+ *     'eip6963:requestProvider'  → dispatched on start, so wallets that
+ *                                  loaded first announce again
+ * - Falls back to `window.ethereum` (and its legacy `providers` array) for
+ *   wallets that predate EIP-6963.
+ * - Holds the EVM provider (and Solana wallet) the user chose, so connection,
+ *   balances, events and signing (WalletService, send.js) all talk to the same
+ *   wallet - an injected one or a WalletConnect session.
+ *
+ * CONTRACT:
+ * - The event target is passed in (window in the app, an EventTarget in
+ *   verify-wallet-discovery.mjs).
+ * - Wallet entry: { id, name, icon, rdns, provider, source: 'eip6963'|'injected' }
+ *   `id` is the announced uuid (stable for the page session only); `rdns`
+ *   identifies the wallet across reloads; `icon` is a data:image URI or null.
+ * - Announcements with a missing uuid/name or a provider without `request`
+ *   are ignored. A repeated uuid replaces the earlier entry.
+ */
+
+export const EIP6963_ANNOUNCE_EVENT = 'eip6963:announceProvider';
+export const EIP6963_REQUEST_EVENT = 'eip6963:requestProvider';
+
+// Icons are rendered through <img>; only inline images are accepted (EIP-6963 §Security)
+const ICON_PATTERN = /^data:image\/[a-z0-9.+-]+[;,]/i;
+
+const isProvider = (p) => Boolean(p) && typeof p.request === 'function';
+
+/**
+ * @param {object} detail - announceProvider event detail: { info, provider }
+ * @returns {object|null} Wallet entry
+ */
+export function parseAnnouncement(detail) {
+    const info = detail && detail.info;
+    if (!info || !isProvider(detail.provider)) return null;
+    if (typeof info.uuid !== 'string' || !info.uuid) return null;
+    if (typeof info.name !== 'string' || !info.name.trim()) return null;
+
+    return Object.freeze({
+        id: info.uuid,
+        name: info.name.trim(),
+        icon: typeof info.icon === 'string' && ICON_PATTERN.test(info.icon) ? info.icon : null,
+        rdns: typeof info.rdns === 'string' && info.rdns ? info.rdns : null,
+        provider: detail.provider,
+        source: 'eip6963'
+    });
+}
+
+function legacyName(provider) {
+    if (provider.isRabby) return 'Rabby'; // Rabby also sets isMetaMask
+    if (provider.isMetaMask) return 'MetaMask';
+    return 'Browser Wallet';
+}
+
+/**
+ * Entries for pre-EIP-6963 injection: `window.ethereum`, or each provider in
+ * `window.ethereum.providers` when several wallets share the global.
+ *
+ * @param {object} ethereum - window.ethereum
+ * @returns {object[]}
+ */
+export function legacyWallets(ethereum) {
+    if (!isProvider(ethereum)) return [];
+    const providers = Array.isArray(ethereum.providers) && ethereum.providers.length > 0
+        ? ethereum.providers.filter(isProvider)
+        : [ethereum];
+
+    return providers.map((provider, i) => Object.freeze({
+        id: `injected:${i}`,
+        name: legacyName(provider),
+        icon: null,
+        rdns: null,
+        provider,
+        source: 'injected'
+    }));
+}
+
+/**
+ * @param {EventTarget} target - window
+ * @returns {{
+ *   start: () => void,
+ *   stop: () => void,
+ *   list: () => object[],
+ *   find: (idOrRdns: string) => object|null,
+ *   subscribe: (callback: (wallets: object[]) => void) => () => void
+ * }}
+ */
+export function createWalletDiscovery(target) {
+    const announced = new Map();
+    const callbacks = [];
+    let listening = false;
+
+    const list = () => (announced.size > 0 ? [...announced.values()] : legacyWallets(target && target.ethereum));
+
+    const onAnnounce = (event) => {
+        const wallet = parseAnnouncement(event.detail);
+        if (!wallet) return;
+        announced.set(wallet.id, wallet);
+        const wallets = list();
+        callbacks.forEach(cb => cb(wallets));
+    };
+
+    return {
+        start() {
+            if (!target || listening) return;
+            listening = true;
+            target.addEventListener(EIP6963_ANNOUNCE_EVENT, onAnnounce);
+            target.dispatchEvent(new Event(EIP6963_REQUEST_EVENT));
+        },
+
+        stop() {
+            if (!listening) return;
+            listening = false;
+            target.removeEventListener(EIP6963_ANNOUNCE_EVENT, onAnnounce);
+        },
+
+        list,
+
+        find(idOrRdns) {
+            if (!idOrRdns) return null;
+            return list().find(w => w.id === idOrRdns || w.rdns === idOrRdns) || null;
+        },
+
+        subscribe(callback) {
+            callbacks.push(callback);
+            return () => {
+                const i = callbacks.indexOf(callback);
+                if (i >= 0) callbacks.splice(i, 1);
+            };
+        }
+    };
+}
+
+// --- Selected provider ---
+
+let selectedProvider = null;
+
+/**
+ * @param {object|null} provider - The chosen wallet's EIP-1193 provider
+ */
+export function selectEvmProvider(provider) {
+    selectedProvider = isProvider(provider) ? provider : null;
+}
+
+/**
+ * @returns {object|null} The chosen provider, else `window.ethereum`, else null
+ */
+export function selectedEvmProvider() {
+    if (selectedProvider) return selectedProvider;
+    const injected = globalThis.window && globalThis.window.ethereum;
+    return isProvider(injected) ? injected : null;
+}
+
+let selectedSolana = null;
+
+/**
+ * @param {object|null} wallet - Phantom-shaped wallet (`publicKey`, `connect`, `request`)
+ */
+export function selectSolanaWallet(wallet) {
+    selectedSolana = isProvider(wallet) ? wallet : null;
+}
+
+/**
+ * @returns {object|null} The chosen Solana wallet, else `window.solana`, else null
+ */
+export function selectedSolanaWallet() {
+    if (selectedSolana) return selectedSolana;
+    const injected = globalThis.window && globalThis.window.solana;
+    return isProvider(injected) ? injected : null;
+}
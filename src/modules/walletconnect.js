@@ -0,0 +1,316 @@
+/**
+ * WalletConnect v2 Session
+ *
+ * RESPONSIBILITY:
+ * - Pairing: session proposal with required eip155 + solana namespaces; the
+ *   pairing URI is handed to the caller for the QR display.
+ * - Persistence / reconnection: the active session topic is stored and the
+ *   session is picked up again from the sign client on reload.
+ * - Disconnect (local) and remote session_delete / session_expire.
+ * - Adapters so the rest of the app treats a WC session like an injected wallet:
+ *     evmProvider   → EIP-1193 (`request`, `on`, `removeListener`)
+ *     solanaWallet  → Phantom-shaped (`publicKey`, `connect`, `request`)
+ *
+ * CONTRACT:
+ * - The sign client is passed in (@walletconnect/sign-client in the app, a
+ *   local relay stand-in in verify-walletconnect.mjs). No globals are read here.
+ * - Signing methods go to the wallet over the relay. EVM reads go to
+ *   `rpcFor(chainId)` when given (wallets are not nodes), else to the wallet.
+ * - Wallet rejections surface as code 4001, like an injected provider.
+ * - pair / restore / disconnect return plain data and never throw.
+ *
+ * ERROR CODES:
+ * - USER_REJECTED, PAIRING_FAILED, NO_SESSION
+ */
+
+import { base58Decode } from './crypto/base58.js';
+import { bytesToBase64, concatBytes } from './crypto/bytes.js';
+
+export const WC_STORAGE_KEY = 'walletconnect_session';
+
+export const SOLANA_MAINNET_CAIP2 = 'solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp';
+
+export const WC_EVM_METHODS = Object.freeze([
+    'eth_sendTransaction',
+    'personal_sign',
+    'eth_signTypedData_v4'
+]);
+
+export const WC_SOLANA_METHODS = Object.freeze([
+    'solana_signTransaction',
+    'solana_signAndSendTransaction'
+]);
+
+export const WC_REQUIRED_NAMESPACES = Object.freeze({
+    eip155: { chains: ['eip155:1'], methods: [...WC_EVM_METHODS], events: ['chainChanged', 'accountsChanged'] },
+    solana: { chains: [SOLANA_MAINNET_CAIP2], methods: [...WC_SOLANA_METHODS], events: [] }
+});
+
+// Rollups Send supports; wallets approve the subset they know
+export const WC_OPTIONAL_NAMESPACES = Object.freeze({
+    eip155: {
+        chains: ['eip155:10', 'eip155:137', 'eip155:8453', 'eip155:42161', 'eip155:59144', 'eip155:534352'],
+        methods: [...WC_EVM_METHODS],
+        events: ['chainChanged', 'accountsChanged']
+    }
+});
+
+// WalletConnect SDK error codes (sdk-errors)
+const WC_USER_REJECTED_CODES = [5000, 5001, 5002];
+const WC_USER_DISCONNECTED = { code: 6000, message: 'User disconnected.' };
+
+const USER_REJECTED_CODE = 4001;     // EIP-1193
+const DISCONNECTED_CODE = 4900;      // EIP-1193
+const UNRECOGNIZED_CHAIN_CODE = 4902; // EIP-3326
+
+const fail = (error, detail = null) => ({ error, detail });
+
+const isUserRejection = (err) => Boolean(err) && WC_USER_REJECTED_CODES.includes(err.code);
+
+/**
+ * Accounts approved in a session, split by namespace (CAIP-10 → address).
+ *
+ * @param {object} session - Sign client session ({ topic, expiry, namespaces, peer })
+ * @returns {{ evm: { address: string, chainIds: number[] }|null, solana: { address: string }|null, peer: { name: string|null, icon: string|null } }}
+ */
+export function parseSessionAccounts(session) {
+    const namespaces = (session && session.namespaces) || {};
+    const split = (account) => {
+        const parts = typeof account === 'string' ? account.split(':') : [];
+        return parts.length === 3 ? { chain: `${parts[0]}:${parts[1]}`, reference: parts[1], address: parts[2] } : null;
+    };
+
+    const evmAccounts = ((namespaces.eip155 && namespaces.eip155.accounts) || []).map(split).filter(Boolean);
+    const solanaAccounts = ((namespaces.solana && namespaces.solana.accounts) || []).map(split).filter(Boolean);
+    const metadata = (session && session.peer && session.peer.metadata) || {};
+
+    return {
+        evm: evmAccounts.length > 0
+            ? { address: evmAccounts[0].address, chainIds: [...new Set(evmAccounts.map(a => Number(a.reference)))] }
+            : null,
+        solana: solanaAccounts.length > 0 ? { address: solanaAccounts[0].address } : null,
+        peer: {
+            name: metadata.name || null,
+            icon: (metadata.icons && metadata.icons[0]) || null
+        }
+    };
+}
+
+/**
+ * Wire format WalletConnect wallets sign: compact-u16 signature count, empty
+ * signature slots, then the message (the header's first byte is the count).
+ * @param {Uint8Array} message - Compiled legacy message
+ * @returns {string} base64 transaction
+ */
+export function unsignedTransactionBase64(message) {
+    const signatures = message[0];
+    return bytesToBase64(concatBytes(new Uint8Array([signatures]), new Uint8Array(64 * signatures), message));
+}
+
+/**
+ * @param {object} client - Sign client: connect, request, disconnect, session.getAll, on
+ * @param {object} [options]
+ * @param {object} [options.storage] - localStorage-compatible (topic persistence)
+ * @param {(chainId: number) => object|null} [options.rpcFor] - Read-only transport per EVM chain
+ * @returns {object} Session controller
+ */
+export function createWalletConnectSession(client, { storage = null, rpcFor = null } = {}) {
+    let session = null;
+    let evmChainId = null;
+    const listeners = { chainChanged: [], accountsChanged: [], disconnect: [] };
+
+    const emit = (event, payload) => listeners[event].forEach(cb => cb(payload));
+    const accounts = () => parseSessionAccounts(session);
+    const hexChainId = () => (evmChainId === null ? null : `0x${evmChainId.toString(16)}`);
+
+    function adopt(next) {
+        session = next;
+        const { evm } = accounts();
+        evmChainId = evm ? evm.chainIds[0] : null;
+        if (storage) storage.setItem(WC_STORAGE_KEY, next.topic);
+    }
+
+    function drop() {
+        session = null;
+        evmChainId = null;
+        if (storage) storage.removeItem(WC_STORAGE_KEY);
+    }
+
+    async function relay(chainId, method, params) {
+        if (!session) throw { code: DISCONNECTED_CODE, message: 'WalletConnect session ended' };
+        try {
+            return await client.request({ topic: session.topic, chainId, request: { method, params } });
+        } catch (err) {
+            if (isUserRejection(err)) throw { code: USER_REJECTED_CODE, message: err.message || 'User rejected' };
+            throw { code: err && err.code, message: (err && err.message) || `${method} failed` };
+        }
+    }
+
+    // --- Wallet-side events ---
+
+    const isCurrent = (event) => Boolean(session) && event && event.topic === session.topic;
+
+    const onEnded = (event) => {
+        if (!isCurrent(event)) return;
+        drop();
+        emit('disconnect');
+    };
+
+    client.on('session_delete', onEnded);
+    client.on('session_expire', onEnded);
+
+    client.on('session_update', (event) => {
+        if (!isCurrent(event)) return;
+        const previousChainId = evmChainId;
+        adopt({ ...session, namespaces: event.params.namespaces });
+        const { evm } = accounts();
+        if (evm && evm.chainIds.includes(previousChainId)) evmChainId = previousChainId;
+        emit('accountsChanged', evm ? [evm.address] : []);
+    });
+
+    client.on('session_event', (event) => {
+        if (!isCurrent(event)) return;
+        const { name, data } = event.params.event;
+        if (name === 'chainChanged') {
+            evmChainId = Number(data);
+            emit('chainChanged', hexChainId());
+        } else if (name === 'accountsChanged' && Array.isArray(data)) {
+            emit('accountsChanged', data.map(a => String(a).split(':').pop()));
+        }
+    });
+
+    // --- Adapters ---
+
+    const evmProvider = {
+        isWalletConnect: true,
+
+        get selectedAddress() {
+            const { evm } = accounts();
+            return evm ? evm.address : null;
+        },
+
+        async request({ method, params = [] }) {
+            if (!session) throw { code: DISCONNECTED_CODE, message: 'WalletConnect session ended' };
+            const { evm } = accounts();
+
+            switch (method) {
+                case 'eth_accounts':
+                case 'eth_requestAccounts':
+                    return evm ? [evm.address] : [];
+                case 'eth_chainId':
+                    return hexChainId();
+                case 'wallet_switchEthereumChain': {
+                    const target = parseInt(params[0] && params[0].chainId, 16);
+                    if (!evm || !evm.chainIds.includes(target)) {
+                        throw { code: UNRECOGNIZED_CHAIN_CODE, message: `Chain ${target} not approved in this session` };
+                    }
+                    if (target !== evmChainId) {
+                        evmChainId = target;
+                        emit('chainChanged', hexChainId());
+                    }
+                    return null;
+                }
+                case 'wallet_addEthereumChain':
+                    // Chains are fixed at approval; a new one needs a new session
+                    throw { code: 4200, message: 'Reconnect WalletConnect to add this network' };
+            }
+
+            if (!WC_EVM_METHODS.includes(method)) {
+                const reader = rpcFor ? rpcFor(evmChainId) : null;
+                if (reader) return reader.request({ method, params });
+            }
+            return relay(`eip155:${evmChainId}`, method, params);
+        },
+
+        on(event, callback) {
+            if (listeners[event] && event !== 'disconnect') listeners[event].push(callback);
+        },
+
+        removeListener(event, callback) {
+            const list = listeners[event] || [];
+            const i = list.indexOf(callback);
+            if (i >= 0) list.splice(i, 1);
+        }
+    };
+
+    const solanaWallet = {
+        isWalletConnect: true,
+
+        get publicKey() {
+            const { solana } = accounts();
+            return solana ? { toString: () => solana.address } : null;
+        },
+
+        async connect() {
+            if (!accounts().solana) throw { code: USER_REJECTED_CODE, message: 'No Solana account in this WalletConnect session' };
+        },
+
+        async request({ method, params }) {
+            if (method !== 'signAndSendTransaction') throw { code: 4200, message: `Unsupported method ${method}` };
+            const message = base58Decode(params.message);
+            return relay(SOLANA_MAINNET_CAIP2, 'solana_signAndSendTransaction', {
+                transaction: unsignedTransactionBase64(message)
+            });
+        }
+    };
+
+    return {
+        evmProvider,
+        solanaWallet,
+        accounts,
+
+        current() {
+            return session;
+        },
+
+        /** Remote session end (wallet disconnected or session expired) */
+        onDisconnect(callback) {
+            listeners.disconnect.push(callback);
+        },
+
+        /**
+         * Proposes a session and waits for the wallet's approval.
+         * @param {{ onUri?: (uri: string) => void }} [options]
+         */
+        async pair({ onUri = null } = {}) {
+            try {
+                const { uri, approval } = await client.connect({
+                    requiredNamespaces: WC_REQUIRED_NAMESPACES,
+                    optionalNamespaces: WC_OPTIONAL_NAMESPACES
+                });
+                if (uri && onUri) onUri(uri);
+                adopt(await approval());
+                return { session, ...accounts() };
+            } catch (err) {
+                if (isUserRejection(err)) return fail('USER_REJECTED', err.message);
+                return fail('PAIRING_FAILED', err && err.message);
+            }
+        },
+
+        /** Picks up the stored session after a reload (no prompt). */
+        async restore() {
+            const topic = storage ? storage.getItem(WC_STORAGE_KEY) : null;
+            if (!topic) return fail('NO_SESSION');
+
+            const stored = client.session.getAll().find(s => s.topic === topic);
+            if (!stored || stored.expiry * 1000 <= Date.now()) {
+                drop();
+                return fail('NO_SESSION', 'expired or removed by the wallet');
+            }
+            adopt(stored);
+            return { session, ...accounts() };
+        },
+
+        async disconnect() {
+            if (!session) return { disconnected: false };
+            const { topic } = session;
+            drop();
+            try {
+                await client.disconnect({ topic, reason: WC_USER_DISCONNECTED });
+            } catch (err) {
+                // Relay unreachable: the session is already gone locally and expires on the wallet side
+            }
+            return { disconnected: true };
+        }
+    };
+}